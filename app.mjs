@@ -4,15 +4,38 @@ import {pinoHttp} from "pino-http";
 import sourceHtmlRouter from './routes/source_html_router.mjs';
 import scrappersRouter from './routes/scrappers_router.mjs';
 import pubMwbRouter from './routes/pub_mwb_router.mjs';
+import cacheRouter from './routes/cache_router.mjs';
+import assignmentsRouter from './routes/assignments_router.mjs';
+import healthRouter from './routes/health_router.mjs';
+import selectorProfileRouter from './routes/selector_profile_router.mjs';
+import openApiRouter from './routes/openapi_router.mjs';
+import reportSelectorProfile from './middlewares/report_selector_profile.mjs';
+import validateWithOpenApi from './middlewares/validate_with_openapi.mjs';
+import {getReferenceCache} from "./services/support/cache.mjs";
+import {getOpenApiDocument} from "./services/openapi_document.mjs";
+import {getRequestScheduler} from "./services/support/request_scheduler.mjs";
+
+// Creating these now makes an invalid cache or scheduler configuration, or a broken typedef, fail the startup, not the
+// requests.
+getReferenceCache();
+getRequestScheduler();
+getOpenApiDocument();
 
 const app = express();
 
 app.use(pinoHttp({logger}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
+app.use(reportSelectorProfile);
+app.use(validateWithOpenApi);
 
 app.use('/source-html', sourceHtmlRouter);
 app.use('/scrappers', scrappersRouter);
+app.use('/cache', cacheRouter);
+app.use('/assignments', assignmentsRouter);
+app.use('/health', healthRouter);
+app.use('/selector-profile', selectorProfileRouter);
+app.use('/', openApiRouter);
 app.use('/', pubMwbRouter);
 app.get('/ping', (req, res) => {
     return res.send('pong');
@@ -0,0 +1,101 @@
+/**
+ * The books of the Bible in each supported language, Genesis first, so the index plus one is the book number WOL uses.
+ * Each book lists its full name first, then the abbreviations the publications use for it, without the trailing dot.
+ * @type {Readonly<Object<string, string[][]>>}
+ */
+const BIBLE_BOOKS = Object.freeze({
+    es: [
+        ['Génesis', 'Gé', 'Gén'], ['Éxodo', 'Éx'], ['Levítico', 'Le', 'Lev'], ['Números', 'Nú', 'Núm'],
+        ['Deuteronomio', 'Dt', 'Deut'], ['Josué', 'Jos'], ['Jueces', 'Jue'], ['Rut'],
+        ['1 Samuel', '1Sa', '1 Sam'], ['2 Samuel', '2Sa', '2 Sam'], ['1 Reyes', '1Re', '1 Rey'], ['2 Reyes', '2Re', '2 Rey'],
+        ['1 Crónicas', '1Cr', '1 Crón'], ['2 Crónicas', '2Cr', '2 Crón'], ['Esdras', 'Esd'], ['Nehemías', 'Ne', 'Neh'],
+        ['Ester', 'Est'], ['Job'], ['Salmos', 'Sl', 'Sal', 'Salmo'], ['Proverbios', 'Pr', 'Prov'],
+        ['Eclesiastés', 'Ec', 'Ecl'], ['El Cantar de los Cantares', 'Cantar de los Cantares', 'Can', 'Cant'], ['Isaías', 'Is'], ['Jeremías', 'Jer'],
+        ['Lamentaciones', 'Lam'], ['Ezequiel', 'Eze', 'Ezeq'], ['Daniel', 'Da', 'Dan'], ['Oseas', 'Os'],
+        ['Joel', 'Joe'], ['Amós', 'Am'], ['Abdías', 'Abd'], ['Jonás', 'Jon'],
+        ['Miqueas', 'Miq'], ['Nahúm', 'Na', 'Nah'], ['Habacuc', 'Hab'], ['Sofonías', 'Sof'],
+        ['Ageo', 'Ag'], ['Zacarías', 'Zac'], ['Malaquías', 'Mal'], ['Mateo', 'Mt', 'Mat'],
+        ['Marcos', 'Mr', 'Mar'], ['Lucas', 'Lu', 'Luc'], ['Juan', 'Jn'], ['Hechos', 'Hch', 'Hech'],
+        ['Romanos', 'Ro', 'Rom'], ['1 Corintios', '1Co', '1 Cor'], ['2 Corintios', '2Co', '2 Cor'], ['Gálatas', 'Gál'],
+        ['Efesios', 'Ef'], ['Filipenses', 'Flp', 'Filip'], ['Colosenses', 'Col'], ['1 Tesalonicenses', '1Te', '1 Tes'],
+        ['2 Tesalonicenses', '2Te', '2 Tes'], ['1 Timoteo', '1Ti', '1 Tim'], ['2 Timoteo', '2Ti', '2 Tim'], ['Tito', 'Tit'],
+        ['Filemón', 'Flm', 'Filem'], ['Hebreos', 'Heb'], ['Santiago', 'Snt', 'Sant'], ['1 Pedro', '1Pe', '1 Ped'],
+        ['2 Pedro', '2Pe', '2 Ped'], ['1 Juan', '1Jn'], ['2 Juan', '2Jn'], ['3 Juan', '3Jn'],
+        ['Judas', 'Jud'], ['Apocalipsis', 'Ap', 'Apoc'],
+    ],
+    en: [
+        ['Genesis', 'Ge', 'Gen'], ['Exodus', 'Ex'], ['Leviticus', 'Le', 'Lev'], ['Numbers', 'Nu', 'Num'],
+        ['Deuteronomy', 'De', 'Deut'], ['Joshua', 'Jos', 'Josh'], ['Judges', 'Jg', 'Judg'], ['Ruth', 'Ru'],
+        ['1 Samuel', '1Sa', '1 Sam'], ['2 Samuel', '2Sa', '2 Sam'], ['1 Kings', '1Ki'], ['2 Kings', '2Ki'],
+        ['1 Chronicles', '1Ch', '1 Chron'], ['2 Chronicles', '2Ch', '2 Chron'], ['Ezra', 'Ezr'], ['Nehemiah', 'Ne', 'Neh'],
+        ['Esther', 'Es'], ['Job'], ['Psalms', 'Ps', 'Psalm'], ['Proverbs', 'Pr', 'Prov'],
+        ['Ecclesiastes', 'Ec', 'Eccl'], ['Song of Solomon', 'Ca', 'Song of Sol'], ['Isaiah', 'Isa'], ['Jeremiah', 'Jer'],
+        ['Lamentations', 'La', 'Lam'], ['Ezekiel', 'Eze', 'Ezek'], ['Daniel', 'Da', 'Dan'], ['Hosea', 'Ho', 'Hos'],
+        ['Joel', 'Joe'], ['Amos', 'Am'], ['Obadiah', 'Ob', 'Obad'], ['Jonah', 'Jon'],
+        ['Micah', 'Mic'], ['Nahum', 'Na', 'Nah'], ['Habakkuk', 'Hab'], ['Zephaniah', 'Zep', 'Zeph'],
+        ['Haggai', 'Hag'], ['Zechariah', 'Zec', 'Zech'], ['Malachi', 'Mal'], ['Matthew', 'Mt', 'Matt'],
+        ['Mark', 'Mr'], ['Luke', 'Lu'], ['John', 'Joh'], ['Acts', 'Ac'],
+        ['Romans', 'Ro', 'Rom'], ['1 Corinthians', '1Co', '1 Cor'], ['2 Corinthians', '2Co', '2 Cor'], ['Galatians', 'Ga', 'Gal'],
+        ['Ephesians', 'Eph'], ['Philippians', 'Php', 'Phil'], ['Colossians', 'Col'], ['1 Thessalonians', '1Th', '1 Thess'],
+        ['2 Thessalonians', '2Th', '2 Thess'], ['1 Timothy', '1Ti', '1 Tim'], ['2 Timothy', '2Ti', '2 Tim'], ['Titus', 'Tit'],
+        ['Philemon', 'Phm', 'Philem'], ['Hebrews', 'Heb'], ['James', 'Jas'], ['1 Peter', '1Pe', '1 Pet'],
+        ['2 Peter', '2Pe', '2 Pet'], ['1 John', '1Jo'], ['2 John', '2Jo'], ['3 John', '3Jo'],
+        ['Jude'], ['Revelation', 'Re', 'Rev'],
+    ],
+    pt: [
+        ['Gênesis', 'Gên'], ['Êxodo', 'Êx'], ['Levítico', 'Le', 'Lev'], ['Números', 'Núm'],
+        ['Deuteronômio', 'De', 'Deut'], ['Josué', 'Jos'], ['Juízes', 'Jz', 'Juí'], ['Rute', 'Ru'],
+        ['1 Samuel', '1Sa', '1 Sam'], ['2 Samuel', '2Sa', '2 Sam'], ['1 Reis', '1Rs'], ['2 Reis', '2Rs'],
+        ['1 Crônicas', '1Cr', '1 Crô'], ['2 Crônicas', '2Cr', '2 Crô'], ['Esdras', 'Esd'], ['Neemias', 'Ne', 'Nee'],
+        ['Ester', 'Est'], ['Jó'], ['Salmos', 'Sal', 'Salmo'], ['Provérbios', 'Pr', 'Pro'],
+        ['Eclesiastes', 'Ec', 'Ecl'], ['Cântico de Salomão', 'Cân'], ['Isaías', 'Is', 'Isa'], ['Jeremias', 'Je', 'Jer'],
+        ['Lamentações', 'La', 'Lam'], ['Ezequiel', 'Ez', 'Eze'], ['Daniel', 'Da', 'Dan'], ['Oseias', 'Os', 'Ose'],
+        ['Joel', 'Jl'], ['Amós', 'Am'], ['Obadias', 'Ob', 'Oba'], ['Jonas', 'Jon'],
+        ['Miqueias', 'Miq'], ['Naum', 'Na'], ['Habacuque', 'Hab'], ['Sofonias', 'Sof'],
+        ['Ageu', 'Ag'], ['Zacarias', 'Za', 'Zac'], ['Malaquias', 'Mal'], ['Mateus', 'Mt', 'Mat'],
+        ['Marcos', 'Mr', 'Mar'], ['Lucas', 'Lu', 'Luc'], ['João', 'Jo'], ['Atos', 'At'],
+        ['Romanos', 'Ro', 'Rom'], ['1 Coríntios', '1Co', '1 Cor'], ['2 Coríntios', '2Co', '2 Cor'], ['Gálatas', 'Gál'],
+        ['Efésios', 'Ef'], ['Filipenses', 'Fil'], ['Colossenses', 'Col'], ['1 Tessalonicenses', '1Te', '1 Tes'],
+        ['2 Tessalonicenses', '2Te', '2 Tes'], ['1 Timóteo', '1Ti', '1 Tim'], ['2 Timóteo', '2Ti', '2 Tim'], ['Tito', 'Tit'],
+        ['Filêmon', 'Flm', 'Filem'], ['Hebreus', 'He', 'Heb'], ['Tiago', 'Tg', 'Tia'], ['1 Pedro', '1Pe', '1 Ped'],
+        ['2 Pedro', '2Pe', '2 Ped'], ['1 João', '1Jo'], ['2 João', '2Jo'], ['3 João', '3Jo'],
+        ['Judas', 'Ju', 'Jud'], ['Apocalipse', 'Ap', 'Apo'],
+    ],
+    fr: [
+        ['Genèse', 'Gn', 'Gen'], ['Exode', 'Ex'], ['Lévitique', 'Lv', 'Lév'], ['Nombres', 'Nb', 'Nomb'],
+        ['Deutéronome', 'Dt', 'Deut'], ['Josué', 'Jos'], ['Juges', 'Jg'], ['Ruth', 'Ru'],
+        ['1 Samuel', '1S', '1 Sam'], ['2 Samuel', '2S', '2 Sam'], ['1 Rois', '1R'], ['2 Rois', '2R'],
+        ['1 Chroniques', '1Ch', '1 Chron'], ['2 Chroniques', '2Ch', '2 Chron'], ['Esdras', 'Esd'], ['Néhémie', 'Ne', 'Néh'],
+        ['Esther', 'Est'], ['Job', 'Jb'], ['Psaumes', 'Ps', 'Psaume'], ['Proverbes', 'Pr', 'Prov'],
+        ['Ecclésiaste', 'Ec', 'Eccl'], ['Chant de Salomon', 'Ct', 'Chant'], ['Isaïe', 'Is'], ['Jérémie', 'Jr', 'Jér'],
+        ['Lamentations', 'Lm', 'Lam'], ['Ézéchiel', 'Éz', 'Ézéch'], ['Daniel', 'Dn', 'Dan'], ['Osée', 'Os'],
+        ['Joël', 'Jl'], ['Amos', 'Am'], ['Abdias', 'Ab', 'Abd'], ['Jonas', 'Jon'],
+        ['Michée', 'Mi', 'Mich'], ['Nahum', 'Na', 'Nah'], ['Habacuc', 'Ha', 'Hab'], ['Sophonie', 'So', 'Soph'],
+        ['Aggée', 'Ag', 'Agg'], ['Zacharie', 'Za', 'Zach'], ['Malachie', 'Ml', 'Mal'], ['Matthieu', 'Mt', 'Matt'],
+        ['Marc', 'Mc'], ['Luc', 'Lc'], ['Jean', 'Jn'], ['Actes', 'Ac'],
+        ['Romains', 'Rm', 'Rom'], ['1 Corinthiens', '1Co', '1 Cor'], ['2 Corinthiens', '2Co', '2 Cor'], ['Galates', 'Ga', 'Gal'],
+        ['Éphésiens', 'Ep', 'Éph'], ['Philippiens', 'Php', 'Phil'], ['Colossiens', 'Col'], ['1 Thessaloniciens', '1Th', '1 Thess'],
+        ['2 Thessaloniciens', '2Th', '2 Thess'], ['1 Timothée', '1Tm', '1 Tim'], ['2 Timothée', '2Tm', '2 Tim'], ['Tite', 'Tt'],
+        ['Philémon', 'Phm', 'Phlm'], ['Hébreux', 'Hé', 'Héb'], ['Jacques', 'Jc', 'Jacq'], ['1 Pierre', '1P', '1 Pier'],
+        ['2 Pierre', '2P', '2 Pier'], ['1 Jean', '1J'], ['2 Jean', '2J'], ['3 Jean', '3J'],
+        ['Jude'], ['Révélation', 'Ré', 'Rév'],
+    ],
+});
+
+// Books with a single chapter, where a reference like "Jude 3" names a verse rather than a chapter.
+export const SINGLE_CHAPTER_BOOK_NUMBERS = Object.freeze([31, 57, 63, 64, 65]);
+
+/**
+ * Gets the books of the Bible in the given language.
+ * @param {string} code - The language code.
+ * @returns {string[][]} The names of each book, Genesis first, full name first.
+ * @throws {Error} If there are no book names for the language.
+ */
+export function getBibleBooksOrThrow(code) {
+    if (!Object.hasOwn(BIBLE_BOOKS, code)) {
+        throw new Error(`No Bible book names for language [${code}]`);
+    }
+    return BIBLE_BOOKS[code];
+}
+
+export default BIBLE_BOOKS;
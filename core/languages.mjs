@@ -0,0 +1,154 @@
+/**
+ * @typedef {Object} LanguageDefinition
+ * @property {string} code - The code used by the API's `lang` parameter and WOL URL paths (e.g. 'es').
+ * @property {string} hreflang - The value of the `hreflang` attribute that links to the language's landing page.
+ * @property {string} acceptLanguage - The value sent in the `Accept-Language` header.
+ * @property {RegExp} timeBoxPattern - Matches the time box of a part, the first group is the amount of minutes (e.g. "(10 mins.)").
+ * @property {RegExp} paragraphRangePattern - Captures the first and the optional last paragraph a study covers (e.g. "párrs. 1-7").
+ * @property {RegExp} studentTaskPattern - Matches the contents of a part that has a time box and a study point.
+ * @property {RegExp} studyPointContentsPattern - Captures the text between the time box and the study point of a student task.
+ * @property {RegExp} bookNamePattern - Captures the book name from a tooltip caption (e.g. "Isaías 40:1").
+ * @property {string[][]} monthNames - Lowercase names for each month, January first, each with its accepted spellings.
+ * @property {Object<string, string>} labels - Texts the workbook prints but the program data doesn't carry, like section titles.
+ */
+
+// Parentheses and chapter:verse notation are written the same way in every supported language.
+const COMMON_PATTERNS = Object.freeze({
+    studentTaskPattern: /\(.*?\).*?\(.*?\)/,
+    studyPointContentsPattern: /\)\s*\s*(.*?)\s*(?=\s*\()/,
+    bookNamePattern: /^(.*?)(?=\d+:)/,
+});
+
+const LANGUAGES = Object.freeze({
+    es: Object.freeze({
+        ...COMMON_PATTERNS,
+        code: 'es',
+        hreflang: 'es',
+        acceptLanguage: 'es-ES,es;q=0.5',
+        timeBoxPattern: /\((\d+)\s*\S*?\.\)/,
+        paragraphRangePattern: /\bpárr(?:s|afos?)?\.?\s*(\d+)(?:\s*[-–]\s*(\d+))?/i,
+        monthNames: [['enero'], ['febrero'], ['marzo'], ['abril'], ['mayo'], ['junio'], ['julio'], ['agosto'],
+            ['septiembre', 'setiembre'], ['octubre'], ['noviembre'], ['diciembre']],
+        labels: Object.freeze({
+            meetingTitle: 'Reunión Vida y Ministerio Cristianos',
+            treasures: 'TESOROS DE LA BIBLIA',
+            fieldMinistry: 'SEAMOS MEJORES MAESTROS',
+            christianLiving: 'NUESTRA VIDA CRISTIANA',
+            chairman: 'Presidente',
+            prayer: 'Oración',
+            song: 'Canción',
+            openingComments: 'Palabras de introducción',
+            concludingComments: 'Palabras de conclusión',
+            student: 'Estudiante',
+            assistant: 'Ayudante',
+            conductor: 'Conductor',
+            reader: 'Lector',
+            counsel: 'Consejo',
+            minute: 'min.',
+            minutes: 'mins.',
+        }),
+    }),
+    en: Object.freeze({
+        ...COMMON_PATTERNS,
+        code: 'en',
+        hreflang: 'en',
+        acceptLanguage: 'en-US,en;q=0.5',
+        timeBoxPattern: /\((\d+)\s*min\.\)/,
+        paragraphRangePattern: /\bpar(?:s|agraphs?)?\.?\s*(\d+)(?:\s*[-–]\s*(\d+))?/i,
+        monthNames: [['january'], ['february'], ['march'], ['april'], ['may'], ['june'], ['july'], ['august'],
+            ['september'], ['october'], ['november'], ['december']],
+        labels: Object.freeze({
+            meetingTitle: 'Our Christian Life and Ministry Meeting',
+            treasures: 'TREASURES FROM GOD’S WORD',
+            fieldMinistry: 'APPLY YOURSELF TO THE FIELD MINISTRY',
+            christianLiving: 'LIVING AS CHRISTIANS',
+            chairman: 'Chairman',
+            prayer: 'Prayer',
+            song: 'Song',
+            openingComments: 'Opening Comments',
+            concludingComments: 'Concluding Comments',
+            student: 'Student',
+            assistant: 'Assistant',
+            conductor: 'Conductor',
+            reader: 'Reader',
+            counsel: 'Counsel',
+            minute: 'min.',
+            minutes: 'min.',
+        }),
+    }),
+    pt: Object.freeze({
+        ...COMMON_PATTERNS,
+        code: 'pt',
+        hreflang: 'pt',
+        acceptLanguage: 'pt-BR,pt;q=0.5',
+        timeBoxPattern: /\((\d+)\s*min\.?\)/,
+        paragraphRangePattern: /\bpar(?:s|ágrafos?)?\.?\s*(\d+)(?:\s*[-–]\s*(\d+))?/i,
+        monthNames: [['janeiro'], ['fevereiro'], ['março'], ['abril'], ['maio'], ['junho'], ['julho'], ['agosto'],
+            ['setembro'], ['outubro'], ['novembro'], ['dezembro']],
+        labels: Object.freeze({
+            meetingTitle: 'Reunião Vida e Ministério Cristão',
+            treasures: 'TESOUROS DA PALAVRA DE DEUS',
+            fieldMinistry: 'FAÇA SEU MELHOR NO MINISTÉRIO',
+            christianLiving: 'NOSSA VIDA CRISTÃ',
+            chairman: 'Presidente',
+            prayer: 'Oração',
+            song: 'Cântico',
+            openingComments: 'Comentários iniciais',
+            concludingComments: 'Comentários finais',
+            student: 'Estudante',
+            assistant: 'Ajudante',
+            conductor: 'Dirigente',
+            reader: 'Leitor',
+            counsel: 'Conselho',
+            minute: 'min',
+            minutes: 'min',
+        }),
+    }),
+    fr: Object.freeze({
+        ...COMMON_PATTERNS,
+        code: 'fr',
+        hreflang: 'fr',
+        acceptLanguage: 'fr-FR,fr;q=0.5',
+        timeBoxPattern: /\((\d+)\s*min\.?\)/,
+        paragraphRangePattern: /(?:\bpar(?:agraphes?)?\.?|§)\s*(\d+)(?:\s*[-–]\s*(\d+))?/i,
+        monthNames: [['janvier'], ['février'], ['mars'], ['avril'], ['mai'], ['juin'], ['juillet'], ['août'],
+            ['septembre'], ['octobre'], ['novembre'], ['décembre']],
+        labels: Object.freeze({
+            meetingTitle: 'Réunion Vie et ministère',
+            treasures: 'JOYAUX DE LA PAROLE DE DIEU',
+            fieldMinistry: 'APPLIQUE-TOI AU MINISTÈRE',
+            christianLiving: 'VIE CHRÉTIENNE',
+            chairman: 'Président',
+            prayer: 'Prière',
+            song: 'Cantique',
+            openingComments: 'Paroles d’introduction',
+            concludingComments: 'Paroles de conclusion',
+            student: 'Élève',
+            assistant: 'Interlocuteur',
+            conductor: 'Conducteur',
+            reader: 'Lecteur',
+            counsel: 'Conseils',
+            minute: 'min',
+            minutes: 'min',
+        }),
+    }),
+});
+
+export const DEFAULT_LANGUAGE_CODE = 'es';
+
+export const SUPPORTED_LANGUAGE_CODES = Object.freeze(Object.keys(LANGUAGES));
+
+/**
+ * Gets the definition of the given language.
+ * @param {string} [code] - The language code, defaults to {@link DEFAULT_LANGUAGE_CODE}.
+ * @returns {LanguageDefinition} The language definition.
+ * @throws {Error} If the language is not supported.
+ */
+export function getLanguageOrThrow(code = DEFAULT_LANGUAGE_CODE) {
+    if (!Object.hasOwn(LANGUAGES, code)) {
+        throw new Error(`Unsupported language [${code}], expected one of [${SUPPORTED_LANGUAGE_CODES.join(', ')}]`);
+    }
+    return LANGUAGES[code];
+}
+
+export default LANGUAGES;
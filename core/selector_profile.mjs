@@ -0,0 +1,198 @@
+import {readFileSync} from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import * as cheerio from 'cheerio';
+import logger from "./logger.mjs";
+import {DEFAULT_LANGUAGE_CODE, getLanguageOrThrow, SUPPORTED_LANGUAGE_CODES} from "./languages.mjs";
+
+const log = logger.child(logger.bindings());
+
+const DEFAULT_PROFILE_FILE = fileURLToPath(new URL('../config/selectors.json', import.meta.url));
+
+/**
+ * @typedef {Object} SelectorSet
+ * @property {string} articleBody - The element that holds the program, its children are the songs, headlines and parts.
+ * @property {string} weekDateSpan - The paragraph with the date span of the week.
+ * @property {string} weeklyBibleReadLinks - The links to the chapters of the weekly Bible reading.
+ * @property {string} introduction - The introduction of the program.
+ * @property {string} startingSong - The heading of the starting song.
+ * @property {string} middleSong - The heading of the middle song.
+ * @property {string} closingSong - The heading of the closing song.
+ * @property {string} songIcon - The icon class of the song headings, used when the song selectors find nothing.
+ * @property {string} treasuresTalk - The treasures talk section.
+ * @property {string} talkPoints - The points of the treasures talk, relative to its section.
+ * @property {string} sectionNumberLine - The line with the section number, relative to its section.
+ * @property {string} timeBoxLine - The line with the time box, relative to its section.
+ * @property {string} spiritualGemsScripture - The scripture link of the spiritual gems' printed question.
+ * @property {string} openEndedQuestion - The open-ended question of the spiritual gems.
+ * @property {string} fieldMinistryHeadline - The headline of the field ministry section.
+ * @property {string} christianLivingHeadline - The headline of the Christian living section.
+ * @property {string} sectionTitle - The title inside the section headlines, relative to the headline.
+ * @property {string} issueWeekLinks - The date span of each week the page of a workbook issue links to.
+ */
+
+/**
+ * @typedef {Object} SelectorProfile
+ * @property {string} version - The version of the profile, reported by the responses it produced.
+ * @property {string} lang - The language the selectors were resolved for.
+ * @property {SelectorSet} selectors - The selectors to use.
+ */
+
+/**
+ * @typedef {Object} SelectorProfileFile
+ * @property {string} version
+ * @property {Partial<SelectorSet>} [selectors] - The selectors of every language.
+ * @property {Object<string, Partial<SelectorSet>>} [languages] - The selectors that change for a language.
+ */
+
+/** @type {{version: string, selectors: SelectorSet, languages: Object<string, Partial<SelectorSet>>} | null} */
+let loadedProfile = null;
+const resolvedProfiles = new Map();
+
+/**
+ * @returns {string | null} The path of the file that overrides the default profile, set through PMP_SELECTOR_PROFILE_FILE.
+ */
+export function getSelectorProfileOverrideFile() {
+    return process.env.PMP_SELECTOR_PROFILE_FILE ? path.resolve(process.env.PMP_SELECTOR_PROFILE_FILE) : null;
+}
+
+/**
+ * Checks that every selector of the set is known and is valid CSS.
+ * @param {any} selectors
+ * @param {string} where - Where the selectors come from, for the error messages.
+ * @param {string[]} knownNames
+ * @throws {Error} If a selector is unknown, empty or not valid CSS.
+ */
+function validateSelectorSet(selectors, where, knownNames) {
+    if (typeof selectors !== 'object' || selectors === null || Array.isArray(selectors)) {
+        throw new Error(`The selectors of [${where}] must be an object`);
+    }
+    const $ = cheerio.load('');
+    for (const [name, selector] of Object.entries(selectors)) {
+        if (!knownNames.includes(name)) {
+            throw new Error(`Unknown selector [${name}] in [${where}]`);
+        }
+        if (typeof selector !== 'string' || !selector.trim()) {
+            throw new Error(`The selector [${name}] in [${where}] must be a non-empty string`);
+        }
+        try {
+            $.root().find(selector);
+        } catch (error) {
+            throw new Error(`The selector [${name}] in [${where}] is not valid CSS: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Validates a selector profile file.
+ * @param {any} profile - The parsed contents of the file.
+ * @param {Object} [options]
+ * @param {string[]} [options.knownNames] - The selectors a profile may set, defaults to the ones of the default profile.
+ * @param {boolean} [options.partial] - Whether the profile may leave selectors out, like the override files.
+ * @returns {SelectorProfileFile} The same profile.
+ * @throws {Error} If the profile is not valid.
+ */
+export function validateSelectorProfile(profile, {knownNames, partial = false} = {}) {
+    if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+        throw new Error('The selector profile must be an object');
+    }
+    if (typeof profile.version !== 'string' || !profile.version.trim()) {
+        throw new Error('The selector profile must have a version');
+    }
+    const names = knownNames ?? Object.keys(profile.selectors ?? {});
+    validateSelectorSet(profile.selectors ?? {}, 'selectors', names);
+    if (!partial) {
+        const missing = names.filter((name) => !profile.selectors?.[name]);
+        if (missing.length) {
+            throw new Error(`The selector profile is missing [${missing.join(', ')}]`);
+        }
+    }
+    for (const [lang, selectors] of Object.entries(profile.languages ?? {})) {
+        if (!SUPPORTED_LANGUAGE_CODES.includes(lang)) {
+            throw new Error(`Unsupported language [${lang}] in the selector profile`);
+        }
+        validateSelectorSet(selectors, `languages.${lang}`, names);
+    }
+    return profile;
+}
+
+/**
+ * @param {string} file
+ * @returns {any} The parsed JSON.
+ * @throws {Error} If the file can't be read or parsed.
+ */
+function readProfileFile(file) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read the selector profile [${file}]: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the default profile and the deployment override, if any, and merges them.
+ * @returns {{version: string, selectors: SelectorSet, languages: Object<string, Partial<SelectorSet>>}}
+ * @throws {Error} If any of the files is not valid.
+ */
+function readSelectorProfiles() {
+    const defaults = validateSelectorProfile(readProfileFile(DEFAULT_PROFILE_FILE));
+    const overrideFile = getSelectorProfileOverrideFile();
+    if (!overrideFile) {
+        return {version: defaults.version, selectors: defaults.selectors, languages: defaults.languages ?? {}};
+    }
+
+    const override = validateSelectorProfile(readProfileFile(overrideFile), {
+        knownNames: Object.keys(defaults.selectors),
+        partial: true,
+    });
+    const languages = {...defaults.languages};
+    for (const [lang, selectors] of Object.entries(override.languages ?? {})) {
+        languages[lang] = {...languages[lang], ...selectors};
+    }
+    return {
+        version: override.version,
+        selectors: {...defaults.selectors, ...override.selectors},
+        languages,
+    };
+}
+
+/**
+ * Reads the selector profile again, so markup changes can be followed without a restart.
+ * When the files are not valid the profile in use is kept.
+ * @returns {string} The version of the profile now in use.
+ * @throws {Error} If the files are not valid.
+ */
+export function reloadSelectorProfile() {
+    let profile;
+    try {
+        profile = readSelectorProfiles();
+    } catch (error) {
+        log.error(`Keeping the selector profile [${loadedProfile?.version}]: ${error.message}`);
+        throw error;
+    }
+    loadedProfile = profile;
+    resolvedProfiles.clear();
+    log.info(`Loaded selector profile [${profile.version}]`);
+    return profile.version;
+}
+
+/**
+ * Gets the selectors to use for a language, loading the profile on first use.
+ * @param {string} [lang] - The language code, defaults to the default language.
+ * @returns {SelectorProfile} A frozen profile, it doesn't change when the profile is reloaded.
+ * @throws {Error} If the language is not supported or the profile can't be loaded.
+ */
+export function getSelectorProfile(lang = DEFAULT_LANGUAGE_CODE) {
+    getLanguageOrThrow(lang);
+    if (!loadedProfile) {
+        reloadSelectorProfile();
+    }
+    if (!resolvedProfiles.has(lang)) {
+        resolvedProfiles.set(lang, Object.freeze({
+            version: loadedProfile.version,
+            lang,
+            selectors: Object.freeze({...loadedProfile.selectors, ...loadedProfile.languages[lang]}),
+        }));
+    }
+    return resolvedProfiles.get(lang);
+}
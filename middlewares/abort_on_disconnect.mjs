@@ -0,0 +1,14 @@
+/**
+ * Creates an AbortController that is aborted when the client disconnects before the response is sent,
+ * and stores its signal in `res.locals.signal` so the upstream requests started for the client can be cancelled.
+ */
+export default function abortOnDisconnect(req, res, next) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort(new Error('Client disconnected'));
+        }
+    });
+    res.locals.signal = controller.signal;
+    next();
+}
@@ -0,0 +1,41 @@
+// Proxies tend to close connections that stay idle for a minute or more.
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * @typedef {Object} EventStream
+ * @property {function(string, any): void} send - Sends an event with the given name and its data as JSON.
+ * @property {function(): void} close - Ends the stream.
+ */
+
+/**
+ * Opens a Server-Sent Events stream and stores it in `res.locals.eventStream`.
+ * The headers are sent right away, so it goes after the middlewares that may still reject the request.
+ * A comment is sent every few seconds while the stream is open to keep the connection alive.
+ */
+export default function openEventStream(req, res, next) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    res.on('close', () => clearInterval(heartbeat));
+
+    res.locals.eventStream = {
+        send(event, data) {
+            if (!res.writableEnded) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+        close() {
+            clearInterval(heartbeat);
+            if (!res.writableEnded) {
+                res.end();
+            }
+        },
+    };
+    next();
+}
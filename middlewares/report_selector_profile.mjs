@@ -0,0 +1,13 @@
+import {getSelectorProfile} from "../core/selector_profile.mjs";
+
+/**
+ * Reports the version of the selector profile in use through the `X-Selector-Profile-Version` header.
+ */
+export default function reportSelectorProfile(req, res, next) {
+    try {
+        res.set('X-Selector-Profile-Version', getSelectorProfile().version);
+    } catch (error) {
+        req.log.error(`Unable to load the selector profile: ${error.message}`);
+    }
+    next();
+}
@@ -0,0 +1,26 @@
+import {createHash, timingSafeEqual} from 'node:crypto';
+
+/**
+ * @param {string} value
+ * @returns {Buffer} The digest of the value, so tokens of any length compare in constant time.
+ */
+function digest(value) {
+    return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Guards the admin operations (those that change the state of the server) with the token set in PMP_ADMIN_TOKEN,
+ * which the request must send as `Authorization: Bearer <token>`.
+ * The operations are disabled (403) while no token is configured, and 401 is returned when the token doesn't match.
+ */
+export default function requireAdminToken(req, res, next) {
+    const token = process.env.PMP_ADMIN_TOKEN;
+    if (!token) {
+        return res.status(403).json({ error: 'Admin operations are disabled, set PMP_ADMIN_TOKEN to enable them' });
+    }
+    const [scheme, provided] = (req.get('Authorization') ?? '').split(' ');
+    if (scheme !== 'Bearer' || !provided || !timingSafeEqual(digest(provided), digest(token))) {
+        return res.status(401).json({ error: 'Missing or invalid admin token' });
+    }
+    next();
+}
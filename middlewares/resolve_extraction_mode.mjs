@@ -0,0 +1,14 @@
+import {EXTRACTION_MODES} from "../services/pub_mwb_scraper.mjs";
+
+/**
+ * Resolves the extraction mode requested through the `mode` query parameter (or `mode` body field)
+ * and stores it in `res.locals.extractionMode`.
+ */
+export default function resolveExtractionMode(req, res, next) {
+    const mode = req.query.mode || req.body?.mode || EXTRACTION_MODES.STRICT;
+    if (!Object.values(EXTRACTION_MODES).includes(mode)) {
+        return res.status(400).json({ error: `Invalid mode [${mode}], expected one of [${Object.values(EXTRACTION_MODES).join(', ')}]` });
+    }
+    res.locals.extractionMode = mode;
+    next();
+}
@@ -0,0 +1,16 @@
+import {DEFAULT_LANGUAGE_CODE, getLanguageOrThrow} from "../core/languages.mjs";
+
+/**
+ * Resolves the language requested through the `lang` query parameter (or `lang` body field)
+ * and stores it in `res.locals.lang`.
+ */
+export default function resolveLanguage(req, res, next) {
+    const lang = req.query.lang || req.body?.lang || DEFAULT_LANGUAGE_CODE;
+    try {
+        getLanguageOrThrow(lang);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    res.locals.lang = lang;
+    next();
+}
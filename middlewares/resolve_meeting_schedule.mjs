@@ -0,0 +1,21 @@
+import {resolveMeetingSchedule} from "../services/renderers/ical_renderer.mjs";
+
+/**
+ * Resolves when the meeting takes place from the `start` (HH:MM), `tz`, `weekday` (1 to 7, Monday first)
+ * and `parts` (false to skip the per-part events) query parameters (or body fields)
+ * and stores it in `res.locals.meetingSchedule`.
+ */
+export default function resolveMeetingScheduleMiddleware(req, res, next) {
+    const valueOf = (name) => req.query[name] || req.body?.[name];
+    try {
+        res.locals.meetingSchedule = resolveMeetingSchedule({
+            startTime: valueOf('start'),
+            timeZone: valueOf('tz'),
+            weekday: valueOf('weekday'),
+            includeParts: valueOf('parts'),
+        });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    next();
+}
@@ -0,0 +1,16 @@
+import {resolveRequestedWeekStart} from "../services/support/week_dates.mjs";
+
+/**
+ * Resolves the Monday of the week requested through the `date` and `tz` query parameters
+ * (or body fields) and stores it in `res.locals.weekStart`.
+ */
+export default function resolveRequestedWeek(req, res, next) {
+    const date = req.query.date || req.body?.date;
+    const tz = req.query.tz || req.body?.tz;
+    try {
+        res.locals.weekStart = resolveRequestedWeekStart({ date, timeZone: tz });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    next();
+}
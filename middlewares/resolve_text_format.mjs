@@ -0,0 +1,14 @@
+import {TEXT_FORMATS} from "../services/support/rich_text.mjs";
+
+/**
+ * Resolves the text format requested through the `format` query parameter (or `format` body field)
+ * and stores it in `res.locals.textFormat`.
+ */
+export default function resolveTextFormat(req, res, next) {
+    const format = req.query.format || req.body?.format || TEXT_FORMATS.TEXT;
+    if (!Object.values(TEXT_FORMATS).includes(format)) {
+        return res.status(400).json({ error: `Invalid format [${format}], expected one of [${Object.values(TEXT_FORMATS).join(', ')}]` });
+    }
+    res.locals.textFormat = format;
+    next();
+}
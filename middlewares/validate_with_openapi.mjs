@@ -0,0 +1,43 @@
+import {findOperation, validateRequestBody, validateResponseBody} from "../services/openapi_document.mjs";
+
+/**
+ * @returns {boolean} Whether the responses are validated, set through PMP_VALIDATE_RESPONSES and on by default outside production.
+ */
+function shouldValidateResponses() {
+    const configured = process.env.PMP_VALIDATE_RESPONSES;
+    return configured ? configured === 'true' : process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Validates the request body against the schema the OpenAPI document declares for the route, responding 400 when it
+ * doesn't match. When responses are validated, the JSON responses that don't match the document are logged as errors.
+ */
+export default function validateWithOpenApi(req, res, next) {
+    let operation;
+    try {
+        operation = findOperation(req.method, req.path);
+    } catch (error) {
+        req.log.error(`Unable to build the OpenAPI document: ${error.message}`);
+        return next();
+    }
+    if (!operation) {
+        return next();
+    }
+
+    const errors = validateRequestBody(operation, req.body);
+    if (errors.length) {
+        return res.status(400).json({ error: `Invalid request body: ${errors.join(', ')}` });
+    }
+
+    if (shouldValidateResponses()) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const problems = validateResponseBody(operation, res.statusCode, body);
+            if (problems.length) {
+                req.log.error(`The response of [${req.method} ${req.path}] doesn't match the OpenAPI document: ${problems.join(', ')}`);
+            }
+            return json(body);
+        };
+    }
+    next();
+}
@@ -0,0 +1,168 @@
+import express from 'express';
+import resolveLanguage from "../middlewares/resolve_language.mjs";
+import resolveRequestedWeek from "../middlewares/resolve_requested_week.mjs";
+import abortOnDisconnect from "../middlewares/abort_on_disconnect.mjs";
+import {
+    fetchWeekSlots,
+    planAssignments,
+    validateConfirmedWeek,
+    validateRoster,
+} from "../services/assignment_planner.mjs";
+import {loadAssignmentData, updateAssignmentData} from "../services/support/assignment_store.mjs";
+import {addDays, formatIsoDate, parseIsoDate} from "../services/support/week_dates.mjs";
+
+const MAX_PLANNED_WEEKS = 12;
+
+const router = express.Router();
+
+/**
+ * @typedef {Object} RosterRequest
+ * @property {Object[]} publishers - The publishers, as described by {@link Publisher}; `assistant`, `pairsWith` and `active` may be left out.
+ */
+
+/**
+ * @typedef {Object} RosterResponse
+ * @property {Publisher[]} publishers
+ */
+
+/**
+ * @typedef {Object} HistoryResponse
+ * @property {AssignmentRecord[]} history
+ */
+
+/**
+ * @typedef {Object} ConfirmedWeekRequest
+ * @property {string} weekStart - The Monday of the week as `YYYY-MM-DD`.
+ * @property {Object[]} assignments - The assignments of the week, as proposed by `POST /assignments/proposals`.
+ */
+
+/**
+ * @typedef {Object} ProposalsRequest
+ * @property {number | string} [weeks] - How many weeks to plan, from 1 to 12.
+ * @property {string} [date] - Any day of the first week (`YYYY-MM-DD`, `today`, `next` or `previous`).
+ * @property {string} [tz] - The time zone used to determine today.
+ * @property {string} [lang] - The language of the programs.
+ */
+
+/**
+ * @typedef {Object} ProposalsResponse
+ * @property {WeekProposal[]} weeks
+ */
+
+/**
+ * GET /assignments/roster
+ * Returns the stored roster of publishers.
+ */
+router.get('/roster', async (req, res) => {
+    const [err, data] = await loadAssignmentData();
+    if (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    res.json({ publishers: data.publishers });
+});
+
+/**
+ * PUT /assignments/roster
+ * Replaces the roster. Expects `publishers`, each with `id`, `name`, `gender` (male or female), `parts`
+ * (any of bibleRead, demonstration and talk), and optionally `assistant`, `pairsWith` and `active`.
+ */
+router.put('/roster', async (req, res) => {
+    let publishers;
+    try {
+        publishers = validateRoster(req.body?.publishers);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const [err, data] = await updateAssignmentData((current) => ({ ...current, publishers }));
+    if (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    res.json({ publishers: data.publishers });
+});
+
+/**
+ * GET /assignments/history
+ * Returns the confirmed assignments, optionally limited with `?from=YYYY-MM-DD` and `?to=YYYY-MM-DD`.
+ */
+router.get('/history', async (req, res) => {
+    let from = '';
+    let to = '9999-12-31';
+    try {
+        from = req.query.from ? formatIsoDate(parseIsoDate(req.query.from)) : from;
+        to = req.query.to ? formatIsoDate(parseIsoDate(req.query.to)) : to;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const [err, data] = await loadAssignmentData();
+    if (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    res.json({ history: data.history.filter((record) => record.weekStart >= from && record.weekStart <= to) });
+});
+
+/**
+ * POST /assignments/history
+ * Confirms the assignments of a week, replacing the ones stored for that week.
+ * Expects a week as returned by `POST /assignments/proposals`: `weekStart` and `assignments`.
+ */
+router.post('/history', async (req, res) => {
+    const [loadErr, stored] = await loadAssignmentData();
+    if (loadErr) {
+        return res.status(500).json({ error: loadErr.message });
+    }
+    let confirmed;
+    try {
+        confirmed = validateConfirmedWeek(req.body, stored.publishers);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const { weekStart, records } = confirmed;
+    const [err, data] = await updateAssignmentData((current) => ({
+        ...current,
+        history: [...current.history.filter((record) => record.weekStart !== weekStart), ...records]
+            .sort((a, b) => a.weekStart.localeCompare(b.weekStart) || a.sectionNumber - b.sectionNumber),
+    }));
+    if (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    res.json({ history: data.history.filter((record) => record.weekStart === weekStart) });
+});
+
+/**
+ * POST /assignments/proposals
+ * Proposes the student assignments of the requested week and the following ones, rotating fairly
+ * based on the confirmed history. Nothing is stored until the weeks are posted to `/assignments/history`.
+ * Accepts `date`, `tz` and `lang` like `/this-week-program`, and `weeks` (1 to 12, defaults to 1).
+ */
+router.post('/proposals', abortOnDisconnect, resolveLanguage, resolveRequestedWeek, async (req, res) => {
+    const { weekStart, lang, signal } = res.locals;
+    const weeks = parseInt(req.query.weeks || req.body?.weeks || '1', 10);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_PLANNED_WEEKS) {
+        return res.status(400).json({ error: `Invalid weeks [${req.query.weeks || req.body?.weeks}], expected a number from 1 to ${MAX_PLANNED_WEEKS}` });
+    }
+
+    const [err, data] = await loadAssignmentData();
+    if (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    if (!data.publishers.length) {
+        return res.status(400).json({ error: 'The roster is empty, store it first with PUT /assignments/roster' });
+    }
+
+    try {
+        const weekSlots = [];
+        for (let week = 0; week < weeks; week++) {
+            weekSlots.push(await fetchWeekSlots({ weekStart: addDays(weekStart, week * 7), lang, signal }));
+        }
+        const proposals = planAssignments({ weeks: weekSlots, publishers: data.publishers, history: data.history });
+        res.json({ weeks: proposals });
+    } catch (error) {
+        if (signal.aborted) {
+            return;
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {getReferenceCache} from "../services/support/cache.mjs";
+import requireAdminToken from "../middlewares/require_admin_token.mjs";
+
+const router = express.Router();
+
+/**
+ * GET /cache/stats
+ * Returns the hit/miss statistics of the reference cache.
+ */
+router.get('/stats', (req, res) => {
+    res.json(getReferenceCache().getStats());
+});
+
+/**
+ * DELETE /cache
+ * Removes every entry from the reference cache. It's an admin operation, see {@link requireAdminToken}.
+ */
+router.delete('/', requireAdminToken, async (req, res) => {
+    try {
+        await getReferenceCache().clear();
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
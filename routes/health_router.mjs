@@ -0,0 +1,64 @@
+import express from 'express';
+import resolveLanguage from "../middlewares/resolve_language.mjs";
+import resolveRequestedWeek from "../middlewares/resolve_requested_week.mjs";
+import abortOnDisconnect from "../middlewares/abort_on_disconnect.mjs";
+import {fetchWeekMeetingHtml} from "../services/html_retriever.mjs";
+import {CHECK_STATUS, checkDocumentStructure} from "../services/structure_health.mjs";
+
+const router = express.Router();
+
+/**
+ * @typedef {Object} StructureHealthRequest
+ * @property {string} [html] - A meeting page to check instead of the live one.
+ * @property {string} [lang] - The language of the page.
+ * @property {string} [date] - Any day of the week to check (`YYYY-MM-DD`, `today`, `next` or `previous`).
+ * @property {string} [tz] - The time zone used to determine today.
+ */
+
+/**
+ * @typedef {StructureReport} StructureHealthResponse
+ * @property {string} source - `supplied` when the HTML came in the body, `live` when it was fetched.
+ * @property {string} lang - The language of the checked page.
+ * @property {string} checkedAt - When the checks ran, as an ISO 8601 timestamp.
+ */
+
+/**
+ * GET /health/structure
+ * Checks that the meeting page still has the structure the extractors expect, without following the reference tooltips.
+ * Checks the live page of the requested week (`date`, `tz` and `lang` like `/this-week-program`), or the
+ * `html` field of the body when one is supplied (also accepted as POST).
+ * Responds 200 when every check passes and 503 when any fails, listing each check with its selector and counts.
+ */
+async function checkStructure(req, res) {
+    const { lang, weekStart, signal } = res.locals;
+    let html = req.body?.html;
+    const source = html ? 'supplied' : 'live';
+    try {
+        if (!html) {
+            const [err, liveHtml] = await fetchWeekMeetingHtml({ weekStart, lang, signal });
+            if (err) {
+                throw err;
+            }
+            html = liveHtml;
+        }
+        const report = checkDocumentStructure({ html, lang, referenceDate: weekStart });
+        res.status(report.status === CHECK_STATUS.PASS ? 200 : 503).json({
+            source,
+            lang,
+            checkedAt: new Date().toISOString(),
+            ...report,
+        });
+    } catch (error) {
+        if (signal.aborted) {
+            return;
+        }
+        res.status(500).json({ error: error.message });
+    }
+}
+
+router.route('/structure')
+    .all(abortOnDisconnect, resolveLanguage, resolveRequestedWeek)
+    .get(checkStructure)
+    .post(checkStructure);
+
+export default router;
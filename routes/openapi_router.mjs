@@ -0,0 +1,31 @@
+import express from 'express';
+import {getOpenApiDocument} from "../services/openapi_document.mjs";
+import {renderOpenApiDocs} from "../services/renderers/openapi_docs_renderer.mjs";
+
+const router = express.Router();
+
+/**
+ * GET /openapi.json
+ * Returns the OpenAPI 3 document of the API, with the schemas built from the JSDoc typedefs.
+ */
+router.get('/openapi.json', (req, res) => {
+    try {
+        res.json(getOpenApiDocument());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /docs
+ * Returns a self-contained documentation page rendered from the OpenAPI document.
+ */
+router.get('/docs', (req, res) => {
+    try {
+        res.type('html').send(renderOpenApiDocs(getOpenApiDocument()));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -1,23 +1,243 @@
 import express from 'express';
 const router = express.Router();
-import {fetchThisWeekMeetingHtml} from "../services/html_retriever.mjs";
+import {fetchWeekMeetingHtml} from "../services/html_retriever.mjs";
 import {extractFullWeekProgram} from "../services/pub_mwb_scraper.mjs";
+import {renderProgramCalendar} from "../services/renderers/ical_renderer.mjs";
+import {renderPrintableSchedule} from "../services/renderers/print_renderer.mjs";
+import {renderProgramMarkdown} from "../services/renderers/markdown_renderer.mjs";
+import {buildMeetingTimeline} from "../services/meeting_timeline.mjs";
+import {extractWeekPrograms} from "../services/workbook_issue.mjs";
+import {
+  addDays,
+  formatIsoDate,
+  getWeekStartsBetween,
+  getWorkbookIssue,
+  getWorkbookIssueWeekStarts,
+  parseIsoDate,
+} from "../services/support/week_dates.mjs";
+import resolveRequestedWeek from "../middlewares/resolve_requested_week.mjs";
+import resolveLanguage from "../middlewares/resolve_language.mjs";
+import abortOnDisconnect from "../middlewares/abort_on_disconnect.mjs";
+import resolveMeetingSchedule from "../middlewares/resolve_meeting_schedule.mjs";
+import resolveExtractionMode from "../middlewares/resolve_extraction_mode.mjs";
+import openEventStream from "../middlewares/open_event_stream.mjs";
+import resolveTextFormat from "../middlewares/resolve_text_format.mjs";
+import {TEXT_FORMATS} from "../services/support/rich_text.mjs";
+
+/**
+ * Fetches and extracts the program of the week resolved by the middlewares into `res.locals`.
+ * @param {Object} locals - The `res.locals` of the request, optionally with an `onProgress` listener for the sections.
+ * @returns {Promise<FullWeekProgramData>}
+ * @throws {Error} If fetching or extracting fails.
+ */
+async function fetchRequestedWeekProgram({ weekStart, lang, signal, extractionMode, textFormat, onProgress }) {
+  const [err, html] = await fetchWeekMeetingHtml({ weekStart, lang, signal });
+  if (err) {
+    throw err;
+  }
+  return extractFullWeekProgram({ html, lang, referenceDate: weekStart, signal, mode: extractionMode, textFormat, onProgress });
+}
 
 /**
  * GET /this-week-program
  * Fetches the HTML for this week's meeting.
+ * Accepts `?date=YYYY-MM-DD|today|next|previous` to pick the Monday-based week and `?tz=` to
+ * override the time zone used to determine today. Accepts `?lang=` for the language.
+ * Upstream requests are cancelled when the client disconnects.
+ * Responds with Markdown instead of JSON when the client sends `Accept: text/markdown`.
+ * Accepts `?mode=lenient` to get the sections that parsed even when others fail, listed in `errors`.
+ * Accepts `?format=markdown|html` to keep the emphasis, lists and links of the contents in the JSON.
  */
-router.get('/this-week-program', async (req, res, next) => {
-  const [err, html] = await fetchThisWeekMeetingHtml();
-  if (err) {
-    return res.status(500).json({ error: err.message });
+router.get('/this-week-program', abortOnDisconnect, resolveLanguage, resolveRequestedWeek, resolveExtractionMode, resolveTextFormat, async (req, res, next) => {
+  try {
+    res.vary('Accept');
+    if (req.accepts(['application/json', 'text/markdown']) === 'text/markdown') {
+      // The Markdown renderer formats the plain text itself
+      const programData = await fetchRequestedWeekProgram({ ...res.locals, textFormat: TEXT_FORMATS.TEXT });
+      return res.type('text/markdown; charset=utf-8').send(renderProgramMarkdown(programData, { lang: res.locals.lang }));
+    }
+    res.json(await fetchRequestedWeekProgram(res.locals));
+  } catch (error) {
+    if (res.locals.signal.aborted) {
+      return;
+    }
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /this-week-program/stream
+ * Same as `/this-week-program`, streamed as Server-Sent Events: an event named after each section (`songs`,
+ * `treasuresTalk`, `fieldMinistry`...) as soon as it's extracted, with `{ok, data}` or `{ok: false, error}`,
+ * then a `complete` event with the whole program, or an `error` event with `{error}` when the extraction fails.
+ * Accepts `?format=` like `/this-week-program`.
+ */
+router.get('/this-week-program/stream', abortOnDisconnect, resolveLanguage, resolveRequestedWeek, resolveExtractionMode, resolveTextFormat, openEventStream, async (req, res, next) => {
+  const { eventStream } = res.locals;
+  try {
+    const onProgress = ({ section, ...progress }) => eventStream.send(section, progress);
+    const programData = await fetchRequestedWeekProgram({ ...res.locals, onProgress });
+    eventStream.send('complete', programData);
+  } catch (error) {
+    if (res.locals.signal.aborted) {
+      return;
+    }
+    eventStream.send('error', { error: error.message });
+  } finally {
+    eventStream.close();
+  }
+});
+
+/**
+ * GET /this-week-program.ics
+ * Same as `/this-week-program`, rendered as an iCalendar file.
+ * Accepts `?start=HH:MM`, `?weekday=1-7` and `?parts=false` to describe when the meeting takes place,
+ * `?tz=` is also used as the meeting's time zone.
+ */
+router.get('/this-week-program.ics', abortOnDisconnect, resolveLanguage, resolveRequestedWeek, resolveMeetingSchedule, async (req, res, next) => {
+  try {
+    const programData = await fetchRequestedWeekProgram(res.locals);
+    const calendar = renderProgramCalendar(programData, res.locals.meetingSchedule, { lang: res.locals.lang });
+    res.attachment(`mwb-${programData.weekDateSpanData.startDate}.ics`);
+    res.type('text/calendar; charset=utf-8').send(calendar);
+  } catch (error) {
+    if (res.locals.signal.aborted) {
+      return;
+    }
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @typedef {MeetingTimeline} WeekTimelineResponse
+ * @property {string} weekDateSpan - The date span of the week.
+ * @property {string} meetingDate - The day of the meeting as `YYYY-MM-DD`, on the requested weekday of the week.
+ */
+
+/**
+ * GET /this-week-program/timeline
+ * Same as `/this-week-program`, laid out as a timeline: every song, prayer, comment, part and counsel with its
+ * start and end clock times, and whether the meeting fits the standard length.
+ * Accepts `?start=HH:MM` and `?weekday=1-7` to describe when the meeting takes place.
+ */
+router.get('/this-week-program/timeline', abortOnDisconnect, resolveLanguage, resolveRequestedWeek, resolveMeetingSchedule, async (req, res, next) => {
+  try {
+    const { lang, meetingSchedule } = res.locals;
+    const programData = await fetchRequestedWeekProgram(res.locals);
+    const timeline = buildMeetingTimeline(programData, { startTime: meetingSchedule.startTime, lang });
+    res.json({
+      weekDateSpan: programData.weekDateSpan,
+      meetingDate: formatIsoDate(addDays(parseIsoDate(programData.weekDateSpanData.startDate), meetingSchedule.weekday - 1)),
+      ...timeline,
+    });
+  } catch (error) {
+    if (res.locals.signal.aborted) {
+      return;
+    }
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /this-week-program/print
+ * Same as `/this-week-program`, rendered as a print-ready HTML schedule with blank slots for the assignees.
+ * Accepts `?weeks=1-12` to print the requested week and the following ones, and `?perPage=1-4` for how many
+ * weeks go on each page.
+ */
+router.get('/this-week-program/print', abortOnDisconnect, resolveLanguage, resolveRequestedWeek, async (req, res, next) => {
+  const weeks = parseInt(req.query.weeks || '1', 10);
+  const weeksPerPage = parseInt(req.query.perPage || '1', 10);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 12) {
+    return res.status(400).json({ error: `Invalid weeks [${req.query.weeks}], expected a number from 1 to 12` });
+  }
+  if (!Number.isInteger(weeksPerPage) || weeksPerPage < 1 || weeksPerPage > 4) {
+    return res.status(400).json({ error: `Invalid perPage [${req.query.perPage}], expected a number from 1 to 4` });
+  }
+
+  try {
+    const programs = [];
+    for (let week = 0; week < weeks; week++) {
+      programs.push(await fetchRequestedWeekProgram({ ...res.locals, weekStart: addDays(res.locals.weekStart, week * 7) }));
+    }
+    res.type('html').send(renderPrintableSchedule(programs, { lang: res.locals.lang, weeksPerPage }));
+  } catch (error) {
+    if (res.locals.signal.aborted) {
+      return;
+    }
+    return res.status(500).json({ error: error.message });
   }
+});
+
+// An issue has at most 9 weeks, the limit leaves room for a date range that spans two issues.
+const MAX_RANGE_WEEKS = 12;
+
+/**
+ * @typedef {Object} WorkbookIssueResponse
+ * @property {string | null} issue - The workbook issue (e.g. 'mwb24.09'), null when a date range was requested.
+ * @property {string} from - The Monday of the first week as `YYYY-MM-DD`.
+ * @property {string} to - The Monday of the last week as `YYYY-MM-DD`.
+ * @property {number} extracted - How many weeks were extracted.
+ * @property {number} failed - How many weeks failed.
+ * @property {WeekExtractionResult[]} weeks - A result per week, in order.
+ */
+
+/**
+ * Resolves the weeks requested through `?issue=` or `?from=` and `?to=`, falling back to the issue of the week
+ * resolved from `?date=`.
+ * @param {Object} query - The query of the request.
+ * @param {CalendarDate} weekStart - The week resolved by `resolveRequestedWeek`.
+ * @returns {{issue: string, weekStarts: null} | {issue: null, weekStarts: CalendarDate[]}}
+ * @throws {Error} If the issue or the dates are not valid.
+ */
+function resolveRequestedWeeks({ issue, from, to }, weekStart) {
+  if (!issue && (from || to)) {
+    const weekStarts = getWeekStartsBetween(parseIsoDate(from || to), parseIsoDate(to || from));
+    if (!weekStarts.length) {
+      throw new Error(`Invalid range [${from}] to [${to}], the end is before the start`);
+    }
+    if (weekStarts.length > MAX_RANGE_WEEKS) {
+      throw new Error(`Invalid range [${from}] to [${to}], expected at most ${MAX_RANGE_WEEKS} weeks`);
+    }
+    return { issue: null, weekStarts };
+  }
+  const requestedIssue = issue ? issue.trim().toLowerCase() : getWorkbookIssue(weekStart);
+  // Only validates the issue here, its weeks are found on WOL when extracting.
+  getWorkbookIssueWeekStarts(requestedIssue);
+  return { issue: requestedIssue, weekStarts: null };
+}
+
+/**
+ * GET /workbook-issue
+ * Fetches and extracts every week of a two-month workbook issue, each week reporting whether it was extracted.
+ * Accepts `?issue=mwbYY.MM` or a range of weeks with `?from=YYYY-MM-DD&to=YYYY-MM-DD`, otherwise the issue of
+ * the week picked with `?date=` and `?tz=` like `/this-week-program`. Accepts `?lang=`, `?mode=` and `?format=` too.
+ */
+router.get('/workbook-issue', abortOnDisconnect, resolveLanguage, resolveRequestedWeek, resolveExtractionMode, resolveTextFormat, async (req, res, next) => {
+  let requested;
+  try {
+    requested = resolveRequestedWeeks(req.query, res.locals.weekStart);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
-    const programData = await extractFullWeekProgram({ html });
-    res.json(programData);
+    const { lang, signal, extractionMode, textFormat } = res.locals;
+    const weeks = await extractWeekPrograms({ ...requested, lang, signal, mode: extractionMode, textFormat });
+    const failed = weeks.filter(({ ok }) => !ok).length;
+    res.json({
+      issue: requested.issue,
+      from: weeks[0].weekStart,
+      to: weeks.at(-1).weekStart,
+      extracted: weeks.length - failed,
+      failed,
+      weeks,
+    });
   } catch (error) {
+    if (res.locals.signal.aborted) {
+      return;
+    }
     return res.status(500).json({ error: error.message });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,30 +1,130 @@
 import express from 'express';
 import checkHtmlContent from "../middlewares/check_html_content.mjs";
+import resolveLanguage from "../middlewares/resolve_language.mjs";
+import resolveRequestedWeek from "../middlewares/resolve_requested_week.mjs";
+import resolveMeetingSchedule from "../middlewares/resolve_meeting_schedule.mjs";
+import resolveExtractionMode from "../middlewares/resolve_extraction_mode.mjs";
+import abortOnDisconnect from "../middlewares/abort_on_disconnect.mjs";
+import openEventStream from "../middlewares/open_event_stream.mjs";
+import resolveTextFormat from "../middlewares/resolve_text_format.mjs";
+import {TEXT_FORMATS} from "../services/support/rich_text.mjs";
 import {
     extractBibleRead,
-    extractBibleStudy,
-    extractChristianLiving,
+    extractBibleStudyWithMaterial,
+    extractChristianLivingWithReferences,
     extractFieldMinistry,
     extractFullWeekProgram,
     extractSongData,
     extractSpiritualGems,
     extractTreasuresTalk,
     extractWeekDateSpan,
+    extractWeekDateSpanData,
     extractWeeklyBibleRead,
 } from "../services/pub_mwb_scraper.mjs";
+import {renderProgramCalendar} from "../services/renderers/ical_renderer.mjs";
+import {renderProgramMarkdown} from "../services/renderers/markdown_renderer.mjs";
 
 const router = express.Router();
+router.use(resolveLanguage);
+
+/**
+ * @typedef {Object} HtmlExtractionRequest
+ * @property {string} html - The HTML of the meeting page, like the one returned by `/source-html/meeting-html`.
+ * @property {string} [lang] - The language code of the page, defaults to the default language.
+ */
+
+/**
+ * @typedef {HtmlExtractionRequest} FormattedHtmlExtractionRequest
+ * @property {string} [format] - `text` (the default), `markdown` or `html`, the format of the contents.
+ */
+
+/**
+ * @typedef {HtmlExtractionRequest} DatedHtmlExtractionRequest
+ * @property {string} [date] - Any day of the week (`YYYY-MM-DD`, `today`, `next` or `previous`), used to infer years.
+ * @property {string} [tz] - The time zone used to determine today.
+ */
+
+/**
+ * @typedef {DatedHtmlExtractionRequest} WeekProgramRequest
+ * @property {string} [mode] - `strict` (the default) or `lenient`, which returns the sections that parsed even when others fail.
+ * @property {string} [format] - `text` (the default), `markdown` or `html`, the format of the contents in the JSON.
+ */
+
+/**
+ * @typedef {DatedHtmlExtractionRequest} WeekProgramCalendarRequest
+ * @property {string} [start] - When the meeting starts, as `HH:MM`.
+ * @property {number | string} [weekday] - The day of the meeting, from 1 (Monday) to 7 (Sunday).
+ * @property {boolean | string} [parts] - `false` to skip the events of each part.
+ */
+
+/**
+ * @typedef {Object} WeekDateSpanResponse
+ * @property {string} weekDateSpan - The date span of the week as written in the document.
+ * @property {WeekDateSpanData} weekDateSpanData - The date span of the week with its parsed dates.
+ */
 
 /**
  * POST /week-program
  * Extracts the full week program from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally `lang` and `date` (any day of the week, used to infer years) fields.
+ * Responds with Markdown instead of JSON when the client sends `Accept: text/markdown`.
+ * Accepts a `mode` field, `lenient` returns the sections that parsed even when others fail, listed in `errors`.
+ * Accepts a `format` field, `markdown` or `html` keep the emphasis, lists and links of the contents in the JSON.
+ */
+router.post('/week-program', checkHtmlContent, resolveRequestedWeek, resolveExtractionMode, resolveTextFormat, async (req, res) => {
+    try {
+        const { html } = req.body;
+        const { lang, weekStart, extractionMode, textFormat } = res.locals;
+        res.vary('Accept');
+        if (req.accepts(['application/json', 'text/markdown']) === 'text/markdown') {
+            // The Markdown renderer formats the plain text itself
+            const programData = await extractFullWeekProgram({ html, lang, referenceDate: weekStart, mode: extractionMode });
+            return res.type('text/markdown; charset=utf-8').send(renderProgramMarkdown(programData, { lang }));
+        }
+        res.json(await extractFullWeekProgram({ html, lang, referenceDate: weekStart, mode: extractionMode, textFormat }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /week-program/stream
+ * Extracts the full week program from the HTML, streamed as Server-Sent Events like `/this-week-program/stream`:
+ * an event named after each section as soon as it's extracted, then a `complete` or an `error` event.
+ * Expects the same fields as `/week-program`.
+ */
+router.post('/week-program/stream', checkHtmlContent, resolveRequestedWeek, resolveExtractionMode, resolveTextFormat, abortOnDisconnect, openEventStream, async (req, res) => {
+    const { eventStream } = res.locals;
+    try {
+        const { html } = req.body;
+        const { lang, weekStart, extractionMode, textFormat, signal } = res.locals;
+        const onProgress = ({ section, ...progress }) => eventStream.send(section, progress);
+        const programData = await extractFullWeekProgram({ html, lang, referenceDate: weekStart, signal, mode: extractionMode, textFormat, onProgress });
+        eventStream.send('complete', programData);
+    } catch (error) {
+        if (res.locals.signal.aborted) {
+            return;
+        }
+        eventStream.send('error', { error: error.message });
+    } finally {
+        eventStream.close();
+    }
+});
+
+/**
+ * POST /week-program.ics
+ * Extracts the full week program from the HTML and renders it as an iCalendar file.
+ * Expects raw HTML in the request body, and optionally `lang`, `date`, `start` (HH:MM), `tz`, `weekday` (1-7)
+ * and `parts` fields.
  */
-router.post('/week-program', checkHtmlContent, async (req, res) => {
+router.post('/week-program.ics', checkHtmlContent, resolveRequestedWeek, resolveMeetingSchedule, async (req, res) => {
     try {
         const { html } = req.body;
-        const programData = await extractFullWeekProgram({ html });
-        res.json(programData);
+        const { lang, weekStart, meetingSchedule } = res.locals;
+        const programData = await extractFullWeekProgram({ html, lang, referenceDate: weekStart });
+        const calendar = renderProgramCalendar(programData, meetingSchedule, { lang });
+        res.attachment(`mwb-${programData.weekDateSpanData.startDate}.ics`);
+        res.type('text/calendar; charset=utf-8').send(calendar);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -33,13 +133,15 @@ router.post('/week-program', checkHtmlContent, async (req, res) => {
 /**
  * POST /week-date-span
  * Extracts the week date span from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally `lang` and `date` (any day of the week, used to infer years) fields.
  */
-router.post('/week-date-span', checkHtmlContent, async (req, res) => {
+router.post('/week-date-span', checkHtmlContent, resolveRequestedWeek, async (req, res) => {
     try {
         const { html } = req.body;
-        const weekDateSpan = extractWeekDateSpan({ html });
-        res.json({ weekDateSpan });
+        const { lang, weekStart } = res.locals;
+        const weekDateSpan = extractWeekDateSpan({ html, lang });
+        const weekDateSpanData = extractWeekDateSpanData({ html, lang, referenceDate: weekStart });
+        res.json({ weekDateSpan, weekDateSpanData });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -48,12 +150,12 @@ router.post('/week-date-span', checkHtmlContent, async (req, res) => {
 /**
  * POST /songs
  * Extracts song data from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally a `lang` field.
  */
 router.post('/songs', checkHtmlContent, async (req, res) => {
     try {
         const { html } = req.body;
-        const songData = await extractSongData({ html });
+        const songData = await extractSongData({ html, lang: res.locals.lang });
         res.json(songData);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -63,12 +165,12 @@ router.post('/songs', checkHtmlContent, async (req, res) => {
 /**
  * POST /bible-read
  * Extracts Bible reading data from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally a `lang` field.
  */
 router.post('/weekly-bible-read', checkHtmlContent, async (req, res) => {
     try {
         const { html } = req.body;
-        const bibleReadData = await extractWeeklyBibleRead({ html });
+        const bibleReadData = await extractWeeklyBibleRead({ html, lang: res.locals.lang });
         res.json(bibleReadData);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -78,12 +180,12 @@ router.post('/weekly-bible-read', checkHtmlContent, async (req, res) => {
 /**
  * POST /treasures-talk
  * Extracts the treasures talk data from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally `lang` and `format` (`text`, `markdown` or `html`) fields.
  */
-router.post('/treasures-talk', checkHtmlContent, async (req, res) => {
+router.post('/treasures-talk', checkHtmlContent, resolveTextFormat, async (req, res) => {
     try {
         const { html } = req.body;
-        const treasuresTalk = await extractTreasuresTalk({ html });
+        const treasuresTalk = await extractTreasuresTalk({ html, lang: res.locals.lang, textFormat: res.locals.textFormat });
         res.json(treasuresTalk);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -93,12 +195,12 @@ router.post('/treasures-talk', checkHtmlContent, async (req, res) => {
 /**
  * POST /spiritual-gems
  * Extracts the spiritual gems data from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally `lang` and `format` (`text`, `markdown` or `html`) fields.
  */
-router.post('/spiritual-gems', checkHtmlContent, async (req, res) => {
+router.post('/spiritual-gems', checkHtmlContent, resolveTextFormat, async (req, res) => {
     try {
         const { html } = req.body;
-        const spiritualGems = await extractSpiritualGems({ html });
+        const spiritualGems = await extractSpiritualGems({ html, lang: res.locals.lang, textFormat: res.locals.textFormat });
         res.json(spiritualGems);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -108,12 +210,12 @@ router.post('/spiritual-gems', checkHtmlContent, async (req, res) => {
 /**
  * POST /bible-read-details
  * Extracts detailed Bible reading data from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally `lang` and `format` (`text`, `markdown` or `html`) fields.
  */
-router.post('/bible-read-details', checkHtmlContent, async (req, res) => {
+router.post('/bible-read-details', checkHtmlContent, resolveTextFormat, async (req, res) => {
     try {
         const { html } = req.body;
-        const bibleReadData = await extractBibleRead({ html });
+        const bibleReadData = await extractBibleRead({ html, lang: res.locals.lang, textFormat: res.locals.textFormat });
         res.json(bibleReadData);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -123,12 +225,12 @@ router.post('/bible-read-details', checkHtmlContent, async (req, res) => {
 /**
  * POST /field-ministry
  * Extracts field ministry data from the HTML.
- * Expects raw HTML in the request body.
+ * Expects raw HTML in the request body, and optionally `lang` and `format` (`text`, `markdown` or `html`) fields.
  */
-router.post('/field-ministry', checkHtmlContent, async (req, res) => {
+router.post('/field-ministry', checkHtmlContent, resolveTextFormat, async (req, res) => {
     try {
         const { html } = req.body;
-        const fieldMinistryData = await extractFieldMinistry({ html });
+        const fieldMinistryData = await extractFieldMinistry({ html, lang: res.locals.lang, textFormat: res.locals.textFormat });
         res.json(fieldMinistryData);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -137,13 +239,13 @@ router.post('/field-ministry', checkHtmlContent, async (req, res) => {
 
 /**
  * POST /christian-living
- * Extracts the Christian living section data from the HTML.
- * Expects raw HTML in the request body.
+ * Extracts the Christian living section data from the HTML, with the references of each part fetched as footnotes.
+ * Expects raw HTML in the request body, and optionally `lang` and `format` (`text`, `markdown` or `html`) fields.
  */
-router.post('/christian-living', checkHtmlContent, async (req, res) => {
+router.post('/christian-living', checkHtmlContent, resolveTextFormat, async (req, res) => {
     try {
         const { html } = req.body;
-        const christianLivingData = extractChristianLiving({ html });
+        const christianLivingData = await extractChristianLivingWithReferences({ html, lang: res.locals.lang, textFormat: res.locals.textFormat });
         res.json(christianLivingData);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -152,13 +254,14 @@ router.post('/christian-living', checkHtmlContent, async (req, res) => {
 
 /**
  * POST /bible-study
- * Extracts the Bible study section data from the HTML.
- * Expects raw HTML in the request body.
+ * Extracts the Bible study section data from the HTML, with the chapters or lessons it covers resolved into their
+ * paragraphs and study questions.
+ * Expects raw HTML in the request body, and optionally `lang` and `format` (`text`, `markdown` or `html`) fields.
  */
-router.post('/bible-study', checkHtmlContent, async (req, res) => {
+router.post('/bible-study', checkHtmlContent, resolveTextFormat, async (req, res) => {
     try {
         const { html } = req.body;
-        const bibleStudyData = extractBibleStudy({ html });
+        const bibleStudyData = await extractBibleStudyWithMaterial({ html, lang: res.locals.lang, textFormat: res.locals.textFormat });
         res.json(bibleStudyData);
     } catch (error) {
         res.status(500).json({ error: error.message });
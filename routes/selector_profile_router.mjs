@@ -0,0 +1,48 @@
+import express from 'express';
+import resolveLanguage from "../middlewares/resolve_language.mjs";
+import requireAdminToken from "../middlewares/require_admin_token.mjs";
+import {
+    getSelectorProfile,
+    getSelectorProfileOverrideFile,
+    reloadSelectorProfile,
+} from "../core/selector_profile.mjs";
+
+const router = express.Router();
+
+/**
+ * @typedef {SelectorProfile} SelectorProfileResponse
+ * @property {string | null} overrideFile - The file set through PMP_SELECTOR_PROFILE_FILE, if any.
+ */
+
+/**
+ * @typedef {Object} SelectorProfileReloadResponse
+ * @property {string} version - The version of the profile now in use.
+ */
+
+/**
+ * GET /selector-profile
+ * Returns the version and the selectors in use for the language given with `?lang=`.
+ */
+router.get('/', resolveLanguage, (req, res) => {
+    try {
+        res.json({ ...getSelectorProfile(res.locals.lang), overrideFile: getSelectorProfileOverrideFile() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /selector-profile/reload
+ * Reads the selector profile files again (config/selectors.json and PMP_SELECTOR_PROFILE_FILE), so a markup change
+ * can be followed without a restart. When the files are not valid the profile in use is kept and 422 is returned.
+ * It's an admin operation, see {@link requireAdminToken}.
+ */
+router.post('/reload', requireAdminToken, (req, res) => {
+    try {
+        res.json({ version: reloadSelectorProfile() });
+    } catch (error) {
+        res.status(422).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -1,15 +1,24 @@
 import express from 'express';
-import {fetchLandingHtml, fetchThisWeekMeetingHtml} from "../services/html_retriever.mjs";
+import {fetchLandingHtml, fetchWeekMeetingHtml} from "../services/html_retriever.mjs";
+import resolveRequestedWeek from "../middlewares/resolve_requested_week.mjs";
+import resolveLanguage from "../middlewares/resolve_language.mjs";
 
 const router = express.Router();
+router.use(resolveLanguage);
+
+/**
+ * @typedef {Object} HtmlResponse
+ * @property {string} html - The HTML of the page.
+ */
 
 /**
  * GET /source-html/meeting-html
  * Fetches the HTML for this week's meeting.
+ * Accepts `?date=YYYY-MM-DD|today|next|previous` and `?tz=` to pick another week, and `?lang=` for the language.
  */
-router.get('/meeting-html', async (req, res) => {
+router.get('/meeting-html', resolveRequestedWeek, async (req, res) => {
     try {
-        const [err, html] = await fetchThisWeekMeetingHtml();
+        const [err, html] = await fetchWeekMeetingHtml({ weekStart: res.locals.weekStart, lang: res.locals.lang });
         if (err) {
             return res.status(500).json({ error: err.message });
         }
@@ -22,10 +31,11 @@ router.get('/meeting-html', async (req, res) => {
 /**
  * GET /source-html/landing-html
  * Fetches the landing page HTML from the WOL website.
+ * Accepts `?lang=` for the language.
  */
 router.get('/landing-html', async (req, res) => {
     try {
-        const [err, html] = await fetchLandingHtml();
+        const [err, html] = await fetchLandingHtml({ lang: res.locals.lang });
         if (err) {
             return res.status(500).json({ error: err.message });
         }
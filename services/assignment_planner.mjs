@@ -0,0 +1,366 @@
+import logger from "../core/logger.mjs";
+import {fetchWeekMeetingHtml} from "./html_retriever.mjs";
+import {extractBibleRead, extractFieldMinistry, extractWeekDateSpan} from "./pub_mwb_scraper.mjs";
+import {formatIsoDate, parseIsoDate} from "./support/week_dates.mjs";
+
+const log = logger.child(logger.bindings());
+
+export const PART_KINDS = Object.freeze({
+    BIBLE_READ: 'bibleRead',
+    DEMONSTRATION: 'demonstration',
+    TALK: 'talk',
+});
+
+export const ROLES = Object.freeze({
+    STUDENT: 'student',
+    ASSISTANT: 'assistant',
+});
+
+const GENDERS = Object.freeze(['male', 'female']);
+
+/**
+ * @typedef {Object} Publisher
+ * @property {string} id - A unique identifier chosen by the congregation.
+ * @property {string} name
+ * @property {'male' | 'female'} gender
+ * @property {string[]} parts - The {@link PART_KINDS} the publisher may give as a student.
+ * @property {boolean} assistant - Whether the publisher may be the householder of a demonstration.
+ * @property {string[]} pairsWith - Publishers that may be paired with this one regardless of gender, e.g. family members.
+ * @property {boolean} active - Inactive publishers stay in the roster but don't get assignments.
+ */
+
+/**
+ * @typedef {Object} AssignmentSlot
+ * @property {number} sectionNumber
+ * @property {string} headline
+ * @property {string} kind - One of {@link PART_KINDS}.
+ * @property {string | null} studyPoint - The mnemonic of the study point (e.g. 'lmd lección 1 punto 3').
+ * @property {boolean} needsAssistant - Whether the part is a demonstration with a householder.
+ */
+
+/**
+ * @typedef {Object} AssignedPublisher
+ * @property {string} id
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} ProposedAssignment
+ * @property {number} sectionNumber
+ * @property {string} headline
+ * @property {string} kind
+ * @property {string | null} studyPoint
+ * @property {boolean} needsAssistant
+ * @property {AssignedPublisher | null} student - Null when nobody in the roster can take the part.
+ * @property {AssignedPublisher | null} assistant - Null when the part needs no householder or nobody can be paired.
+ */
+
+/**
+ * @typedef {Object} AssignmentRecord
+ * @property {string} weekStart - The Monday of the week as `YYYY-MM-DD`.
+ * @property {number} sectionNumber
+ * @property {string} headline
+ * @property {string} kind
+ * @property {string} role - One of {@link ROLES}.
+ * @property {string} publisherId
+ */
+
+/**
+ * @typedef {Object} WeekSlots
+ * @property {string} weekStart - The Monday of the week as `YYYY-MM-DD`.
+ * @property {string} weekDateSpan
+ * @property {AssignmentSlot[]} slots
+ */
+
+/**
+ * @typedef {Object} WeekProposal
+ * @property {string} weekStart
+ * @property {string} weekDateSpan
+ * @property {ProposedAssignment[]} assignments
+ * @property {number} unfilled - How many students or assistants could not be assigned.
+ */
+
+/**
+ * Validates the given roster and fills in the optional values.
+ * @param {any} publishers
+ * @returns {Publisher[]}
+ * @throws {Error} If the roster is not valid.
+ */
+export function validateRoster(publishers) {
+    if (!Array.isArray(publishers)) {
+        throw new Error('The roster must be an array of publishers');
+    }
+    const kinds = Object.values(PART_KINDS);
+    const ids = new Set();
+    const roster = publishers.map((publisher, index) => {
+        const where = `Publisher at index [${index}]`;
+        if (typeof publisher?.id !== 'string' || !publisher.id.trim()) {
+            throw new Error(`${where} must have a non-empty string id`);
+        }
+        if (ids.has(publisher.id)) {
+            throw new Error(`${where} repeats the id [${publisher.id}]`);
+        }
+        ids.add(publisher.id);
+        if (typeof publisher.name !== 'string' || !publisher.name.trim()) {
+            throw new Error(`${where} must have a non-empty name`);
+        }
+        if (!GENDERS.includes(publisher.gender)) {
+            throw new Error(`${where} has gender [${publisher.gender}], expected one of [${GENDERS.join(', ')}]`);
+        }
+        const parts = publisher.parts ?? [];
+        if (!Array.isArray(parts)) {
+            throw new Error(`${where} must list its parts in an array`);
+        }
+        const unknownPart = parts.find((part) => !kinds.includes(part));
+        if (unknownPart !== undefined) {
+            throw new Error(`${where} has unknown part [${unknownPart}], expected any of [${kinds.join(', ')}]`);
+        }
+        return {
+            id: publisher.id,
+            name: publisher.name.trim(),
+            gender: publisher.gender,
+            parts,
+            assistant: publisher.assistant !== false,
+            pairsWith: Array.isArray(publisher.pairsWith) ? publisher.pairsWith : [],
+            active: publisher.active !== false,
+        };
+    });
+
+    for (const publisher of roster) {
+        const unknownPartner = publisher.pairsWith.find((id) => !ids.has(id));
+        if (unknownPartner !== undefined) {
+            throw new Error(`Publisher [${publisher.id}] pairs with unknown publisher [${unknownPartner}]`);
+        }
+    }
+    return roster;
+}
+
+/**
+ * Builds the slots to assign from the bible reading and the field ministry parts.
+ * Talks use a study point from the "th" brochure while demonstrations use the "lmd" one,
+ * the publication symbols are the same in every language.
+ * @param {{bibleRead: BibleReadData, fieldMinistry: FieldMinistryData[]}} program
+ * @returns {AssignmentSlot[]}
+ */
+export function buildAssignmentSlots({bibleRead, fieldMinistry}) {
+    const slots = [{
+        sectionNumber: bibleRead.sectionNumber,
+        headline: bibleRead.headline,
+        kind: PART_KINDS.BIBLE_READ,
+        studyPoint: bibleRead.studyPoint?.mnemonic ?? null,
+        needsAssistant: false,
+    }];
+    for (const part of fieldMinistry.filter((part) => part.isStudentTask)) {
+        const studyPoint = part.studyPoint?.mnemonic ?? null;
+        const kind = /^th\b/i.test(studyPoint ?? '') ? PART_KINDS.TALK : PART_KINDS.DEMONSTRATION;
+        slots.push({
+            sectionNumber: part.sectionNumber,
+            headline: part.headline,
+            kind,
+            studyPoint,
+            needsAssistant: kind === PART_KINDS.DEMONSTRATION,
+        });
+    }
+    return slots;
+}
+
+/**
+ * @typedef {Object} HistorySummary
+ * @property {Object<string, string>} last - The last week of each role, and of each role and kind (e.g. 'student:talk').
+ * @property {string} lastAny - The last week with any assignment.
+ * @property {number} count - How many assignments the publisher had.
+ */
+
+/**
+ * Summarizes the history of each publisher, ignoring the given week so it can be planned again.
+ * @param {AssignmentRecord[]} history
+ * @param {string} weekStart
+ * @returns {Map<string, HistorySummary>}
+ */
+function summarizeHistory(history, weekStart) {
+    const summaries = new Map();
+    // Weeks are YYYY-MM-DD strings, which sort chronologically.
+    const latest = (a = '', b) => (b > a ? b : a);
+    for (const record of history) {
+        if (record.weekStart === weekStart) {
+            continue;
+        }
+        const summary = summaries.get(record.publisherId) ?? {last: {}, lastAny: '', count: 0};
+        const kindKey = `${record.role}:${record.kind}`;
+        summary.last[record.role] = latest(summary.last[record.role], record.weekStart);
+        summary.last[kindKey] = latest(summary.last[kindKey], record.weekStart);
+        summary.lastAny = latest(summary.lastAny, record.weekStart);
+        summary.count++;
+        summaries.set(record.publisherId, summary);
+    }
+    return summaries;
+}
+
+/**
+ * Picks the candidate that waited the longest for the given role, then for the given kind of part in that role,
+ * then for any assignment, and then the least assigned one.
+ * @param {Publisher[]} candidates
+ * @param {Map<string, HistorySummary>} summaries
+ * @param {string} role - One of {@link ROLES}.
+ * @param {string} kind - One of {@link PART_KINDS}.
+ * @returns {Publisher | null}
+ */
+function pickLongestWaiting(candidates, summaries, role, kind) {
+    const empty = {last: {}, lastAny: '', count: 0};
+    const keysOf = (publisher) => {
+        const summary = summaries.get(publisher.id) ?? empty;
+        return [summary.last[role] ?? '', summary.last[`${role}:${kind}`] ?? '', summary.lastAny, summary.count];
+    };
+    const sorted = [...candidates].sort((a, b) => {
+        const [roleA, kindA, anyA, countA] = keysOf(a);
+        const [roleB, kindB, anyB, countB] = keysOf(b);
+        return roleA.localeCompare(roleB)
+            || kindA.localeCompare(kindB)
+            || anyA.localeCompare(anyB)
+            || countA - countB
+            || a.id.localeCompare(b.id);
+    });
+    return sorted[0] ?? null;
+}
+
+/**
+ * @param {Publisher} student
+ * @param {Publisher} assistant
+ * @returns {boolean} True when the pair may give a demonstration together.
+ */
+function canPair(student, assistant) {
+    return student.gender === assistant.gender
+        || student.pairsWith.includes(assistant.id)
+        || assistant.pairsWith.includes(student.id);
+}
+
+/**
+ * @param {Publisher | null} publisher
+ * @returns {AssignedPublisher | null}
+ */
+function toAssignedPublisher(publisher) {
+    return publisher ? {id: publisher.id, name: publisher.name} : null;
+}
+
+/**
+ * Proposes who gives each part of one week. Nobody gets two parts in the same week, and each part goes to
+ * the qualified publisher who waited the longest since their last assignment of the same role.
+ * Students are picked for every part before any assistant, so a householder never takes the only
+ * publisher able to give a part.
+ * @param {{weekStart: string, slots: AssignmentSlot[], publishers: Publisher[], history: AssignmentRecord[]}} input
+ * @returns {ProposedAssignment[]}
+ */
+export function proposeWeekAssignments({weekStart, slots, publishers, history}) {
+    const summaries = summarizeHistory(history, weekStart);
+    const available = publishers.filter((publisher) => publisher.active);
+    const busy = new Set();
+    const take = (publisher) => {
+        if (publisher) {
+            busy.add(publisher.id);
+        }
+        return publisher;
+    };
+
+    const students = slots.map((slot) => take(pickLongestWaiting(
+        available.filter((publisher) => !busy.has(publisher.id) && publisher.parts.includes(slot.kind)),
+        summaries,
+        ROLES.STUDENT,
+        slot.kind,
+    )));
+    const assistants = slots.map((slot, index) => {
+        const student = students[index];
+        if (!student || !slot.needsAssistant) {
+            return null;
+        }
+        return take(pickLongestWaiting(
+            available.filter((publisher) => !busy.has(publisher.id) && publisher.assistant && canPair(student, publisher)),
+            summaries,
+            ROLES.ASSISTANT,
+            slot.kind,
+        ));
+    });
+
+    return slots.map((slot, index) => {
+        const student = students[index];
+        const assistant = assistants[index];
+        if (!student || (slot.needsAssistant && !assistant)) {
+            log.warn(`Unable to fully assign part [${slot.sectionNumber}] of kind [${slot.kind}] for week [${weekStart}]`);
+        }
+        return {...slot, student: toAssignedPublisher(student), assistant: toAssignedPublisher(assistant)};
+    });
+}
+
+/**
+ * Turns the assignments of a week into history records.
+ * @param {string} weekStart
+ * @param {ProposedAssignment[]} assignments
+ * @returns {AssignmentRecord[]}
+ */
+export function toAssignmentRecords(weekStart, assignments) {
+    return assignments.flatMap(({sectionNumber, headline, kind, student, assistant}) => [
+        student && {weekStart, sectionNumber, headline, kind, role: ROLES.STUDENT, publisherId: student.id},
+        assistant && {weekStart, sectionNumber, headline, kind, role: ROLES.ASSISTANT, publisherId: assistant.id},
+    ].filter(Boolean));
+}
+
+/**
+ * Proposes the assignments of several weeks in order, each week taking the proposals of the previous ones
+ * into account as if they had already been confirmed.
+ * @param {{weeks: WeekSlots[], publishers: Publisher[], history: AssignmentRecord[]}} input
+ * @returns {WeekProposal[]}
+ */
+export function planAssignments({weeks, publishers, history}) {
+    let plannedHistory = [...history];
+    return weeks.map(({weekStart, weekDateSpan, slots}) => {
+        const assignments = proposeWeekAssignments({weekStart, slots, publishers, history: plannedHistory});
+        plannedHistory = [...plannedHistory, ...toAssignmentRecords(weekStart, assignments)];
+        const unfilled = assignments.filter((assignment) => !assignment.student).length
+            + assignments.filter((assignment) => assignment.needsAssistant && !assignment.assistant).length;
+        return {weekStart, weekDateSpan, assignments, unfilled};
+    });
+}
+
+/**
+ * Validates the assignments confirmed for a week and turns them into history records.
+ * @param {any} week - An object with `weekStart` and `assignments`, usually a {@link WeekProposal}.
+ * @param {Publisher[]} publishers - The roster, every assigned publisher must be part of it.
+ * @returns {{weekStart: string, records: AssignmentRecord[]}} The normalized week start and the history records.
+ * @throws {Error} If the week is not valid.
+ */
+export function validateConfirmedWeek(week, publishers) {
+    const weekStart = formatIsoDate(parseIsoDate(week?.weekStart));
+    if (!Array.isArray(week.assignments)) {
+        throw new Error(`The assignments of week [${weekStart}] must be an array`);
+    }
+    const ids = new Set(publishers.map((publisher) => publisher.id));
+    const records = toAssignmentRecords(weekStart, week.assignments);
+    const unknown = records.find((record) => !ids.has(record.publisherId));
+    if (unknown) {
+        throw new Error(`Unknown publisher [${unknown.publisherId}] assigned to part [${unknown.sectionNumber}] of week [${weekStart}]`);
+    }
+    const invalid = records.find((record) => !Number.isInteger(record.sectionNumber) || !Object.values(PART_KINDS).includes(record.kind));
+    if (invalid) {
+        throw new Error(`Assignment of week [${weekStart}] needs an integer sectionNumber and a kind, received [${invalid.sectionNumber}] and [${invalid.kind}]`);
+    }
+    return {weekStart, records};
+}
+
+/**
+ * Fetches the program of the given week and builds the slots to assign.
+ * @param {{weekStart: CalendarDate} & FetchOptions} request
+ * @returns {Promise<WeekSlots>}
+ * @throws {Error} If fetching or extracting fails.
+ */
+export async function fetchWeekSlots({weekStart, ...fetchOptions}) {
+    const [err, html] = await fetchWeekMeetingHtml({weekStart, ...fetchOptions});
+    if (err) {
+        throw err;
+    }
+    const input = {html, ...fetchOptions};
+    const [bibleRead, fieldMinistry] = await Promise.all([extractBibleRead(input), extractFieldMinistry(input)]);
+    return {
+        weekStart: formatIsoDate(weekStart),
+        weekDateSpan: extractWeekDateSpan(input),
+        slots: buildAssignmentSlots({bibleRead, fieldMinistry}),
+    };
+}
@@ -3,19 +3,31 @@ import CONSTANTS from '../core/constants.mjs';
 import * as cheerio from 'cheerio';
 import logger from "../core/logger.mjs";
 import {getHtmlContent} from "./support/retrievers.mjs";
+import {getLanguageOrThrow} from "../core/languages.mjs";
 
 const log = logger.child(logger.bindings());
 
+/**
+ * @typedef {Object} WeekMeetingHtmlRequest
+ * @property {CalendarDate} [weekStart] - The Monday of the week to fetch, when missing the current week is fetched.
+ * @property {string} [lang] - The language code of the content, defaults to the default language.
+ * @property {AbortSignal} [signal] - Cancels the requests when aborted.
+ * @property {string} [todayUrl] - The URL of the "today" page, as returned by {@link fetchTodayUrl}. When given the
+ *      landing pages are not fetched again, which saves two requests per week when fetching several weeks.
+ */
+
 /**
  * Fetches the landing HTML from the WOL website.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the requests, including the language of the landing page.
  * @returns {Promise<Error | string>} A promise that resolves to an Error object if any error occurs,
  *     or the HTML content as a string if successful.
  */
-async function _fetchLandingHtml() {
+async function _fetchLandingHtml(fetchOptions = {}) {
     const baseUrl = CONSTANTS.BASE_URL;
+    const {hreflang} = getLanguageOrThrow(fetchOptions.lang);
 
     log.info(`Fetching landing HTML from [${baseUrl}]`);
-    let [err, strOrNull] = await getHtmlContent(baseUrl);
+    let [err, strOrNull] = await getHtmlContent(baseUrl, fetchOptions);
     if (err) {
         return err;
     }
@@ -23,23 +35,21 @@ async function _fetchLandingHtml() {
     let html = strOrNull;
 
     const $ = cheerio.load(html);
-    const selector = 'link[hreflang="es"]';
-    const hrefLangEs = $(selector).attr('href');
-    log.debug(`Value for hrefLangEs: [${hrefLangEs}]`);
+    const selector = `link[hreflang="${hreflang}"]`;
+    const hrefLang = $(selector).attr('href');
+    log.debug(`Value for hrefLang [${hreflang}]: [${hrefLang}]`);
 
-    if (!hrefLangEs) {
+    if (!hrefLang) {
         log.error(`No href found for [${selector}]`);
         return new Error("No href found, website structure may have changed");
     }
 
-    const landingForLanguage = `${baseUrl}${hrefLangEs}`;
+    const landingForLanguage = `${baseUrl}${hrefLang}`;
     log.info(`Fetching HTML content from [${landingForLanguage}]`);
-    [err, html] = await getHtmlContent(landingForLanguage);
+    [err, html] = await getHtmlContent(landingForLanguage, fetchOptions);
     if (err) {
         return err;
     }
-    /** @type {string} */
-    html = strOrNull;
 
     return html;
 }
@@ -53,12 +63,12 @@ async function _fetchLandingHtml() {
 export const fetchLandingHtml = withErrorHandling(_fetchLandingHtml);
 
 /**
- * Fetches this week's meeting HTML from the WOL website.
- * @returns {Promise<string | Error>} A promise that resolves to either the HTML content as a string or
- *     an Error object if any error occurs.
+ * Finds the URL of the "today" page, the one that shows the meeting of the week, in the landing page of the language.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the requests, including the language of the landing page.
+ * @returns {Promise<string | Error>} A promise that resolves to either the URL or an Error object if any error occurs.
  */
-async function _fetchThisWeekMeetingHtml() {
-    let [err, html] = await fetchLandingHtml();
+async function _fetchTodayUrl(fetchOptions = {}) {
+    const [err, html] = await fetchLandingHtml(fetchOptions);
     if (err) {
         return err;
     }
@@ -74,20 +84,94 @@ async function _fetchThisWeekMeetingHtml() {
         log.warn(`No href found for [${selector}]`);
         return new Error("No href found, website structure may have changed");
     }
+    return CONSTANTS.BASE_URL + todayNav;
+}
+
+/**
+ * Finds the URL of the "today" page with error handling.
+ * @returns {Promise<SuccessTuple<string> | ErrorTuple>} A promise that resolves to a tuple where the first element is an
+ *      Error object (or null if no error occurred) and the second element is the URL (or null if an error occurred).
+ * @see _fetchTodayUrl
+ */
+export const fetchTodayUrl = withErrorHandling(_fetchTodayUrl);
 
-    const todayHtmlUrl = CONSTANTS.BASE_URL + todayNav;
-    log.info(`Fetching today's HTML content from [${todayHtmlUrl}]`);
-    [err, html] = await getHtmlContent(todayHtmlUrl);
+/**
+ * Fetches the meeting HTML for the requested week from the WOL website.
+ * @param {WeekMeetingHtmlRequest} [weekRequest] - The week and language to fetch.
+ * @returns {Promise<string | Error>} A promise that resolves to either the HTML content as a string or
+ *     an Error object if any error occurs.
+ */
+async function _fetchWeekMeetingHtml({weekStart, todayUrl, ...fetchOptions} = {}) {
+    if (!todayUrl) {
+        const [err, url] = await fetchTodayUrl(fetchOptions);
+        if (err) {
+            return err;
+        }
+        todayUrl = url;
+    }
+
+    let weekHtmlUrl = todayUrl;
+    if (weekStart) {
+        // The "today" page accepts a date path, for any day it shows the meeting of the week containing that day.
+        const {year, month, day} = weekStart;
+        weekHtmlUrl = `${weekHtmlUrl.replace(/\/+$/, '')}/${year}/${month}/${day}`;
+    }
+    log.info(`Fetching week HTML content from [${weekHtmlUrl}]`);
+    const [err, html] = await getHtmlContent(weekHtmlUrl, fetchOptions);
     if (err) {
         return err;
     }
     return html;
 }
 
+/**
+ * Fetches the meeting HTML for the requested week from the WOL website with error handling.
+ * @returns {Promise<SuccessTuple<string> | ErrorTuple>} A promise that resolves to a tuple where the first element is an
+ *      Error object (or null if no error occurred) and the second element is html content (or null if an error occurred).
+ * @see _fetchWeekMeetingHtml
+ */
+export const fetchWeekMeetingHtml = withErrorHandling(_fetchWeekMeetingHtml);
+
 /**
  * Fetches this week's meeting HTML from the WOL website with error handling.
  * @returns {Promise<SuccessTuple<string> | ErrorTuple>} A promise that resolves to a tuple where the first element is an
  *      Error object (or null if no error occurred) and the second element is html content (or null if an error occurred).
- * @see _fetchThisWeekMeetingHtml
+ * @see _fetchWeekMeetingHtml
+ */
+export const fetchThisWeekMeetingHtml = (fetchOptions = {}) => fetchWeekMeetingHtml(fetchOptions);
+
+/**
+ * Fetches the page of a workbook issue from the WOL website, the one with a link to each of its weeks.
+ * It lives next to the "today" page, under the publication path (e.g. `/es/wol/publication/r4/lp-s/mwb24.09`).
+ * @param {{issue: string} & Omit<WeekMeetingHtmlRequest, 'weekStart'>} issueRequest - The issue and language to fetch.
+ * @returns {Promise<string | Error>} A promise that resolves to either the HTML content as a string or
+ *     an Error object if any error occurs.
+ */
+async function _fetchWorkbookIssueHtml({issue, todayUrl, ...fetchOptions}) {
+    if (!todayUrl) {
+        const [err, url] = await fetchTodayUrl(fetchOptions);
+        if (err) {
+            return err;
+        }
+        todayUrl = url;
+    }
+    if (!todayUrl.includes('/wol/h/')) {
+        return new Error(`Unexpected "today" URL [${todayUrl}], website structure may have changed`);
+    }
+
+    const issueUrl = `${todayUrl.replace(/\/+$/, '').replace('/wol/h/', '/wol/publication/')}/${issue}`;
+    log.info(`Fetching workbook issue HTML content from [${issueUrl}]`);
+    const [err, html] = await getHtmlContent(issueUrl, fetchOptions);
+    if (err) {
+        return err;
+    }
+    return html;
+}
+
+/**
+ * Fetches the page of a workbook issue from the WOL website with error handling.
+ * @returns {Promise<SuccessTuple<string> | ErrorTuple>} A promise that resolves to a tuple where the first element is an
+ *      Error object (or null if no error occurred) and the second element is html content (or null if an error occurred).
+ * @see _fetchWorkbookIssueHtml
  */
-export const fetchThisWeekMeetingHtml = withErrorHandling(_fetchThisWeekMeetingHtml);
+export const fetchWorkbookIssueHtml = withErrorHandling(_fetchWorkbookIssueHtml);
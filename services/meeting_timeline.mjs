@@ -0,0 +1,162 @@
+import logger from "../core/logger.mjs";
+import {getLanguageOrThrow} from "../core/languages.mjs";
+
+const log = logger.child(logger.bindings());
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const DEFAULT_MEETING_START_TIME = '19:00';
+
+// The length of the meeting the workbook plans for, in minutes.
+export const STANDARD_MEETING_MINUTES = 105;
+
+// Parts of the meeting that the workbook doesn't time box, in minutes.
+export const SONG_MINUTES = 4;
+export const PRAYER_MINUTES = 2;
+export const OPENING_COMMENTS_MINUTES = 1;
+export const CONCLUDING_COMMENTS_MINUTES = 3;
+export const COUNSEL_MINUTES = 1; // After the Bible reading and each student part.
+
+export const TIMELINE_ITEM_KINDS = Object.freeze({
+    SONG: 'song',
+    PRAYER: 'prayer',
+    COMMENTS: 'comments',
+    PART: 'part',
+    COUNSEL: 'counsel',
+});
+
+export const TIMELINE_SECTIONS = Object.freeze({
+    OPENING: 'opening',
+    TREASURES: 'treasures',
+    FIELD_MINISTRY: 'fieldMinistry',
+    CHRISTIAN_LIVING: 'christianLiving',
+    CLOSING: 'closing',
+});
+
+/**
+ * @typedef {Object} TimelineItem
+ * @property {string} kind - One of {@link TIMELINE_ITEM_KINDS}.
+ * @property {string} section - One of {@link TIMELINE_SECTIONS}.
+ * @property {number | null} sectionNumber - The number of the part, or of the part the counsel is about.
+ * @property {string} title
+ * @property {number} minutes
+ * @property {number} startMinute - Minutes after the start of the meeting.
+ * @property {string} startTime - The clock time the item starts at, as `HH:MM`.
+ * @property {string} endTime - The clock time the item ends at, as `HH:MM`.
+ */
+
+/**
+ * @typedef {Object} MeetingTimeline
+ * @property {string} startTime - When the meeting starts, as `HH:MM`.
+ * @property {string} endTime - When the meeting ends, as `HH:MM`.
+ * @property {number} totalMinutes
+ * @property {number} standardMinutes - The length of the meeting the workbook plans for.
+ * @property {boolean} fits - Whether the meeting takes no longer than the standard length.
+ * @property {string[]} warnings - Why the timeline may be wrong or doesn't fit, empty when it's fine.
+ * @property {TimelineItem[]} items - Every song, prayer, comment, part and counsel, in order.
+ */
+
+/**
+ * @typedef {Object} TimelineOptions
+ * @property {string} [startTime] - When the meeting starts, as `HH:MM`, defaults to {@link DEFAULT_MEETING_START_TIME}.
+ * @property {string} [lang] - The language of the program, used for the titles the program data doesn't carry.
+ */
+
+/**
+ * Parses a clock time.
+ * @param {string} text - The time as `HH:MM` in 24-hour format.
+ * @returns {number} The minutes after midnight.
+ * @throws {Error} If the time is not valid.
+ */
+export function parseClockTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+        throw new Error(`Invalid meeting start time [${text}], expected format HH:MM`);
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * @param {number} minutes - Minutes after midnight, past midnight wraps to the next day.
+ * @returns {string} The clock time as `HH:MM`.
+ */
+function formatClockTime(minutes) {
+    const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Lays out the meeting: the songs, prayers and comments the workbook doesn't time box, the parts with their time boxes
+ * and the counsel after the student parts, each with its start and end clock times.
+ * @param {FullWeekProgramData} program - The program, as returned by `extractFullWeekProgram`.
+ * @param {TimelineOptions} [options]
+ * @returns {MeetingTimeline}
+ * @throws {Error} If the start time or the language are not valid.
+ */
+export function buildMeetingTimeline(program, {startTime = DEFAULT_MEETING_START_TIME, lang} = {}) {
+    const {labels} = getLanguageOrThrow(lang);
+    const meetingStart = parseClockTime(startTime);
+    const items = [];
+    const warnings = [];
+    let minute = 0;
+
+    const add = (kind, section, title, minutes, sectionNumber = null) => {
+        items.push({
+            kind,
+            section,
+            sectionNumber,
+            title,
+            minutes,
+            startMinute: minute,
+            startTime: formatClockTime(meetingStart + minute),
+            endTime: formatClockTime(meetingStart + minute + minutes),
+        });
+        minute += minutes;
+    };
+    const addSong = (section, song) => add(TIMELINE_ITEM_KINDS.SONG, section, song?.songNumber ? `${labels.song} ${song.songNumber}` : labels.song, SONG_MINUTES);
+    const addPart = (section, part, title, {counsel = false} = {}) => {
+        if (!Number.isFinite(part.timeBox)) {
+            warnings.push(`Part [${part.sectionNumber}] has no time box, it was given 0 minutes`);
+        }
+        add(TIMELINE_ITEM_KINDS.PART, section, title, Number.isFinite(part.timeBox) ? part.timeBox : 0, part.sectionNumber);
+        if (counsel) {
+            add(TIMELINE_ITEM_KINDS.COUNSEL, section, labels.counsel, COUNSEL_MINUTES, part.sectionNumber);
+        }
+    };
+
+    const {OPENING, TREASURES, FIELD_MINISTRY, CHRISTIAN_LIVING, CLOSING} = TIMELINE_SECTIONS;
+    addSong(OPENING, program.startingSong);
+    add(TIMELINE_ITEM_KINDS.PRAYER, OPENING, labels.prayer, PRAYER_MINUTES);
+    add(TIMELINE_ITEM_KINDS.COMMENTS, OPENING, labels.openingComments, OPENING_COMMENTS_MINUTES);
+    addPart(TREASURES, program.treasuresTalk, program.treasuresTalk.heading);
+    addPart(TREASURES, program.spiritualGems, program.spiritualGems.headline);
+    addPart(TREASURES, program.bibleRead, program.bibleRead.headline, {counsel: true});
+    for (const part of program.fieldMinistry) {
+        addPart(FIELD_MINISTRY, part, part.headline, {counsel: Boolean(part.isStudentTask)});
+    }
+    addSong(CHRISTIAN_LIVING, program.middleSong);
+    for (const part of program.christianLiving) {
+        addPart(CHRISTIAN_LIVING, part, part.headline);
+    }
+    addPart(CHRISTIAN_LIVING, program.bibleStudy, program.bibleStudy.headline);
+    add(TIMELINE_ITEM_KINDS.COMMENTS, CLOSING, labels.concludingComments, CONCLUDING_COMMENTS_MINUTES);
+    addSong(CLOSING, program.closingSong);
+    add(TIMELINE_ITEM_KINDS.PRAYER, CLOSING, labels.prayer, PRAYER_MINUTES);
+
+    const fits = minute <= STANDARD_MEETING_MINUTES;
+    if (!fits) {
+        warnings.push(`The meeting takes [${minute}] minutes, [${minute - STANDARD_MEETING_MINUTES}] more than the standard [${STANDARD_MEETING_MINUTES}]`);
+        log.warn(`Week [${program.weekDateSpan}] doesn't fit the standard meeting length: ${warnings.at(-1)}`);
+    }
+    log.debug(`Built the timeline of week [${program.weekDateSpan}] with [${items.length}] items and [${minute}] minutes`);
+
+    return {
+        startTime: formatClockTime(meetingStart),
+        endTime: formatClockTime(meetingStart + minute),
+        totalMinutes: minute,
+        standardMinutes: STANDARD_MEETING_MINUTES,
+        fits,
+        warnings,
+        items,
+    };
+}
@@ -0,0 +1,436 @@
+import {readFileSync} from 'node:fs';
+import {fileURLToPath} from 'node:url';
+import logger from "../core/logger.mjs";
+import {DEFAULT_LANGUAGE_CODE, SUPPORTED_LANGUAGE_CODES} from "../core/languages.mjs";
+import {EXTRACTION_MODES} from "./pub_mwb_scraper.mjs";
+import {TEXT_FORMATS} from "./support/rich_text.mjs";
+import {createTypedefSchemaBuilder, readTypedefs} from "./support/jsdoc_schemas.mjs";
+import {validateAgainstSchema} from "./support/schema_validator.mjs";
+
+const log = logger.child(logger.bindings());
+
+const PACKAGE_FILE = fileURLToPath(new URL('../package.json', import.meta.url));
+const TYPEDEF_DIRECTORIES = ['../core/', '../services/', '../routes/'].map((directory) => fileURLToPath(new URL(directory, import.meta.url)));
+
+const JSON_TYPE = 'application/json';
+const FORM_TYPE = 'application/x-www-form-urlencoded';
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} error - What went wrong.
+ */
+
+const STREAM_DESCRIPTION = 'An event named after each section (`songs`, `treasuresTalk`, `fieldMinistry`...) as soon as it\'s extracted, '
+            + 'with `{ok, data}` or `{ok: false, error}` as data, then a `complete` event with the whole program, '
+            + 'or an `error` event with `{error}` when the extraction fails.';
+
+const ADMIN_DESCRIPTION = 'An admin operation: it needs the token set in `PMP_ADMIN_TOKEN` as `Authorization: Bearer <token>`, '
+            + 'and is disabled while no token is set.';
+const ADMIN_RESPONSES = {401: {[JSON_TYPE]: 'ErrorResponse'}, 403: {[JSON_TYPE]: 'ErrorResponse'}};
+
+const WEEK_PARAMETERS = ['lang', 'date', 'tz'];
+const CALENDAR_PARAMETERS = [...WEEK_PARAMETERS, 'start', 'weekday', 'parts'];
+
+// Query parameters, as the middlewares that resolve them accept them.
+const PARAMETERS = Object.freeze({
+    lang: {description: 'The language code.', schema: {type: 'string', enum: SUPPORTED_LANGUAGE_CODES, default: DEFAULT_LANGUAGE_CODE}},
+    date: {
+        description: 'Any day of the requested week, as `YYYY-MM-DD`, or `today`, `next` or `previous`.',
+        schema: {type: 'string', default: 'today'},
+    },
+    tz: {description: 'The time zone used to determine today, and the time zone of the meeting for the calendars.', schema: {type: 'string'}},
+    mode: {
+        description: '`lenient` returns the sections that parsed even when others fail, listing the failures in `errors`.',
+        schema: {type: 'string', enum: Object.values(EXTRACTION_MODES), default: EXTRACTION_MODES.STRICT},
+    },
+    format: {
+        description: '`markdown` or `html` keep the emphasis, lists and links of the contents, with absolute links to WOL.',
+        schema: {type: 'string', enum: Object.values(TEXT_FORMATS), default: TEXT_FORMATS.TEXT},
+    },
+    start: {description: 'When the meeting starts, as `HH:MM`.', schema: {type: 'string', default: '19:00'}},
+    weekday: {description: 'The day of the meeting, from 1 (Monday) to 7 (Sunday).', schema: {type: 'integer', default: 3}},
+    parts: {description: '`false` to skip the events of each part.', schema: {type: 'boolean', default: true}},
+    weeks: {description: 'How many weeks to include, starting with the requested one.', schema: {type: 'integer', default: 1}},
+    perPage: {description: 'How many weeks to print on each page, from 1 to 4.', schema: {type: 'integer', default: 1}},
+    issue: {description: 'The two-month workbook issue, as `mwbYY.MM` with the first month of the issue (e.g. `mwb24.09`).', schema: {type: 'string'}},
+    from: {description: 'The first week to include, as `YYYY-MM-DD`.', schema: {type: 'string'}},
+    to: {description: 'The last week to include, as `YYYY-MM-DD`.', schema: {type: 'string'}},
+});
+
+/**
+ * @typedef {Object} OperationDefinition
+ * @property {string} method - The HTTP method, in lowercase.
+ * @property {string} path - The full path, as mounted in the app.
+ * @property {string} tag - The group the operation is listed under.
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {string[]} [parameters] - The names of the query parameters, keys of PARAMETERS.
+ * @property {{type: string, required?: boolean}} [requestBody] - The JSDoc type of the body, accepted as JSON or form data.
+ * @property {Object<string, Object<string, string>>} responses - By status code, the JSDoc type of each media type.
+ *      Every operation may also respond 500 with an {@link ErrorResponse}, and 400 when it takes a body or parameters.
+ */
+
+/** @type {OperationDefinition[]} */
+const OPERATIONS = [
+    {
+        method: 'get', path: '/this-week-program', tag: 'Program',
+        summary: 'Fetches and extracts the program of a week',
+        description: 'Responds with Markdown instead of JSON when the client sends `Accept: text/markdown`, `format` only applies to the JSON.',
+        parameters: [...WEEK_PARAMETERS, 'mode', 'format'],
+        responses: {200: {[JSON_TYPE]: 'FullWeekProgramData', 'text/markdown': 'string'}},
+    },
+    {
+        method: 'get', path: '/this-week-program/stream', tag: 'Program',
+        summary: 'Fetches and extracts the program of a week, streaming each section as Server-Sent Events',
+        description: STREAM_DESCRIPTION,
+        parameters: [...WEEK_PARAMETERS, 'mode', 'format'],
+        responses: {200: {'text/event-stream': 'string'}},
+    },
+    {
+        method: 'get', path: '/this-week-program.ics', tag: 'Program',
+        summary: 'Fetches the program of a week as an iCalendar file',
+        parameters: CALENDAR_PARAMETERS,
+        responses: {200: {'text/calendar': 'string'}},
+    },
+    {
+        method: 'get', path: '/this-week-program/timeline', tag: 'Program',
+        summary: 'Fetches the program of a week as a timeline with clock times',
+        description: 'Every song, prayer, comment, part and counsel with its start and end times, '
+            + 'and whether the meeting fits the standard length.',
+        parameters: [...WEEK_PARAMETERS, 'start', 'weekday'],
+        responses: {200: {[JSON_TYPE]: 'WeekTimelineResponse'}},
+    },
+    {
+        method: 'get', path: '/this-week-program/print', tag: 'Program',
+        summary: 'Fetches the program of one or more weeks as a printable schedule',
+        description: 'A print-ready HTML page in the style of the S-140 schedule, with blank slots for the assignees.',
+        parameters: [...WEEK_PARAMETERS, 'weeks', 'perPage'],
+        responses: {200: {'text/html': 'string'}},
+    },
+    {
+        method: 'get', path: '/workbook-issue', tag: 'Program',
+        summary: 'Fetches and extracts every week of a workbook issue',
+        description: 'Takes an `issue`, or a range of weeks with `from` and `to`, and defaults to the issue of the week of `date`. '
+            + 'A week that fails is reported in its result and doesn\'t fail the others.',
+        parameters: [...WEEK_PARAMETERS, 'mode', 'format', 'issue', 'from', 'to'],
+        responses: {200: {[JSON_TYPE]: 'WorkbookIssueResponse'}},
+    },
+    {
+        method: 'post', path: '/scrappers/week-program', tag: 'Scrappers',
+        summary: 'Extracts the program of a week from its HTML',
+        description: 'Responds with Markdown instead of JSON when the client sends `Accept: text/markdown`, `format` only applies to the JSON.',
+        requestBody: {type: 'WeekProgramRequest'},
+        responses: {200: {[JSON_TYPE]: 'FullWeekProgramData', 'text/markdown': 'string'}},
+    },
+    {
+        method: 'post', path: '/scrappers/week-program/stream', tag: 'Scrappers',
+        summary: 'Extracts the program of a week from its HTML, streaming each section as Server-Sent Events',
+        description: STREAM_DESCRIPTION,
+        requestBody: {type: 'WeekProgramRequest'},
+        responses: {200: {'text/event-stream': 'string'}},
+    },
+    {
+        method: 'post', path: '/scrappers/week-program.ics', tag: 'Scrappers',
+        summary: 'Extracts the program of a week from its HTML as an iCalendar file',
+        requestBody: {type: 'WeekProgramCalendarRequest'},
+        responses: {200: {'text/calendar': 'string'}},
+    },
+    {
+        method: 'post', path: '/scrappers/week-date-span', tag: 'Scrappers',
+        summary: 'Extracts the date span of the week',
+        requestBody: {type: 'DatedHtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'WeekDateSpanResponse'}},
+    },
+    {
+        method: 'post', path: '/scrappers/songs', tag: 'Scrappers',
+        summary: 'Extracts the starting, middle and closing songs',
+        requestBody: {type: 'HtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'SongData[]'}},
+    },
+    {
+        method: 'post', path: '/scrappers/weekly-bible-read', tag: 'Scrappers',
+        summary: 'Extracts the chapters of the weekly Bible reading',
+        requestBody: {type: 'HtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'WeeklyBibleReadData'}},
+    },
+    {
+        method: 'post', path: '/scrappers/treasures-talk', tag: 'Scrappers',
+        summary: 'Extracts the treasures talk',
+        requestBody: {type: 'FormattedHtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'TreasuresTalkData'}},
+    },
+    {
+        method: 'post', path: '/scrappers/spiritual-gems', tag: 'Scrappers',
+        summary: 'Extracts the spiritual gems',
+        requestBody: {type: 'FormattedHtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'SpiritualGemsData'}},
+    },
+    {
+        method: 'post', path: '/scrappers/bible-read-details', tag: 'Scrappers',
+        summary: 'Extracts the Bible reading part',
+        requestBody: {type: 'FormattedHtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'BibleReadData'}},
+    },
+    {
+        method: 'post', path: '/scrappers/field-ministry', tag: 'Scrappers',
+        summary: 'Extracts the field ministry parts',
+        requestBody: {type: 'FormattedHtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'FieldMinistryAssignmentData[]'}},
+    },
+    {
+        method: 'post', path: '/scrappers/christian-living', tag: 'Scrappers',
+        summary: 'Extracts the Christian living parts with their references',
+        requestBody: {type: 'FormattedHtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'ChristianLivingPartData[]'}},
+    },
+    {
+        method: 'post', path: '/scrappers/bible-study', tag: 'Scrappers',
+        summary: 'Extracts the congregation Bible study',
+        requestBody: {type: 'FormattedHtmlExtractionRequest'},
+        responses: {200: {[JSON_TYPE]: 'BibleStudyWithMaterialData'}},
+    },
+    {
+        method: 'get', path: '/source-html/meeting-html', tag: 'Source HTML',
+        summary: 'Fetches the HTML of the meeting page of a week',
+        parameters: WEEK_PARAMETERS,
+        responses: {200: {[JSON_TYPE]: 'HtmlResponse'}},
+    },
+    {
+        method: 'get', path: '/source-html/landing-html', tag: 'Source HTML',
+        summary: 'Fetches the HTML of the WOL landing page',
+        parameters: ['lang'],
+        responses: {200: {[JSON_TYPE]: 'HtmlResponse'}},
+    },
+    {
+        method: 'get', path: '/assignments/roster', tag: 'Assignments',
+        summary: 'Gets the roster of publishers',
+        responses: {200: {[JSON_TYPE]: 'RosterResponse'}},
+    },
+    {
+        method: 'put', path: '/assignments/roster', tag: 'Assignments',
+        summary: 'Replaces the roster of publishers',
+        requestBody: {type: 'RosterRequest'},
+        responses: {200: {[JSON_TYPE]: 'RosterResponse'}},
+    },
+    {
+        method: 'get', path: '/assignments/history', tag: 'Assignments',
+        summary: 'Gets the confirmed assignments',
+        parameters: ['from', 'to'],
+        responses: {200: {[JSON_TYPE]: 'HistoryResponse'}},
+    },
+    {
+        method: 'post', path: '/assignments/history', tag: 'Assignments',
+        summary: 'Confirms the assignments of a week, replacing the stored ones',
+        requestBody: {type: 'ConfirmedWeekRequest'},
+        responses: {200: {[JSON_TYPE]: 'HistoryResponse'}},
+    },
+    {
+        method: 'post', path: '/assignments/proposals', tag: 'Assignments',
+        summary: 'Proposes the student assignments of one or more weeks',
+        description: 'Nothing is stored until the weeks are posted to `/assignments/history`.',
+        parameters: [...WEEK_PARAMETERS, 'weeks'],
+        requestBody: {type: 'ProposalsRequest', required: false},
+        responses: {200: {[JSON_TYPE]: 'ProposalsResponse'}},
+    },
+    {
+        method: 'get', path: '/cache/stats', tag: 'Cache',
+        summary: 'Gets the hit/miss statistics of the reference cache',
+        responses: {200: {[JSON_TYPE]: 'CacheStats'}},
+    },
+    {
+        method: 'delete', path: '/cache', tag: 'Cache',
+        summary: 'Removes every entry from the reference cache',
+        description: ADMIN_DESCRIPTION,
+        responses: {204: {}, ...ADMIN_RESPONSES},
+    },
+    ...['get', 'post'].map((method) => ({
+        method, path: '/health/structure', tag: 'Health',
+        summary: 'Checks that the meeting page still has the structure the extractors expect',
+        description: 'Checks the live page of the requested week, or the `html` of the body when one is supplied.',
+        parameters: WEEK_PARAMETERS,
+        ...(method === 'post' && {requestBody: {type: 'StructureHealthRequest', required: false}}),
+        responses: {200: {[JSON_TYPE]: 'StructureHealthResponse'}, 503: {[JSON_TYPE]: 'StructureHealthResponse'}},
+    })),
+    {
+        method: 'get', path: '/selector-profile', tag: 'Selector profile',
+        summary: 'Gets the selectors in use for a language',
+        parameters: ['lang'],
+        responses: {200: {[JSON_TYPE]: 'SelectorProfileResponse'}},
+    },
+    {
+        method: 'post', path: '/selector-profile/reload', tag: 'Selector profile',
+        summary: 'Reads the selector profile files again',
+        description: `When the files are not valid the profile in use is kept and 422 is returned. ${ADMIN_DESCRIPTION}`,
+        responses: {200: {[JSON_TYPE]: 'SelectorProfileReloadResponse'}, 422: {[JSON_TYPE]: 'ErrorResponse'}, ...ADMIN_RESPONSES},
+    },
+    {
+        method: 'get', path: '/openapi.json', tag: 'Docs',
+        summary: 'Gets this document',
+        responses: {200: {[JSON_TYPE]: 'Object'}},
+    },
+    {
+        method: 'get', path: '/docs', tag: 'Docs',
+        summary: 'Gets the documentation page of the API',
+        responses: {200: {'text/html': 'string'}},
+    },
+    {
+        method: 'get', path: '/ping', tag: 'Health',
+        summary: 'Checks that the server is up',
+        responses: {200: {'text/html': 'string'}},
+    },
+];
+
+const STATUS_DESCRIPTIONS = Object.freeze({
+    200: 'OK',
+    204: 'Done, nothing to return',
+    400: 'The request is not valid',
+    401: 'The admin token is missing or not valid',
+    403: 'Admin operations are disabled',
+    422: 'The selector profile files are not valid',
+    500: 'The request failed',
+    503: 'Some check failed',
+});
+
+let openApiDocument = null;
+// A failed build is kept too: the typedefs don't change while running, rebuilding on every request would only fail again.
+let openApiBuildError = null;
+
+/**
+ * @param {Object<string, string>} content - The JSDoc type of each media type.
+ * @param {TypedefSchemaBuilder} builder
+ * @param {string} where - For the error messages.
+ * @returns {Object<string, {schema: Object}>}
+ */
+function buildContent(content, builder, where) {
+    return Object.fromEntries(Object.entries(content).map(([mediaType, type]) => [
+        mediaType,
+        {schema: builder.typeToSchema(type, where)},
+    ]));
+}
+
+/**
+ * @param {OperationDefinition} definition
+ * @param {TypedefSchemaBuilder} builder
+ * @returns {Object} The OpenAPI operation object.
+ */
+function buildOperation({method, path, tag, summary, description, parameters = [], requestBody, responses}, builder) {
+    const where = `${method.toUpperCase()} ${path}`;
+    const allResponses = {
+        ...responses,
+        ...((parameters.length || requestBody) && {400: {[JSON_TYPE]: 'ErrorResponse'}}),
+        500: {[JSON_TYPE]: 'ErrorResponse'},
+    };
+    const operation = {
+        tags: [tag],
+        summary,
+        ...(description && {description}),
+        operationId: `${method}${path.replace(/[^a-zA-Z0-9]+(.)?/g, (_, next = '') => next.toUpperCase())}`,
+        parameters: parameters.map((name) => ({$ref: `#/components/parameters/${name}`})),
+        responses: Object.fromEntries(Object.entries(allResponses).map(([status, content]) => [status, {
+            description: STATUS_DESCRIPTIONS[status],
+            ...(Object.keys(content).length && {content: buildContent(content, builder, where)}),
+        }])),
+    };
+    if (requestBody) {
+        operation.requestBody = {
+            required: requestBody.required ?? true,
+            content: buildContent({[JSON_TYPE]: requestBody.type, [FORM_TYPE]: requestBody.type}, builder, where),
+        };
+    }
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI document of the API. The schemas are built from the typedefs of the source files,
+ * so documenting a property in the JSDoc is enough to document it in the API.
+ * @returns {Object}
+ * @throws {Error} If a typedef uses a type that can't be described.
+ */
+export function buildOpenApiDocument() {
+    const {name, version, description} = JSON.parse(readFileSync(PACKAGE_FILE, 'utf8'));
+    const builder = createTypedefSchemaBuilder(readTypedefs(TYPEDEF_DIRECTORIES));
+
+    const paths = {};
+    for (const definition of OPERATIONS) {
+        paths[definition.path] = {...paths[definition.path], [definition.method]: buildOperation(definition, builder)};
+    }
+    const document = {
+        openapi: '3.1.0',
+        info: {
+            title: name,
+            version,
+            description: description || 'Extracts the program of the Life and Ministry Meeting Workbook from the WOL website.',
+        },
+        tags: [...new Set(OPERATIONS.map((operation) => operation.tag))].map((tag) => ({name: tag})),
+        paths,
+        components: {
+            parameters: Object.fromEntries(Object.entries(PARAMETERS).map(([parameter, definition]) => [
+                parameter,
+                {name: parameter, in: 'query', required: false, ...definition},
+            ])),
+            schemas: builder.getSchemas(),
+        },
+    };
+    log.info(`Built the OpenAPI document with [${OPERATIONS.length}] operations and [${Object.keys(document.components.schemas).length}] schemas`);
+    return document;
+}
+
+/**
+ * Gets the OpenAPI document, building it on first use. The app builds it on startup, so a broken typedef fails there.
+ * @returns {Object}
+ * @throws {Error} If the document can't be built, the same error on every call.
+ */
+export function getOpenApiDocument() {
+    if (openApiBuildError) {
+        throw openApiBuildError;
+    }
+    try {
+        openApiDocument ??= buildOpenApiDocument();
+    } catch (error) {
+        log.error(`Unable to build the OpenAPI document: ${error.message}`);
+        openApiBuildError = error;
+        throw error;
+    }
+    return openApiDocument;
+}
+
+/**
+ * Finds the operation of a request.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path of the request, without the query.
+ * @returns {Object | null} The OpenAPI operation object, or null when the document doesn't list it.
+ */
+export function findOperation(method, path) {
+    const normalizedPath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+    return getOpenApiDocument().paths[normalizedPath]?.[method.toLowerCase()] ?? null;
+}
+
+/**
+ * Validates a request body against the schema of its operation. Extra fields are allowed.
+ * @param {Object} operation - As returned by {@link findOperation}.
+ * @param {any} body
+ * @returns {string[]} What is wrong with the body, empty when it's valid or the operation takes none.
+ */
+export function validateRequestBody(operation, body) {
+    const schema = operation.requestBody?.content[JSON_TYPE].schema;
+    if (!schema) {
+        return [];
+    }
+    return validateAgainstSchema(body ?? {}, schema, {schemas: getOpenApiDocument().components.schemas, path: 'body'});
+}
+
+/**
+ * Validates a JSON response body against the schema of its operation and status.
+ * Undocumented properties are reported, so the typedefs follow the data the API returns.
+ * @param {Object} operation - As returned by {@link findOperation}.
+ * @param {number} status
+ * @param {any} body
+ * @returns {string[]} What is wrong with the body, empty when it's valid or the document declares no JSON for the status.
+ */
+export function validateResponseBody(operation, status, body) {
+    const schema = operation.responses[status]?.content?.[JSON_TYPE]?.schema;
+    if (!schema) {
+        return [];
+    }
+    return validateAgainstSchema(body, schema, {schemas: getOpenApiDocument().components.schemas, strict: true, path: 'response'});
+}
@@ -12,7 +12,8 @@ import {
     fetchAnchorData,
     fetchAnchorReferenceData,
     fetchAndParseAnchorReferenceOrThrow,
-    isJsonContentAcceptableForReferenceExtraction
+    isJsonContentAcceptableForReferenceExtraction,
+    parseWolHref,
 } from "./support/tooltip_data_retriever.mjs";
 import CONSTANTS from "../core/constants.mjs";
 import {
@@ -22,7 +23,12 @@ import {
     buildChristianLivingSelections,
     buildRelevantProgramGroupSelections,
 } from "./support/pub_mwb_program_selection_groups.mjs";
-import {parsePubSjj} from "./support/reference_text_parser.mjs";
+import {parseParagraphRange, parsePubSjj, parseStudyLesson, parseStudyMaterial} from "./support/reference_text_parser.mjs";
+import {DEFAULT_LANGUAGE_CODE, getLanguageOrThrow} from "../core/languages.mjs";
+import {getSelectorProfile} from "../core/selector_profile.mjs";
+import {parseWeekDateSpanText} from "./support/week_dates.mjs";
+import {parseScriptureReferences} from "./support/scripture_references.mjs";
+import {getTextNodes, renderRichText, TEXT_FORMATS, toAbsoluteWolUrl} from "./support/rich_text.mjs";
 
 const log = logger.child(logger.bindings());
 
@@ -32,7 +38,14 @@ const log = logger.child(logger.bindings());
  * @property {string} [html] - The raw HTML string to be parsed. If provided, it will be used to create a Cheerio object.
  * @property {Cheerio} [selection] - A specific Cheerio selection (a subset of the DOM) to be used directly for extraction.
  *                                           If provided, this takes precedence over `html` and `cheerioObj`.
- * @property {function(ReturnType<cheerio.load>): Cheerio} [selectionBuilder] - A function that takes a Cheerio object and builds the expected selection.
+ * @property {function(ReturnType<cheerio.load>, SelectorSet): Cheerio} [selectionBuilder] - A function that takes a Cheerio object and
+ *                                           the selectors in use and builds the expected selection.
+ * @property {string} [lang] - The language code of the document, defaults to the default language.
+ * @property {CalendarDate} [referenceDate] - A date within or close to the document's week, used to infer years. Defaults to today.
+ * @property {AbortSignal} [signal] - Cancels the reference data requests when aborted.
+ * @property {SelectorProfile} [selectorProfile] - The selectors to use, defaults to the profile in use for the language.
+ * @property {string} [textFormat] - One of {@link TEXT_FORMATS} for the contents of the parts and their references,
+ *      defaults to plain text.
  */
 
 /**
@@ -41,7 +54,21 @@ const log = logger.child(logger.bindings());
  * @returns {ExtractionInput} The input object with the default values filled in.
  * @throws {Error} If something is wrong with the input.
  */
-export function processExtractionInput({$, html, selection, selectionBuilder}) {
+export function processExtractionInput({$, html, selection, selectionBuilder, lang = DEFAULT_LANGUAGE_CODE, referenceDate, signal, selectorProfile, textFormat = TEXT_FORMATS.TEXT}) {
+    // Fail early on languages we don't know how to parse
+    getLanguageOrThrow(lang);
+
+    if (!Object.values(TEXT_FORMATS).includes(textFormat)) {
+        const msg = `Unknown text format [${textFormat}], expected one of [${Object.values(TEXT_FORMATS).join(', ')}]`;
+        log.error(msg);
+        throw new Error(msg);
+    }
+
+    // Every extraction sticks to one profile, even if it is reloaded meanwhile
+    if (!selectorProfile) {
+        selectorProfile = getSelectorProfile(lang);
+    }
+
     // Either a cheerio object or HTML string must be provided
     if (!$ && !html) {
         const msg = 'No HTML or Cheerio object provided';
@@ -56,11 +83,70 @@ export function processExtractionInput({$, html, selection, selectionBuilder}) {
 
     // If there is no selection, we build it if there is a selection builder
     if (!selection && selectionBuilder) {
-        selection = selectionBuilder($);
+        selection = selectionBuilder($, selectorProfile.selectors);
     }
 
     // Put together an object with all values together for usage
-    return {$, html, selection};
+    return {$, html, selection, lang, referenceDate, signal, selectorProfile, textFormat};
+}
+
+// Markers the tooltips put in the text that mean nothing out of WOL: footnote links and paragraph numbers, and in the
+// Bible the cross reference links (elsewhere those are the scriptures cited).
+const REFERENCE_CONTENT_NOISE = 'a.fn, .parNum';
+const BIBLE_CONTENT_NOISE = `${REFERENCE_CONTENT_NOISE}, a.b`;
+
+/**
+ * @param {PublicationRefData} refData
+ * @param {string} textFormat - One of {@link TEXT_FORMATS}.
+ * @returns {string} The contents of the reference in the requested format, the parsed text for plain text.
+ */
+function formatReferenceContents(refData, textFormat) {
+    if (textFormat === TEXT_FORMATS.TEXT) {
+        return refData.parsedContent;
+    }
+    const $ = cheerio.load(refData.content);
+    $(refData.isPubNwtsty ? BIBLE_CONTENT_NOISE : REFERENCE_CONTENT_NOISE).remove();
+    return renderRichText($('body').contents(), textFormat);
+}
+
+/**
+ * The element version of `takeOutTimeBoxText`, for the formats that keep the markup.
+ * @param {Cheerio} $el - The element that starts with the time box, e.g. "(3 mins.) DE CASA EN CASA...".
+ * @returns {Cheerio} A copy of the element without the time box.
+ */
+function takeOutTimeBoxFromElement($el) {
+    const $copy = $el.clone();
+    const [firstText] = $copy.toArray().flatMap(getTextNodes).filter((node) => node.data.trim());
+    if (firstText?.data.includes(')')) {
+        firstText.data = firstText.data.slice(firstText.data.indexOf(')') + 1).trimStart();
+    }
+    return $copy;
+}
+
+/**
+ * Removes everything from the first time a character shows up in the text of the element, like the study point of a
+ * student task ("... conversación”. (lmd lección 1 punto 3).").
+ * @param {ReturnType<cheerio.load>} $
+ * @param {Cheerio} $el - The element to cut, it is changed in place.
+ * @param {string} character
+ * @returns {Cheerio} The element.
+ */
+function cutElementAtCharacter($, $el, character) {
+    let isCut = false;
+    const cut = (node) => {
+        for (const child of [...(node.children ?? [])]) {
+            if (isCut) {
+                $(child).remove();
+            } else if (child.type === 'text' && child.data.includes(character)) {
+                child.data = child.data.slice(0, child.data.indexOf(character)).trimEnd();
+                isCut = true;
+            } else {
+                cut(child);
+            }
+        }
+    };
+    $el.toArray().forEach(cut);
+    return $el;
 }
 
 /**
@@ -71,13 +157,27 @@ export function processExtractionInput({$, html, selection, selectionBuilder}) {
  */
 export function extractWeekDateSpan(input) {
     log.info("Starting to extract week date span");
-    const {$} = processExtractionInput(input);
-    const $el = getCheerioSelectionOrThrow($, '#p1');
+    const {$, selectorProfile} = processExtractionInput(input);
+    const $el = getCheerioSelectionOrThrow($, selectorProfile.selectors.weekDateSpan);
     const result = $el.text().toLowerCase();
     log.info(`Extracted week date span: [${result}]`);
     return result;
 }
 
+/**
+ * Extracts the week date span from the given input and parses it into real dates.
+ * @param {ExtractionInput} input The input object necessary values for correct extraction.
+ * @returns {WeekDateSpanData} The extracted data, including the raw text.
+ * @throws {Error} If the extraction fails.
+ */
+export function extractWeekDateSpanData(input) {
+    const {lang, referenceDate} = processExtractionInput(input);
+    const text = extractWeekDateSpan(input);
+    const result = parseWeekDateSpanText(text, getLanguageOrThrow(lang), referenceDate);
+    log.info(`Extracted week date span data: [${JSON.stringify(result)}]`);
+    return result;
+}
+
 /**
  * @typedef {Object} SongData
  * @property {number} songNumber - The song number.
@@ -91,8 +191,8 @@ export function extractWeekDateSpan(input) {
  * @throws {Error} If the extraction fails.
  */
 export function extractSongData(input) {
-    input.selectionBuilder = ($) => getAndValidateSongSelections($).songs;
-    const {$, selection: $songsSelection} = processExtractionInput(input);
+    input.selectionBuilder = ($, selectors) => getAndValidateSongSelections($, selectors).songs;
+    const {$, selection: $songsSelection, lang, signal} = processExtractionInput(input);
     const $songAnchors = $songsSelection.map((_, anchor) => $(anchor).find('a'));
     if ($songAnchors.length !== 3) {
         const msg = `Expected 3 song anchors, found [${$songAnchors.length}]. The document structure may have changed.`;
@@ -112,7 +212,7 @@ export function extractSongData(input) {
 
         const songNumberNumber = parseInt(songNumber[0], 10);
 
-        const [err, songRefData] = await fetchAnchorData($anchor);
+        const [err, songRefData] = await fetchAnchorData($anchor, {lang, signal});
         if (err) {
             throw err;
         }
@@ -151,8 +251,7 @@ export function extractSongData(input) {
  */
 export async function extractWeeklyBibleRead(input) {
     function extractBookNameFromTooltipCaption(caption) {
-        const pattern = /^(.*?)(?=\d+:)/;
-        const match = caption.match(pattern);
+        const match = caption.match(language.bookNamePattern);
 
         if (match) {
             return match[1].trim();
@@ -162,8 +261,9 @@ export async function extractWeeklyBibleRead(input) {
     }
 
     log.info("Starting to extract Bible read data");
-    const {$} = processExtractionInput(input);
-    const $anchorSelection = getCheerioSelectionOrThrow($, '#p2 a');
+    const {$, lang, signal, selectorProfile} = processExtractionInput(input);
+    const language = getLanguageOrThrow(lang);
+    const $anchorSelection = getCheerioSelectionOrThrow($, selectorProfile.selectors.weeklyBibleReadLinks);
 
     const result = {
         bookName: "",
@@ -179,7 +279,7 @@ export async function extractWeeklyBibleRead(input) {
         const anchorRefExtractionData = buildAnchorRefExtractionData($anchor);
         log.debug(`Processing anchor at index [${i}], anchorRefExtractionData: [${JSON.stringify(anchorRefExtractionData)}]`);
 
-        const [err, json] = await fetchAnchorReferenceData(anchorRefExtractionData);
+        const [err, json] = await fetchAnchorReferenceData(anchorRefExtractionData, {lang, signal});
         if (err) {
             throw err;
         }
@@ -213,12 +313,12 @@ export async function extractWeeklyBibleRead(input) {
         log.debug(`Updated chapters: firstChapter=[${result.firstChapter}], lastChapter=[${result.lastChapter}]`);
     }
 
-    const languageCode = buildAnchorRefExtractionData($anchorSelection.eq(0)).sourceHref.slice(0, 3);
+    const {languagePath} = buildAnchorRefExtractionData($anchorSelection.eq(0));
     for (let chapter = result.firstChapter; chapter <= result.lastChapter; chapter++) {
         const urlPathParts = urlPathForLinks.split('/');
         urlPathParts[urlPathParts.length - 1] = chapter;
         let joinedUrlPath = urlPathParts.join('/');
-        result.links.push(`${CONSTANTS.BASE_URL}${languageCode}${joinedUrlPath}`);
+        result.links.push(`${CONSTANTS.BASE_URL}${languagePath}${joinedUrlPath}`);
     }
 
     log.info(`Extracted Bible read data: [${JSON.stringify(result)}]`);
@@ -251,19 +351,21 @@ function parseSectionHeadlineDataFromElement($element) {
 /**
  * Finds and extracts the time box number from the given selection.
  * @param {Cheerio} $selection
+ * @param {LanguageDefinition} language - The language of the document.
+ * @param {SelectorSet} selectors - The selectors in use.
  * @returns {number}
  * @throws {Error} If time box is not found.
  */
-function getTimeBoxFromElement($selection) {
+function getTimeBoxFromElement($selection, language, selectors) {
     log.info("Extracting time box from element");
-    const msg = `No selection found for selector [${CONSTANTS.LINE_WITH_TIME_BOX_CSS_SELECTOR}]`;
-    let $lineWithTimeBox = $selection.find(CONSTANTS.LINE_WITH_TIME_BOX_CSS_SELECTOR);
+    const msg = `No selection found for selector [${selectors.timeBoxLine}]`;
+    let $lineWithTimeBox = $selection.find(selectors.timeBoxLine);
     if (!$lineWithTimeBox.length) {
         log.error(msg);
         throw new Error(msg);
     }
 
-    const timeMatch = cleanText($lineWithTimeBox.text()).match(/\((\d+)\s*\S*?\.\)/);
+    const timeMatch = cleanText($lineWithTimeBox.text()).match(language.timeBoxPattern);
     if (timeMatch) {
         const timeBox = parseInt(timeMatch[1], 10);
         log.info(`Extracted time box: [${timeBox}] minutes`);
@@ -278,6 +380,7 @@ function getTimeBoxFromElement($selection) {
  * @typedef {Object} TalkPoint
  * @property {string} text - The main text associated with the point.
  * @property {number[]} footnotes - An array of numerically unique integers referencing footnotes.
+ * @property {ScriptureRange[]} scriptureReferences - The scripture references cited in the text.
  */
 
 /**
@@ -287,6 +390,8 @@ function getTimeBoxFromElement($selection) {
  * @property {string} heading - The heading for the section.
  * @property {TalkPoint[]} points - An array of points, each containing text and associated footnotes.
  * @property {Object<number, string>} footnotes - An object containing footnotes indexed by a numerically unique key.
+ * @property {Object<number, PublicationStructure>} structuredFootnotes - The title, subheadings, numbered paragraphs and
+ *      image captions of each footnote, by the same key.
  */
 
 /**
@@ -298,29 +403,33 @@ function getTimeBoxFromElement($selection) {
 export async function extractTreasuresTalk(input) {
     log.info("Extracting treasures talk data");
 
-    input.selectionBuilder = ($) => buildGodsTreasuresSelections($).treasuresTalk;
-    const {selection: $treasuresTalkSelection} = processExtractionInput(input);
-    const headlineData = parseSectionHeadlineDataFromElement($treasuresTalkSelection.find(CONSTANTS.LINE_WITH_SECTION_NUMBER_CSS_SELECTOR));
+    input.selectionBuilder = ($, selectors) => buildGodsTreasuresSelections($, selectors).treasuresTalk;
+    const {selection: $treasuresTalkSelection, lang, signal, selectorProfile: {selectors}, textFormat} = processExtractionInput(input);
+    const language = getLanguageOrThrow(lang);
+    const headlineData = parseSectionHeadlineDataFromElement($treasuresTalkSelection.find(selectors.sectionNumberLine));
 
     const result = {
         sectionNumber: headlineData.number,
-        timeBox: getTimeBoxFromElement($treasuresTalkSelection),
+        timeBox: getTimeBoxFromElement($treasuresTalkSelection, language, selectors),
         heading: headlineData.headline,
         points: [],
         footnotes: {},
+        structuredFootnotes: {},
     };
 
-    const $points = $treasuresTalkSelection.find(`> div > p`);
+    const $points = $treasuresTalkSelection.find(selectors.talkPoints);
     log.debug(`Found [${$points.length}] points in the talk`);
 
     let footnoteKey = 0;
     for (let i = 0; i < $points.length; i++) {
         const $point = $points.eq(i);
+        let pointText = cleanText($point.text());
+        const $formattedPoint = textFormat === TEXT_FORMATS.TEXT ? null : $point.clone();
         const talkPoint = {
             text: '',
             footnotes: [],
+            scriptureReferences: parseScriptureReferences(pointText, lang),
         };
-        let pointText = cleanText($point.text());
         const $references = $point.find(`a`);
 
         log.debug(`Processing point [${i + 1}] with [${$references.length}] references`);
@@ -329,16 +438,18 @@ export async function extractTreasuresTalk(input) {
             const $ref = $references.eq(j);
             const refText = cleanText($ref.text());
             pointText = pointText.replace(refText, `${refText}[^${++footnoteKey}]`);
-            const [err, refData] = await fetchAndParseAnchorReferenceOrThrow($ref);
+            $formattedPoint?.find('a').eq(j).after(`[^${footnoteKey}]`);
+            const [err, refData] = await fetchAndParseAnchorReferenceOrThrow($ref, {lang, signal});
             if (err) {
                 throw err;
             }
-            result.footnotes[footnoteKey] = refData.parsedContent;
+            result.footnotes[footnoteKey] = formatReferenceContents(refData, textFormat);
+            result.structuredFootnotes[footnoteKey] = refData.structuredContent;
             talkPoint.footnotes.push(footnoteKey);
             log.debug(`Added footnote [${footnoteKey}] for reference: [${refText}]`);
         }
 
-        talkPoint.text = pointText;
+        talkPoint.text = $formattedPoint ? renderRichText($formattedPoint.contents(), textFormat) : pointText;
         result.points.push(talkPoint);
         log.debug(`Added talk point [${i + 1}]`);
     }
@@ -351,6 +462,8 @@ export async function extractTreasuresTalk(input) {
  * @typedef {Object} AnswerSource
  * @property {string} contents - The detailed content for the answer.
  * @property {string} mnemonic - The reference or mnemonic for the content.
+ * @property {PublicationStructure} structuredContent - The title, subheadings, numbered paragraphs and image captions
+ *      of the content, as parsed for its publication.
  */
 
 /**
@@ -359,13 +472,14 @@ export async function extractTreasuresTalk(input) {
  * @property {string} question - The printed question.
  * @property {string} scriptureContents - The scripture text associated with the question.
  * @property {string} scriptureMnemonic - The scripture reference or mnemonic.
+ * @property {ScriptureRange[]} scriptureReferences - The verses of `scriptureMnemonic`.
  */
 
 /**
  * @typedef {Object} SpiritualGemsData
  * @property {number} sectionNumber - The meeting section number.
  * @property {number} timeBox - The time box for the section.
- * @property {string} heading - The heading for the section.
+ * @property {string} headline - The headline for the section.
  * @property {PrintedQuestion} printedQuestionData - The printed question details, including answer sources and scripture references.
  * @property {string} openEndedQuestion - The open-ended question text.
  */
@@ -379,18 +493,20 @@ export async function extractTreasuresTalk(input) {
 export async function extractSpiritualGems(input) {
     log.info("Extracting spiritual gems data");
 
-    input.selectionBuilder = ($) => buildGodsTreasuresSelections($).spiritualGems;
-    const {selection: $spiritualGemsSelection} = processExtractionInput(input);
+    input.selectionBuilder = ($, selectors) => buildGodsTreasuresSelections($, selectors).spiritualGems;
+    const {selection: $spiritualGemsSelection, lang, signal, selectorProfile: {selectors}, textFormat} = processExtractionInput(input);
+    const language = getLanguageOrThrow(lang);
     const $content = $spiritualGemsSelection.eq(1);
 
     const printedQuestionData = {
         scriptureMnemonic: '',
+        scriptureReferences: [],
         scriptureContents: '',
         question: '',
         answerSources: [],
     };
 
-    const $scriptureAnchorSelection = $content.find(`a.b`);
+    const $scriptureAnchorSelection = $content.find(selectors.spiritualGemsScripture);
     if ($scriptureAnchorSelection.length !== 1) {
         const msg = `Unexpected number of elements for scripture anchor.`;
         log.error(msg);
@@ -398,11 +514,12 @@ export async function extractSpiritualGems(input) {
     }
 
     printedQuestionData.scriptureMnemonic = cleanText($scriptureAnchorSelection.text());
-    let [err, json] = await fetchAndParseAnchorReferenceOrThrow($scriptureAnchorSelection);
+    printedQuestionData.scriptureReferences = parseScriptureReferences(printedQuestionData.scriptureMnemonic, lang);
+    let [err, json] = await fetchAndParseAnchorReferenceOrThrow($scriptureAnchorSelection, {lang, signal});
     if (err) {
         throw err;
     }
-    printedQuestionData.scriptureContents = json.parsedContent;
+    printedQuestionData.scriptureContents = formatReferenceContents(json, textFormat);
 
     printedQuestionData.question = $scriptureAnchorSelection.parent()
         .contents()
@@ -419,13 +536,14 @@ export async function extractSpiritualGems(input) {
 
     for (let i = 0; i < $answerSelection.length; i++) {
         const $answer = $answerSelection.eq(i);
-        [err, json] = await fetchAndParseAnchorReferenceOrThrow($answer);
+        [err, json] = await fetchAndParseAnchorReferenceOrThrow($answer, {lang, signal});
         if (err) {
             throw err;
         }
         printedQuestionData.answerSources.push({
-            contents: json.parsedContent,
+            contents: formatReferenceContents(json, textFormat),
             mnemonic: cleanText($answer.text()),
+            structuredContent: json.structuredContent,
         });
         log.debug(`Added answer source [${i + 1}] for mnemonic [${printedQuestionData.answerSources[printedQuestionData.answerSources.length - 1].mnemonic}]`);
     }
@@ -433,10 +551,10 @@ export async function extractSpiritualGems(input) {
 
     const result = {
         sectionNumber: headlineData.number,
-        timeBox: getTimeBoxFromElement($content),
+        timeBox: getTimeBoxFromElement($content, language, selectors),
         headline: headlineData.headline,
         printedQuestionData,
-        openEndedQuestion: cleanText($content.find(`li.du-margin-top--8 p`).text()),
+        openEndedQuestion: cleanText($content.find(selectors.openEndedQuestion).text()),
     };
 
     log.info(`Extracted spiritual gems data`);
@@ -447,15 +565,44 @@ export async function extractSpiritualGems(input) {
  * @typedef {Object} StudyPoint
  * @property {string} contents - The content of the study point.
  * @property {string} mnemonic - The mnemonic or reference for the study point.
+ * @property {StudyLessonData | null} lesson - The lesson of the teaching brochure with its sections, and the point the
+ *      student works on, null when the reference isn't a lesson.
+ * @property {PublicationStructure} structuredContent - The title, subheadings, numbered paragraphs and image captions
+ *      of the study point.
  */
 
+/**
+ * Builds the study point of a part from its anchor and the reference data fetched for it.
+ * @param {Cheerio} $anchor - The anchor of the study point, e.g. "lmd lección 1 punto 3".
+ * @param {PublicationRefData} refData
+ * @param {string} lang
+ * @param {string} textFormat - One of {@link TEXT_FORMATS}, for the contents.
+ * @returns {StudyPoint}
+ */
+function buildStudyPoint($anchor, refData, lang, textFormat) {
+    const mnemonic = cleanText($anchor.text());
+    const lesson = parseStudyLesson(mnemonic, refData.content, {publicationTitle: refData.publicationTitle, lang});
+    if (!lesson) {
+        log.warn(`Study point [${mnemonic}] doesn't look like a lesson, only its text is available`);
+    }
+    return {
+        mnemonic,
+        contents: formatReferenceContents(refData, textFormat),
+        lesson,
+        structuredContent: refData.structuredContent,
+    };
+}
+
 /**
  * @typedef {Object} BibleReadData
  * @property {number} sectionNumber - The meeting section number.
  * @property {number} timeBox - The time box for the section.
  * @property {string} headline - The section headline.
  * @property {string} scriptureMnemonic - A mnemonic or reference for the scripture passage.
+ * @property {ScriptureRange[]} scriptureReferences - The verses of `scriptureMnemonic`.
  * @property {string} scriptureContents - The full text of the scripture passage.
+ * @property {PublicationStructure} scriptureStructuredContent - The scripture passage parsed with the parser of its
+ *      publication.
  * @property {StudyPoint} studyPoint - The details of the study point associated with the study lesson.
  */
 
@@ -468,20 +615,20 @@ export async function extractSpiritualGems(input) {
 export async function extractBibleRead(input) {
     log.info("Extracting Bible reading data");
 
-    input.selectionBuilder = ($) => buildGodsTreasuresSelections($).bibleRead;
-    const {selection: $bibleReadSelection} = processExtractionInput(input);
+    input.selectionBuilder = ($, selectors) => buildGodsTreasuresSelections($, selectors).bibleRead;
+    const {selection: $bibleReadSelection, lang, signal, selectorProfile: {selectors}, textFormat} = processExtractionInput(input);
+    const language = getLanguageOrThrow(lang);
     const $content = $bibleReadSelection.eq(1);
     const headlineData = parseSectionHeadlineDataFromElement($bibleReadSelection.eq(0));
     const result = {
         sectionNumber: headlineData.number,
-        timeBox: getTimeBoxFromElement($content),
+        timeBox: getTimeBoxFromElement($content, language, selectors),
         headline: headlineData.headline,
         scriptureMnemonic: '',
+        scriptureReferences: [],
         scriptureContents: '',
-        studyPoint: {
-            mnemonic: '',
-            contents: '',
-        },
+        scriptureStructuredContent: null,
+        studyPoint: null,
     };
 
     const $anchorSelection = $content.find(`a`);
@@ -493,18 +640,19 @@ export async function extractBibleRead(input) {
 
     const $scriptureAnchor = $anchorSelection.eq(0);
     const $studyPointAnchor = $anchorSelection.eq(1);
-    let [err, json] = await fetchAndParseAnchorReferenceOrThrow($scriptureAnchor);
+    let [err, json] = await fetchAndParseAnchorReferenceOrThrow($scriptureAnchor, {lang, signal});
     if (err) {
         throw err;
     }
     result.scriptureMnemonic = cleanText($scriptureAnchor.text());
-    result.scriptureContents = json.parsedContent;
-    result.studyPoint.mnemonic = cleanText($studyPointAnchor.text());
-    [err, json] = await fetchAndParseAnchorReferenceOrThrow($studyPointAnchor);
+    result.scriptureReferences = parseScriptureReferences(result.scriptureMnemonic, lang);
+    result.scriptureContents = formatReferenceContents(json, textFormat);
+    result.scriptureStructuredContent = json.structuredContent;
+    [err, json] = await fetchAndParseAnchorReferenceOrThrow($studyPointAnchor, {lang, signal});
     if (err) {
         throw err;
     }
-    result.studyPoint.contents = json.parsedContent;
+    result.studyPoint = buildStudyPoint($studyPointAnchor, json, lang, textFormat);
 
     log.info(`Extracted Bible reading data`);
     return result;
@@ -545,8 +693,7 @@ function buildHeadlineToContentGroups(fieldMinistry, $) {
  */
 export async function extractFieldMinistry(input) {
     function extractBetweenParentheses(text) {
-        const extractRegex = /\)\s*\s*(.*?)\s*(?=\s*\()/;
-        const match = text.match(extractRegex);
+        const match = text.match(language.studyPointContentsPattern);
         if (match) {
             return match[1];
         }
@@ -554,8 +701,9 @@ export async function extractFieldMinistry(input) {
     }
 
     log.info("Extracting field ministry data");
-    input.selectionBuilder = ($) => buildFieldMinistrySelections($).fieldMinistry;
-    const {$, selection: $fieldMinistrySelection} = processExtractionInput(input);
+    input.selectionBuilder = ($, selectors) => buildFieldMinistrySelections($, selectors).fieldMinistry;
+    const {$, selection: $fieldMinistrySelection, lang, signal, selectorProfile: {selectors}, textFormat} = processExtractionInput(input);
+    const language = getLanguageOrThrow(lang);
     const assignmentGroups = buildHeadlineToContentGroups($fieldMinistrySelection, $);
 
     const promises = assignmentGroups.map(async ({heading, contents: [assignmentContents]}) => {
@@ -563,9 +711,9 @@ export async function extractFieldMinistry(input) {
         const headlineData = parseSectionHeadlineDataFromElement(heading);
         const result = {
             sectionNumber: headlineData.number,
-            timeBox: getTimeBoxFromElement(assignmentContents),
+            timeBox: getTimeBoxFromElement(assignmentContents, language, selectors),
             // Student tasks have a time inside parentheses and a study point inside parentheses.
-            isStudentTask: /\(.*?\).*?\(.*?\)/.test(contentsText),
+            isStudentTask: language.studentTaskPattern.test(contentsText),
             headline: headlineData.headline,
             contents: takeOutTimeBoxText(contentsText),
             studyPoint: null,
@@ -573,6 +721,11 @@ export async function extractFieldMinistry(input) {
 
         log.debug(`Processing assignment: [${result.headline}], isStudentTask=[${result.isStudentTask}]`);
 
+        if (textFormat !== TEXT_FORMATS.TEXT) {
+            const $contents = takeOutTimeBoxFromElement(assignmentContents);
+            result.contents = renderRichText((result.isStudentTask ? cutElementAtCharacter($, $contents, '(') : $contents).contents(), textFormat);
+        }
+
         if (!result.isStudentTask) {
             log.info(`Extracted field ministry assignment`);
             return result;
@@ -584,15 +737,14 @@ export async function extractFieldMinistry(input) {
             log.error(msg);
             throw new Error(msg);
         }
-        const [err, json] = await fetchAndParseAnchorReferenceOrThrow($studyPointAnchor);
+        const [err, json] = await fetchAndParseAnchorReferenceOrThrow($studyPointAnchor, {lang, signal});
         if (err) {
             throw err;
         }
-        result.studyPoint = {
-            mnemonic: cleanText($studyPointAnchor.text()),
-            contents: json.parsedContent,
-        };
-        result.contents = extractBetweenParentheses(contentsText);
+        result.studyPoint = buildStudyPoint($studyPointAnchor, json, lang, textFormat);
+        if (textFormat === TEXT_FORMATS.TEXT) {
+            result.contents = extractBetweenParentheses(contentsText);
+        }
         log.debug(`Added study point`);
 
         log.info(`Extracted field ministry assignment`);
@@ -606,16 +758,17 @@ export async function extractFieldMinistry(input) {
  * @typedef {Object} ChristianLivingSectionData
  * @property {number} sectionNumber - The meeting section number.
  * @property {number} timeBox - The time box for the section.
+ * @property {string} headline - The headline of the part.
  * @property {string} contents - The content of the ministry task.
  */
 
 /**
- * Extracts the Christian Living section data from the given input.
- * @param {ExtractionInput} input The input object necessary values for correct extraction.
- * @returns {ChristianLivingSectionData[]} The extracted data.
- * @throws {Error} If the extraction fails.
+ * @param {ReturnType<cheerio.load>} $
+ * @param {Cheerio[]} contents - The elements of a Christian Living part, the first one starting with the time box.
+ * @param {string} textFormat - One of {@link TEXT_FORMATS}.
+ * @returns {string} The contents of the part without the time box.
  */
-export function extractChristianLiving(input) {
+function formatChristianLivingContents($, contents, textFormat) {
     function polishElementText($el) {
         let result = $el.text();
         result = cleanText(result);
@@ -623,122 +776,440 @@ export function extractChristianLiving(input) {
         return result;
     }
 
+    if (textFormat === TEXT_FORMATS.TEXT) {
+        return takeOutTimeBoxText(contents.map(polishElementText).join('\n'));
+    }
+    return renderRichText($([takeOutTimeBoxFromElement(contents[0]), ...contents.slice(1)].flatMap(($el) => $el.toArray())), textFormat);
+}
+
+/**
+ * Extracts the Christian Living section data from the given input.
+ * The references of the parts are left as they are, see {@link extractChristianLivingWithReferences} to resolve them.
+ * @param {ExtractionInput} input The input object necessary values for correct extraction.
+ * @returns {ChristianLivingSectionData[]} The extracted data.
+ * @throws {Error} If the extraction fails.
+ */
+export function extractChristianLiving(input) {
     log.info("Extracting Christian Living section data");
-    input.selectionBuilder = ($) => buildChristianLivingSelections($).christianLiving
-    const {$, selection: $christianLivingSelection} = processExtractionInput(input);
+    input.selectionBuilder = ($, selectors) => buildChristianLivingSelections($, selectors).christianLiving
+    const {$, selection: $christianLivingSelection, lang, selectorProfile: {selectors}, textFormat} = processExtractionInput(input);
+    const language = getLanguageOrThrow(lang);
     const sectionGroups = buildHeadlineToContentGroups($christianLivingSelection, $);
 
     return sectionGroups.map(({heading, contents}) => {
         const headlineData = parseSectionHeadlineDataFromElement(heading);
         const result = {
             sectionNumber: headlineData.number,
-            timeBox: getTimeBoxFromElement(contents[0]),
+            timeBox: getTimeBoxFromElement(contents[0], language, selectors),
             headline: headlineData.headline,
-            contents: takeOutTimeBoxText(contents.map(polishElementText).join('\n')),
+            contents: formatChristianLivingContents($, contents, textFormat),
         };
         log.info(`Extracted Christian Living section`);
         return result;
     });
 }
 
+/**
+ * @typedef {Object} ChristianLivingReference
+ * @property {string | null} footnote - The key of the reference in `footnotes`, the contents mark it as `[^key]` right
+ *      after the linked text. Keys are `<section number>.<n>` (e.g. `7.1`), so they never clash with the treasures talk
+ *      ones. Null when the link isn't to WOL (e.g. a video on jw.org), those have no tooltip to resolve.
+ * @property {string} mnemonic - The linked text, e.g. "Is 40:29-31".
+ * @property {string | null} url - The absolute URL the link points to, null when it has none.
+ * @property {string | null} contents - The text of the reference, fetched from its tooltip, null when the link isn't to WOL.
+ * @property {ScriptureRange[]} scriptureReferences - The verses of `mnemonic`, empty when it isn't a scripture.
+ * @property {StudyLessonData | null} lesson - The lesson when the link is a study point, null otherwise.
+ */
+
+/**
+ * @typedef {ChristianLivingSectionData} ChristianLivingPartData
+ * @property {ChristianLivingReference[]} references - The scriptures, publications, study points and other pages the part
+ *      links to.
+ * @property {Object<string, string>} footnotes - The contents of each reference by its footnote key.
+ */
+
+/**
+ * Extracts the Christian Living section data like {@link extractChristianLiving}, and resolves the references the
+ * parts link to through their tooltips, like the treasures talk does: each one becomes a footnote and the contents
+ * mark where it's cited. Links out of WOL are listed as references too, but have no tooltip to resolve.
+ * @param {ExtractionInput} input The input object necessary values for correct extraction.
+ * @returns {Promise<ChristianLivingPartData[]>} The extracted data.
+ * @throws {Error} If the extraction fails, or a reference can't be fetched or parsed.
+ */
+export async function extractChristianLivingWithReferences(input) {
+    log.info("Extracting Christian Living section data with its references");
+    input.selectionBuilder = ($, selectors) => buildChristianLivingSelections($, selectors).christianLiving
+    const {$, selection: $christianLivingSelection, lang, signal, selectorProfile: {selectors}, textFormat} = processExtractionInput(input);
+    const language = getLanguageOrThrow(lang);
+    const sectionGroups = buildHeadlineToContentGroups($christianLivingSelection, $);
+
+    const promises = sectionGroups.map(async ({heading, contents}) => {
+        const headlineData = parseSectionHeadlineDataFromElement(heading);
+        // The markers go into copies, the page may still be read by the other extractors.
+        const $copies = contents.map(($el) => $el.clone());
+        let footnoteCount = 0;
+        const anchors = $copies.flatMap(($copy) => $copy.find('a:not(.fn)').toArray()).map((anchor) => {
+            const $anchor = $(anchor);
+            if (!parseWolHref($anchor.attr('href'))) {
+                return {$anchor, footnote: null};
+            }
+            const footnote = `${headlineData.number}.${++footnoteCount}`;
+            $anchor.after(`[^${footnote}]`);
+            return {$anchor, footnote};
+        });
+        log.debug(`Processing Christian Living part [${headlineData.headline}] with [${anchors.length}] references, [${footnoteCount}] of them to WOL`);
+
+        const references = await Promise.all(anchors.map(async ({$anchor, footnote}) => {
+            const mnemonic = cleanText($anchor.text());
+            const reference = {
+                footnote,
+                mnemonic,
+                url: toAbsoluteWolUrl($anchor.attr('href')),
+                contents: null,
+                scriptureReferences: parseScriptureReferences(mnemonic, lang),
+                lesson: null,
+            };
+            if (!footnote) {
+                return reference;
+            }
+            const [err, refData] = await fetchAndParseAnchorReferenceOrThrow($anchor, {lang, signal});
+            if (err) {
+                throw err;
+            }
+            reference.contents = formatReferenceContents(refData, textFormat);
+            reference.lesson = parseStudyLesson(mnemonic, refData.content, {publicationTitle: refData.publicationTitle, lang});
+            return reference;
+        }));
+
+        const result = {
+            sectionNumber: headlineData.number,
+            timeBox: getTimeBoxFromElement(contents[0], language, selectors),
+            headline: headlineData.headline,
+            contents: formatChristianLivingContents($, $copies, textFormat),
+            references,
+            footnotes: Object.fromEntries(references.filter(({footnote}) => footnote).map(({footnote, contents}) => [footnote, contents])),
+        };
+        log.info(`Extracted Christian Living section with [${references.length}] references`);
+        return result;
+    });
+
+    return Promise.all(promises);
+}
+
 /**
  * @typedef {Object} CongregationBibleStudyData
  * @property {number} sectionNumber - The meeting section number.
  * @property {number} timeBox - The time box for the section.
  * @property {string} headline - The headline of the section.
  * @property {string} contents - The content of the ministry task.
- * @property {string[]} references - The references to be covered during the study.
+ * @property {string[]} references - The WOL URLs of the material to be covered during the study.
+ * @property {ScriptureRange[]} scriptureReferences - The scripture references cited in the contents, usually none.
  */
 
 /**
- * Extracts the Congregation Bible study data from the given input.
- * @param {ExtractionInput} input The input object necessary values for correct extraction.
- * @returns {CongregationBibleStudyData} The extracted data.
- * @throws {Error} If the extraction fails.
+ * @param {ExtractionInput} input - The input, processed.
+ * @returns {CongregationBibleStudyData}
  */
-export function extractBibleStudy(input) {
-    log.info("Extracting Bible study section data");
-    input.selectionBuilder = ($) => buildChristianLivingSelections($).bibleStudy;
-    const {$, selection: $bibleStudySelection} = processExtractionInput(input);
+function buildBibleStudyData({$, selection: $bibleStudySelection, lang, selectorProfile: {selectors}, textFormat}) {
+    const language = getLanguageOrThrow(lang);
     const headlineData = parseSectionHeadlineDataFromElement($bibleStudySelection.eq(0));
+    const contents = textFormat === TEXT_FORMATS.TEXT
+        ? cleanText(takeOutTimeBoxText($bibleStudySelection.eq(1).text()))
+        : renderRichText(takeOutTimeBoxFromElement($bibleStudySelection.eq(1)).contents(), textFormat);
 
-    const result = {
+    return {
         sectionNumber: headlineData.number,
-        timeBox: getTimeBoxFromElement($bibleStudySelection),
+        timeBox: getTimeBoxFromElement($bibleStudySelection, language, selectors),
         headline: headlineData.headline,
-        contents: cleanText(takeOutTimeBoxText($bibleStudySelection.eq(1).text())),
+        contents,
         references: $bibleStudySelection.eq(1)
             .find('a')
-            .map((i, el) => {
-                const $el = $(el);
-                return `${CONSTANTS.BASE_URL}${$el.attr('href')}`;
-            })
+            .map((i, el) => toAbsoluteWolUrl($(el).attr('href')))
             .get(),
+        scriptureReferences: parseScriptureReferences(cleanText($bibleStudySelection.eq(1).text()), lang),
     };
+}
+
+/**
+ * Extracts the Congregation Bible study data from the given input.
+ * The material is left as links, see {@link extractBibleStudyWithMaterial} to resolve it.
+ * @param {ExtractionInput} input The input object necessary values for correct extraction.
+ * @returns {CongregationBibleStudyData} The extracted data.
+ * @throws {Error} If the extraction fails.
+ */
+export function extractBibleStudy(input) {
+    log.info("Extracting Bible study section data");
+    input.selectionBuilder = ($, selectors) => buildChristianLivingSelections($, selectors).bibleStudy;
+    const result = buildBibleStudyData(processExtractionInput(input));
 
     log.info(`Extracted Bible study data`);
     return result;
 }
 
 /**
+ * @typedef {StudyMaterialData} BibleStudyMaterial
+ * @property {string} mnemonic - The reference of the chapter or lesson, e.g. "lfb lección 24".
+ * @property {string | null} url - The WOL URL of the chapter or lesson, null when the tooltip doesn't give it.
+ * @property {string} publicationTitle - The title of the book studied, empty when unknown.
+ */
+
+/**
+ * @typedef {CongregationBibleStudyData} BibleStudyWithMaterialData
+ * @property {BibleStudyMaterial[]} material - The chapters or lessons to study, with their paragraphs and questions.
+ */
+
+/**
+ * Extracts the Congregation Bible study data like {@link extractBibleStudy}, and resolves the material it links to
+ * through the tooltips: every chapter or lesson the link covers (e.g. "lfb lecciones 24, 25" gives two) with its
+ * paragraphs and study questions, only the ones assigned when the assignment gives a paragraph range (e.g. "párrs. 1-7").
+ * @param {ExtractionInput} input The input object necessary values for correct extraction.
+ * @returns {Promise<BibleStudyWithMaterialData>} The extracted data.
+ * @throws {Error} If the extraction fails, or the material can't be fetched.
+ */
+export async function extractBibleStudyWithMaterial(input) {
+    log.info("Extracting Bible study section data with its material");
+    input.selectionBuilder = ($, selectors) => buildChristianLivingSelections($, selectors).bibleStudy;
+    const processedInput = processExtractionInput(input);
+    const {$, selection: $bibleStudySelection, lang, signal, textFormat} = processedInput;
+    const result = buildBibleStudyData(processedInput);
+    const $anchors = $bibleStudySelection.eq(1).find('a');
+    const assignment = cleanText($bibleStudySelection.eq(1).text());
+
+    const promises = $anchors.toArray().map(async (anchor) => {
+        const $anchor = $(anchor);
+        const mnemonic = cleanText($anchor.text());
+        // The range may be out of the link, then it only tells which material it limits when there's a single link.
+        const paragraphRange = parseParagraphRange(mnemonic, lang) ?? ($anchors.length === 1 ? parseParagraphRange(assignment, lang) : null);
+        const [err, json] = await fetchAnchorData($anchor, {lang, signal});
+        if (err) {
+            throw err;
+        }
+        if (!Array.isArray(json?.items) || !json.items.length) {
+            const msg = `No study material found for [${mnemonic}]. The document structure may have changed.`;
+            log.error(msg);
+            throw new Error(msg);
+        }
+        log.debug(`Found [${json.items.length}] chapters or lessons for [${mnemonic}], paragraphs [${JSON.stringify(paragraphRange)}]`);
+        return json.items.map((item) => ({
+            mnemonic: cleanText(item.caption) || mnemonic,
+            url: toAbsoluteWolUrl(item.url),
+            publicationTitle: item.publicationTitle ?? '',
+            ...parseStudyMaterial(detectReferenceDataType({...item, articleClasses: item.articleClasses ?? ''}).publicationClass, item.content, item, {
+                // A range over several chapters or lessons can't tell which paragraphs of each are meant.
+                paragraphRange: json.items.length === 1 ? paragraphRange : null,
+                textFormat,
+            }),
+        }));
+    });
+    result.material = (await Promise.all(promises)).flat();
+
+    log.info(`Extracted Bible study data with [${result.material.length}] chapters or lessons`);
+    return result;
+}
+
+/**
+ * The ways the full week program can be extracted.
+ * - `strict`: any section that fails makes the whole extraction fail.
+ * - `lenient`: sections that fail are filled with `UNABLE_TO_FIND` and reported in `errors`.
+ */
+export const EXTRACTION_MODES = Object.freeze({
+    STRICT: 'strict',
+    LENIENT: 'lenient',
+});
+
+/**
+ * @typedef {string} UnableToFind - The `UNABLE_TO_FIND` marker, left in the sections a lenient extraction could not extract.
+ */
+
+/**
+ * @typedef {Object} SectionExtractionError
+ * @property {string} section - The name of the section that could not be extracted, as in {@link FullWeekProgramData}.
+ * @property {string} message - Why the extraction failed.
+ */
+
+/**
+ * The program of a week. In lenient mode the sections that could not be extracted hold {@link UnableToFind} instead.
  * @typedef {Object} FullWeekProgramData
  * @property {string} weekDateSpan - The date span of the week.
- * @property {WeeklyBibleReadData} weeklyBibleReadData - The bible read data.
- * @property {TreasuresTalkData} treasuresTalk - The treasures talk data.
- * @property {SpiritualGemsData} spiritualGems - The spiritual gems' data.
- * @property {BibleReadData} bibleRead - The bible reading data.
- * @property {FieldMinistryAssignmentData[]} fieldMinistry - The field ministry data.
- * @property {ChristianLivingSectionData[]} christianLiving - The christian living data.
- * @property {CongregationBibleStudyData} bibleStudy - The congregation bible study data.
+ * @property {WeekDateSpanData | UnableToFind} weekDateSpanData - The date span of the week with its parsed dates.
+ * @property {SongData | UnableToFind} startingSong - The song the meeting opens with.
+ * @property {WeeklyBibleReadData | UnableToFind} weeklyBibleReadData - The bible read data.
+ * @property {TreasuresTalkData | UnableToFind} treasuresTalk - The treasures talk data.
+ * @property {SpiritualGemsData | UnableToFind} spiritualGems - The spiritual gems' data.
+ * @property {BibleReadData | UnableToFind} bibleRead - The bible reading data.
+ * @property {FieldMinistryAssignmentData[] | UnableToFind} fieldMinistry - The field ministry data.
+ * @property {SongData | UnableToFind} middleSong - The song between the field ministry and the christian living sections.
+ * @property {ChristianLivingPartData[] | UnableToFind} christianLiving - The christian living data, with the references of each part.
+ * @property {BibleStudyWithMaterialData | UnableToFind} bibleStudy - The congregation bible study data, with the material to study.
+ * @property {SongData | UnableToFind} closingSong - The song the meeting closes with.
+ * @property {string} selectorProfileVersion - The version of the selector profile used for the extraction.
+ * @property {SectionExtractionError[]} [errors] - The sections that failed, only present in lenient mode.
+ */
+
+/**
+ * @typedef {Object} SectionProgress
+ * @property {string} section - The name of the extracted section, `songs` for the three songs together.
+ * @property {boolean} ok - Whether the section was extracted.
+ * @property {any} [data] - What the section extracted, only present when it was extracted.
+ * @property {string} [error] - Why the section failed, only present when it failed.
+ */
+
+/**
+ * @typedef {Object} FullWeekProgramOptions
+ * @property {string} [mode] - One of {@link EXTRACTION_MODES}, defaults to strict.
+ * @property {function(SectionProgress): void} [onProgress] - Called as soon as each section settles, in the order they
+ *      finish, e.g. to stream the sections to the client before the whole program is ready.
  */
 
+/**
+ * Reports a settled section, a failing listener is logged and doesn't affect the extraction.
+ * @param {function(SectionProgress): void | undefined} onProgress
+ * @param {SectionProgress} progress
+ */
+function reportProgress(onProgress, progress) {
+    if (!onProgress) {
+        return;
+    }
+    try {
+        onProgress(progress);
+    } catch (error) {
+        log.warn(`Progress listener failed for section [${progress.section}]: ${error.message}`);
+    }
+}
+
 /**
  * Extracts the full week program data from the given input.
- * @param {ExtractionInput} input The input object necessary values for correct extraction.
- * @returns {FullWeekProgramData} The extracted data.
- * @throws {Error} If the extraction fails.
+ * In lenient mode every section is extracted on its own, so one that fails doesn't take the others down.
+ * @param {ExtractionInput & FullWeekProgramOptions} input The input object necessary values for correct extraction.
+ * @returns {Promise<FullWeekProgramData>} The extracted data.
+ * @throws {Error} If the extraction fails, in lenient mode only when the input is wrong or the signal is aborted.
  */
-export async function extractFullWeekProgram(input) {
+export async function extractFullWeekProgram({mode = EXTRACTION_MODES.STRICT, onProgress, ...input}) {
+    if (!Object.values(EXTRACTION_MODES).includes(mode)) {
+        const msg = `Unknown extraction mode [${mode}], expected one of [${Object.values(EXTRACTION_MODES).join(', ')}]`;
+        log.error(msg);
+        throw new Error(msg);
+    }
 
-    log.info("Starting full week program extraction");
+    log.info(`Starting full week program extraction in [${mode}] mode`);
     const inputObj = processExtractionInput(input);
-    const {$} = inputObj;
-    const programGroups = buildRelevantProgramGroupSelections($);
-
-    const weekDateSpan = extractWeekDateSpan(inputObj);
-    const christianLiving = extractChristianLiving({$, selection: programGroups.christianLiving});
-    const bibleStudy = extractBibleStudy({$, selection: programGroups.bibleStudy});
-
-    const [
-        [startingSong, middleSong, closingSong],
-        weeklyBibleReadData,
-        treasuresTalk,
-        spiritualGems,
-        bibleRead,
-        fieldMinistry,
-    ] = await Promise.all([
-        extractSongData({$, selection: programGroups.songs}),
-        extractWeeklyBibleRead({$, selection: programGroups.bibleRead}),
-        extractTreasuresTalk({$, selection: programGroups.treasuresTalk}),
-        extractSpiritualGems({$, selection: programGroups.spiritualGems}),
-        extractBibleRead({$, selection: programGroups.bibleRead}),
-        extractFieldMinistry({$, selection: programGroups.fieldMinistry}),
-    ]);
+    const {$, lang, signal, selectorProfile, textFormat} = inputObj;
+    const isLenient = mode === EXTRACTION_MODES.LENIENT;
+
+    // Strict mode validates the whole document structure once, lenient mode lets every extractor build its own selection
+    const programGroups = isLenient ? {} : buildRelevantProgramGroupSelections($, selectorProfile.selectors);
+    // In strict mode the first section that fails cancels the requests of the others, the program is rejected anyway.
+    const siblingsController = new AbortController();
+    const sectionSignal = signal ? AbortSignal.any([signal, siblingsController.signal]) : siblingsController.signal;
+    const sectionInput = (group) => ({$, lang, signal: sectionSignal, selectorProfile, textFormat, selection: programGroups[group]});
+
+    // The sections that don't fetch anything go first: in strict mode one that fails rejects the program before
+    // any request is sent.
+    const synchronousSections = {
+        weekDateSpan: () => extractWeekDateSpan(inputObj),
+        weekDateSpanData: () => {
+            try {
+                return extractWeekDateSpanData(inputObj);
+            } catch (error) {
+                if (isLenient) {
+                    throw error;
+                }
+                // The parsed dates came after the raw text, a span they can't read doesn't reject the program.
+                log.warn(`Unable to parse the week date span, only the raw text is available: ${error.message}`);
+                return CONSTANTS.UNABLE_TO_FIND;
+            }
+        },
+    };
+    const synchronousSettled = Object.entries(synchronousSections).map(([name, extract]) => {
+        try {
+            const data = extract();
+            reportProgress(onProgress, {section: name, ok: true, data});
+            return {status: 'fulfilled', value: data};
+        } catch (error) {
+            reportProgress(onProgress, {section: name, ok: false, error: error.message});
+            if (!isLenient) {
+                throw error;
+            }
+            return {status: 'rejected', reason: error};
+        }
+    });
+
+    const sections = {
+        songs: () => extractSongData(sectionInput('songs')),
+        weeklyBibleReadData: () => extractWeeklyBibleRead(sectionInput('bibleRead')),
+        treasuresTalk: () => extractTreasuresTalk(sectionInput('treasuresTalk')),
+        spiritualGems: () => extractSpiritualGems(sectionInput('spiritualGems')),
+        bibleRead: () => extractBibleRead(sectionInput('bibleRead')),
+        fieldMinistry: () => extractFieldMinistry(sectionInput('fieldMinistry')),
+        christianLiving: () => extractChristianLivingWithReferences(sectionInput('christianLiving')),
+        bibleStudy: () => extractBibleStudyWithMaterial(sectionInput('bibleStudy')),
+    };
+
+    // The program is only rejected once every section has settled, after the failure cancelled the pending requests.
+    let failure = null;
+    const networkSettled = await Promise.allSettled(Object.keys(sections).map(async (name) => {
+        try {
+            const data = await sections[name]();
+            reportProgress(onProgress, {section: name, ok: true, data});
+            return data;
+        } catch (error) {
+            reportProgress(onProgress, {section: name, ok: false, error: error.message});
+            if (!isLenient && !failure) {
+                failure = error;
+                siblingsController.abort(error);
+            }
+            throw error;
+        }
+    }));
+    if (signal?.aborted) {
+        throw signal.reason;
+    }
+
+    if (failure) {
+        throw failure;
+    }
+
+    const names = [...Object.keys(synchronousSections), ...Object.keys(sections)];
+    const settled = [...synchronousSettled, ...networkSettled];
+
+    const values = {};
+    const errors = [];
+    settled.forEach(({status, value, reason}, index) => {
+        const name = names[index];
+        if (status === 'fulfilled') {
+            values[name] = value;
+            return;
+        }
+        log.warn(`Unable to extract section [${name}]: ${reason.message}`);
+        values[name] = CONSTANTS.UNABLE_TO_FIND;
+        errors.push({section: name, message: reason.message});
+    });
+
+    const [startingSong, middleSong, closingSong] = Array.isArray(values.songs)
+        ? values.songs
+        : Array(3).fill(CONSTANTS.UNABLE_TO_FIND);
 
     const result = {
-        weekDateSpan,
+        weekDateSpan: values.weekDateSpan,
+        weekDateSpanData: values.weekDateSpanData,
         startingSong: startingSong,
-        weeklyBibleReadData,
-        treasuresTalk,
-        spiritualGems,
-        bibleRead,
-        fieldMinistry,
+        weeklyBibleReadData: values.weeklyBibleReadData,
+        treasuresTalk: values.treasuresTalk,
+        spiritualGems: values.spiritualGems,
+        bibleRead: values.bibleRead,
+        fieldMinistry: values.fieldMinistry,
         middleSong: middleSong,
-        christianLiving,
-        bibleStudy,
+        christianLiving: values.christianLiving,
+        bibleStudy: values.bibleStudy,
         closingSong: closingSong,
+        selectorProfileVersion: selectorProfile.version,
     };
 
-    log.info("Successfully extracted full week program");
+    if (isLenient) {
+        result.errors = errors;
+        log.info(`Extracted full week program with [${errors.length}] failed sections`);
+    } else {
+        log.info("Successfully extracted full week program");
+    }
     return result;
 }
@@ -0,0 +1,248 @@
+import logger from "../../core/logger.mjs";
+import {addDays, getDefaultTimeZone, getZonedInstant, isValidTimeZone, parseIsoDate} from "../support/week_dates.mjs";
+import {buildMeetingTimeline, DEFAULT_MEETING_START_TIME, parseClockTime, TIMELINE_ITEM_KINDS} from "../meeting_timeline.mjs";
+
+const log = logger.child(logger.bindings());
+
+const PRODUCT_ID = '-//pub-mwb-parser//Midweek Meeting Program//EN';
+const UID_DOMAIN = 'pub-mwb-parser';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * @typedef {Object} MeetingSchedule
+ * @property {string} startTime - The time the meeting starts at, as `HH:MM` in 24-hour format.
+ * @property {string} timeZone - The IANA time zone of the congregation.
+ * @property {number} weekday - The ISO weekday of the meeting, from 1 (Monday) to 7 (Sunday).
+ * @property {boolean} includeParts - Whether to add one event per part besides the event for the whole meeting.
+ */
+
+/**
+ * @typedef {Object} CalendarRenderOptions
+ * @property {string} [lang] - The language of the program, used in the event identifiers.
+ * @property {Date} [now] - The instant the calendar is created at, mostly useful for testing.
+ */
+
+/**
+ * Validates the given schedule and fills in the missing values with the ones configured through
+ * PMP_MEETING_START_TIME, PMP_MEETING_TIMEZONE, PMP_MEETING_WEEKDAY and PMP_MEETING_INCLUDE_PARTS.
+ * @param {Partial<MeetingSchedule>} [schedule]
+ * @returns {MeetingSchedule}
+ * @throws {Error} If any value is not valid.
+ */
+export function resolveMeetingSchedule({startTime, timeZone, weekday, includeParts} = {}) {
+    const resolved = {
+        startTime: startTime || process.env.PMP_MEETING_START_TIME || DEFAULT_MEETING_START_TIME,
+        timeZone: timeZone || process.env.PMP_MEETING_TIMEZONE || getDefaultTimeZone(),
+        weekday: parseInt(weekday ?? process.env.PMP_MEETING_WEEKDAY ?? '3', 10),
+        includeParts: String(includeParts ?? process.env.PMP_MEETING_INCLUDE_PARTS ?? 'true') !== 'false',
+    };
+
+    parseClockTime(resolved.startTime);
+    if (!isValidTimeZone(resolved.timeZone)) {
+        throw new Error(`Invalid meeting time zone [${resolved.timeZone}]`);
+    }
+    if (!Number.isInteger(resolved.weekday) || resolved.weekday < 1 || resolved.weekday > 7) {
+        throw new Error(`Invalid meeting weekday [${weekday}], expected a number from 1 (Monday) to 7 (Sunday)`);
+    }
+    return resolved;
+}
+
+/**
+ * Escapes a TEXT value as described in RFC 5545 section 3.3.11.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line so no line is longer than 75 octets, as described in RFC 5545 section 3.1.
+ * Lines are only split between characters, never inside a multi-byte one.
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let chunkOctets = 0;
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        // Continuation lines start with a space, which takes one of their octets.
+        const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (chunkOctets + octets > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            chunkOctets = 0;
+        }
+        chunk += char;
+        chunkOctets += octets;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Formats an instant as an RFC 5545 UTC date-time (e.g. '20240904T010000Z').
+ * @param {Date} instant
+ * @returns {string}
+ */
+function formatUtcDateTime(instant) {
+    return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {SongData | undefined} song
+ * @returns {string | null} A line describing the song, or null when there is no song.
+ */
+function describeSong(song) {
+    if (!song?.songNumber) {
+        return null;
+    }
+    const {name, themeScripture} = song.songData ?? {};
+    return `♪ ${song.songNumber}${name ? ` ${name}` : ''}${themeScripture ? ` (${themeScripture})` : ''}`;
+}
+
+/**
+ * @typedef {Object} TimedPart
+ * @property {number} sectionNumber
+ * @property {string} title
+ * @property {string[]} details - Lines describing the part, like scripture mnemonics and study points.
+ * @property {number} startMinute - Minutes after the start of the meeting.
+ * @property {number} minutes - The time box of the part.
+ */
+
+/**
+ * Picks the parts of the meeting timeline and the lines that describe each of them.
+ * @param {FullWeekProgramData} program
+ * @param {MeetingTimeline} timeline
+ * @returns {TimedPart[]}
+ */
+function layOutParts(program, timeline) {
+    const studyPointOf = (section) => section.studyPoint?.mnemonic;
+    const {treasuresTalk, spiritualGems, bibleRead, bibleStudy} = program;
+    const detailsBySection = new Map([
+        [treasuresTalk.sectionNumber, []],
+        [spiritualGems.sectionNumber, [spiritualGems.printedQuestionData?.scriptureMnemonic]],
+        [bibleRead.sectionNumber, [bibleRead.scriptureMnemonic, studyPointOf(bibleRead)]],
+        ...program.fieldMinistry.map((part) => [part.sectionNumber, [part.contents, studyPointOf(part)]]),
+        // The footnote markers point to nothing in a calendar
+        ...program.christianLiving.map((part) => [part.sectionNumber, [part.contents.replace(/\[\^[\d.]+]/g, '')]]),
+        [bibleStudy.sectionNumber, [bibleStudy.contents]],
+    ]);
+
+    return timeline.items
+        .filter((item) => item.kind === TIMELINE_ITEM_KINDS.PART)
+        .map((item) => ({
+            sectionNumber: item.sectionNumber,
+            title: `${item.sectionNumber}. ${item.title}`,
+            details: (detailsBySection.get(item.sectionNumber) ?? []).filter(Boolean),
+            startMinute: item.startMinute,
+            minutes: item.minutes,
+        }));
+}
+
+/**
+ * @param {WeeklyBibleReadData} weeklyBibleReadData
+ * @returns {string} The book and chapters to read during the week (e.g. 'Isaías 40-41').
+ */
+function describeWeeklyBibleRead({bookName, firstChapter, lastChapter}) {
+    return firstChapter === lastChapter ? `${bookName} ${firstChapter}` : `${bookName} ${firstChapter}-${lastChapter}`;
+}
+
+/**
+ * @param {FullWeekProgramData} program
+ * @param {MeetingTimeline} timeline
+ * @param {TimedPart[]} parts
+ * @returns {string} The description of the whole meeting, one line per song and part.
+ */
+function describeMeeting(program, timeline, parts) {
+    const songs = [program.startingSong, program.middleSong, program.closingSong];
+    const partsBySection = new Map(parts.map((part) => [part.sectionNumber, part]));
+    let songIndex = 0;
+    return timeline.items.map((item) => {
+        if (item.kind === TIMELINE_ITEM_KINDS.SONG) {
+            return describeSong(songs[songIndex++]);
+        }
+        if (item.kind === TIMELINE_ITEM_KINDS.PART) {
+            const part = partsBySection.get(item.sectionNumber);
+            return `${part.title} (${part.minutes} min.)`;
+        }
+        return null;
+    }).filter(Boolean).join('\n');
+}
+
+/**
+ * Builds the content lines of one VEVENT.
+ * @param {{uid: string, stamp: string, start: Date, minutes: number, summary: string, description: string}} event
+ * @returns {string[]}
+ */
+function buildEventLines({uid, stamp, start, minutes, summary, description}) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatUtcDateTime(start)}`,
+        `DTEND:${formatUtcDateTime(new Date(start.getTime() + minutes * 60 * 1000))}`,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        'END:VEVENT',
+    ];
+}
+
+/**
+ * Renders the week program as an RFC 5545 calendar, with one event for the whole meeting and,
+ * optionally, one event for each part at the time the meeting timeline gives it.
+ * @param {FullWeekProgramData} program - The program, as returned by `extractFullWeekProgram`.
+ * @param {Partial<MeetingSchedule>} [schedule] - When and where the meeting takes place, see {@link resolveMeetingSchedule}.
+ * @param {CalendarRenderOptions} [options]
+ * @returns {string} The calendar, with CRLF line endings.
+ * @throws {Error} If the schedule is not valid.
+ */
+export function renderProgramCalendar(program, schedule = {}, {lang = '', now = new Date()} = {}) {
+    const {startTime, timeZone, weekday, includeParts} = resolveMeetingSchedule(schedule);
+    const meetingDate = addDays(parseIsoDate(program.weekDateSpanData.startDate), weekday - 1);
+    const meetingStart = getZonedInstant(meetingDate, parseClockTime(startTime), timeZone);
+    const stamp = formatUtcDateTime(now);
+    const uidPrefix = `${program.weekDateSpanData.startDate}${lang ? `-${lang}` : ''}`;
+    const timeline = buildMeetingTimeline(program, {startTime, lang: lang || undefined});
+    const parts = layOutParts(program, timeline);
+
+    log.debug(`Rendering calendar for week [${program.weekDateSpanData.startDate}] starting at [${meetingStart.toISOString()}]`);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...buildEventLines({
+            uid: `${uidPrefix}-meeting@${UID_DOMAIN}`,
+            stamp,
+            start: meetingStart,
+            minutes: timeline.totalMinutes,
+            summary: `${program.weekDateSpan} | ${describeWeeklyBibleRead(program.weeklyBibleReadData)}`,
+            description: describeMeeting(program, timeline, parts),
+        }),
+    ];
+
+    if (includeParts) {
+        for (const part of parts) {
+            lines.push(...buildEventLines({
+                uid: `${uidPrefix}-part-${part.sectionNumber}@${UID_DOMAIN}`,
+                stamp,
+                start: new Date(meetingStart.getTime() + part.startMinute * 60 * 1000),
+                minutes: part.minutes,
+                summary: part.title,
+                description: part.details.join('\n'),
+            }));
+        }
+    }
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,189 @@
+import logger from "../../core/logger.mjs";
+import {getLanguageOrThrow} from "../../core/languages.mjs";
+import CONSTANTS from "../../core/constants.mjs";
+import {escapeMarkdown} from "../support/rich_text.mjs";
+
+const log = logger.child(logger.bindings());
+
+/**
+ * @typedef {Object} MarkdownRenderOptions
+ * @property {string} [lang] - The language of the program, used for the labels the program data doesn't carry.
+ */
+
+/**
+ * @param {any} section
+ * @returns {boolean} Whether the section was extracted, lenient extractions leave `UNABLE_TO_FIND` in the ones that failed.
+ */
+function isFound(section) {
+    return Boolean(section) && section !== CONSTANTS.UNABLE_TO_FIND;
+}
+
+/**
+ * @param {number} timeBox
+ * @param {Object<string, string>} labels
+ * @returns {string} The time box as the workbook writes it (e.g. ' (10 mins.)'), or nothing when it's unknown.
+ */
+function formatTimeBox(timeBox, labels) {
+    if (!Number.isFinite(timeBox)) {
+        return '';
+    }
+    return ` (${timeBox} ${timeBox === 1 ? labels.minute : labels.minutes})`;
+}
+
+/**
+ * @param {SongData | undefined} song
+ * @param {Object<string, string>} labels
+ * @returns {string | null}
+ */
+function renderSong(song, labels) {
+    if (!isFound(song) || !song.songNumber) {
+        return null;
+    }
+    const {name, themeScripture} = song.songData ?? {};
+    const details = [name, themeScripture && `(${themeScripture})`].filter(Boolean).map(escapeMarkdown).join(' ');
+    return `**${labels.song} ${song.songNumber}**${details ? ` — ${details}` : ''}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text as a paragraph, keeping its line breaks.
+ */
+function paragraph(text) {
+    return escapeMarkdown(text).replace(/\n/g, '  \n');
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text as a block quote, keeping its line breaks.
+ */
+function quote(text) {
+    return text.split('\n').map((line) => `> ${escapeMarkdown(line)}`).join('\n');
+}
+
+/**
+ * @param {{sectionNumber: number, timeBox: number}} section
+ * @param {string} title
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function renderPartHeading(section, title, labels) {
+    return `### ${section.sectionNumber}. ${escapeMarkdown(title)}${formatTimeBox(section.timeBox, labels)}`;
+}
+
+/**
+ * @param {TreasuresTalkData} treasuresTalk
+ * @param {Object<string, string>} labels
+ * @returns {string[]}
+ */
+function renderTreasuresTalk(treasuresTalk, labels) {
+    return [
+        renderPartHeading(treasuresTalk, treasuresTalk.heading, labels),
+        treasuresTalk.points.map((point) => `- ${escapeMarkdown(point.text)}`).join('\n'),
+    ];
+}
+
+/**
+ * @param {SpiritualGemsData} spiritualGems
+ * @param {Object<string, string>} labels
+ * @returns {string[]}
+ */
+function renderSpiritualGems(spiritualGems, labels) {
+    const {scriptureMnemonic, scriptureContents, question, answerSources = []} = spiritualGems.printedQuestionData ?? {};
+    return [
+        renderPartHeading(spiritualGems, spiritualGems.headline, labels),
+        scriptureMnemonic && `**${escapeMarkdown(scriptureMnemonic)}**`,
+        scriptureContents && quote(scriptureContents),
+        question && `**${escapeMarkdown(question)}**`,
+        answerSources.length && answerSources
+            .map((source) => `- ${escapeMarkdown(source.contents)}${source.mnemonic ? ` — *${escapeMarkdown(source.mnemonic)}*` : ''}`)
+            .join('\n'),
+        spiritualGems.openEndedQuestion && `**${escapeMarkdown(spiritualGems.openEndedQuestion)}**`,
+    ];
+}
+
+/**
+ * @param {BibleReadData} bibleRead
+ * @param {Object<string, string>} labels
+ * @returns {string[]}
+ */
+function renderBibleRead(bibleRead, labels) {
+    return [
+        renderPartHeading(bibleRead, bibleRead.headline, labels),
+        bibleRead.scriptureMnemonic && `**${escapeMarkdown(bibleRead.scriptureMnemonic)}**`,
+        bibleRead.scriptureContents && quote(bibleRead.scriptureContents),
+        bibleRead.studyPoint?.mnemonic && `*${escapeMarkdown(bibleRead.studyPoint.mnemonic)}*`,
+        bibleRead.studyPoint?.contents && paragraph(bibleRead.studyPoint.contents),
+    ];
+}
+
+/**
+ * Renders a part made of a headline and its contents, like the field ministry and Christian living ones.
+ * @param {{sectionNumber: number, timeBox: number, headline: string, contents?: string, studyPoint?: {mnemonic: string}}} part
+ * @param {Object<string, string>} labels
+ * @returns {string[]}
+ */
+function renderContentsPart(part, labels) {
+    return [
+        renderPartHeading(part, part.headline, labels),
+        part.contents && paragraph(part.contents),
+        part.studyPoint?.mnemonic && `*${escapeMarkdown(part.studyPoint.mnemonic)}*`,
+    ];
+}
+
+/**
+ * Collects the footnote definitions of every section that has them.
+ * @param {FullWeekProgramData} program
+ * @returns {string[]} One `[^n]: text` line per footnote, in numeric order.
+ */
+function renderFootnotes(program) {
+    const sections = [program.treasuresTalk, ...(isFound(program.christianLiving) ? program.christianLiving : [])];
+    const footnotes = Object.assign({}, ...sections.map((section) => section?.footnotes ?? {}));
+    return Object.keys(footnotes)
+        .sort((a, b) => Number(a) - Number(b))
+        .map((key) => `[^${key}]: ${escapeMarkdown(footnotes[key])}`);
+}
+
+/**
+ * Renders the week program as a Markdown document, with the footnotes the treasures talk points refer to.
+ * Sections that could not be extracted are left out.
+ * @param {FullWeekProgramData} program - The program, as returned by `extractFullWeekProgram`.
+ * @param {MarkdownRenderOptions} [options]
+ * @returns {string}
+ * @throws {Error} If the language is not supported.
+ */
+export function renderProgramMarkdown(program, {lang} = {}) {
+    const {labels} = getLanguageOrThrow(lang);
+    const renderIfFound = (section, render) => (isFound(section) ? render(section, labels) : []);
+    const renderPartsIfFound = (parts) => (isFound(parts) ? parts.flatMap((part) => renderContentsPart(part, labels)) : []);
+    const footnotes = renderFootnotes(program);
+
+    let title = escapeMarkdown(isFound(program.weekDateSpan) ? program.weekDateSpan : CONSTANTS.UNABLE_TO_FIND);
+    let chapterLinks = [];
+    if (isFound(program.weeklyBibleReadData)) {
+        const {bookName, firstChapter, lastChapter, links = []} = program.weeklyBibleReadData;
+        const chapters = firstChapter === lastChapter ? `${firstChapter}` : `${firstChapter}-${lastChapter}`;
+        title += ` | ${escapeMarkdown(`${bookName} ${chapters}`)}`;
+        chapterLinks = links.map((link, index) => `[${escapeMarkdown(bookName)} ${firstChapter + index}](${link})`);
+    }
+
+    const blocks = [
+        `# ${title}`,
+        chapterLinks.length && chapterLinks.join(' · '),
+        renderSong(program.startingSong, labels),
+        `## ${labels.treasures}`,
+        ...renderIfFound(program.treasuresTalk, renderTreasuresTalk),
+        ...renderIfFound(program.spiritualGems, renderSpiritualGems),
+        ...renderIfFound(program.bibleRead, renderBibleRead),
+        `## ${labels.fieldMinistry}`,
+        ...renderPartsIfFound(program.fieldMinistry),
+        `## ${labels.christianLiving}`,
+        renderSong(program.middleSong, labels),
+        ...renderPartsIfFound(program.christianLiving),
+        ...renderIfFound(program.bibleStudy, renderContentsPart),
+        renderSong(program.closingSong, labels),
+        footnotes.length && footnotes.join('\n'),
+    ].filter(Boolean);
+
+    log.debug(`Rendered week [${program.weekDateSpan}] as Markdown with [${footnotes.length}] footnotes`);
+    return `${blocks.join('\n\n')}\n`;
+}
@@ -0,0 +1,168 @@
+import logger from "../../core/logger.mjs";
+import {escapeHtml} from "../support/rich_text.mjs";
+
+const log = logger.child(logger.bindings());
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+const PARAMETER_REF_PREFIX = '#/components/parameters/';
+
+const METHOD_COLOURS = Object.freeze({
+    get: '#2f7d32',
+    post: '#1d5fa8',
+    put: '#a8661d',
+    delete: '#a82a1d',
+});
+
+const STYLES = `
+    * { box-sizing: border-box; }
+    body { font-family: "Noto Sans", Arial, sans-serif; font-size: 11pt; color: #222; max-width: 960px; margin: 0 auto; padding: 24px; }
+    h1 { margin-bottom: 0; }
+    h2 { border-bottom: 2px solid #ddd; padding-bottom: 4px; margin-top: 40px; }
+    nav ul { columns: 2; }
+    code { background: #f3f3f3; padding: 0 3px; border-radius: 3px; }
+    .operation, .schema { border: 1px solid #ddd; border-radius: 6px; padding: 8px 16px; margin: 12px 0; }
+    .operation h3, .schema h3 { margin: 8px 0; }
+    .method { color: #fff; border-radius: 4px; padding: 2px 8px; font-size: 9pt; text-transform: uppercase; }
+    table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+    th, td { text-align: left; vertical-align: top; padding: 4px 8px; border-bottom: 1px solid #eee; }
+    th { font-size: 9pt; color: #555; }
+    .muted { color: #777; }
+`;
+
+/**
+ * @param {string} text - A description, where `code` is written between backticks.
+ * @returns {string}
+ */
+function renderText(text) {
+    return escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+/**
+ * Describes the type of a schema in one line, linking the referenced schemas.
+ * @param {Object} [schema]
+ * @returns {string}
+ */
+function describeType(schema = {}) {
+    if (schema.$ref) {
+        const name = schema.$ref.slice(SCHEMA_REF_PREFIX.length);
+        return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+    }
+    if (schema.enum) {
+        return schema.enum.map((value) => `<code>${escapeHtml(JSON.stringify(value))}</code>`).join(' | ');
+    }
+    if (schema.anyOf) {
+        return schema.anyOf.map(describeType).join(' | ');
+    }
+    if (schema.allOf) {
+        return schema.allOf.map(describeType).join(' &amp; ');
+    }
+    if (schema.type === 'array') {
+        return `${describeType(schema.items)}[]`;
+    }
+    if (schema.type === 'object' && schema.additionalProperties) {
+        return `Object&lt;string, ${describeType(schema.additionalProperties)}&gt;`;
+    }
+    if (schema.type) {
+        return [].concat(schema.type).map(escapeHtml).join(' | ');
+    }
+    return 'any';
+}
+
+/**
+ * @param {Object} schema - An object schema.
+ * @returns {string} A table with a row per property.
+ */
+function renderProperties(schema) {
+    const required = new Set(schema.required ?? []);
+    const rows = Object.entries(schema.properties ?? {}).map(([name, property]) => `<tr>`
+        + `<td><code>${escapeHtml(name)}</code>${required.has(name) ? '' : ' <span class="muted">optional</span>'}</td>`
+        + `<td>${describeType(property)}</td>`
+        + `<td>${renderText(property.description)}</td></tr>`);
+    return rows.length ? `<table><tr><th>Property</th><th>Type</th><th>Description</th></tr>${rows.join('')}</table>` : '';
+}
+
+/**
+ * @param {string} name
+ * @param {Object} schema
+ * @returns {string}
+ */
+function renderSchema(name, schema) {
+    const extended = (schema.allOf ?? []).filter((branch) => branch.$ref);
+    const ownProperties = schema.allOf ? schema.allOf.find((branch) => branch.properties) ?? {} : schema;
+    const isObject = schema.allOf || schema.properties;
+    return `<section class="schema" id="schema-${escapeHtml(name)}">`
+        + `<h3>${escapeHtml(name)}</h3>`
+        + (schema.description ? `<p>${renderText(schema.description)}</p>` : '')
+        + (extended.length ? `<p>Extends ${extended.map(describeType).join(', ')}.</p>` : '')
+        + (isObject ? renderProperties(ownProperties) : `<p>Type: ${describeType(schema)}</p>`)
+        + `</section>`;
+}
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @param {Object} operation
+ * @param {Object<string, Object>} parameters - The shared parameters, by name.
+ * @returns {string}
+ */
+function renderOperation(method, path, operation, parameters) {
+    const parameterRows = operation.parameters
+        .map((parameter) => parameters[parameter.$ref.slice(PARAMETER_REF_PREFIX.length)])
+        .map(({name, schema, description}) => `<tr><td><code>${escapeHtml(name)}</code></td><td>${describeType(schema)}</td>`
+            + `<td>${schema.default === undefined ? '' : `<code>${escapeHtml(schema.default)}</code>`}</td>`
+            + `<td>${renderText(description)}</td></tr>`);
+    const responseRows = Object.entries(operation.responses).map(([status, response]) => `<tr><td>${escapeHtml(status)}</td>`
+        + `<td>${renderText(response.description)}</td>`
+        + `<td>${Object.entries(response.content ?? {}).map(([mediaType, {schema}]) => `<code>${escapeHtml(mediaType)}</code> ${describeType(schema)}`).join('<br>')}</td></tr>`);
+    const body = operation.requestBody;
+
+    return `<section class="operation" id="${escapeHtml(operation.operationId)}">`
+        + `<h3><span class="method" style="background:${METHOD_COLOURS[method]}">${escapeHtml(method)}</span> <code>${escapeHtml(path)}</code></h3>`
+        + `<p>${renderText(operation.summary)}</p>`
+        + (operation.description ? `<p>${renderText(operation.description)}</p>` : '')
+        + (parameterRows.length
+            ? `<table><tr><th>Query parameter</th><th>Type</th><th>Default</th><th>Description</th></tr>${parameterRows.join('')}</table>`
+            : '')
+        + (body
+            ? `<p>Body${body.required ? '' : ' <span class="muted">(optional)</span>'}: ${describeType(Object.values(body.content)[0].schema)}, `
+                + `as ${Object.keys(body.content).map((mediaType) => `<code>${escapeHtml(mediaType)}</code>`).join(' or ')}</p>`
+            : '')
+        + `<table><tr><th>Status</th><th>Response</th><th>Content</th></tr>${responseRows.join('')}</table>`
+        + `</section>`;
+}
+
+/**
+ * Renders the OpenAPI document as a self-contained HTML page, grouping the operations by tag and listing every schema.
+ * @param {Object} document - The OpenAPI document, as built by `buildOpenApiDocument`.
+ * @returns {string} A complete HTML document.
+ */
+export function renderOpenApiDocs(document) {
+    const operations = Object.entries(document.paths)
+        .flatMap(([path, methods]) => Object.entries(methods).map(([method, operation]) => ({path, method, operation})));
+    const sections = document.tags.map(({name}) => {
+        const tagged = operations.filter(({operation}) => operation.tags.includes(name));
+        return `<h2 id="tag-${escapeHtml(name)}">${escapeHtml(name)}</h2>`
+            + tagged.map(({path, method, operation}) => renderOperation(method, path, operation, document.components.parameters)).join('\n');
+    });
+    const schemas = Object.entries(document.components.schemas).map(([name, schema]) => renderSchema(name, schema));
+    log.debug(`Rendered the API docs with [${operations.length}] operations and [${schemas.length}] schemas`);
+
+    const {title, version, description} = document.info;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} ${escapeHtml(version)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)} <span class="muted">${escapeHtml(version)}</span></h1>
+<p>${renderText(description)} The OpenAPI document is at <a href="openapi.json">openapi.json</a>.</p>
+<nav><ul>${document.tags.map(({name}) => `<li><a href="#tag-${escapeHtml(name)}">${escapeHtml(name)}</a></li>`).join('')}<li><a href="#schemas">Schemas</a></li></ul></nav>
+${sections.join('\n')}
+<h2 id="schemas">Schemas</h2>
+${schemas.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,156 @@
+import logger from "../../core/logger.mjs";
+import {getLanguageOrThrow} from "../../core/languages.mjs";
+import {buildAssignmentSlots} from "../assignment_planner.mjs";
+import {CONCLUDING_COMMENTS_MINUTES, OPENING_COMMENTS_MINUTES} from "../meeting_timeline.mjs";
+import {escapeHtml} from "../support/rich_text.mjs";
+
+const log = logger.child(logger.bindings());
+
+// Band colours of the workbook sections.
+const SECTION_COLOURS = Object.freeze({
+    treasures: '#3c7f8b',
+    fieldMinistry: '#c18626',
+    christianLiving: '#961526',
+});
+
+const STYLES = `
+    @page { size: A4; margin: 12mm; }
+    * { box-sizing: border-box; }
+    body { font-family: "Noto Sans", Arial, sans-serif; font-size: 10pt; color: #222; margin: 0; }
+    .page { break-after: page; }
+    .page:last-child { break-after: auto; }
+    .week { break-inside: avoid; margin-bottom: 8mm; }
+    .week h1 { font-size: 12pt; margin: 0 0 1mm; text-transform: uppercase; }
+    .week h2 { font-size: 10pt; font-weight: normal; margin: 0 0 2mm; color: #555; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 1mm 2mm; vertical-align: top; }
+    td.number { width: 6mm; text-align: right; }
+    td.role { width: 22%; color: #555; font-size: 8pt; text-align: right; }
+    td.assignee { width: 26%; border-bottom: 1px solid #999; }
+    tr.band td { color: #fff; font-weight: bold; letter-spacing: .05em; padding: 1.5mm 2mm; }
+    .time-box { color: #555; }
+    @media screen { body { max-width: 210mm; margin: 0 auto; padding: 12mm; } }
+`;
+
+/**
+ * @typedef {Object} PrintRenderOptions
+ * @property {string} [lang] - The language of the programs, used for the labels the program data doesn't carry.
+ * @property {number} [weeksPerPage] - How many weeks to print on each page, defaults to 1.
+ */
+
+/**
+ * Renders one row of the schedule.
+ * @param {{number?: number | string, title: string, timeBox?: number, role?: string}} row
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function renderRow({number = '', title, timeBox, role = ''}, labels) {
+    const unit = timeBox === 1 ? labels.minute : labels.minutes;
+    const timeBoxHtml = Number.isFinite(timeBox) ? ` <span class="time-box">(${timeBox} ${escapeHtml(unit)})</span>` : '';
+    return `<tr><td class="number">${escapeHtml(number)}</td><td>${escapeHtml(title)}${timeBoxHtml}</td>`
+        + `<td class="role">${escapeHtml(role)}</td><td class="assignee"></td></tr>`;
+}
+
+/**
+ * @param {string} section - One of the keys of {@link SECTION_COLOURS}.
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function renderBand(section, labels) {
+    return `<tr class="band"><td colspan="4" style="background:${SECTION_COLOURS[section]}">${escapeHtml(labels[section])}</td></tr>`;
+}
+
+/**
+ * @param {SongData | undefined} song
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function describeSong(song, labels) {
+    return song?.songNumber ? `${labels.song} ${song.songNumber}` : labels.song;
+}
+
+/**
+ * Renders the schedule of one week.
+ * @param {FullWeekProgramData} program
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function renderWeek(program, labels) {
+    const {bookName, firstChapter, lastChapter} = program.weeklyBibleReadData;
+    const chapters = firstChapter === lastChapter ? firstChapter : `${firstChapter}-${lastChapter}`;
+    const slotsBySection = new Map(buildAssignmentSlots(program).map((slot) => [slot.sectionNumber, slot]));
+    const studentRole = (section) => (slotsBySection.get(section.sectionNumber)?.needsAssistant
+        ? `${labels.student} / ${labels.assistant}`
+        : labels.student);
+
+    const rows = [
+        renderRow({title: '', role: labels.chairman}, labels),
+        renderRow({title: describeSong(program.startingSong, labels), role: labels.prayer}, labels),
+        renderRow({title: labels.openingComments, timeBox: OPENING_COMMENTS_MINUTES}, labels),
+        renderBand('treasures', labels),
+        renderRow({number: program.treasuresTalk.sectionNumber, title: program.treasuresTalk.heading, timeBox: program.treasuresTalk.timeBox}, labels),
+        renderRow({number: program.spiritualGems.sectionNumber, title: program.spiritualGems.headline, timeBox: program.spiritualGems.timeBox}, labels),
+        renderRow({number: program.bibleRead.sectionNumber, title: program.bibleRead.headline, timeBox: program.bibleRead.timeBox, role: labels.student}, labels),
+        renderBand('fieldMinistry', labels),
+        ...program.fieldMinistry.map((part) => renderRow({
+            number: part.sectionNumber,
+            title: part.headline,
+            timeBox: part.timeBox,
+            role: part.isStudentTask ? studentRole(part) : '',
+        }, labels)),
+        renderBand('christianLiving', labels),
+        renderRow({title: describeSong(program.middleSong, labels)}, labels),
+        ...program.christianLiving.map((part) => renderRow({number: part.sectionNumber, title: part.headline, timeBox: part.timeBox}, labels)),
+        renderRow({
+            number: program.bibleStudy.sectionNumber,
+            title: program.bibleStudy.headline,
+            timeBox: program.bibleStudy.timeBox,
+            role: `${labels.conductor} / ${labels.reader}`,
+        }, labels),
+        renderRow({title: labels.concludingComments, timeBox: CONCLUDING_COMMENTS_MINUTES}, labels),
+        renderRow({title: describeSong(program.closingSong, labels), role: labels.prayer}, labels),
+    ];
+
+    return `<section class="week">`
+        + `<h1>${escapeHtml(program.weekDateSpan)} | ${escapeHtml(`${bookName} ${chapters}`)}</h1>`
+        + `<h2>${escapeHtml(labels.meetingTitle)}</h2>`
+        + `<table>${rows.join('')}</table>`
+        + `</section>`;
+}
+
+/**
+ * Renders the programs of one or more weeks as a print-ready HTML page, in the style of the S-140 schedule,
+ * with blank slots to write down who takes each part.
+ * @param {FullWeekProgramData[]} programs - The programs to print, in order.
+ * @param {PrintRenderOptions} [options]
+ * @returns {string} A complete HTML document.
+ * @throws {Error} If the language is not supported.
+ */
+export function renderPrintableSchedule(programs, {lang, weeksPerPage = 1} = {}) {
+    const language = getLanguageOrThrow(lang);
+    const {labels} = language;
+    const perPage = Math.max(1, weeksPerPage);
+
+    const pages = [];
+    for (let index = 0; index < programs.length; index += perPage) {
+        const weeks = programs.slice(index, index + perPage).map((program) => renderWeek(program, labels));
+        pages.push(`<div class="page">${weeks.join('\n')}</div>`);
+    }
+    log.debug(`Rendered [${programs.length}] weeks into [${pages.length}] printable pages`);
+
+    const title = programs.length
+        ? `${labels.meetingTitle}: ${programs[0].weekDateSpan}${programs.length > 1 ? ` … ${programs.at(-1).weekDateSpan}` : ''}`
+        : labels.meetingTitle;
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(language.code)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>
+`;
+}
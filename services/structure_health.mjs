@@ -0,0 +1,217 @@
+import logger from "../core/logger.mjs";
+import {
+    buildFieldMinistrySelections,
+    buildGodsTreasuresSelections,
+    buildRelevantProgramGroupSelections,
+    locateSection,
+} from "./support/pub_mwb_program_selection_groups.mjs";
+import {
+    extractBibleStudy,
+    extractChristianLiving,
+    extractWeekDateSpanData,
+    processExtractionInput,
+} from "./pub_mwb_scraper.mjs";
+
+const log = logger.child(logger.bindings());
+
+export const CHECK_STATUS = Object.freeze({
+    PASS: 'pass',
+    FAIL: 'fail',
+});
+
+/**
+ * @typedef {Object} StructureCheckResult
+ * @property {string} name - What was checked.
+ * @property {string} status - One of {@link CHECK_STATUS}.
+ * @property {string} selector - The selector the check depends on, the one to look at when it fails.
+ * @property {number | string} [expected] - The expected element count (`>= n` when it's a minimum) or element name.
+ * @property {number | string} [found] - The element count or element name found in the document.
+ * @property {string | null} [locatedBy] - For the sections with fallback strategies, the strategy that found the section.
+ *      When the selector fails but a fallback strategy found the section, extraction still works but the profile is outdated.
+ * @property {string} [message] - Why the check failed.
+ */
+
+/**
+ * @typedef {Object} StructureCheck
+ * @property {string} name
+ * @property {string} selector
+ * @property {string} [section] - The section to locate with its fallback strategies, to report which one found it.
+ * @property {function(ExtractionInput): {found: number | string, expected: number | string | {min: number}}} inspect -
+ *      Looks at the document, throws when it can't get as far as counting.
+ */
+
+/**
+ * @param {Cheerio} $selection
+ * @returns {string} The name of the first element of the selection, or an empty string when there is none.
+ */
+function elementName($selection) {
+    return $selection[0]?.name ?? '';
+}
+
+/**
+ * Builds the checks for one song: the heading must be a single h3 holding the song link.
+ * @param {string} name
+ * @param {string} selector
+ * @returns {StructureCheck[]}
+ */
+function buildSongChecks(name, selector) {
+    return [
+        {name: `${name} heading`, selector, section: name, inspect: ({$}) => ({found: elementName($(selector)), expected: 'h3'})},
+        {name: `${name} link`, selector: `${selector} a`, inspect: ({$}) => ({found: $(selector).find('a').length, expected: 1})},
+    ];
+}
+
+/**
+ * Builds the checks, in the order of the document. They encode what the selection builders and the extractors expect,
+ * and none of them fetches the reference tooltips.
+ * @param {SelectorSet} selectors - The selectors of the profile in use.
+ * @returns {StructureCheck[]}
+ */
+function buildStructureChecks(selectors) {
+    const {treasuresTalk, fieldMinistryHeadline, christianLivingHeadline, timeBoxLine, sectionTitle} = selectors;
+    return [
+        {name: 'weekDateSpan', selector: selectors.weekDateSpan, inspect: ({$}) => ({found: $(selectors.weekDateSpan).length, expected: 1})},
+        {
+            name: 'weekDateSpan parsing',
+            selector: selectors.weekDateSpan,
+            inspect: (input) => ({found: extractWeekDateSpanData(input).startDate ? 1 : 0, expected: 1}),
+        },
+        {
+            name: 'weeklyBibleRead links',
+            selector: selectors.weeklyBibleReadLinks,
+            inspect: ({$}) => ({found: $(selectors.weeklyBibleReadLinks).length, expected: {min: 1}}),
+        },
+        ...['startingSong', 'middleSong', 'closingSong'].flatMap((name) => buildSongChecks(name, selectors[name])),
+        {
+            name: 'fieldMinistry headline',
+            section: 'fieldMinistryHeadline',
+            selector: `${fieldMinistryHeadline} ${sectionTitle}`,
+            inspect: ({$}) => ({found: $(fieldMinistryHeadline).find(sectionTitle).length, expected: 1}),
+        },
+        {
+            name: 'christianLiving headline',
+            section: 'christianLivingHeadline',
+            selector: `${christianLivingHeadline} ${sectionTitle}`,
+            inspect: ({$}) => ({found: $(christianLivingHeadline).find(sectionTitle).length, expected: 1}),
+        },
+        {name: 'treasuresTalk', selector: treasuresTalk, section: 'treasuresTalk', inspect: ({$}) => ({found: $(treasuresTalk).length, expected: 1})},
+        {
+            name: 'treasuresTalk time box',
+            selector: `${treasuresTalk} ${timeBoxLine}`,
+            inspect: ({$}) => ({found: $(treasuresTalk).find(timeBoxLine).length, expected: {min: 1}}),
+        },
+        {
+            name: 'spiritualGems and bibleRead elements',
+            selector: `${treasuresTalk} ~ * (until ${fieldMinistryHeadline})`,
+            inspect: ({$}) => ({found: $(treasuresTalk).nextUntil($(fieldMinistryHeadline)).length, expected: 4}),
+        },
+        {
+            name: 'spiritualGems scripture link',
+            selector: `${treasuresTalk} + h3 + * ${selectors.spiritualGemsScripture}`,
+            inspect: ({$}) => ({
+                found: buildGodsTreasuresSelections($, selectors).spiritualGems.eq(1).find(selectors.spiritualGemsScripture).length,
+                expected: 1,
+            }),
+        },
+        {
+            name: 'bibleRead links',
+            selector: `${treasuresTalk} + h3 + * + h3 + * a`,
+            inspect: ({$}) => ({found: buildGodsTreasuresSelections($, selectors).bibleRead.eq(1).find('a').length, expected: 2}),
+        },
+        {
+            name: 'fieldMinistry parts',
+            selector: `${fieldMinistryHeadline} ~ h3`,
+            inspect: ({$}) => ({found: buildFieldMinistrySelections($, selectors).fieldMinistry.filter('h3').length, expected: {min: 1}}),
+        },
+        {
+            name: 'fieldMinistry time boxes',
+            selector: timeBoxLine,
+            inspect: ({$}) => {
+                const $parts = buildFieldMinistrySelections($, selectors).fieldMinistry.filter('h3');
+                const found = $parts.filter((_, heading) => $(heading).next().find(timeBoxLine).length > 0).length;
+                return {found, expected: $parts.length};
+            },
+        },
+        {
+            name: 'christianLiving parts',
+            selector: `${selectors.middleSong} ~ h3`,
+            inspect: (input) => ({found: extractChristianLiving({...input}).length, expected: {min: 1}}),
+        },
+        {
+            name: 'bibleStudy',
+            selector: `${selectors.closingSong} (previous h3)`,
+            inspect: (input) => ({found: extractBibleStudy({...input}).timeBox ? 1 : 0, expected: 1}),
+        },
+        {
+            name: 'program group selections',
+            selector: [selectors.startingSong, treasuresTalk, fieldMinistryHeadline, christianLivingHeadline, selectors.closingSong].join(', '),
+            inspect: ({$}) => ({found: Object.keys(buildRelevantProgramGroupSelections($, selectors)).length, expected: {min: 1}}),
+        },
+    ];
+}
+
+/**
+ * Runs one check, turning whatever it throws into a failure.
+ * @param {StructureCheck} check
+ * @param {ExtractionInput} input
+ * @returns {StructureCheckResult}
+ */
+function runCheck({name, selector, section, inspect}, input) {
+    try {
+        const {found, expected} = inspect(input);
+        const passed = typeof expected === 'object' ? found >= expected.min : found === expected;
+        const result = {
+            name,
+            status: passed ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL,
+            selector,
+            expected: typeof expected === 'object' ? `>= ${expected.min}` : expected,
+            found,
+        };
+        if (section) {
+            result.locatedBy = locateSection(input.$, section, input.selectorProfile.selectors).strategy;
+        }
+        if (!passed) {
+            result.message = `Expected [${result.expected}] for selector [${selector}], found [${found}]`;
+            if (result.locatedBy) {
+                result.message += `, the section was located with the [${result.locatedBy}] strategy instead`;
+            }
+            log.warn(`Structure check [${name}] failed: ${result.message}`);
+        }
+        return result;
+    } catch (error) {
+        log.warn(`Structure check [${name}] failed: ${error.message}`);
+        return {name, status: CHECK_STATUS.FAIL, selector, message: error.message};
+    }
+}
+
+/**
+ * @typedef {Object} StructureReport
+ * @property {string} status - {@link CHECK_STATUS.PASS} only when every check passed.
+ * @property {string} selectorProfileVersion - The version of the selector profile the checks used.
+ * @property {number} passed - How many checks passed.
+ * @property {number} failed - How many checks failed.
+ * @property {StructureCheckResult[]} checks - Every check, in document order.
+ */
+
+/**
+ * Checks that the meeting document still has the structure the selection builders and extractors expect.
+ * Nothing is fetched, the reference tooltips are not followed.
+ * @param {ExtractionInput} input - The document to check, as HTML or a Cheerio object, and its language.
+ * @returns {StructureReport}
+ * @throws {Error} If the input is wrong.
+ */
+export function checkDocumentStructure(input) {
+    const {$, lang, referenceDate, selectorProfile} = processExtractionInput(input);
+    const checks = buildStructureChecks(selectorProfile.selectors)
+        .map((check) => runCheck(check, {$, lang, referenceDate, selectorProfile}));
+    const failed = checks.filter((check) => check.status === CHECK_STATUS.FAIL).length;
+
+    log.info(`Checked the document structure: [${checks.length - failed}] passed, [${failed}] failed`);
+    return {
+        status: failed ? CHECK_STATUS.FAIL : CHECK_STATUS.PASS,
+        selectorProfileVersion: selectorProfile.version,
+        passed: checks.length - failed,
+        failed,
+        checks,
+    };
+}
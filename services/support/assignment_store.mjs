@@ -0,0 +1,89 @@
+import {mkdir, readFile, rename, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+import logger from "../../core/logger.mjs";
+import {withErrorHandling} from "./util.mjs";
+
+const log = logger.child(logger.bindings());
+
+/**
+ * @typedef {Object} AssignmentData
+ * @property {Publisher[]} publishers - The roster.
+ * @property {AssignmentRecord[]} history - The assignments that were confirmed, oldest first.
+ */
+
+/**
+ * Gets the file where the roster and the assignment history are kept, configured through PMP_ASSIGNMENTS_FILE.
+ * @returns {string}
+ */
+export function getAssignmentsFile() {
+    return path.resolve(process.env.PMP_ASSIGNMENTS_FILE || path.join('.data', 'assignments.json'));
+}
+
+// Writes are chained so two requests never interleave their read-modify-write cycles.
+let pendingWrite = Promise.resolve();
+
+/**
+ * Reads the roster and the assignment history.
+ * @returns {Promise<Error | AssignmentData>} The stored data, or empty data when nothing was stored yet.
+ */
+async function _loadAssignmentData() {
+    const file = getAssignmentsFile();
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            log.debug(`No assignments file at [${file}] yet, starting empty`);
+            return {publishers: [], history: []};
+        }
+        const msg = `Unable to read assignments file [${file}]: [${error.message}]`;
+        log.error(msg);
+        return new Error(msg);
+    }
+
+    try {
+        const data = JSON.parse(text);
+        return {publishers: data.publishers ?? [], history: data.history ?? []};
+    } catch (error) {
+        const msg = `Assignments file [${file}] is not valid JSON: [${error.message}]`;
+        log.error(msg);
+        return new Error(msg);
+    }
+}
+
+/**
+ * Reads the roster and the assignment history.
+ * @returns {Promise<ErrorTuple | SuccessTuple<AssignmentData>>}
+ */
+export const loadAssignmentData = withErrorHandling(_loadAssignmentData);
+
+/**
+ * Applies the given change to the stored data and writes the result.
+ * The file is replaced in one step, so a crash never leaves it half written.
+ * @param {function(AssignmentData): AssignmentData} change - Receives the current data and returns the new one, may throw.
+ * @returns {Promise<Error | AssignmentData>} The stored data after the change.
+ */
+function _updateAssignmentData(change) {
+    const update = pendingWrite.then(async () => {
+        const current = await _loadAssignmentData();
+        if (current instanceof Error) {
+            return current;
+        }
+        const next = change(current);
+        const file = getAssignmentsFile();
+        const temporaryFile = `${file}.${process.pid}.tmp`;
+        await mkdir(path.dirname(file), {recursive: true});
+        await writeFile(temporaryFile, `${JSON.stringify(next, null, 2)}\n`);
+        await rename(temporaryFile, file);
+        log.info(`Stored [${next.publishers.length}] publishers and [${next.history.length}] assignments into [${file}]`);
+        return next;
+    });
+    pendingWrite = update.catch(() => undefined);
+    return update;
+}
+
+/**
+ * Applies the given change to the stored data and writes the result.
+ * @returns {Promise<ErrorTuple | SuccessTuple<AssignmentData>>}
+ */
+export const updateAssignmentData = withErrorHandling(_updateAssignmentData);
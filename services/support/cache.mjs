@@ -0,0 +1,277 @@
+import {createHash} from 'node:crypto';
+import {mkdir, readdir, readFile, rm, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+import logger from "../../core/logger.mjs";
+import {readIntegerFromEnv} from "./util.mjs";
+
+const log = logger.child(logger.bindings());
+
+/**
+ * @typedef {Object} CacheStats
+ * @property {string} backend - The name of the backend (e.g. 'memory', 'fs').
+ * @property {number} hits - The amount of lookups that found a fresh entry.
+ * @property {number} misses - The amount of lookups that found nothing or an expired entry.
+ * @property {number} writes - The amount of entries stored.
+ * @property {number} evictions - The amount of entries dropped because of capacity or expiration.
+ * @property {number} hitRatio - The ratio of hits over lookups, 0 when there were no lookups.
+ * @property {number} [size] - The amount of entries stored, only for the memory backend.
+ * @property {number} [maxEntries] - The capacity of the memory backend.
+ * @property {string} [directory] - Where the fs backend stores its entries.
+ */
+
+/**
+ * @typedef {Object} CacheBackend
+ * @property {function(string): Promise<any | undefined>} get - Resolves to the cached value or undefined on a miss.
+ * @property {function(string, any): Promise<void>} set - Stores the value under the given key.
+ * @property {function(string): Promise<void>} delete - Removes the entry for the given key.
+ * @property {function(): Promise<void>} clear - Removes every entry and resets the statistics, and nothing else.
+ * @property {function(): CacheStats} getStats - Gets the hit/miss statistics.
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [ttlSeconds] - How long entries stay fresh, 0 or less means forever.
+ * @property {function(): number} [now] - Returns the current time in milliseconds, mostly useful for testing.
+ */
+
+/**
+ * Builds the key used to store a response in the cache.
+ * @param {string} url - The URL of the response.
+ * @param {string} [lang] - The language the response was requested in.
+ * @returns {string} The cache key.
+ */
+export function buildCacheKey(url, lang = '') {
+    return `${lang}|${url}`;
+}
+
+/**
+ * Creates the counters shared by every backend.
+ * @param {string} backend
+ */
+function createStatsTracker(backend) {
+    const counters = {hits: 0, misses: 0, writes: 0, evictions: 0};
+    return {
+        counters,
+        reset() {
+            counters.hits = counters.misses = counters.writes = counters.evictions = 0;
+        },
+        /** @returns {CacheStats} */
+        snapshot() {
+            const lookups = counters.hits + counters.misses;
+            return {
+                backend,
+                ...counters,
+                hitRatio: lookups ? counters.hits / lookups : 0,
+            };
+        },
+    };
+}
+
+/**
+ * @param {number} ttlSeconds
+ * @param {function(): number} now
+ * @returns {number} The expiration timestamp, or Infinity when entries never expire.
+ */
+function computeExpiration(ttlSeconds, now) {
+    return ttlSeconds > 0 ? now() + ttlSeconds * 1000 : Infinity;
+}
+
+/**
+ * Creates an in-memory cache that drops the least recently used entry when full.
+ * @param {CacheOptions & {maxEntries?: number}} [options]
+ * @returns {CacheBackend}
+ */
+export function createMemoryLruCache({maxEntries = 1000, ttlSeconds = 0, now = Date.now} = {}) {
+    /** @type {Map<string, {value: any, expiresAt: number}>} */
+    const entries = new Map();
+    const stats = createStatsTracker('memory');
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                stats.counters.misses++;
+                return undefined;
+            }
+            entries.delete(key);
+            if (entry.expiresAt <= now()) {
+                stats.counters.evictions++;
+                stats.counters.misses++;
+                return undefined;
+            }
+            // Re-inserting moves the key to the end of the Map, which keeps it ordered by recency.
+            entries.set(key, entry);
+            stats.counters.hits++;
+            return entry.value;
+        },
+        async set(key, value) {
+            entries.delete(key);
+            entries.set(key, {value, expiresAt: computeExpiration(ttlSeconds, now)});
+            stats.counters.writes++;
+            while (entries.size > maxEntries) {
+                const [oldestKey] = entries.keys();
+                entries.delete(oldestKey);
+                stats.counters.evictions++;
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async clear() {
+            entries.clear();
+            stats.reset();
+        },
+        getStats() {
+            return {...stats.snapshot(), size: entries.size, maxEntries};
+        },
+    };
+}
+
+// The name of the files the fs backend writes, the hash of their key.
+const CACHE_FILE_PATTERN = /^[\da-f]{64}\.json$/;
+
+/**
+ * Creates a cache that stores each entry as a JSON file inside the given directory.
+ * Read and write failures are logged and treated as misses, the cache never breaks a request.
+ * The directory may be shared: clearing only removes the files named like the entries.
+ * @param {CacheOptions & {directory: string}} options
+ * @returns {CacheBackend}
+ */
+export function createFileSystemCache({directory, ttlSeconds = 0, now = Date.now}) {
+    const stats = createStatsTracker('fs');
+    const fileFor = (key) => path.join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+    return {
+        async get(key) {
+            const file = fileFor(key);
+            let entry;
+            try {
+                entry = JSON.parse(await readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    log.warn(`Unable to read cache file [${file}]: [${error.message}]`);
+                }
+                stats.counters.misses++;
+                return undefined;
+            }
+            const expiresAt = entry.expiresAt ?? Infinity;
+            if (entry.key !== key || expiresAt <= now()) {
+                await rm(file, {force: true});
+                stats.counters.evictions++;
+                stats.counters.misses++;
+                return undefined;
+            }
+            stats.counters.hits++;
+            return entry.value;
+        },
+        async set(key, value) {
+            const file = fileFor(key);
+            const expiresAt = computeExpiration(ttlSeconds, now);
+            try {
+                await mkdir(directory, {recursive: true});
+                // JSON can't represent Infinity, entries without expiration are stored with a null one.
+                await writeFile(file, JSON.stringify({key, expiresAt: Number.isFinite(expiresAt) ? expiresAt : null, value}));
+                stats.counters.writes++;
+            } catch (error) {
+                log.warn(`Unable to write cache file [${file}]: [${error.message}]`);
+            }
+        },
+        async delete(key) {
+            await rm(fileFor(key), {force: true});
+        },
+        async clear() {
+            let names;
+            try {
+                names = await readdir(directory);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                names = [];
+            }
+            await Promise.all(names
+                .filter((name) => CACHE_FILE_PATTERN.test(name))
+                .map((name) => rm(path.join(directory, name), {force: true})));
+            stats.reset();
+        },
+        getStats() {
+            return {...stats.snapshot(), directory};
+        },
+    };
+}
+
+/**
+ * Creates a cache that never stores anything.
+ * @returns {CacheBackend}
+ */
+export function createNoopCache() {
+    const stats = createStatsTracker('none');
+    return {
+        async get() {
+            stats.counters.misses++;
+            return undefined;
+        },
+        async set() {
+        },
+        async delete() {
+        },
+        async clear() {
+            stats.reset();
+        },
+        getStats() {
+            return stats.snapshot();
+        },
+    };
+}
+
+/**
+ * Creates the cache backend configured through environment variables:
+ * PMP_CACHE_BACKEND (memory, fs or none), PMP_CACHE_TTL_SECONDS, PMP_CACHE_MAX_ENTRIES and PMP_CACHE_DIR.
+ * @returns {CacheBackend}
+ * @throws {Error} If the TTL or the capacity isn't a whole number.
+ */
+export function createCacheFromEnv() {
+    const backend = process.env.PMP_CACHE_BACKEND || 'memory';
+    const ttlSeconds = readIntegerFromEnv('PMP_CACHE_TTL_SECONDS', 604800);
+
+    switch (backend) {
+        case 'memory':
+            return createMemoryLruCache({
+                ttlSeconds,
+                maxEntries: readIntegerFromEnv('PMP_CACHE_MAX_ENTRIES', 1000, 1),
+            });
+        case 'fs':
+            return createFileSystemCache({
+                ttlSeconds,
+                directory: process.env.PMP_CACHE_DIR || path.join(process.cwd(), '.cache', 'pmp'),
+            });
+        case 'none':
+            return createNoopCache();
+        default:
+            log.warn(`Unknown PMP_CACHE_BACKEND [${backend}], caching is disabled`);
+            return createNoopCache();
+    }
+}
+
+/** @type {CacheBackend | null} */
+let referenceCache = null;
+
+/**
+ * Gets the cache used for tooltip reference JSON, creating it from the environment on first use.
+ * @returns {CacheBackend}
+ */
+export function getReferenceCache() {
+    if (!referenceCache) {
+        referenceCache = createCacheFromEnv();
+        log.info(`Using [${referenceCache.getStats().backend}] cache for reference data`);
+    }
+    return referenceCache;
+}
+
+/**
+ * Replaces the cache used for tooltip reference JSON, allows plugging custom backends.
+ * @param {CacheBackend} cache
+ */
+export function setReferenceCache(cache) {
+    referenceCache = cache;
+}
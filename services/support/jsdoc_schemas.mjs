@@ -0,0 +1,273 @@
+import {readdirSync, readFileSync} from 'node:fs';
+import path from 'node:path';
+import logger from "../../core/logger.mjs";
+
+const log = logger.child(logger.bindings());
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+const PRIMITIVE_TYPES = Object.freeze({
+    string: {type: 'string'},
+    number: {type: 'number'},
+    boolean: {type: 'boolean'},
+    null: {type: 'null'},
+    Object: {type: 'object'},
+    object: {type: 'object'},
+    any: {},
+    '*': {},
+});
+
+/**
+ * @typedef {Object} TypedefProperty
+ * @property {string} name
+ * @property {string} type - The JSDoc type expression, without the braces.
+ * @property {boolean} optional - Whether the name was written in brackets.
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} Typedef
+ * @property {string} name
+ * @property {string} type - The JSDoc type expression, without the braces.
+ * @property {string} description
+ * @property {TypedefProperty[]} properties
+ * @property {string} file - Where the typedef was found, for the error messages.
+ */
+
+/**
+ * Reads a JSDoc type expression that starts at the given position, keeping the nested braces.
+ * @param {string} text - The text of the tag, starting with `{`.
+ * @returns {{type: string, rest: string} | null} The type without its braces and what follows it, or null when the braces don't match.
+ */
+function readBracedType(text) {
+    let depth = 0;
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '{') {
+            depth++;
+        } else if (text[index] === '}' && --depth === 0) {
+            return {type: text.slice(1, index).trim(), rest: text.slice(index + 1).trim()};
+        }
+    }
+    return null;
+}
+
+/**
+ * Turns the inline tags of a description into plain text, e.g. `{@link CHECK_STATUS}` into `CHECK_STATUS`.
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanDescription(text) {
+    return text.replace(/\{@link\s+([^}\s]+)\s*}/g, '$1').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parses the `@typedef` blocks of a source file.
+ * Only `@typedef` and `@property` tags are read; the lines that follow a tag and don't start a new one continue its description.
+ * @param {string} source - The contents of the file.
+ * @param {string} [file] - The name of the file, for the error messages.
+ * @returns {Typedef[]}
+ */
+export function parseTypedefs(source, file = '') {
+    const typedefs = [];
+    for (const [, block] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+        if (!block.includes('@typedef')) {
+            continue;
+        }
+        const lines = block.split('\n').map((line) => line.replace(/^\s*\*\s?/, ''));
+        const tags = [];
+        const leading = [];
+        for (const line of lines) {
+            if (line.trimStart().startsWith('@')) {
+                tags.push(line.trim());
+            } else if (tags.length) {
+                tags[tags.length - 1] += ` ${line.trim()}`;
+            } else {
+                leading.push(line);
+            }
+        }
+
+        let typedef = null;
+        for (const tag of tags) {
+            const [, tagName, text = ''] = tag.match(/^@(\w+)\s*([\s\S]*)$/);
+            const braced = text.startsWith('{') ? readBracedType(text) : null;
+            if (tagName === 'typedef' && braced) {
+                const [, name = '', description = ''] = braced.rest.match(/^(\S+)\s*(?:-\s*)?([\s\S]*)$/) ?? [];
+                typedef = {name, type: braced.type, description: cleanDescription([...leading, description].join(' ')), properties: [], file};
+                typedefs.push(typedef);
+            } else if (tagName === 'property' && braced && typedef) {
+                const [, rawName = '', description = ''] = braced.rest.match(/^(\[[^\]]*]|\S+)\s*(?:-\s*)?([\s\S]*)$/) ?? [];
+                const optional = rawName.startsWith('[');
+                const name = optional ? rawName.slice(1, -1).split('=')[0].trim() : rawName;
+                typedef.properties.push({name, type: braced.type, optional, description: cleanDescription(description)});
+            } else if (tagName === 'description' && typedef && !typedef.description) {
+                typedef.description = cleanDescription(text);
+            }
+        }
+    }
+    return typedefs;
+}
+
+/**
+ * Splits a type expression on a separator, ignoring the separators nested in brackets, braces or parentheses.
+ * @param {string} type
+ * @param {string} separator - A single character.
+ * @returns {string[]}
+ */
+function splitTopLevel(type, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let index = 0; index < type.length; index++) {
+        const char = type[index];
+        if ('<({['.includes(char)) {
+            depth++;
+        } else if ('>)}]'.includes(char)) {
+            depth--;
+        } else if (char === separator && depth === 0) {
+            parts.push(type.slice(start, index).trim());
+            start = index + 1;
+        }
+    }
+    parts.push(type.slice(start).trim());
+    return parts;
+}
+
+/**
+ * Merges the schemas of a union, as an `enum` when every member is a literal and as a list of types when
+ * every member is a bare type.
+ * @param {Object[]} schemas
+ * @returns {Object}
+ */
+function mergeUnion(schemas) {
+    if (schemas.every((schema) => schema.enum)) {
+        return {enum: schemas.flatMap((schema) => schema.enum)};
+    }
+    if (schemas.every((schema) => Object.keys(schema).length === 1 && typeof schema.type === 'string')) {
+        return {type: schemas.map((schema) => schema.type)};
+    }
+    return {anyOf: schemas};
+}
+
+/**
+ * @typedef {Object} TypedefSchemaBuilder
+ * @property {function(string): {$ref: string}} ref - Gets a reference to the schema of a typedef, building it and the ones
+ *      it references on first use. Throws if the typedef doesn't exist or uses a type that can't be described.
+ * @property {function(string, string): Object} typeToSchema - Converts a JSDoc type expression into a JSON Schema,
+ *      the second argument says where the type comes from for the error messages.
+ * @property {function(): Object<string, Object>} getSchemas - Gets the schemas built so far, by typedef name in alphabetical order.
+ */
+
+/**
+ * Creates a builder of JSON Schemas from the typedefs of the source files, so the documented types stay the single source of truth.
+ * @param {Typedef[]} typedefs - Every typedef that may be referenced.
+ * @returns {TypedefSchemaBuilder}
+ * @throws {Error} If two typedefs have the same name.
+ */
+export function createTypedefSchemaBuilder(typedefs) {
+    /** @type {Map<string, Typedef>} */
+    const typedefsByName = new Map();
+    for (const typedef of typedefs) {
+        const existing = typedefsByName.get(typedef.name);
+        if (existing) {
+            throw new Error(`The typedef [${typedef.name}] is declared in [${existing.file}] and [${typedef.file}]`);
+        }
+        typedefsByName.set(typedef.name, typedef);
+    }
+    /** @type {Map<string, Object>} */
+    const schemas = new Map();
+
+    function ref(name) {
+        if (!schemas.has(name)) {
+            const typedef = typedefsByName.get(name);
+            if (!typedef) {
+                throw new Error(`Unknown typedef [${name}]`);
+            }
+            // Reserved first, so typedefs that reference themselves don't recurse forever.
+            schemas.set(name, {});
+            schemas.set(name, buildTypedefSchema(typedef));
+        }
+        return {$ref: `${SCHEMA_REF_PREFIX}${name}`};
+    }
+
+    function buildTypedefSchema({name, type, description, properties}) {
+        const describe = (schema, text) => (text ? {...schema, description: text} : schema);
+        if (!properties.length) {
+            return describe(typeToSchema(type, `typedef ${name}`), description);
+        }
+
+        const objectSchema = {
+            type: 'object',
+            properties: Object.fromEntries(properties.map((property) => [
+                property.name,
+                describe(typeToSchema(property.type, `${name}.${property.name}`), property.description),
+            ])),
+        };
+        const required = properties.filter((property) => !property.optional).map((property) => property.name);
+        if (required.length) {
+            objectSchema.required = required;
+        }
+        if (PRIMITIVE_TYPES[type]?.type === 'object') {
+            return describe(objectSchema, description);
+        }
+        // A typedef of another typedef with its own properties extends it, like BiblicalPassageItem.
+        return describe({allOf: [typeToSchema(type, `typedef ${name}`), objectSchema]}, description);
+    }
+
+    function typeToSchema(type, where) {
+        let expression = type.trim();
+        while (expression.startsWith('(') && expression.endsWith(')')) {
+            expression = expression.slice(1, -1).trim();
+        }
+
+        const members = splitTopLevel(expression, '|');
+        if (members.length > 1) {
+            return mergeUnion(members.map((member) => typeToSchema(member, where)));
+        }
+
+        let match;
+        if (PRIMITIVE_TYPES[expression]) {
+            return {...PRIMITIVE_TYPES[expression]};
+        }
+        if ((match = expression.match(/^'([^']*)'$|^"([^"]*)"$/))) {
+            return {enum: [match[1] ?? match[2]]};
+        }
+        if (expression.endsWith('[]')) {
+            return {type: 'array', items: typeToSchema(expression.slice(0, -2), where)};
+        }
+        if ((match = expression.match(/^Array<(.+)>$/))) {
+            return {type: 'array', items: typeToSchema(match[1], where)};
+        }
+        if ((match = expression.match(/^Object<\s*(?:string|number)\s*,(.+)>$/))) {
+            return {type: 'object', additionalProperties: typeToSchema(match[1], where)};
+        }
+        if (typedefsByName.has(expression)) {
+            return ref(expression);
+        }
+
+        const msg = `Unable to describe the type [${type}] of [${where}] as a JSON Schema`;
+        log.error(msg);
+        throw new Error(msg);
+    }
+
+    return {
+        ref,
+        typeToSchema,
+        getSchemas() {
+            return Object.fromEntries([...schemas.entries()].sort(([a], [b]) => a.localeCompare(b)));
+        },
+    };
+}
+
+/**
+ * Reads the typedefs of every module in the given directories.
+ * @param {string[]} directories - Absolute paths, read recursively.
+ * @returns {Typedef[]}
+ */
+export function readTypedefs(directories) {
+    return directories.flatMap((directory) => readdirSync(directory, {recursive: true})
+        .filter((file) => file.endsWith('.mjs'))
+        .sort()
+        .flatMap((file) => {
+            const filePath = path.join(directory, file);
+            return parseTypedefs(readFileSync(filePath, 'utf8'), path.relative(process.cwd(), filePath));
+        }));
+}
@@ -0,0 +1,100 @@
+import {createHash} from 'node:crypto';
+import {mkdir, readFile, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+import logger from "../../core/logger.mjs";
+import {DEFAULT_LANGUAGE_CODE} from "../../core/languages.mjs";
+
+const log = logger.child(logger.bindings());
+
+export const NET_MODES = Object.freeze({
+    LIVE: 'live',
+    RECORD: 'record',
+    REPLAY: 'replay',
+});
+
+/**
+ * @typedef {'html' | 'json'} RecordingKind
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {string} url - The URL that was requested.
+ * @property {string} lang - The language the URL was requested in.
+ * @property {RecordingKind} kind - Whether the body is HTML text or parsed JSON.
+ * @property {string | Object} body - The response body.
+ */
+
+/**
+ * Gets the network mode configured through PMP_NET_MODE.
+ * The environment is read on every call so tests can switch modes without reloading modules.
+ * @returns {string} One of {@link NET_MODES}, defaults to live.
+ * @throws {Error} If PMP_NET_MODE holds an unknown mode.
+ */
+export function getNetMode() {
+    const mode = (process.env.PMP_NET_MODE || NET_MODES.LIVE).toLowerCase();
+    if (!Object.values(NET_MODES).includes(mode)) {
+        throw new Error(`Invalid PMP_NET_MODE [${mode}], expected one of [${Object.values(NET_MODES).join(', ')}]`);
+    }
+    return mode;
+}
+
+/**
+ * Gets the directory where recordings are stored, configured through PMP_NET_FIXTURES_DIR.
+ * @returns {string}
+ */
+export function getRecordingsDirectory() {
+    return path.resolve(process.env.PMP_NET_FIXTURES_DIR || path.join('spec', 'fixtures', 'net'));
+}
+
+/**
+ * Builds the path of the file holding the recording for the given request.
+ * File names keep a readable version of the URL path and a hash of the full URL to avoid collisions.
+ * @param {RecordingKind} kind
+ * @param {string} url
+ * @param {string} [lang]
+ * @returns {string}
+ */
+export function buildRecordingPath(kind, url, lang = DEFAULT_LANGUAGE_CODE) {
+    const {pathname, search} = new URL(url);
+    const readable = `${pathname}${search}`.replace(/[^a-z0-9-]+/gi, '_').replace(/^_+|_+$/g, '') || 'root';
+    const hash = createHash('sha256').update(url).digest('hex').slice(0, 8);
+    return path.join(getRecordingsDirectory(), kind, lang, `${readable.slice(0, 100)}-${hash}.json`);
+}
+
+/**
+ * Stores the response body for the given request.
+ * @param {RecordingKind} kind
+ * @param {string} url
+ * @param {string} lang
+ * @param {string | Object} body
+ * @returns {Promise<void>}
+ */
+export async function recordResponse(kind, url, lang, body) {
+    const file = buildRecordingPath(kind, url, lang);
+    /** @type {Recording} */
+    const recording = {url, lang, kind, body};
+    await mkdir(path.dirname(file), {recursive: true});
+    await writeFile(file, `${JSON.stringify(recording, null, 2)}\n`);
+    log.info(`Recorded [${kind}] response for [${url}] into [${file}]`);
+}
+
+/**
+ * Reads the recorded response body for the given request.
+ * @param {RecordingKind} kind
+ * @param {string} url
+ * @param {string} lang
+ * @returns {Promise<Error | string | Object>} The recorded body, or an Error when there is no recording.
+ */
+export async function replayResponse(kind, url, lang) {
+    const file = buildRecordingPath(kind, url, lang);
+    let recording;
+    try {
+        recording = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        const msg = `No [${kind}] recording for [${url}] in language [${lang}], expected at [${file}]. Run with PMP_NET_MODE=record to capture it. Cause: [${error.message}]`;
+        log.error(msg);
+        return new Error(msg);
+    }
+    log.debug(`Replaying [${kind}] response for [${url}] from [${file}]`);
+    return recording.body;
+}
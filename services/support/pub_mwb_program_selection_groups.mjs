@@ -1,8 +1,148 @@
 import logger from "../../core/logger.mjs";
-import CONSTANTS from "../../core/constants.mjs";
+import {getSelectorProfile} from "../../core/selector_profile.mjs";
 
 const log = logger.child(logger.bindings());
 
+/**
+ * @typedef {Object} LocatorStrategy
+ * @property {string} name - One of {@link LOCATOR_STRATEGIES}.
+ * @property {function(ReturnType<CheerioAPI>, SelectorSet): Cheerio} locate - Finds the candidate selection.
+ */
+
+/**
+ * @typedef {Object} SectionLocator
+ * @property {function(Cheerio, SelectorSet): boolean} accepts - Whether a candidate looks like the section.
+ * @property {LocatorStrategy[]} strategies - The strategies to try, in order.
+ */
+
+/**
+ * @typedef {Object} LocatedSection
+ * @property {Cheerio} selection - The section, or what the first strategy found when none matched.
+ * @property {string | null} strategy - The strategy that matched, null when none did.
+ */
+
+export const LOCATOR_STRATEGIES = Object.freeze({
+    SELECTOR: 'selector',
+    ICON_CLASS: 'iconClass',
+    HEADING_NUMBER: 'headingNumber',
+    POSITION: 'position',
+});
+
+/**
+ * @param {ReturnType<CheerioAPI>} $
+ * @param {SelectorSet} selectors
+ * @returns {Cheerio} The children of the article body: songs, section headlines and parts, in document order.
+ */
+function getArticleChildren($, selectors) {
+    return $(selectors.articleBody).children();
+}
+
+/**
+ * @param {ReturnType<CheerioAPI>} $
+ * @param {SelectorSet} selectors
+ * @returns {Cheerio} The headlines of the three sections (treasures, field ministry and Christian living), in order.
+ */
+function getSectionHeadlines($, selectors) {
+    return getArticleChildren($, selectors).filter((_, el) => $(el).find(selectors.sectionTitle).length === 1);
+}
+
+/**
+ * @param {ReturnType<CheerioAPI>} $
+ * @param {SelectorSet} selectors
+ * @returns {Cheerio} The song headings, found by their icon.
+ */
+function getSongHeadings($, selectors) {
+    return getArticleChildren($, selectors).filter(`h3${selectors.songIcon}`);
+}
+
+const isSingleH3 = ($selection) => $selection.length === 1 && $selection.is('h3');
+const isSingleHeadline = ($selection, selectors) => $selection.length === 1 && $selection.find(selectors.sectionTitle).length === 1;
+
+/**
+ * How each section is found. The selector of the profile goes first, the other strategies
+ * only kick in when it finds nothing that looks like the section, e.g. after the paragraph ids shift.
+ * @type {Object<string, SectionLocator>}
+ */
+const SECTION_LOCATORS = Object.freeze({
+    startingSong: {
+        accepts: isSingleH3,
+        strategies: [
+            {name: LOCATOR_STRATEGIES.SELECTOR, locate: ($, selectors) => $(selectors.startingSong)},
+            {name: LOCATOR_STRATEGIES.ICON_CLASS, locate: ($, selectors) => getSongHeadings($, selectors).first()},
+            {name: LOCATOR_STRATEGIES.POSITION, locate: ($, selectors) => getArticleChildren($, selectors).first()},
+        ],
+    },
+    middleSong: {
+        accepts: isSingleH3,
+        strategies: [
+            {name: LOCATOR_STRATEGIES.SELECTOR, locate: ($, selectors) => $(selectors.middleSong)},
+            {name: LOCATOR_STRATEGIES.ICON_CLASS, locate: ($, selectors) => getSongHeadings($, selectors).eq(1)},
+            // The middle song opens the Christian living section
+            {name: LOCATOR_STRATEGIES.POSITION, locate: ($, selectors) => getSectionHeadlines($, selectors).eq(2).nextAll('h3').first()},
+        ],
+    },
+    closingSong: {
+        accepts: isSingleH3,
+        strategies: [
+            {name: LOCATOR_STRATEGIES.SELECTOR, locate: ($, selectors) => $(selectors.closingSong)},
+            {name: LOCATOR_STRATEGIES.POSITION, locate: ($, selectors) => getArticleChildren($, selectors).filter('h3').last()},
+        ],
+    },
+    treasuresTalk: {
+        accepts: ($selection, selectors) => $selection.length === 1 && $selection.find(selectors.sectionNumberLine).length === 1,
+        strategies: [
+            {name: LOCATOR_STRATEGIES.SELECTOR, locate: ($, selectors) => $(selectors.treasuresTalk)},
+            {
+                name: LOCATOR_STRATEGIES.HEADING_NUMBER,
+                locate: ($, selectors) => getArticleChildren($, selectors)
+                    .filter((_, el) => /^\s*1\./.test($(el).find(selectors.sectionNumberLine).text())),
+            },
+            // The talk comes right after the treasures headline, which follows the starting song
+            {name: LOCATOR_STRATEGIES.POSITION, locate: ($, selectors) => getSectionHeadlines($, selectors).first().next()},
+        ],
+    },
+    fieldMinistryHeadline: {
+        accepts: isSingleHeadline,
+        strategies: [
+            {name: LOCATOR_STRATEGIES.ICON_CLASS, locate: ($, selectors) => $(selectors.fieldMinistryHeadline)},
+            {name: LOCATOR_STRATEGIES.POSITION, locate: ($, selectors) => getSectionHeadlines($, selectors).eq(1)},
+        ],
+    },
+    christianLivingHeadline: {
+        accepts: isSingleHeadline,
+        strategies: [
+            {name: LOCATOR_STRATEGIES.ICON_CLASS, locate: ($, selectors) => $(selectors.christianLivingHeadline)},
+            {name: LOCATOR_STRATEGIES.POSITION, locate: ($, selectors) => getSectionHeadlines($, selectors).eq(2)},
+        ],
+    },
+});
+
+/**
+ * Locates a section trying each of its strategies in order.
+ * @param {ReturnType<CheerioAPI>} $ - The cheerio instance.
+ * @param {string} section - One of the keys of {@link SECTION_LOCATORS}, e.g. 'treasuresTalk'.
+ * @param {SelectorSet} [selectors] - The selectors to use, defaults to the ones of the default language.
+ * @returns {LocatedSection}
+ */
+export function locateSection($, section, selectors = getSelectorProfile().selectors) {
+    const {accepts, strategies} = SECTION_LOCATORS[section];
+    let firstCandidate = null;
+    for (const {name, locate} of strategies) {
+        const $candidate = locate($, selectors);
+        firstCandidate ??= $candidate;
+        if (accepts($candidate, selectors)) {
+            if (name === strategies[0].name) {
+                log.debug(`Located [${section}] with strategy [${name}]`);
+            } else {
+                log.warn(`Located [${section}] with fallback strategy [${name}], the selector [${selectors[section]}] may be outdated`);
+            }
+            return {selection: $candidate, strategy: name};
+        }
+    }
+    log.warn(`Unable to locate [${section}] with any strategy`);
+    return {selection: firstCandidate, strategy: null};
+}
+
 /**
  * Validate that the given selection is a h3 element.
  * @param {Cheerio} selection - The selection to check.
@@ -20,10 +160,11 @@ function assertIsH3(selection) {
  * Validate the number of headline elements for Field Ministry and Christian Living.
  * @param {Cheerio} fieldMinistryHeadline - The selection for Field Ministry.
  * @param {Cheerio} christianLivingHeadline - The selection for Christian Living.
+ * @param {SelectorSet} selectors - The selectors of the profile in use.
  * @throws {Error} If the number of headline elements is not as expected.
  */
-function assertHeadlineDOMStructure(fieldMinistryHeadline, christianLivingHeadline) {
-    if (fieldMinistryHeadline.find('> h2').length !== 1 || christianLivingHeadline.find('> h2').length !== 1) {
+function assertHeadlineDOMStructure(fieldMinistryHeadline, christianLivingHeadline, selectors) {
+    if (fieldMinistryHeadline.find(selectors.sectionTitle).length !== 1 || christianLivingHeadline.find(selectors.sectionTitle).length !== 1) {
         const msg = 'Unexpected number of elements for field ministry and christian living.';
         log.error(msg);
         throw new Error(msg);
@@ -33,13 +174,14 @@ function assertHeadlineDOMStructure(fieldMinistryHeadline, christianLivingHeadli
 /**
  * Retrieve and validate the songs (middle and final).
  * @param {ReturnType<CheerioAPI>} $ - The cheerio instance.
+ * @param {SelectorSet} [selectors] - The selectors to use, defaults to the ones of the default language.
  * @returns {{ songs: Cheerio, startingSong: Cheerio, middleSong: Cheerio, closingSong: Cheerio }} The selections.
  * @throws {Error} If the DOM structure is not as expected.
  */
-export function getAndValidateSongSelections($) {
-    const startingSong = $(CONSTANTS.STARTING_SONG_CSS_SELECTOR);
-    const middleSong = $(CONSTANTS.MIDDLE_SONG_CSS_SELECTOR);
-    const closingSong = $(CONSTANTS.FINAL_SONG_CSS_SELECTOR);
+export function getAndValidateSongSelections($, selectors = getSelectorProfile().selectors) {
+    const startingSong = locateSection($, 'startingSong', selectors).selection;
+    const middleSong = locateSection($, 'middleSong', selectors).selection;
+    const closingSong = locateSection($, 'closingSong', selectors).selection;
     assertIsH3(startingSong);
     assertIsH3(middleSong);
     assertIsH3(closingSong);
@@ -58,11 +200,12 @@ export function getAndValidateSongSelections($) {
  * Retrieve and validate the Treasures Talk and subsequent elements.
  * @param {ReturnType<CheerioAPI>} $ - The cheerio instance.
  * @param {Cheerio} fieldMinistryHeadline - The field ministry headline element.
+ * @param {SelectorSet} selectors - The selectors of the profile in use.
  * @returns {GodsTreasuresSelections} The treasures talk and related elements.
  * @throws {Error} If the DOM structure is not as expected.
  */
-function getAndValidateGodsTreasuresSelections($, fieldMinistryHeadline) {
-    const treasuresTalk = $(CONSTANTS.TREASURES_TALK_CSS_SELECTOR);
+function getAndValidateGodsTreasuresSelections($, fieldMinistryHeadline, selectors) {
+    const treasuresTalk = locateSection($, 'treasuresTalk', selectors).selection;
     const points2and3 = treasuresTalk.nextUntil(fieldMinistryHeadline);
     if (points2and3.length !== 4) {
         const msg = `Unexpected number of elements for points 2 and 3. Expected 4, got ${points2and3.length}`;
@@ -77,11 +220,12 @@ function getAndValidateGodsTreasuresSelections($, fieldMinistryHeadline) {
 /**
  * Allows easier creation of gods treasures selections.
  * @param {ReturnType<CheerioAPI>} $
+ * @param {SelectorSet} [selectors] - The selectors to use, defaults to the ones of the default language.
  * @returns {GodsTreasuresSelections}
  */
-export function buildGodsTreasuresSelections($) {
-    const {fieldMinistryHeadline} = buildAndValidateHeadlineSelections($);
-    return getAndValidateGodsTreasuresSelections($, fieldMinistryHeadline);
+export function buildGodsTreasuresSelections($, selectors = getSelectorProfile().selectors) {
+    const {fieldMinistryHeadline} = buildAndValidateHeadlineSelections($, selectors);
+    return getAndValidateGodsTreasuresSelections($, fieldMinistryHeadline, selectors);
 }
 
 /**
@@ -110,10 +254,11 @@ function getAndValidateChristianLivingSelections($, middleSong, closingSong) {
 /**
  * Allows easier creation of christian living selections.
  * @param {ReturnType<CheerioAPI>} $
+ * @param {SelectorSet} [selectors] - The selectors to use, defaults to the ones of the default language.
  * @returns {ChristianLivingSelections}
  */
-export function buildChristianLivingSelections($) {
-    const { middleSong, closingSong } = getAndValidateSongSelections($);
+export function buildChristianLivingSelections($, selectors = getSelectorProfile().selectors) {
+    const { middleSong, closingSong } = getAndValidateSongSelections($, selectors);
     return getAndValidateChristianLivingSelections($, middleSong, closingSong);
 }
 
@@ -137,23 +282,25 @@ function getAndValidateFieldMinistrySelection(fieldMinistryHeadline, christianLi
 /**
  * Allows easier creation of field ministry selections.
  * @param {ReturnType<CheerioAPI>} $ - The cheerio instance.
+ * @param {SelectorSet} [selectors] - The selectors to use, defaults to the ones of the default language.
  * @returns {FieldMinistrySelection}
  */
-export function buildFieldMinistrySelections($) {
-    const {fieldMinistryHeadline, christianLivingHeadline} = buildAndValidateHeadlineSelections($);
+export function buildFieldMinistrySelections($, selectors = getSelectorProfile().selectors) {
+    const {fieldMinistryHeadline, christianLivingHeadline} = buildAndValidateHeadlineSelections($, selectors);
     return getAndValidateFieldMinistrySelection(fieldMinistryHeadline, christianLivingHeadline);
 }
 
 /**
  * Build and validate the headlines.
  * @param {ReturnType<CheerioAPI>} $ - The cheerio instance.
+ * @param {SelectorSet} selectors - The selectors of the profile in use.
  * @returns {{fieldMinistryHeadline: Cheerio, christianLivingHeadline: Cheerio}}
  * @throws {Error} If the DOM structure is not as expected.
  */
-function buildAndValidateHeadlineSelections($) {
-    const fieldMinistryHeadline = $(CONSTANTS.FIELD_MINISTRY_HEADLINE_CSS_SELECTOR);
-    const christianLivingHeadline = $(CONSTANTS.CHRISTIAN_LIVING_HEADLINE_CSS_SELECTOR);
-    assertHeadlineDOMStructure(fieldMinistryHeadline, christianLivingHeadline);
+function buildAndValidateHeadlineSelections($, selectors) {
+    const fieldMinistryHeadline = locateSection($, 'fieldMinistryHeadline', selectors).selection;
+    const christianLivingHeadline = locateSection($, 'christianLivingHeadline', selectors).selection;
+    assertHeadlineDOMStructure(fieldMinistryHeadline, christianLivingHeadline, selectors);
     return {fieldMinistryHeadline, christianLivingHeadline};
 }
 
@@ -175,18 +322,19 @@ function buildAndValidateHeadlineSelections($) {
 /**
  * Build the final program group selections object.
  * @param {ReturnType<CheerioAPI>} $ - The cheerio instance.
+ * @param {SelectorSet} [selectors] - The selectors to use, defaults to the ones of the default language.
  * @returns {RelevantProgramGroupSelections} Object containing all the relevant program group selections.
  * @throws {Error} If the DOM structure is not as expected.
  */
-export function buildRelevantProgramGroupSelections($) {
-    const { fieldMinistryHeadline, christianLivingHeadline } = buildAndValidateHeadlineSelections($);
-    const { songs, startingSong, middleSong, closingSong } = getAndValidateSongSelections($);
-    const { treasuresTalk, spiritualGems, bibleRead } = getAndValidateGodsTreasuresSelections($, fieldMinistryHeadline);
+export function buildRelevantProgramGroupSelections($, selectors = getSelectorProfile().selectors) {
+    const { fieldMinistryHeadline, christianLivingHeadline } = buildAndValidateHeadlineSelections($, selectors);
+    const { songs, startingSong, middleSong, closingSong } = getAndValidateSongSelections($, selectors);
+    const { treasuresTalk, spiritualGems, bibleRead } = getAndValidateGodsTreasuresSelections($, fieldMinistryHeadline, selectors);
     const { fieldMinistry } = getAndValidateFieldMinistrySelection(fieldMinistryHeadline, christianLivingHeadline);
     const { christianLiving, bibleStudy } = getAndValidateChristianLivingSelections($, middleSong, closingSong);
 
     return {
-        introduction: $(CONSTANTS.INTRODUCTION_CSS_SELECTOR),
+        introduction: $(selectors.introduction),
         songs,
         startingSong,
         treasuresTalk,
@@ -1,5 +1,9 @@
 import * as cheerio from 'cheerio';
+import CONSTANTS from "../../core/constants.mjs";
 import {cleanText, collapseConsecutiveLineBreaks} from "./util.mjs";
+import {parseScriptureReferences} from "./scripture_references.mjs";
+import {renderRichText, TEXT_FORMATS} from "./rich_text.mjs";
+import {DEFAULT_LANGUAGE_CODE, getLanguageOrThrow} from "../../core/languages.mjs";
 
 /**
  * @param {string} content - The HTML content to parse.
@@ -34,9 +38,305 @@ export function parsePubNwtsty(content) {
  */
 export function parseDefault(content) {
     const $ = cheerio.load(content);
+    // As in the rich formats, the paragraph numbers are left to the structured content.
+    $('.parNum').remove();
     return collapseConsecutiveLineBreaks(cleanText($.text()));
 }
 
+/**
+ * @typedef {Object} StudyPointMnemonicData
+ * @property {string} publication - The code of the teaching brochure, e.g. 'th' or 'lmd'.
+ * @property {number} lesson - The lesson number.
+ * @property {number | null} point - The number of the point, null when the whole lesson is meant.
+ */
+
+/**
+ * Parses a study point mnemonic such as "th lección 5" or "lmd lesson 1 point 3".
+ * The words in between are localized, only the publication code and the numbers matter.
+ * @param {string} mnemonic
+ * @returns {StudyPointMnemonicData | null} The parsed mnemonic, or null when it doesn't look like one.
+ */
+export function parseStudyPointMnemonic(mnemonic) {
+    // The publication code, then a word before each number, so a scripture like "Is 40:26" isn't taken for a lesson.
+    const match = /^([a-z]+)\s+\p{L}+\.?\s*(\d+)(?:\s+\p{L}+\.?\s*(\d+))?$/iu.exec(cleanText(mnemonic));
+    if (!match) {
+        return null;
+    }
+    return {
+        publication: match[1].toLowerCase(),
+        lesson: parseInt(match[2], 10),
+        point: match[3] ? parseInt(match[3], 10) : null,
+    };
+}
+
+/**
+ * @typedef {Object} StudyLessonPoint
+ * @property {number | null} number - The number of the point, null in the brochures that don't number them (e.g. th).
+ * @property {string} title - The bold lead of the point, empty when it has none.
+ * @property {string} text - The rest of the point.
+ */
+
+/**
+ * @typedef {Object} StudyLessonSection
+ * @property {string} heading - The heading of the section (e.g. "CÓMO HACERLO" or "Imite a Jesús"), empty before the first one.
+ * @property {StudyLessonPoint[]} points
+ */
+
+/**
+ * @typedef {Object} StudyLessonData
+ * @property {string} publication - The code of the teaching brochure, e.g. 'th' or 'lmd'.
+ * @property {string} publicationTitle - The title of the brochure, empty when unknown.
+ * @property {number} lesson - The lesson number.
+ * @property {string} title - The title of the lesson.
+ * @property {number | null} point - The number of the point the student works on, null when it's the whole lesson.
+ * @property {StudyLessonPoint | null} focusPoint - The point the student works on, null when it's the whole lesson or it wasn't found.
+ * @property {string} themeScripture - The scripture the lesson is based on, as written.
+ * @property {ScriptureRange[]} themeScriptureReferences - The verses of `themeScripture`.
+ * @property {string} summary - The summary of the lesson, empty when it has none.
+ * @property {StudyLessonSection[]} sections - The sections of the lesson with their points.
+ */
+
+/**
+ * @param {Cheerio} $paragraph - A paragraph of a lesson, optionally starting with a bold number and a bold lead.
+ * @returns {StudyLessonPoint}
+ */
+function parseStudyLessonPoint($paragraph) {
+    const $copy = $paragraph.clone();
+    let number = null;
+    const $number = $copy.children('strong').first();
+    if (/^\d+\.$/.test(cleanText($number.text()))) {
+        number = parseInt($number.text(), 10);
+        $number.remove();
+    }
+    const $title = $copy.children('strong').first();
+    const title = cleanText($title.text());
+    $title.remove();
+    return {number, title, text: cleanText($copy.text())};
+}
+
+/**
+ * Parses a lesson of a teaching brochure (th, lmd) into its sections and points.
+ * @param {string} mnemonic - The study point mnemonic, e.g. "lmd lección 1 punto 3".
+ * @param {string} content - The HTML content of the lesson.
+ * @param {{publicationTitle?: string, lang?: string}} [options] - The title of the brochure, and the language used to
+ *      parse the theme scripture.
+ * @returns {StudyLessonData | null} The lesson, or null when the mnemonic or the content don't look like a lesson.
+ */
+export function parseStudyLesson(mnemonic, content, {publicationTitle = '', lang} = {}) {
+    const mnemonicData = parseStudyPointMnemonic(mnemonic);
+    const $ = cheerio.load(content ?? '');
+    const $header = $('header');
+    if (!mnemonicData || !$header.length) {
+        return null;
+    }
+
+    const themeScripture = cleanText($('.themeScrp a').first().text()) || cleanText($('.themeScrp').text());
+    const sections = [];
+    // Points before the first heading go to a section without one.
+    const currentSection = () => {
+        if (!sections.length) {
+            sections.push({heading: '', points: []});
+        }
+        return sections.at(-1);
+    };
+    $header.nextAll().each((i, el) => {
+        const $el = $(el);
+        if ($el.is('.themeScrp, .boxSupplement')) {
+            return;
+        }
+        if ($el.is('h3')) {
+            sections.push({heading: cleanText($el.text()), points: []});
+        } else if ($el.is('ul, ol')) {
+            $el.find('li').each((j, item) => {
+                currentSection().points.push(parseStudyLessonPoint($(item).children('p').first()));
+            });
+        } else if ($el.is('p')) {
+            currentSection().points.push(parseStudyLessonPoint($el));
+        }
+    });
+
+    const points = sections.flatMap((section) => section.points);
+    const focusPoint = mnemonicData.point === null ? null : points.find(({number}) => number === mnemonicData.point) ?? null;
+    return {
+        publication: mnemonicData.publication,
+        publicationTitle,
+        lesson: mnemonicData.lesson,
+        title: cleanText($header.find('h2').text()),
+        point: mnemonicData.point,
+        focusPoint,
+        themeScripture,
+        themeScriptureReferences: themeScripture ? parseScriptureReferences(themeScripture, lang) : [],
+        summary: $('.boxSupplement p').map((i, el) => cleanText($(el).text())).get().join('\n'),
+        sections,
+    };
+}
+
+/**
+ * @typedef {Object} PublicationParagraph
+ * @property {number | null} number - The paragraph number printed in the publication, null when it has none.
+ * @property {string} text - The text of the paragraph.
+ */
+
+/**
+ * @typedef {Object} PublicationStructure
+ * @property {string} publication - The publication class the content was parsed as, e.g. 'pub-it'.
+ * @property {string} title - The title of the article, lesson or song.
+ * @property {string[]} subheadings - The subheadings, in the order they appear.
+ * @property {PublicationParagraph[]} paragraphs - The paragraphs, without questions, footnote markers and other noise.
+ * @property {string[]} imageCaptions - The captions of the images.
+ */
+
+/**
+ * @callback PublicationStructureParser
+ * @param {string} content - The HTML content to parse.
+ * @param {{title?: string}} item - The rest of the tooltip item, the title is used when the content has none.
+ * @param {string} [textFormat] - One of {@link TEXT_FORMATS} for the text of the paragraphs, defaults to text.
+ * @returns {Omit<PublicationStructure, 'publication'>}
+ */
+
+/**
+ * @typedef {Object} PublicationStructureSelectors
+ * @property {string[]} [title] - Where the title may be, the first one found wins; falls back to the title of the tooltip item.
+ * @property {string} [subheadings]
+ * @property {string} [paragraphs]
+ * @property {string} [imageCaptions]
+ * @property {string} [noise] - What to drop before parsing, e.g. footnote markers.
+ */
+
+const DEFAULT_STRUCTURE_SELECTORS = Object.freeze({
+    title: ['header h2', 'header h1'],
+    subheadings: 'h2, h3, h4, h5, h6',
+    paragraphs: 'p',
+    imageCaptions: 'figcaption',
+    noise: 'a.fn, a.footnoteLink, sup, .qu, .gen-field, script, style',
+});
+
+/**
+ * Creates a parser that reads the structure of a publication with the given selectors.
+ * Paragraphs inside the header, the subheadings or the image captions are not repeated as paragraphs.
+ * @param {PublicationStructureSelectors} [selectors] - Overrides the default selectors.
+ * @returns {PublicationStructureParser}
+ */
+export function createPublicationStructureParser(selectors = {}) {
+    const {title, subheadings, paragraphs, imageCaptions, noise} = {...DEFAULT_STRUCTURE_SELECTORS, ...selectors};
+    return (content, item = {}, textFormat = TEXT_FORMATS.TEXT) => {
+        const $ = cheerio.load(content ?? '');
+        $(noise).remove();
+        const texts = ($selection) => $selection.map((i, el) => cleanText($(el).text())).get().filter(Boolean);
+        return {
+            title: title.map((selector) => texts($(selector)).at(0)).find(Boolean) ?? cleanText(item.title ?? ''),
+            subheadings: texts($(subheadings).not(`header *`)),
+            paragraphs: $(paragraphs)
+                .not(`header *, figcaption *, figcaption, ${subheadings}`)
+                .map((i, el) => {
+                    const $el = $(el);
+                    const $number = $el.find('.parNum').first();
+                    const number = parseInt($number.attr('data-pnum') ?? $number.text(), 10);
+                    $number.remove();
+                    return {number: Number.isNaN(number) ? null : number, text: renderRichText($el.contents(), textFormat)};
+                })
+                .get()
+                .filter(({text}) => text),
+            imageCaptions: texts($(imageCaptions)),
+        };
+    };
+}
+
+/**
+ * @typedef {Object} PublicationParser
+ * @property {function(string): string} text - Flattens the content into the text of the reference.
+ * @property {PublicationStructureParser} structure - Reads the structure of the content.
+ */
+
+/** @type {PublicationParser} */
+const DEFAULT_PUBLICATION_PARSER = Object.freeze({
+    text: parseDefault,
+    structure: createPublicationStructureParser(),
+});
+
+/** @type {Map<string, PublicationParser>} */
+const publicationParsers = new Map();
+
+/**
+ * Registers the parsers of a publication, replacing any previous ones.
+ * @param {string} publicationClass - The class WOL gives the article of the publication, e.g. 'pub-it'.
+ * @param {Partial<PublicationParser>} parser - The parsers it doesn't give are the default ones.
+ */
+export function registerPublicationParser(publicationClass, {text, structure}) {
+    publicationParsers.set(publicationClass.toLowerCase(), {
+        text: text ?? DEFAULT_PUBLICATION_PARSER.text,
+        structure: structure ?? DEFAULT_PUBLICATION_PARSER.structure,
+    });
+}
+
+/**
+ * Removes the parsers registered for a publication, its content is parsed with the default ones again.
+ * @param {string} publicationClass - The class WOL gives the article of the publication, e.g. 'pub-it'.
+ * @returns {boolean} Whether there were parsers registered for it.
+ */
+export function unregisterPublicationParser(publicationClass) {
+    return publicationParsers.delete(publicationClass.toLowerCase());
+}
+
+/**
+ * @param {string} publicationClass - The publication class detected for the content, e.g. 'pub-it', may be empty.
+ * @returns {PublicationParser} The parsers registered for the publication, or the default ones when none are.
+ */
+function getPublicationParser(publicationClass) {
+    return publicationParsers.get((publicationClass ?? '').toLowerCase()) ?? DEFAULT_PUBLICATION_PARSER;
+}
+
+// Study articles, only the study paragraphs, not the boxes around the excerpt.
+registerPublicationParser(CONSTANTS.PUB_CODE_WATCHTOWER, {
+    text: parsePubW,
+    structure: createPublicationStructureParser({paragraphs: 'p.sb'}),
+});
+// Bible verses, without the footnote and cross-reference markers.
+registerPublicationParser(CONSTANTS.PUB_CODE_BIBLE, {text: parsePubNwtsty});
+// Insight excerpts have no header, the title of the tooltip item is the article.
+registerPublicationParser('pub-it', {structure: createPublicationStructureParser({title: ['h1']})});
+// Songs, a paragraph per line of the lyrics, the stanza number is kept in the text.
+registerPublicationParser('pub-sjj', {
+    structure: createPublicationStructureParser({
+        paragraphs: '.bodyTxt p',
+        noise: `${DEFAULT_STRUCTURE_SELECTORS.noise}, .themeScrp, .closingContent`,
+    }),
+});
+// Bible stories, the story is told in the numbered paragraphs, not in the scriptures it's based on or the introductions.
+registerPublicationParser('pub-lfb', {structure: createPublicationStructureParser({paragraphs: 'p:has(.parNum)'})});
+// Bible study lessons, the discussion questions and the links to videos and articles of each section are lists.
+registerPublicationParser('pub-lff', {
+    structure: createPublicationStructureParser({noise: `${DEFAULT_STRUCTURE_SELECTORS.noise}, ul, ol`}),
+});
+// Bible study chapters, without the summary box at the end, it repeats the points of the chapter.
+registerPublicationParser('pub-bhs', {
+    structure: createPublicationStructureParser({noise: `${DEFAULT_STRUCTURE_SELECTORS.noise}, .boxSupplement`}),
+});
+
+/**
+ * Flattens the content of a tooltip into text with the parser registered for its publication.
+ * @param {PublicationRefDetectionData} contentDetectionData
+ * @param {string} contentToParse
+ * @returns {string}
+ */
+export function pickAndApplyParsingLogic({publicationClass}, contentToParse) {
+    return getPublicationParser(publicationClass).text(contentToParse);
+}
+
+/**
+ * Parses the structure of the content of a tooltip with the parser registered for its publication, or the default
+ * one when none is.
+ * @param {string} publicationClass - The publication class detected for the content, e.g. 'pub-it', may be empty.
+ * @param {string} content - The HTML content to parse.
+ * @param {{title?: string}} [item] - The rest of the tooltip item.
+ * @param {string} [textFormat] - One of {@link TEXT_FORMATS} for the text of the paragraphs, defaults to text.
+ * @returns {PublicationStructure}
+ */
+export function parsePublicationStructure(publicationClass, content, item = {}, textFormat = TEXT_FORMATS.TEXT) {
+    const parser = getPublicationParser(publicationClass);
+    return {publication: (publicationClass ?? '').toLowerCase(), ...parser.structure(content, item, textFormat)};
+}
+
 /**
  * @typedef {Object} PubSjjParsedData
  * @property {string} name - The name of the song.
@@ -47,6 +347,7 @@ export function parseDefault(content) {
 
 /**
  * Parses the given HTML content and returns the parsed data.
+ * The lyrics line by line are in the structure of the song, see {@link parsePublicationStructure}.
  * @param {string} content - The HTML content to parse.
  * @returns {PubSjjParsedData} SJJ parsed data.
  */
@@ -61,21 +362,95 @@ export function parsePubSjj(content) {
 }
 
 /**
- * @param {PublicationRefDetectionData} contentDetectionData
- * @param {string} contentToParse
- * @returns {string}
+ * @typedef {Object} ParagraphRange
+ * @property {number} first - The number of the first paragraph.
+ * @property {number} last - The number of the last paragraph.
+ */
+
+/**
+ * @typedef {Object} StudyMaterialData
+ * @property {string} heading - The number of the chapter or lesson as written, e.g. "LECCIÓN 24", empty when it has none.
+ * @property {string} title - The title of the chapter or lesson.
+ * @property {ParagraphRange | null} paragraphRange - The numbered paragraphs the material covers: the ones assigned when
+ *      the assignment gives them (e.g. "párrs. 1-7"), else the ones found. Null when they aren't numbered.
+ * @property {PublicationParagraph[]} paragraphs - The paragraphs, without the study questions.
+ * @property {string[]} questions - The study questions, in the order they appear.
+ */
+
+/**
+ * @typedef {Object} StudyMaterialOptions
+ * @property {ParagraphRange | null} [paragraphRange] - The paragraphs assigned, the whole material when not given.
+ * @property {string} [textFormat] - One of {@link TEXT_FORMATS} for the paragraphs and the questions, defaults to text.
+ */
+
+/**
+ * Parses the paragraphs a study covers, as the workbook writes them (e.g. "jy cap. 10 párrs. 1-7").
+ * @param {string} text - The assignment, or the part of it that names the material.
+ * @param {string} [lang] - The language of the text.
+ * @returns {ParagraphRange | null} The range, null when the text doesn't limit the paragraphs.
  */
-export function pickAndApplyParsingLogic({isPubW, isPubNwtsty}, contentToParse) {
-    /** @type {function(string): string} */
-    let parserStrategy;
+export function parseParagraphRange(text, lang = DEFAULT_LANGUAGE_CODE) {
+    const match = getLanguageOrThrow(lang).paragraphRangePattern.exec(cleanText(text));
+    if (!match) {
+        return null;
+    }
+    const first = parseInt(match[1], 10);
+    return {first, last: match[2] ? parseInt(match[2], 10) : first};
+}
 
-    if (isPubW) {
-        parserStrategy = parsePubW;
-    } else if (isPubNwtsty) {
-        parserStrategy = parsePubNwtsty;
-    } else {
-        parserStrategy = parseDefault;
+/**
+ * @param {string} question - A study question, it may start with the paragraphs it's about, e.g. "3, 4. ¿Qué...?".
+ * @returns {number[]} The paragraphs the question is about, empty when it doesn't say.
+ */
+function getQuestionParagraphNumbers(question) {
+    const match = /^(\d+(?:\s*[-–,]\s*\d+)*)\.\s/.exec(question);
+    if (!match) {
+        return [];
     }
+    return match[1].split(/\s*,\s*/).flatMap((part) => {
+        const [first, last = first] = part.split(/\s*[-–]\s*/).map((number) => parseInt(number, 10));
+        return Array.from({length: Math.max(last - first + 1, 1)}, (_, i) => first + i);
+    });
+}
 
-    return parserStrategy(contentToParse);
-}
\ No newline at end of file
+/**
+ * Parses the material of a study, like a chapter or a lesson of the book studied in the Congregation Bible Study, into
+ * its paragraphs and study questions.
+ * With a paragraph range, only the paragraphs in it are kept: the paragraphs without a number go with the numbered one
+ * before them, and the questions with the paragraphs they name. The questions that name none are about the whole
+ * material and are always kept.
+ * @param {string} publicationClass - The publication class detected for the content, e.g. 'pub-lfb', may be empty.
+ * @param {string} content - The HTML content to parse.
+ * @param {{title?: string}} [item] - The rest of the tooltip item.
+ * @param {StudyMaterialOptions} [options]
+ * @returns {StudyMaterialData}
+ */
+export function parseStudyMaterial(publicationClass, content, item = {}, {paragraphRange = null, textFormat = TEXT_FORMATS.TEXT} = {}) {
+    const {title, paragraphs} = parsePublicationStructure(publicationClass, content, item, textFormat);
+    const $ = cheerio.load(content ?? '');
+    const isInRange = (number) => number !== null && number >= paragraphRange.first && number <= paragraphRange.last;
+    let currentNumber = null;
+    const assignedParagraphs = !paragraphRange ? paragraphs : paragraphs.filter(({number}) => {
+        currentNumber = number ?? currentNumber;
+        return isInRange(currentNumber);
+    });
+    const numbers = paragraphs.map(({number}) => number).filter((number) => number !== null);
+    // The questions may be a paragraph inside a box of the same class, only the innermost one counts.
+    const questions = $('.qu')
+        .filter((i, el) => !$(el).find('.qu').length)
+        .map((i, el) => ({plainText: cleanText($(el).text()), text: renderRichText($(el).contents(), textFormat)}))
+        .get()
+        .filter(({plainText}) => plainText);
+    return {
+        heading: cleanText($('header h1').first().text()),
+        title,
+        paragraphRange: paragraphRange ?? (numbers.length ? {first: Math.min(...numbers), last: Math.max(...numbers)} : null),
+        paragraphs: assignedParagraphs,
+        questions: questions
+            .filter(({plainText}) => {
+                const questionNumbers = getQuestionParagraphNumbers(plainText);
+                return !paragraphRange || !questionNumbers.length || questionNumbers.some(isInRange);
+            })
+            .map(({text}) => text),
+    };
+}
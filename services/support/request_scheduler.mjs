@@ -0,0 +1,173 @@
+import logger from "../../core/logger.mjs";
+import {readIntegerFromEnv, readPositiveNumberFromEnv} from "./util.mjs";
+
+const log = logger.child(logger.bindings());
+
+/**
+ * @typedef {Object} RequestSchedulerOptions
+ * @property {number} [maxConcurrency] - How many requests may be in flight at the same time, across all hosts.
+ * @property {number} [requestsPerSecond] - How many requests may start per second for each host, 0 or less disables the limit.
+ * @property {function(): number} [now] - Returns the current time in milliseconds, mostly useful for testing.
+ */
+
+/**
+ * @typedef {Object} RequestSchedulerStats
+ * @property {number} queueDepth - Requests waiting for a slot.
+ * @property {number} active - Requests currently in flight.
+ * @property {number} maxConcurrency
+ * @property {number} requestsPerSecond
+ * @property {Object<string, number>} pausedHosts - Hosts paused because of a Retry-After, with the time they resume at.
+ */
+
+/**
+ * @typedef {Object} RequestScheduler
+ * @property {function(string, function(): Promise<any>): Promise<any>} schedule - Runs the task for the given URL once a slot is free for its host.
+ * @property {function(string, number): void} pauseHost - Stops starting requests for the given host during the given milliseconds.
+ * @property {function(): RequestSchedulerStats} getStats
+ */
+
+/**
+ * Creates a scheduler that bounds how many requests are in flight and how fast they start for each host.
+ * @param {RequestSchedulerOptions} [options]
+ * @returns {RequestScheduler}
+ */
+export function createRequestScheduler({maxConcurrency = 4, requestsPerSecond = 5, now = Date.now} = {}) {
+    const minIntervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    /** @type {{host: string, task: function(): Promise<any>, resolve: Function, reject: Function}[]} */
+    const queue = [];
+    /** @type {Map<string, {nextStartAt: number, pausedUntil: number}>} */
+    const hosts = new Map();
+    let active = 0;
+    let timer = null;
+    let timerAt = 0;
+
+    const stateOf = (host) => {
+        if (!hosts.has(host)) {
+            hosts.set(host, {nextStartAt: 0, pausedUntil: 0});
+        }
+        return hosts.get(host);
+    };
+    const availableAt = (host) => {
+        const state = stateOf(host);
+        return Math.max(state.nextStartAt, state.pausedUntil);
+    };
+
+    function start(index) {
+        const [job] = queue.splice(index, 1);
+        const state = stateOf(job.host);
+        state.nextStartAt = now() + minIntervalMs;
+        active++;
+        log.debug(`Starting request for [${job.host}], active [${active}], queue depth [${queue.length}]`);
+
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                active--;
+                pump();
+            });
+    }
+
+    function pump() {
+        while (active < maxConcurrency && queue.length) {
+            const currentTime = now();
+            const index = queue.findIndex((job) => availableAt(job.host) <= currentTime);
+            if (index === -1) {
+                break;
+            }
+            start(index);
+        }
+
+        if (!queue.length || active >= maxConcurrency) {
+            return;
+        }
+        const wakeUpAt = Math.min(...queue.map((job) => availableAt(job.host)));
+        if (timer && timerAt <= wakeUpAt) {
+            return;
+        }
+        clearTimeout(timer);
+        timerAt = wakeUpAt;
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, Math.max(0, wakeUpAt - now()));
+    }
+
+    return {
+        schedule(url, task) {
+            const {host} = new URL(url);
+            return new Promise((resolve, reject) => {
+                queue.push({host, task, resolve, reject});
+                log.debug(`Queued request for [${url}], queue depth [${queue.length}], active [${active}]`);
+                if (queue.length > maxConcurrency * 5) {
+                    log.info(`Request queue is growing, depth [${queue.length}], active [${active}]`);
+                }
+                pump();
+            });
+        },
+        pauseHost(host, ms) {
+            const state = stateOf(host);
+            state.pausedUntil = Math.max(state.pausedUntil, now() + ms);
+            log.warn(`Pausing requests to [${host}] for [${ms}] ms, queue depth [${queue.length}]`);
+            clearTimeout(timer);
+            timer = null;
+            pump();
+        },
+        getStats() {
+            const currentTime = now();
+            const pausedHosts = Object.fromEntries(
+                [...hosts.entries()]
+                    .filter(([, state]) => state.pausedUntil > currentTime)
+                    .map(([host, state]) => [host, state.pausedUntil])
+            );
+            return {queueDepth: queue.length, active, maxConcurrency, requestsPerSecond, pausedHosts};
+        },
+    };
+}
+
+/**
+ * Parses the value of a Retry-After header.
+ * @param {string | null} value - Either an amount of seconds or an HTTP date.
+ * @param {number} [currentTime] - The current time in milliseconds.
+ * @returns {number | null} The milliseconds to wait, or null when the value can't be parsed.
+ */
+export function parseRetryAfter(value, currentTime = Date.now()) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - currentTime);
+}
+
+/** @type {RequestScheduler | null} */
+let requestScheduler = null;
+
+/**
+ * Gets the scheduler every outbound request goes through, configured through
+ * PMP_MAX_CONCURRENCY and PMP_REQUESTS_PER_SECOND on first use.
+ * @returns {RequestScheduler}
+ * @throws {Error} If the concurrency isn't a whole number of at least 1, or the rate isn't a number greater than 0.
+ */
+export function getRequestScheduler() {
+    if (!requestScheduler) {
+        requestScheduler = createRequestScheduler({
+            maxConcurrency: readIntegerFromEnv('PMP_MAX_CONCURRENCY', 4, 1),
+            requestsPerSecond: readPositiveNumberFromEnv('PMP_REQUESTS_PER_SECOND', 5),
+        });
+    }
+    return requestScheduler;
+}
+
+/**
+ * Replaces the scheduler every outbound request goes through, null makes the next request create it again.
+ * @param {RequestScheduler | null} scheduler
+ */
+export function setRequestScheduler(scheduler) {
+    requestScheduler = scheduler;
+}
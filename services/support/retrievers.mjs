@@ -1,44 +1,129 @@
 import logger from "../../core/logger.mjs";
-import { withErrorHandling } from "./util.mjs";
+import {readIntegerFromEnv, withErrorHandling} from "./util.mjs";
 import CONSTANTS from "../../core/constants.mjs";
+import {DEFAULT_LANGUAGE_CODE, getLanguageOrThrow} from "../../core/languages.mjs";
+import {buildCacheKey, getReferenceCache} from "./cache.mjs";
+import {getNetMode, NET_MODES, recordResponse, replayResponse} from "./net_recorder.mjs";
+import {getRequestScheduler, parseRetryAfter} from "./request_scheduler.mjs";
 
 const log = logger.child(logger.bindings());
 
+/**
+ * @typedef {Object} FetchOptions
+ * @property {string} [lang] - The language code of the requested content, defaults to the default language.
+ * @property {AbortSignal} [signal] - Cancels the request when aborted, e.g. because the client that asked for it went away.
+ */
+
 /**
  * Generates the headers for a fetch request.
  * @param {string} contentType - The expected content type (e.g., 'application/json', 'text/html').
+ * @param {string} [lang] - The language code of the requested content.
  * @returns {Object} An object containing the headers for the fetch request.
  */
-function createHeaders(contentType) {
+function createHeaders(contentType, lang) {
     return {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:126.0) Gecko/20100101 Firefox/126.0',
         'Accept': contentType,
-        'Accept-Language': 'es-ES,es;q=0.5',
+        'Accept-Language': getLanguageOrThrow(lang).acceptLanguage,
         'Accept-Encoding': 'gzip, deflate, br',
         'Referer': CONSTANTS.BASE_URL,
     };
 }
 
 /**
- * Performs a GET request to the given URL with the given headers.
+ * @typedef {Object} RetryPolicy
+ * @property {number} timeoutMs - How long a single attempt may take before it's aborted.
+ * @property {number} maxRetries - How many times a failed attempt is retried.
+ * @property {number} baseDelayMs - The backoff delay before the first retry, doubled on each following one.
+ */
+
+/**
+ * Reads the retry policy configured through PMP_FETCH_TIMEOUT_MS, PMP_FETCH_MAX_RETRIES and PMP_FETCH_RETRY_BASE_DELAY_MS.
+ * The environment is read on every call so tests can tune it without reloading modules.
+ * @returns {RetryPolicy}
+ * @throws {Error} If a setting isn't a whole number, or the timeout is less than 1 ms.
+ */
+function getRetryPolicy() {
+    return {
+        timeoutMs: readIntegerFromEnv('PMP_FETCH_TIMEOUT_MS', 15000, 1),
+        maxRetries: readIntegerFromEnv('PMP_FETCH_MAX_RETRIES', 3),
+        baseDelayMs: readIntegerFromEnv('PMP_FETCH_RETRY_BASE_DELAY_MS', 500),
+    };
+}
+
+/**
+ * Computes the delay before the given retry using exponential backoff with full jitter.
+ * @param {number} retry - The retry number, starting at 0.
+ * @param {number} baseDelayMs - The upper bound of the first delay.
+ * @param {function(): number} [random] - Returns a number between 0 and 1, mostly useful for testing.
+ * @returns {number} The delay in milliseconds.
+ */
+export function computeBackoffDelay(retry, baseDelayMs, random = Math.random) {
+    return Math.round(random() * baseDelayMs * 2 ** retry);
+}
+
+/**
+ * @param {number} status
+ * @returns {boolean} True for statuses that may succeed when the request is repeated.
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Waits the given milliseconds, or less if the signal is aborted first.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, {once: true});
+    });
+}
+
+/**
+ * Performs a single GET attempt to the given URL, aborted once the timeout elapses or the signal is aborted.
+ * The request goes through the shared request scheduler, which bounds concurrency and rate per host.
  * @param {string} url - The URL to fetch.
  * @param {Object} headers - The headers to include in the request.
- * @returns {Promise<{response: Response, elapsedTime: number} | Error>} A promise that resolves to an object containing the response and the elapsed time in seconds,
- *      or an Error object if an error occurred.
+ * @param {number} timeoutMs - How long the attempt may take, not counting the time spent waiting in the queue.
+ * @param {AbortSignal} [signal] - Cancels the attempt when aborted.
+ * @returns {Promise<{response: Response, elapsedTime: number} | {error: Error, retryable: boolean}>}
  */
-async function _fetchContent(url, headers) {
-    const startTime = performance.now();
+async function _fetchOnce(url, headers, timeoutMs, signal) {
+    const scheduler = getRequestScheduler();
+    let startTime = performance.now();
 
-    log.debug(`Sending GET request to [${url}]`);
+    log.debug(`Scheduling GET request to [${url}]`);
 
     try {
-        const response = await fetch(url, { headers });
+        const response = await scheduler.schedule(url, () => {
+            // Time spent waiting in the queue isn't part of the request time.
+            startTime = performance.now();
+            signal?.throwIfAborted();
+            log.debug(`Sending GET request to [${url}]`);
+            const timeoutSignal = AbortSignal.timeout(timeoutMs);
+            return fetch(url, {headers, signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal});
+        });
         const elapsedTime = (performance.now() - startTime) / 1000;
 
         if (!response.ok) {
-            const errorMessage = `Failed to fetch [${url}] with status [${response.status}] (${response.statusText}) after [${elapsedTime.toFixed(4)}] seconds. Response headers: [${JSON.stringify(response.headers.raw())}]`;
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            if (retryAfterMs !== null && (response.status === 429 || response.status === 503)) {
+                scheduler.pauseHost(new URL(url).host, retryAfterMs);
+            }
+            const errorMessage = `Failed to fetch [${url}] with status [${response.status}] (${response.statusText}) after [${elapsedTime.toFixed(4)}] seconds. Response headers: [${JSON.stringify(Object.fromEntries(response.headers))}]`;
             log.error(errorMessage);
-            return new Error(errorMessage);
+            return {error: new Error(errorMessage), retryable: isRetryableStatus(response.status)};
         }
 
         if (elapsedTime > 10) {
@@ -52,33 +137,72 @@ async function _fetchContent(url, headers) {
     } catch (error) {
         const elapsedTime = (performance.now() - startTime) / 1000;
         let errorMessage = `Request to [${url}] failed after [${elapsedTime.toFixed(4)}] seconds.`;
+        let retryable = true;
 
-        if (error.name === 'TypeError') {
+        if (signal?.aborted) {
+            errorMessage += ` Request was cancelled: [${signal.reason?.message ?? signal.reason}]`;
+            retryable = false;
+        } else if (error.name === 'TimeoutError' || error.code === 'ETIMEDOUT') {
+            errorMessage += ` Request timed out after [${timeoutMs}] ms: [${error.message}]`;
+        } else if (error.name === 'TypeError') {
             errorMessage += ` Network or DNS error occurred: [${error.message}]`;
         } else if (error.code === 'ENOTFOUND') {
             errorMessage += ` DNS lookup failed: [${error.message}]`;
-        } else if (error.code === 'ETIMEDOUT') {
-            errorMessage += ` Request timed out: [${error.message}]`;
-        } else if (error instanceof SyntaxError) {
-            errorMessage += ` Failed to parse response: [${error.message}]`;
         } else {
             errorMessage += ` Unexpected error occurred: [${error.message}]`;
+            retryable = false;
         }
 
         log.error(errorMessage);
-        return new Error(errorMessage);
+        return {error: new Error(errorMessage), retryable};
+    }
+}
+
+/**
+ * Performs a GET request to the given URL with the given headers.
+ * Attempts that time out, fail at the network level or get a 429 or 5xx status are retried with a jittered
+ * exponential backoff, see {@link getRetryPolicy}. A Retry-After header pauses the host in the request scheduler,
+ * so the retry also waits for it.
+ * @param {string} url - The URL to fetch.
+ * @param {Object} headers - The headers to include in the request.
+ * @param {AbortSignal} [signal] - Cancels the request, including pending retries, when aborted.
+ * @returns {Promise<{response: Response, elapsedTime: number} | Error>} A promise that resolves to an object containing the response and the elapsed time in seconds,
+ *      or an Error object if an error occurred.
+ */
+async function _fetchContent(url, headers, signal) {
+    const {timeoutMs, maxRetries, baseDelayMs} = getRetryPolicy();
+
+    for (let retry = 0; ; retry++) {
+        const result = await _fetchOnce(url, headers, timeoutMs, signal);
+        if (!result.error) {
+            return result;
+        }
+        if (!result.retryable || retry >= maxRetries || signal?.aborted) {
+            return result.error;
+        }
+
+        const delay = computeBackoffDelay(retry, baseDelayMs);
+        log.warn(`Retrying request to [${url}] in [${delay}] ms, retry [${retry + 1}] of [${maxRetries}]`);
+        await sleep(delay, signal);
     }
 }
 
 /**
  * Fetches text content from the given URL with error handling.
+ * Depending on PMP_NET_MODE the response is served from, or also stored into, the recordings directory.
  * @param {string} url - The URL to fetch.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<Error | string>} A promise that resolves to either an Error object if any error occurs,
  *     or the TEXT content if successful.
  */
-async function _getTextContent(url) {
-    const headers = createHeaders('text/html');
-    const result = await _fetchContent(url, headers);
+async function _getTextContent(url, {lang = DEFAULT_LANGUAGE_CODE, signal} = {}) {
+    const netMode = getNetMode();
+    if (netMode === NET_MODES.REPLAY) {
+        return replayResponse('html', url, lang);
+    }
+
+    const headers = createHeaders('text/html', lang);
+    const result = await _fetchContent(url, headers, signal);
 
     if (result instanceof Error) {
         return result;
@@ -87,6 +211,9 @@ async function _getTextContent(url) {
     try {
         const content = await result.response.text();
         log.info(`Received TEXT content from [${url}] with status code 200 in [${result.elapsedTime.toFixed(4)}] seconds. Content length: [${content.length}]`);
+        if (netMode === NET_MODES.RECORD) {
+            await recordResponse('html', url, lang, content);
+        }
         return content;
     } catch (error) {
         log.error(`Failed to parse TEXT response from [${url}]: [${error.message}]`);
@@ -103,13 +230,30 @@ export const getHtmlContent = withErrorHandling(_getTextContent);
 
 /**
  * Fetches JSON content from the given URL with error handling.
+ * Responses are kept in the reference cache, since the referenced publications don't change.
+ * Depending on PMP_NET_MODE the response is served from, or also stored into, the recordings directory.
  * @param {string} url - The URL to fetch.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<Error | Object>} A promise that resolves to either an Error object if any error occurs,
  *     or the parsed JSON content if successful.
  */
-async function _getJsonContent(url) {
-    const headers = createHeaders('application/json');
-    const result = await _fetchContent(url, headers);
+async function _getJsonContent(url, {lang = DEFAULT_LANGUAGE_CODE, signal} = {}) {
+    const netMode = getNetMode();
+    if (netMode === NET_MODES.REPLAY) {
+        return replayResponse('json', url, lang);
+    }
+
+    const cache = getReferenceCache();
+    const cacheKey = buildCacheKey(url, lang);
+    // Recording must reach the network, otherwise cached responses would never make it into the recordings.
+    const cached = netMode === NET_MODES.LIVE ? await cache.get(cacheKey) : undefined;
+    if (cached !== undefined) {
+        log.debug(`Cache hit for JSON content from [${url}]`);
+        return cached;
+    }
+
+    const headers = createHeaders('application/json', lang);
+    const result = await _fetchContent(url, headers, signal);
 
     if (result instanceof Error) {
         return result;
@@ -118,6 +262,10 @@ async function _getJsonContent(url) {
     try {
         const content = await result.response.json();
         log.info(`Received JSON content from [${url}] with status code 200 in [${result.elapsedTime.toFixed(4)}] seconds. Content length: [${JSON.stringify(content).length}]`);
+        await cache.set(cacheKey, content);
+        if (netMode === NET_MODES.RECORD) {
+            await recordResponse('json', url, lang, content);
+        }
         return content;
     } catch (error) {
         log.error(`Failed to parse JSON response from [${url}]: [${error.message}]`);
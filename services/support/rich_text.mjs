@@ -0,0 +1,204 @@
+import CONSTANTS from "../../core/constants.mjs";
+import {cleanText} from "./util.mjs";
+
+/**
+ * The formats the text extracted from the workbook and its references can be returned in.
+ * - `text`: plain text, the default.
+ * - `markdown`: Markdown with the emphasis, lists and links of the original.
+ * - `html`: sanitized HTML with the emphasis, lists and links of the original.
+ * Links are made absolute to WOL in both rich formats.
+ */
+export const TEXT_FORMATS = Object.freeze({
+    TEXT: 'text',
+    MARKDOWN: 'markdown',
+    HTML: 'html',
+});
+
+// Tags kept by the HTML format, the ones that mean the same are renamed (e.g. `b` to `strong`).
+const HTML_TAGS = Object.freeze({
+    p: 'p', h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', h5: 'h5', h6: 'h6',
+    ul: 'ul', ol: 'ol', li: 'li', br: 'br',
+    strong: 'strong', b: 'strong', em: 'em', i: 'em', a: 'a',
+});
+
+// Tags whose content is dropped along with them.
+const DROPPED_TAGS = new Set(['script', 'style', 'img', 'video', 'audio', 'noscript']);
+
+// Tags that start a line of their own in Markdown.
+const BLOCK_TAGS = new Set(['p', 'div', 'header', 'section', 'article', 'aside', 'figure', 'figcaption', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li']);
+
+/**
+ * Escapes the characters that would otherwise turn plain text into Markdown formatting.
+ * Footnote markers (`[^n]`, or `[^n.m]` in the Christian Living parts) are kept as they are.
+ * @param {any} text
+ * @returns {string}
+ */
+export function escapeMarkdown(text) {
+    return String(text ?? '')
+        .replace(/([\\`*_])/g, '\\$1')
+        .replace(/\[(?!\^\d+(?:\.\d+)?])/g, '\\[')
+        .replace(/^([#>+-])/gm, '\\$1');
+}
+
+/**
+ * Escapes the characters that have a meaning in HTML.
+ * @param {any} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {string | undefined} href - A link as written in WOL, usually relative (e.g. `/es/wol/bc/r4/lp-s/202024321/13/0`).
+ * @returns {string | null} The absolute URL, or null when there is none or it isn't a web link.
+ */
+export function toAbsoluteWolUrl(href) {
+    if (!href) {
+        return null;
+    }
+    try {
+        const url = new URL(href, CONSTANTS.BASE_URL);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text with whitespace runs (including non-breaking spaces) collapsed to a single space.
+ */
+function collapseWhitespace(text) {
+    return text.replace(/[\s ]+/g, ' ');
+}
+
+/**
+ * @param {any[]} nodes - Cheerio (domhandler) nodes.
+ * @returns {string} The nodes as sanitized HTML.
+ */
+function renderHtmlNodes(nodes) {
+    return nodes.map((node) => {
+        if (node.type === 'text') {
+            // The indentation between the items of a list isn't content.
+            return ['ul', 'ol'].includes(node.parent?.name) ? '' : escapeHtml(collapseWhitespace(node.data));
+        }
+        if (node.type !== 'tag' || DROPPED_TAGS.has(node.name)) {
+            return '';
+        }
+        const tag = HTML_TAGS[node.name];
+        const inner = renderHtmlNodes(node.children ?? []);
+        if (!tag) {
+            return inner;
+        }
+        if (tag === 'br') {
+            return '<br>';
+        }
+        if (tag === 'a') {
+            const href = toAbsoluteWolUrl(node.attribs?.href);
+            return href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+        }
+        const content = BLOCK_TAGS.has(tag) ? inner.trim() : inner;
+        return content || tag === 'li' ? `<${tag}>${content}</${tag}>` : '';
+    }).join('');
+}
+
+/**
+ * @param {any[]} nodes - Cheerio (domhandler) nodes.
+ * @returns {string} The nodes as Markdown, the blocks on lines of their own.
+ */
+function renderMarkdownNodes(nodes) {
+    return nodes.map((node) => {
+        if (node.type === 'text') {
+            return escapeMarkdown(collapseWhitespace(node.data));
+        }
+        if (node.type !== 'tag' || DROPPED_TAGS.has(node.name)) {
+            return '';
+        }
+        const children = node.children ?? [];
+        switch (node.name) {
+            case 'br':
+                return '\n';
+            case 'strong':
+            case 'b':
+                return wrapInline(renderMarkdownNodes(children), '**', '**');
+            case 'em':
+            case 'i':
+                return wrapInline(renderMarkdownNodes(children), '*', '*');
+            case 'a': {
+                const text = renderMarkdownNodes(children);
+                const href = toAbsoluteWolUrl(node.attribs?.href);
+                return href ? wrapInline(text, '[', `](${href})`) : text;
+            }
+            case 'ul':
+            case 'ol':
+                return `\n${children
+                    .filter((child) => child.type === 'tag' && child.name === 'li')
+                    .map((item, index) => `${node.name === 'ol' ? `${index + 1}.` : '-'} ${toLines(renderMarkdownNodes(item.children ?? [])).join(' ')}`)
+                    .join('\n')}\n`;
+            default: {
+                const inner = renderMarkdownNodes(children);
+                return BLOCK_TAGS.has(node.name) ? `\n${inner}\n` : inner;
+            }
+        }
+    }).join('');
+}
+
+/**
+ * Wraps inline Markdown, keeping the surrounding spaces outside so the Markdown stays valid.
+ * @param {string} text
+ * @param {string} opening - E.g. `**`, or `[` for a link.
+ * @param {string} closing - E.g. `**`, or `](url)` for a link.
+ * @returns {string}
+ */
+function wrapInline(text, opening, closing) {
+    const [, leading, inner, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${leading}${opening}${inner}${closing}${trailing}` : text;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} The non-empty lines of the text, trimmed.
+ */
+function toLines(text) {
+    return text.split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Renders a selection in the given format, keeping the emphasis, lists and links, with the links made absolute to WOL.
+ * In text format it returns the trimmed text of the selection, like the extractors always did.
+ * @param {Cheerio} $selection - The elements to render.
+ * @param {string} [format] - One of {@link TEXT_FORMATS}, defaults to text.
+ * @returns {string}
+ * @throws {Error} If the format is unknown.
+ */
+export function renderRichText($selection, format = TEXT_FORMATS.TEXT) {
+    const nodes = $selection.toArray();
+    switch (format) {
+        case TEXT_FORMATS.TEXT:
+            return cleanText($selection.text());
+        case TEXT_FORMATS.MARKDOWN:
+            return toLines(renderMarkdownNodes(nodes)).join('\n');
+        case TEXT_FORMATS.HTML:
+            return renderHtmlNodes(nodes).trim();
+        default:
+            throw new Error(`Unknown text format [${format}], expected one of [${Object.values(TEXT_FORMATS).join(', ')}]`);
+    }
+}
+
+/**
+ * @param {any} node - A Cheerio (domhandler) node.
+ * @returns {any[]} The text nodes under the node, in document order.
+ */
+export function getTextNodes(node) {
+    if (node.type === 'text') {
+        return [node];
+    }
+    return (node.children ?? []).flatMap(getTextNodes);
+}
@@ -0,0 +1,136 @@
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+/**
+ * @typedef {Object} SchemaValidationOptions
+ * @property {Object<string, Object>} [schemas] - The schemas the `$ref`s point to, by name.
+ * @property {boolean} [strict] - Whether objects may only have the properties their schema lists, used to catch
+ *      undocumented response properties. Schemas that set `additionalProperties` decide for themselves.
+ * @property {string} [path] - The name of the validated value in the messages (e.g. 'body').
+ */
+
+/**
+ * @param {any} value
+ * @returns {string} The JSON Schema type of the value.
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * @param {Object} schema
+ * @param {Object<string, Object>} schemas
+ * @returns {Object} The schema the reference points to.
+ * @throws {Error} If the reference points nowhere.
+ */
+function resolveRef({$ref}, schemas) {
+    const target = $ref.startsWith(SCHEMA_REF_PREFIX) ? schemas[$ref.slice(SCHEMA_REF_PREFIX.length)] : undefined;
+    if (!target) {
+        throw new Error(`Unable to resolve the schema reference [${$ref}]`);
+    }
+    return target;
+}
+
+/**
+ * Collects the names of the properties a schema documents, following references and `allOf`.
+ * @param {Object} schema
+ * @param {Object<string, Object>} schemas
+ * @returns {Set<string>}
+ */
+function collectPropertyNames(schema, schemas) {
+    const names = new Set(Object.keys(schema.properties ?? {}));
+    const nested = [...(schema.$ref ? [resolveRef(schema, schemas)] : []), ...(schema.allOf ?? [])];
+    for (const name of nested.flatMap((branch) => [...collectPropertyNames(branch, schemas)])) {
+        names.add(name);
+    }
+    return names;
+}
+
+/**
+ * Validates a value, pushing what is wrong with it into `errors`.
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} at - Where the value is, for the messages.
+ * @param {{schemas: Object<string, Object>, strict: boolean}} context
+ * @param {string[]} errors
+ * @param {boolean} [closed] - Whether the properties of the object were already checked against every branch of an `allOf`.
+ */
+function check(value, schema, at, context, errors, closed = false) {
+    if (schema.$ref) {
+        check(value, resolveRef(schema, context.schemas), at, context, errors, closed);
+    }
+
+    const actualType = typeOf(value);
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.includes(actualType) && !(types.includes('integer') && Number.isInteger(value))) {
+            errors.push(`${at} must be ${types.join(' or ')}, got ${actualType}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of [${schema.enum.join(', ')}], got [${value}]`);
+    }
+    if (schema.anyOf) {
+        const branchErrors = schema.anyOf.map((branch) => {
+            const found = [];
+            check(value, branch, at, context, found);
+            return found;
+        });
+        if (branchErrors.every((found) => found.length)) {
+            errors.push(...branchErrors.reduce((fewest, found) => (found.length < fewest.length ? found : fewest)));
+        }
+    }
+
+    const checksExtraProperties = context.strict && !closed && actualType === 'object' && schema.additionalProperties === undefined;
+    if (schema.allOf) {
+        for (const branch of schema.allOf) {
+            check(value, branch, at, context, errors, true);
+        }
+        if (checksExtraProperties) {
+            const documented = collectPropertyNames(schema, context.schemas);
+            const extra = Object.keys(value).filter((name) => !documented.has(name));
+            errors.push(...extra.map((name) => `${at}.${name} is not documented`));
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const name of schema.required ?? []) {
+            if (value[name] === undefined) {
+                errors.push(`${at}.${name} is required`);
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (propertyValue === undefined) {
+                continue;
+            }
+            if (schema.properties?.[name]) {
+                check(propertyValue, schema.properties[name], `${at}.${name}`, context, errors);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(propertyValue, schema.additionalProperties, `${at}.${name}`, context, errors);
+            } else if (schema.additionalProperties === false || (checksExtraProperties && schema.properties && !schema.allOf)) {
+                errors.push(`${at}.${name} is not documented`);
+            }
+        }
+    }
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => check(item, schema.items, `${at}[${index}]`, context, errors));
+    }
+}
+
+/**
+ * Validates a value against a JSON Schema. Only the keywords of the schemas built from the typedefs are supported:
+ * `$ref`, `type`, `enum`, `anyOf`, `allOf`, `properties`, `required`, `additionalProperties` and `items`.
+ * @param {any} value
+ * @param {Object} schema
+ * @param {SchemaValidationOptions} [options]
+ * @returns {string[]} What is wrong with the value, empty when it's valid.
+ * @throws {Error} If the schema has references that point nowhere.
+ */
+export function validateAgainstSchema(value, schema, {schemas = {}, strict = false, path = 'value'} = {}) {
+    const errors = [];
+    check(value, schema, path, {schemas, strict}, errors);
+    return errors;
+}
@@ -0,0 +1,179 @@
+import logger from "../../core/logger.mjs";
+import {getBibleBooksOrThrow, SINGLE_CHAPTER_BOOK_NUMBERS} from "../../core/bible_books.mjs";
+import {DEFAULT_LANGUAGE_CODE} from "../../core/languages.mjs";
+
+const log = logger.child(logger.bindings());
+
+/**
+ * @typedef {Object} ScriptureRange
+ * @property {string} book - The full name of the book, in the language of the reference.
+ * @property {number} bookNumber - The number of the book, from 1 (Genesis) to 66 (Revelation).
+ * @property {number} chapter - The chapter the range starts in.
+ * @property {number | null} verseStart - The first verse, null when whole chapters are meant.
+ * @property {number} chapterEnd - The chapter the range ends in, the same as `chapter` unless the range crosses chapters.
+ * @property {number | null} verseEnd - The last verse, null when whole chapters are meant.
+ */
+
+// A chapter or chapter:verse, optionally followed by ranges and lists of them, e.g. "40:1-5, 8; 41:3" or "40, 41".
+const POINT = String.raw`\d+(?::\d+)?`;
+const RANGE = String.raw`${POINT}(?:\s*[-–—]\s*${POINT})?`;
+const SPEC = String.raw`${RANGE}(?:\s*[,;]\s*${RANGE})*`;
+
+/**
+ * @param {string} text
+ * @returns {string} The text without diacritics.
+ */
+function stripDiacritics(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * @param {string} name - A book name or abbreviation as written.
+ * @returns {string} The key the name is looked up with: lowercase, without dots or spaces.
+ */
+function toKey(name) {
+    return name.toLowerCase().replace(/[.\s]/g, '');
+}
+
+/**
+ * @param {string} name - A book name or abbreviation.
+ * @returns {string} A pattern that matches it with any spacing, e.g. "1Sa" matches "1 Sa".
+ */
+function toNamePattern(name) {
+    return name
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/^(\d)\s*/, '$1\\s*')
+        .replace(/\s+/g, '\\s+');
+}
+
+/**
+ * @typedef {Object} BookLookup
+ * @property {RegExp} pattern - Finds the references in a text, the first group is the book and the second the chapters and verses.
+ * @property {Map<string, number>} books - The book number by key, with and without diacritics.
+ * @property {string[][]} names - The names of each book, as in the book table.
+ */
+
+/** @type {Map<string, BookLookup>} */
+const lookups = new Map();
+
+/**
+ * Builds, once per language, the pattern that finds references and the table that resolves the book names.
+ * A name without diacritics that belongs to two books (e.g. "Jo" and "Jó" in Portuguese) only resolves as written.
+ * Names only match capitalized as in the book table or in capitals, so words like "le 3" or "job 3" aren't references.
+ * @param {string} lang
+ * @returns {BookLookup}
+ */
+function getBookLookup(lang) {
+    if (lookups.has(lang)) {
+        return lookups.get(lang);
+    }
+
+    const names = getBibleBooksOrThrow(lang);
+    const books = new Map();
+    const stripped = new Map();
+    names.forEach((forms, index) => {
+        for (const form of forms) {
+            const key = toKey(form);
+            if (books.has(key) && books.get(key) !== index + 1) {
+                throw new Error(`Book name [${form}] of language [${lang}] belongs to books [${books.get(key)}] and [${index + 1}]`);
+            }
+            books.set(key, index + 1);
+            const strippedKey = stripDiacritics(key);
+            stripped.set(strippedKey, stripped.has(strippedKey) && stripped.get(strippedKey) !== index + 1 ? null : index + 1);
+        }
+    });
+    for (const [key, bookNumber] of stripped) {
+        if (bookNumber !== null && !books.has(key)) {
+            books.set(key, bookNumber);
+        }
+    }
+
+    // Longest first, so "Josué" wins over "Jos" and "1 Juan" over "Juan".
+    const forms = [...new Set(names.flat().flatMap((form) => [form, stripDiacritics(form)]).flatMap((form) => [form, form.toUpperCase()]))]
+        .sort((a, b) => b.length - a.length)
+        .map(toNamePattern);
+    const pattern = new RegExp(String.raw`(?<![\p{L}\p{N}])(${forms.join('|')})\.?\s*(${SPEC})(?![\p{L}\p{N}:])`, 'gu');
+
+    const lookup = {pattern, books, names};
+    lookups.set(lang, lookup);
+    return lookup;
+}
+
+/**
+ * @param {string} text - A chapter ("40") or a chapter and verse ("40:1").
+ * @returns {{chapter: number | null, verse: number | null, number: number | null}} The chapter and verse, or the bare
+ *      number when there is no colon, since it may be a chapter or a verse depending on what came before.
+ */
+function parsePoint(text) {
+    const [first, second] = text.split(':').map((part) => parseInt(part, 10));
+    return second === undefined
+        ? {chapter: null, verse: null, number: first}
+        : {chapter: first, verse: second, number: null};
+}
+
+/**
+ * Turns the chapters and verses of a reference into ranges.
+ * After a chapter and verse, bare numbers are verses of that chapter until the next semicolon; otherwise they are
+ * chapters, except in the books with a single chapter.
+ * @param {string} spec - The chapters and verses, e.g. "40:1-5, 8; 41:3" or "40, 41".
+ * @param {string} book
+ * @param {number} bookNumber
+ * @returns {ScriptureRange[]}
+ */
+function parseSpec(spec, book, bookNumber) {
+    const isSingleChapter = SINGLE_CHAPTER_BOOK_NUMBERS.includes(bookNumber);
+    const ranges = [];
+    let chapter = isSingleChapter ? 1 : null;
+
+    for (const segment of spec.split(';')) {
+        let inVerses = isSingleChapter;
+        for (const part of segment.split(',')) {
+            const [startText, endText] = part.split(/[-–—]/).map((text) => text.trim());
+            const start = parsePoint(startText);
+            const end = endText ? parsePoint(endText) : null;
+            let range;
+            if (start.chapter !== null || inVerses) {
+                const startChapter = start.chapter ?? chapter;
+                const verseStart = start.verse ?? start.number;
+                const chapterEnd = end?.chapter ?? startChapter;
+                const verseEnd = end ? (end.verse ?? end.number) : verseStart;
+                range = {book, bookNumber, chapter: startChapter, verseStart, chapterEnd, verseEnd};
+                chapter = chapterEnd;
+                inVerses = true;
+            } else if (end?.chapter !== null && end?.chapter !== undefined) {
+                // "40-41:3", from the start of a chapter to a verse of another one.
+                range = {book, bookNumber, chapter: start.number, verseStart: 1, chapterEnd: end.chapter, verseEnd: end.verse};
+                chapter = end.chapter;
+                inVerses = true;
+            } else {
+                range = {book, bookNumber, chapter: start.number, verseStart: null, chapterEnd: end?.number ?? start.number, verseEnd: null};
+                chapter = range.chapterEnd;
+            }
+            ranges.push(range);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Finds the scripture references in a text, such as a mnemonic ("Is 40:1-5, 8") or a sentence that cites them,
+ * and parses them into ranges. Text that isn't a reference, like "ip-1 pág. 400 párr. 3", is skipped.
+ * @param {string} text - The text to look for references in.
+ * @param {string} [lang] - The language the book names are written in, defaults to the default language.
+ * @returns {ScriptureRange[]} The ranges of every reference, in the order they appear.
+ * @throws {Error} If there are no book names for the language.
+ */
+export function parseScriptureReferences(text, lang = DEFAULT_LANGUAGE_CODE) {
+    const {pattern, books, names} = getBookLookup(lang);
+    const ranges = [];
+    for (const [, name, spec] of String(text ?? '').matchAll(pattern)) {
+        const key = toKey(name);
+        const bookNumber = books.get(key) ?? books.get(stripDiacritics(key));
+        if (!bookNumber) {
+            log.debug(`Skipped reference [${name} ${spec}], the book name is ambiguous in language [${lang}]`);
+            continue;
+        }
+        ranges.push(...parseSpec(spec, names[bookNumber - 1][0], bookNumber));
+    }
+    return ranges;
+}
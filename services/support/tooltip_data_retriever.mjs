@@ -2,38 +2,77 @@ import logger from "../../core/logger.mjs";
 import CONSTANTS from "../../core/constants.mjs";
 import {withErrorHandling} from "./util.mjs";
 import {getJsonContent} from "./retrievers.mjs";
-import {pickAndApplyParsingLogic} from "./reference_text_parser.mjs";
+import {parsePublicationStructure, pickAndApplyParsingLogic} from "./reference_text_parser.mjs";
+import {toAbsoluteWolUrl} from "./rich_text.mjs";
 
 const log = logger.child(logger.bindings());
 
+/**
+ * @typedef {Object} WolHrefData
+ * @property {string} languagePath - The language prefix of the path, e.g. `/es`, empty when the link has none.
+ * @property {string} path - The path from `/wol/` on, with its query, e.g. `/wol/bc/r4/lp-s/202024321/13/0`.
+ */
+
+// An optional language prefix (`/es`, `/pt-pt`...) and the path of a WOL document.
+const WOL_PATH_PATTERN = /^(\/[a-z]{1,3}(?:-[a-z\d]+)?)?(\/wol\/.*)$/i;
+
+/**
+ * Tells the links to WOL documents, the ones that have a tooltip, apart from the rest (jw.org, other sites, anchors).
+ * @param {string | undefined} href - A link as written in the page, relative or absolute.
+ * @returns {WolHrefData | null} The language and the path of the link, or null when it doesn't point to a WOL document.
+ */
+export function parseWolHref(href) {
+    const absoluteUrl = toAbsoluteWolUrl(href);
+    if (!absoluteUrl) {
+        return null;
+    }
+    const url = new URL(absoluteUrl);
+    const match = WOL_PATH_PATTERN.exec(url.pathname);
+    if (url.host !== new URL(CONSTANTS.BASE_URL).host || !match) {
+        return null;
+    }
+    return {
+        languagePath: match[1] ?? '',
+        path: `${match[2]}${url.search}`,
+    };
+}
+
 /**
  * @typedef {Object} AnchorRefExtractionData
  * @property {string} sourceHref - The URL path string extracted from the anchor element.
- * @property {string} fetchUrl - The full URL constructed from the base URL and the sourceHref.
+ * @property {string} languagePath - The language prefix of the href, e.g. `/es`, empty when it has none.
+ * @property {string} fetchUrl - The full URL constructed from the base URL and the path of the href, without its language.
  */
 
 /**
  * Builds an object containing the source href and the URL to fetch the referenced data, given a cheerio element.
+ * The href may be relative or absolute, with or without a language prefix.
  * @param {Cheerio} $el - The cheerio element from which to extract the data.
  * @returns {AnchorRefExtractionData} An object containing the source href and the URL to fetch.
+ * @throws {Error} If the href doesn't point to a WOL document.
  */
 export function buildAnchorRefExtractionData($el) {
     const sourceHref = $el.attr('href');
-    const fetchUrl = `${CONSTANTS.BASE_URL}${sourceHref.slice(3)}`;
+    const hrefData = parseWolHref(sourceHref);
+    if (!hrefData) {
+        throw new Error(`The link [${sourceHref}] doesn't point to a WOL document`);
+    }
     return {
         sourceHref,
-        fetchUrl,
+        languagePath: hrefData.languagePath,
+        fetchUrl: `${CONSTANTS.BASE_URL}${hrefData.path}`,
     };
 }
 
 /**
  * Fetches the JSON content from the WOL website given the anchor reference extraction data.
  * @param {AnchorRefExtractionData} anchorRefExtractionData - An object containing the source href and the URL to fetch the referenced data.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<Error | Object>} A promise that resolves to either an Error object if any error occurs, or the JSON content if successful.
  */
-async function _fetchAnchorReferenceData(anchorRefExtractionData) {
+async function _fetchAnchorReferenceData(anchorRefExtractionData, fetchOptions = {}) {
     const {fetchUrl} = anchorRefExtractionData;
-    const [err, json] = await getJsonContent(fetchUrl);
+    const [err, json] = await getJsonContent(fetchUrl, fetchOptions);
     if (err) {
         return err;
     }
@@ -80,6 +119,7 @@ async function _fetchAnchorReferenceData(anchorRefExtractionData) {
 /**
  * Fetches the JSON content from the WOL website given the anchor reference extraction data.
  * @param {AnchorRefExtractionData} anchorRefExtractionData - An object containing the source href and the URL to fetch the referenced data.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<ErrorTuple | SuccessTuple<DefaultResponse | BiblicalPassageResponse>>} A promise that resolves to a tuple where the first element is an
  *      Error object (or null if no error occurred) and the second element is the JSON content (or null if an error occurred).
  */
@@ -114,6 +154,7 @@ export function isJsonContentAcceptableForReferenceExtraction(json) {
  * @typedef {Object} PublicationRefDetectionData
  * @property {boolean} isPubW - Indicates if the publication is of type W.
  * @property {boolean} isPubNwtsty - Indicates if the publication is of type NWTSTY.
+ * @property {string} publicationClass - The publication class of the article, e.g. 'pub-it', empty when it has none.
  */
 
 /**
@@ -129,12 +170,16 @@ export function detectReferenceDataType(itemData) {
     return {
         isPubW,
         isPubNwtsty,
+        publicationClass: articleClasses.match(/\bpub-[\w-]+/i)?.[0].toLowerCase() ?? '',
     }
 }
 
 /**
  * @typedef {PublicationRefDetectionData} PublicationRefData
  * @property {string} parsedContent - The parsed content as a string.
+ * @property {string} content - The HTML content, for the parsers that need its structure.
+ * @property {string} publicationTitle - The title of the publication, empty when unknown.
+ * @property {PublicationStructure} structuredContent - The content parsed with the parser of its publication.
  */
 
 /**
@@ -149,6 +194,9 @@ export function buildPublicationRefData(rawReferenceData) {
     return {
         ...contentDetectionData,
         parsedContent,
+        content: rawReferenceData.content,
+        publicationTitle: rawReferenceData.publicationTitle ?? '',
+        structuredContent: parsePublicationStructure(contentDetectionData.publicationClass, rawReferenceData.content, rawReferenceData),
     };
 }
 
@@ -173,12 +221,13 @@ function parseAnchorRefDataOrThrow(fetchedReferenceJson) {
  * Fetches the JSON reference content from the WOL website given the anchor reference extraction data.
  *
  * @param {ReturnType<CheerioAPI>} $anchor - The cheerio element for the anchor reference to fetch.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<Error | Object>} A promise that resolves to a tuple where the first element is an
  *      Error object (or null if no error occurred) and the second element is the JSON content (or null if an error occurred).
  */
-async function _fetchAnchorData($anchor) {
+async function _fetchAnchorData($anchor, fetchOptions = {}) {
     const anchorRefExtractionData = buildAnchorRefExtractionData($anchor);
-    const [err, json] = await fetchAnchorReferenceData(anchorRefExtractionData);
+    const [err, json] = await fetchAnchorReferenceData(anchorRefExtractionData, fetchOptions);
     if (err) {
         return err;
     }
@@ -190,6 +239,7 @@ async function _fetchAnchorData($anchor) {
  * Fetches the JSON reference content from the WOL website given the anchor reference extraction data.
  *
  * @param {Cheerio} $anchor - The cheerio element for the anchor reference to fetch.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<ErrorTuple | SuccessTuple<PublicationRefData>>} A promise that resolves to a tuple where the first element is an
  *      Error object (or null if no error occurred) and the second element is the JSON content (or null if an error occurred).
  * @see _fetchAnchorData
@@ -199,13 +249,14 @@ export const fetchAnchorData = withErrorHandling(_fetchAnchorData);
 /**
  * Fetches an anchor reference data and attempts to parse it.
  * @param {ReturnType<CheerioAPI>} $anchor - The cheerio element for the anchor reference to fetch.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<Error | PublicationRefData>}
  *     A promise that resolves to a tuple where the first element is an Error object
  *     (or null if no error occurred) and the second element is the parsed content.
  * @throws {Error} If the JSON content doesn't match the expected format.
  */
-async function _fetchAndParseAnchorReferenceOrThrow($anchor) {
-    const [err, json] = await fetchAnchorData($anchor);
+async function _fetchAndParseAnchorReferenceOrThrow($anchor, fetchOptions = {}) {
+    const [err, json] = await fetchAnchorData($anchor, fetchOptions);
     if (err) {
         return err;
     }
@@ -218,6 +269,7 @@ async function _fetchAndParseAnchorReferenceOrThrow($anchor) {
 /**
  * Fetches an anchor reference data and attempts to parse it.
  * @param {Cheerio} $anchor - The cheerio element for the anchor reference to fetch.
+ * @param {FetchOptions} [fetchOptions] - Options that apply to the request.
  * @returns {Promise<ErrorTuple | SuccessTuple<PublicationRefData>>}
  *     A promise that resolves to a tuple where the first element is an Error object
  *     (or null if no error occurred) and the second element is the parsed content.
@@ -87,4 +87,41 @@ export function collapseConsecutiveLineBreaks(txt) {
  */
 export function takeOutTimeBoxText(text) {
     return text.split(')').slice(1).join(')').trim();
-}
\ No newline at end of file
+}
+/**
+ * Reads a whole number from an environment variable.
+ * @param {string} name - The name of the variable.
+ * @param {number} defaultValue - The value when the variable isn't set, or is empty.
+ * @param {number} [min] - The smallest value accepted.
+ * @returns {number}
+ * @throws {Error} If the variable isn't a whole number, or is smaller than `min`.
+ */
+export function readIntegerFromEnv(name, defaultValue, min = 0) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') {
+        return defaultValue;
+    }
+    if (!/^[+-]?\d+$/.test(value.trim()) || parseInt(value, 10) < min) {
+        throw new Error(`Invalid ${name} [${value}], expected a whole number of at least ${min}`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Reads a number greater than 0 from an environment variable, decimals included.
+ * @param {string} name - The name of the variable.
+ * @param {number} defaultValue - The value when the variable isn't set, or is empty.
+ * @returns {number}
+ * @throws {Error} If the variable isn't a number greater than 0.
+ */
+export function readPositiveNumberFromEnv(name, defaultValue) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') {
+        return defaultValue;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new Error(`Invalid ${name} [${value}], expected a number greater than 0`);
+    }
+    return number;
+}
@@ -0,0 +1,364 @@
+import logger from "../../core/logger.mjs";
+
+const log = logger.child(logger.bindings());
+
+const ONE_DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CalendarDate
+ * @property {number} year - The full year (e.g. 2024).
+ * @property {number} month - The month number, from 1 to 12.
+ * @property {number} day - The day of the month, from 1 to 31.
+ */
+
+/**
+ * Checks whether the given time zone is supported by the runtime.
+ * @param {string} timeZone - An IANA time zone name (e.g. 'America/Mexico_City').
+ * @returns {boolean} True if the time zone can be used, false otherwise.
+ */
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', {timeZone});
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Resolves the time zone used to decide which day is "today".
+ * @returns {string} The value of PMP_TIMEZONE when valid, otherwise the runtime's time zone.
+ */
+export function getDefaultTimeZone() {
+    const configured = process.env.PMP_TIMEZONE;
+    if (configured && isValidTimeZone(configured)) {
+        return configured;
+    }
+    if (configured) {
+        log.warn(`Ignoring invalid PMP_TIMEZONE value [${configured}]`);
+    }
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Gets the calendar date that the given instant falls on for the given time zone.
+ * @param {Date} instant - The instant to convert.
+ * @param {string} timeZone - An IANA time zone name.
+ * @returns {CalendarDate} The calendar date in the given time zone.
+ */
+export function getZonedCalendarDate(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+    }).formatToParts(instant);
+    const valueOf = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+    return {
+        year: valueOf('year'),
+        month: valueOf('month'),
+        day: valueOf('day'),
+    };
+}
+
+/**
+ * Gets how far ahead of UTC the given time zone is at the given instant.
+ * @param {Date} instant
+ * @param {string} timeZone - An IANA time zone name.
+ * @returns {number} The offset in milliseconds (e.g. -21600000 for UTC-6).
+ */
+function getTimeZoneOffset(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(instant);
+    const valueOf = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+    const wallClock = Date.UTC(valueOf('year'), valueOf('month') - 1, valueOf('day'), valueOf('hour'), valueOf('minute'), valueOf('second'));
+    return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Gets the instant at which the wall clock of the given time zone shows the given date and time.
+ * @param {CalendarDate} calendarDate
+ * @param {number} minutesOfDay - The time of day as minutes after midnight (e.g. 1170 for 19:30).
+ * @param {string} timeZone - An IANA time zone name.
+ * @returns {Date}
+ */
+export function getZonedInstant(calendarDate, minutesOfDay, timeZone) {
+    const wallClock = toUtcDate(calendarDate).getTime() + minutesOfDay * 60 * 1000;
+    // The offset at the guessed instant can differ from the one at the result around DST changes, checking twice settles it.
+    const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    return new Date(wallClock - getTimeZoneOffset(new Date(firstGuess), timeZone));
+}
+
+/**
+ * Parses a `YYYY-MM-DD` string into a calendar date.
+ * @param {string} text - The text to parse.
+ * @returns {CalendarDate} The parsed calendar date.
+ * @throws {Error} If the text is not a valid `YYYY-MM-DD` date.
+ */
+export function parseIsoDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof text === 'string' ? text.trim() : '');
+    if (!match) {
+        throw new Error(`Invalid date [${text}], expected format YYYY-MM-DD`);
+    }
+    const calendarDate = {
+        year: parseInt(match[1], 10),
+        month: parseInt(match[2], 10),
+        day: parseInt(match[3], 10),
+    };
+    const asUtc = toUtcDate(calendarDate);
+    if (asUtc.getUTCMonth() + 1 !== calendarDate.month || asUtc.getUTCDate() !== calendarDate.day) {
+        throw new Error(`Invalid date [${text}], the day does not exist`);
+    }
+    return calendarDate;
+}
+
+/**
+ * Formats the given calendar date as `YYYY-MM-DD`.
+ * @param {CalendarDate} calendarDate
+ * @returns {string}
+ */
+export function formatIsoDate({year, month, day}) {
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * @param {CalendarDate} calendarDate
+ * @returns {Date} A date set to midnight UTC of the given calendar date.
+ */
+function toUtcDate({year, month, day}) {
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * @param {Date} date
+ * @returns {CalendarDate}
+ */
+function fromUtcDate(date) {
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+    };
+}
+
+/**
+ * Adds the given amount of days to a calendar date.
+ * @param {CalendarDate} calendarDate
+ * @param {number} days - The number of days to add, may be negative.
+ * @returns {CalendarDate}
+ */
+export function addDays(calendarDate, days) {
+    return fromUtcDate(new Date(toUtcDate(calendarDate).getTime() + days * ONE_DAY_IN_MS));
+}
+
+/**
+ * Gets the Monday of the week that contains the given date.
+ * @param {CalendarDate} calendarDate
+ * @returns {CalendarDate}
+ */
+export function getWeekStart(calendarDate) {
+    // getUTCDay() is 0 for Sunday, meeting weeks run from Monday to Sunday.
+    const isoWeekday = toUtcDate(calendarDate).getUTCDay() || 7;
+    return addDays(calendarDate, 1 - isoWeekday);
+}
+
+/**
+ * @typedef {Object} WeekRequest
+ * @property {string} [date] - Either `YYYY-MM-DD`, `today`, `next` or `previous`. Defaults to `today`.
+ * @property {string} [timeZone] - The time zone used to determine "today". Defaults to {@link getDefaultTimeZone}.
+ * @property {Date} [now] - The current instant, mostly useful for testing.
+ */
+
+/**
+ * Resolves the Monday of the meeting week requested by the user.
+ * @param {WeekRequest} weekRequest
+ * @returns {CalendarDate} The Monday of the requested week.
+ * @throws {Error} If the date or time zone are not valid.
+ */
+export function resolveRequestedWeekStart({date, timeZone, now = new Date()} = {}) {
+    const zone = timeZone || getDefaultTimeZone();
+    if (!isValidTimeZone(zone)) {
+        throw new Error(`Invalid time zone [${zone}]`);
+    }
+
+    const shortcut = (date || 'today').trim().toLowerCase();
+    const today = getZonedCalendarDate(now, zone);
+    let weekStart;
+    switch (shortcut) {
+        case 'today':
+            weekStart = getWeekStart(today);
+            break;
+        case 'next':
+            weekStart = addDays(getWeekStart(today), 7);
+            break;
+        case 'previous':
+            weekStart = addDays(getWeekStart(today), -7);
+            break;
+        default:
+            weekStart = getWeekStart(parseIsoDate(shortcut));
+    }
+
+    log.debug(`Resolved week start [${formatIsoDate(weekStart)}] for date [${shortcut}] in time zone [${zone}]`);
+    return weekStart;
+}
+
+/**
+ * Gets the ISO 8601 week of the given date.
+ * @param {CalendarDate} calendarDate
+ * @returns {string} The ISO week formatted as `YYYY-Www` (e.g. '2024-W36').
+ */
+export function getIsoWeek(calendarDate) {
+    // The ISO week belongs to the year of its Thursday.
+    const thursday = addDays(getWeekStart(calendarDate), 3);
+    const firstOfYear = toUtcDate({year: thursday.year, month: 1, day: 1});
+    const week = Math.floor((toUtcDate(thursday).getTime() - firstOfYear.getTime()) / ONE_DAY_IN_MS / 7) + 1;
+    return `${thursday.year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Gets the identifier of the two-month workbook issue the week starting on the given date belongs to.
+ * @param {CalendarDate} weekStart - The Monday of the week.
+ * @returns {string} The issue identifier (e.g. 'mwb24.09' for September-October 2024).
+ */
+export function getWorkbookIssue(weekStart) {
+    const issueMonth = weekStart.month % 2 === 0 ? weekStart.month - 1 : weekStart.month;
+    return `mwb${String(weekStart.year % 100).padStart(2, '0')}.${String(issueMonth).padStart(2, '0')}`;
+}
+
+/**
+ * Gets the weeks of a two-month workbook issue as the calendar has them, those whose Monday falls in one of its months.
+ * An issue may start its first week in the previous month or skip a week, so the weeks WOL links from the page of the
+ * issue are preferred and these are only the fall back, see `findWorkbookIssueWeekStarts`.
+ * @param {string} issue - The issue identifier (e.g. 'mwb24.09' for September-October 2024).
+ * @returns {CalendarDate[]} The Monday of each week of the issue, in order.
+ * @throws {Error} If the identifier is not a valid issue.
+ */
+export function getWorkbookIssueWeekStarts(issue) {
+    const match = /^mwb(\d{2})\.(\d{2})$/.exec(typeof issue === 'string' ? issue.trim().toLowerCase() : '');
+    const firstMonth = match ? parseInt(match[2], 10) : 0;
+    if (!match || firstMonth < 1 || firstMonth > 11 || firstMonth % 2 === 0) {
+        throw new Error(`Invalid workbook issue [${issue}], expected format mwbYY.MM with an odd month (e.g. mwb24.09)`);
+    }
+
+    const year = 2000 + parseInt(match[1], 10);
+    let weekStart = getWeekStart({year, month: firstMonth, day: 1});
+    if (weekStart.month !== firstMonth) {
+        weekStart = addDays(weekStart, 7);
+    }
+    const weekStarts = [];
+    for (; weekStart.year === year && weekStart.month <= firstMonth + 1; weekStart = addDays(weekStart, 7)) {
+        weekStarts.push(weekStart);
+    }
+    return weekStarts;
+}
+
+/**
+ * Gets the weeks between two dates.
+ * @param {CalendarDate} from - Any day of the first week.
+ * @param {CalendarDate} to - Any day of the last week.
+ * @returns {CalendarDate[]} The Monday of each week, in order, empty when `to` is before `from`.
+ */
+export function getWeekStartsBetween(from, to) {
+    const last = formatIsoDate(getWeekStart(to));
+    const weekStarts = [];
+    for (let weekStart = getWeekStart(from); formatIsoDate(weekStart) <= last; weekStart = addDays(weekStart, 7)) {
+        weekStarts.push(weekStart);
+    }
+    return weekStarts;
+}
+
+/**
+ * @typedef {Object} WeekDateSpanData
+ * @property {string} text - The week date span as written in the document, lowercased.
+ * @property {string} startDate - The first day of the week as `YYYY-MM-DD`.
+ * @property {string} endDate - The last day of the week as `YYYY-MM-DD`.
+ * @property {string} isoWeek - The ISO 8601 week of the start date (e.g. '2024-W36').
+ * @property {string} workbookIssue - The workbook issue the week belongs to (e.g. 'mwb24.09').
+ */
+
+/**
+ * Finds the day, month and year written in one side of a week date span.
+ * @param {string} text - One side of the span, e.g. "30 de diciembre" or "january 5, 2025".
+ * @param {RegExp[]} monthPatterns - One pattern per month, January first.
+ * @returns {{day: number | null, month: number | null, year: number | null}}
+ */
+function parseDateSpanEdge(text, monthPatterns) {
+    const yearMatch = text.match(/\b(\d{4})\b/);
+    const withoutYear = yearMatch ? text.replace(yearMatch[0], ' ') : text;
+    const dayMatch = withoutYear.match(/\b(\d{1,2})/);
+    const monthIndex = monthPatterns.findIndex((pattern) => pattern.test(withoutYear));
+    return {
+        day: dayMatch ? parseInt(dayMatch[1], 10) : null,
+        month: monthIndex === -1 ? null : monthIndex + 1,
+        year: yearMatch ? parseInt(yearMatch[1], 10) : null,
+    };
+}
+
+/**
+ * Picks the year that places the given month and day closest to the reference date.
+ * @param {number} month
+ * @param {number} day
+ * @param {CalendarDate} referenceDate
+ * @returns {number}
+ */
+function inferYear(month, day, referenceDate) {
+    const reference = toUtcDate(referenceDate).getTime();
+    const candidates = [referenceDate.year - 1, referenceDate.year, referenceDate.year + 1];
+    return candidates.reduce((best, year) => {
+        const distance = Math.abs(toUtcDate({year, month, day}).getTime() - reference);
+        const bestDistance = Math.abs(toUtcDate({year: best, month, day}).getTime() - reference);
+        return distance < bestDistance ? year : best;
+    });
+}
+
+/**
+ * Parses a localized week date span such as "2-8 de septiembre", "december 30–january 5" or "30 décembre–5 janvier".
+ * When the text has no year, the year is inferred as the one closest to the reference date.
+ * @param {string} text - The week date span text.
+ * @param {LanguageDefinition} language - The language the text is written in.
+ * @param {CalendarDate} [referenceDate] - A date close to the week, defaults to today in the default time zone.
+ * @returns {WeekDateSpanData} The structured week date span.
+ * @throws {Error} If the text doesn't look like a week date span.
+ */
+export function parseWeekDateSpanText(text, language, referenceDate = getZonedCalendarDate(new Date(), getDefaultTimeZone())) {
+    const normalized = text.toLowerCase().replace(/(\d)(er|º|°)/g, '$1');
+    const monthPatterns = language.monthNames.map((spellings) => new RegExp(`(?<!\\p{L})(${spellings.join('|')})(?!\\p{L})`, 'u'));
+    const edges = normalized.split(/\s*[-–—]\s*/);
+    if (edges.length !== 2) {
+        throw new Error(`Unexpected week date span [${text}], expected a start and an end date`);
+    }
+
+    const start = parseDateSpanEdge(edges[0], monthPatterns);
+    const end = parseDateSpanEdge(edges[1], monthPatterns);
+    // "2-8 de septiembre" only names the month once, "september 2-8" names it on the other side.
+    start.month ??= end.month;
+    end.month ??= start.month;
+    if (!start.day || !end.day || !start.month) {
+        throw new Error(`Unexpected week date span [${text}], unable to find the days and month`);
+    }
+
+    start.year ??= end.year && end.month < start.month ? end.year - 1 : end.year;
+    start.year ??= inferYear(start.month, start.day, referenceDate);
+    end.year ??= end.month < start.month ? start.year + 1 : start.year;
+
+    const startDate = {year: start.year, month: start.month, day: start.day};
+    const endDate = {year: end.year, month: end.month, day: end.day};
+    return {
+        text: text.toLowerCase().trim(),
+        startDate: formatIsoDate(startDate),
+        endDate: formatIsoDate(endDate),
+        isoWeek: getIsoWeek(startDate),
+        workbookIssue: getWorkbookIssue(startDate),
+    };
+}
@@ -0,0 +1,145 @@
+import * as cheerio from 'cheerio';
+import logger from "../core/logger.mjs";
+import {getLanguageOrThrow} from "../core/languages.mjs";
+import {getSelectorProfile} from "../core/selector_profile.mjs";
+import {fetchTodayUrl, fetchWeekMeetingHtml, fetchWorkbookIssueHtml} from "./html_retriever.mjs";
+import {EXTRACTION_MODES, extractFullWeekProgram} from "./pub_mwb_scraper.mjs";
+import {cleanText} from "./support/util.mjs";
+import {formatIsoDate, getWorkbookIssueWeekStarts, parseIsoDate, parseWeekDateSpanText} from "./support/week_dates.mjs";
+
+const log = logger.child(logger.bindings());
+
+/**
+ * @typedef {Object} WeekExtractionResult
+ * @property {string} weekStart - The Monday of the week as `YYYY-MM-DD`.
+ * @property {boolean} ok - Whether the program of the week was extracted.
+ * @property {FullWeekProgramData} [program] - The program of the week, only present when it was extracted.
+ * @property {string} [error] - Why the week failed, only present when it wasn't extracted.
+ */
+
+/**
+ * @typedef {Object} WeekProgramsRequest
+ * @property {CalendarDate[]} [weekStarts] - The Monday of each week to extract.
+ * @property {string} [issue] - The workbook issue to extract instead of `weekStarts`, its weeks are found with
+ *      {@link findWorkbookIssueWeekStarts}.
+ * @property {string} [lang] - The language code of the content, defaults to the default language.
+ * @property {AbortSignal} [signal] - Cancels the requests when aborted.
+ * @property {string} [mode] - One of {@link EXTRACTION_MODES}, applied to every week.
+ * @property {string} [textFormat] - One of {@link TEXT_FORMATS}, applied to every week.
+ */
+
+/**
+ * Reads the weeks the page of a workbook issue links to, from the date span each link shows.
+ * @param {string} html - The page of the issue.
+ * @param {string} issue - The issue identifier, its first month is the reference to infer the year of the spans.
+ * @param {string} [lang] - The language code of the page.
+ * @returns {CalendarDate[]} The Monday of each linked week, in order and without repetitions.
+ */
+function readWorkbookIssueWeekStarts(html, issue, lang) {
+    const $ = cheerio.load(html);
+    const {selectors} = getSelectorProfile(lang);
+    const language = getLanguageOrThrow(lang);
+    const [referenceDate] = getWorkbookIssueWeekStarts(issue);
+
+    const weekStarts = new Set();
+    $(selectors.issueWeekLinks).each((_, element) => {
+        try {
+            weekStarts.add(parseWeekDateSpanText(cleanText($(element).text()), language, referenceDate).startDate);
+        } catch {
+            // Not a week, e.g. the cover or the other sections of the issue.
+        }
+    });
+    return [...weekStarts].sort().map(parseIsoDate);
+}
+
+/**
+ * Finds the weeks of a workbook issue by following the links of its page on WOL, so a first week that starts in the
+ * previous month, or a week the issue skips, are taken as WOL has them. The weeks computed from the calendar are only
+ * used when the page can't be read, otherwise the differences with them are logged.
+ * @param {string} issue - The issue identifier (e.g. 'mwb24.09').
+ * @param {Omit<WeekProgramsRequest, 'weekStarts' | 'issue' | 'mode' | 'textFormat'> & {todayUrl?: string}} [options]
+ * @returns {Promise<CalendarDate[]>} The Monday of each week of the issue, in order.
+ * @throws {Error} If the identifier is not a valid issue, or the signal is aborted.
+ */
+export async function findWorkbookIssueWeekStarts(issue, {lang, signal, todayUrl} = {}) {
+    const computed = getWorkbookIssueWeekStarts(issue);
+    const [err, html] = await fetchWorkbookIssueHtml({issue, todayUrl, lang, signal});
+    if (signal?.aborted) {
+        throw signal.reason;
+    }
+    const linked = err ? [] : readWorkbookIssueWeekStarts(html, issue, lang);
+    if (!linked.length) {
+        log.warn(`Unable to find the weeks of issue [${issue}] on WOL, using the weeks of the calendar: ${err?.message ?? 'no week links found'}`);
+        return computed;
+    }
+
+    const computedWeeks = computed.map(formatIsoDate);
+    const linkedWeeks = linked.map(formatIsoDate);
+    const differences = [
+        ...linkedWeeks.filter((week) => !computedWeeks.includes(week)).map((week) => `+${week}`),
+        ...computedWeeks.filter((week) => !linkedWeeks.includes(week)).map((week) => `-${week}`),
+    ];
+    if (differences.length) {
+        log.info(`The weeks of issue [${issue}] on WOL differ from the calendar: [${differences.join(', ')}]`);
+    }
+    return linked;
+}
+
+/**
+ * Fetches and extracts the program of one week, checking WOL served the requested week.
+ * @param {CalendarDate} weekStart
+ * @param {string} todayUrl - The URL of the "today" page, as returned by `fetchTodayUrl`.
+ * @param {Omit<WeekProgramsRequest, 'weekStarts' | 'issue'>} options
+ * @returns {Promise<FullWeekProgramData>}
+ * @throws {Error} If fetching or extracting fails, or the page is about another week.
+ */
+async function extractWeekProgram(weekStart, todayUrl, {lang, signal, mode, textFormat}) {
+    const [err, html] = await fetchWeekMeetingHtml({weekStart, todayUrl, lang, signal});
+    if (err) {
+        throw err;
+    }
+    const program = await extractFullWeekProgram({html, lang, referenceDate: weekStart, signal, mode, textFormat});
+
+    // Past the last published week, or for a week the issue leaves out, WOL may show another week rather than fail.
+    const servedStart = program.weekDateSpanData?.startDate;
+    if (servedStart && servedStart !== formatIsoDate(weekStart)) {
+        throw new Error(`WOL served the week of [${servedStart}] instead of the week of [${formatIsoDate(weekStart)}]`);
+    }
+    return program;
+}
+
+/**
+ * Extracts the program of several weeks, or of every week of a workbook issue.
+ * The weeks are fetched one after the other through the same retrievers as a single week, so the request scheduler
+ * and the caches apply, and the landing pages are only fetched once.
+ * A week that fails doesn't stop the others, its result carries the error instead.
+ * @param {WeekProgramsRequest} request
+ * @returns {Promise<WeekExtractionResult[]>} A result per week, in the order of the requested weeks.
+ * @throws {Error} If the landing pages can't be fetched, the issue is not valid, or the signal is aborted.
+ */
+export async function extractWeekPrograms({weekStarts, issue, lang, signal, mode = EXTRACTION_MODES.STRICT, textFormat}) {
+    const [err, todayUrl] = await fetchTodayUrl({lang, signal});
+    if (err) {
+        throw err;
+    }
+    weekStarts ??= await findWorkbookIssueWeekStarts(issue, {lang, signal, todayUrl});
+
+    const results = [];
+    for (const weekStart of weekStarts) {
+        const week = formatIsoDate(weekStart);
+        try {
+            const program = await extractWeekProgram(weekStart, todayUrl, {lang, signal, mode, textFormat});
+            results.push({weekStart: week, ok: true, program});
+        } catch (error) {
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            log.warn(`Unable to extract the program of week [${week}]: ${error.message}`);
+            results.push({weekStart: week, ok: false, error: error.message});
+        }
+    }
+
+    const failed = results.filter(({ok}) => !ok).length;
+    log.info(`Extracted [${results.length - failed}] of [${results.length}] weeks, [${failed}] failed`);
+    return results;
+}
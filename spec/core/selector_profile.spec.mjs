@@ -0,0 +1,74 @@
+import {mkdtempSync, readFileSync, rmSync, writeFileSync} from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {getSelectorProfile, reloadSelectorProfile, validateSelectorProfile} from "../../core/selector_profile.mjs";
+import {checkDocumentStructure} from "../../services/structure_health.mjs";
+
+describe('selector profile', () => {
+    let directory;
+    let overrideFile;
+    let previousOverride;
+
+    beforeEach(() => {
+        directory = mkdtempSync(path.join(os.tmpdir(), 'pmp-selectors-'));
+        overrideFile = path.join(directory, 'selectors.json');
+        previousOverride = process.env.PMP_SELECTOR_PROFILE_FILE;
+        // The profile is loaded on first use, which may be in this spec with the override already set.
+        reloadSelectorProfile();
+    });
+
+    afterEach(() => {
+        if (previousOverride === undefined) {
+            delete process.env.PMP_SELECTOR_PROFILE_FILE;
+        } else {
+            process.env.PMP_SELECTOR_PROFILE_FILE = previousOverride;
+        }
+        reloadSelectorProfile();
+        rmSync(directory, {recursive: true, force: true});
+    });
+
+    it('should load the default profile', () => {
+        const profile = getSelectorProfile('es');
+
+        expect(profile.version).toMatch(/\S/);
+        expect(profile.selectors.treasuresTalk).toBe('#tt8');
+        expect(Object.isFrozen(profile.selectors)).toBeTrue();
+    });
+
+    it('should apply the deployment override per language once reloaded', () => {
+        writeFileSync(overrideFile, JSON.stringify({
+            version: 'moved-talk',
+            selectors: {weekDateSpan: '#p1'},
+            languages: {es: {treasuresTalk: '#tt8-moved'}},
+        }));
+        const previous = getSelectorProfile('es');
+        process.env.PMP_SELECTOR_PROFILE_FILE = overrideFile;
+
+        expect(reloadSelectorProfile()).toBe('moved-talk');
+        expect(previous.selectors.treasuresTalk).toBe('#tt8');
+        expect(getSelectorProfile('es').selectors.treasuresTalk).toBe('#tt8-moved');
+        expect(getSelectorProfile('en').selectors.treasuresTalk).toBe('#tt8');
+
+        const html = readFileSync(new URL('../fixtures/meeting/es.html', import.meta.url), 'utf8').replace('id="tt8"', 'id="tt8-moved"');
+        const report = checkDocumentStructure({html, lang: 'es'});
+        expect([report.status, report.selectorProfileVersion]).toEqual(['pass', 'moved-talk']);
+    });
+
+    it('should keep the profile in use when the override is not valid', () => {
+        writeFileSync(overrideFile, JSON.stringify({version: 'broken', selectors: {treasuresTalk: '#tt8['}}));
+        const {version} = getSelectorProfile('es');
+        process.env.PMP_SELECTOR_PROFILE_FILE = overrideFile;
+
+        expect(() => reloadSelectorProfile()).toThrowError(/\[treasuresTalk] in \[selectors] is not valid CSS/);
+        expect(getSelectorProfile('es').version).toBe(version);
+    });
+
+    it('should reject profiles with unknown selectors, languages or no version', () => {
+        const knownNames = ['treasuresTalk'];
+
+        expect(() => validateSelectorProfile({selectors: {}})).toThrowError(/must have a version/);
+        expect(() => validateSelectorProfile({version: '1', selectors: {tt: '#tt8'}}, {knownNames})).toThrowError(/Unknown selector \[tt]/);
+        expect(() => validateSelectorProfile({version: '1', selectors: {}}, {knownNames})).toThrowError(/missing \[treasuresTalk]/);
+        expect(() => validateSelectorProfile({version: '1', languages: {xx: {}}}, {knownNames, partial: true})).toThrowError(/Unsupported language \[xx]/);
+    });
+});
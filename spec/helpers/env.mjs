@@ -0,0 +1,34 @@
+import {fileURLToPath} from 'node:url';
+
+/**
+ * Sets environment variables before each spec of the suite it's called in, and restores them after each one.
+ * @param {Object<string, string>} variables - The value of each variable.
+ */
+export function useEnv(variables) {
+    let previous;
+
+    beforeEach(() => {
+        previous = Object.fromEntries(Object.keys(variables).map((key) => [key, process.env[key]]));
+        Object.assign(process.env, variables);
+    });
+
+    afterEach(() => {
+        for (const [key, value] of Object.entries(previous)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+    });
+}
+
+/**
+ * Serves the requests of the suite it's called in from the recordings in `spec/fixtures/net`.
+ */
+export function useReplayedNetwork() {
+    useEnv({
+        PMP_NET_MODE: 'replay',
+        PMP_NET_FIXTURES_DIR: fileURLToPath(new URL('../fixtures/net/', import.meta.url)),
+    });
+}
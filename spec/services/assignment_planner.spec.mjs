@@ -0,0 +1,134 @@
+import {
+    buildAssignmentSlots,
+    PART_KINDS,
+    planAssignments,
+    proposeWeekAssignments,
+    validateConfirmedWeek,
+    validateRoster,
+} from "../../services/assignment_planner.mjs";
+
+const roster = validateRoster([
+    {id: 'ana', name: 'Ana', gender: 'female', parts: ['demonstration']},
+    {id: 'bea', name: 'Bea', gender: 'female', parts: ['demonstration']},
+    {id: 'carlos', name: 'Carlos', gender: 'male', parts: ['bibleRead', 'talk', 'demonstration'], pairsWith: ['ana']},
+    {id: 'diego', name: 'Diego', gender: 'male', parts: ['bibleRead', 'talk']},
+    {id: 'eva', name: 'Eva', gender: 'female', parts: ['demonstration'], active: false},
+]);
+
+const slots = buildAssignmentSlots({
+    bibleRead: {sectionNumber: 3, headline: 'Lectura de la Biblia', studyPoint: {mnemonic: 'th lección 5'}},
+    fieldMinistry: [
+        {sectionNumber: 4, headline: 'Empiece conversaciones', isStudentTask: true, studyPoint: {mnemonic: 'lmd lección 1 punto 3'}},
+        {sectionNumber: 5, headline: 'Discurso', isStudentTask: true, studyPoint: {mnemonic: 'th lección 14'}},
+        {sectionNumber: 6, headline: 'Análisis con el auditorio', isStudentTask: false},
+    ],
+});
+
+describe('buildAssignmentSlots', () => {
+    it('should classify the student parts by their study point', () => {
+        expect(slots.map((slot) => [slot.sectionNumber, slot.kind, slot.needsAssistant])).toEqual([
+            [3, PART_KINDS.BIBLE_READ, false],
+            [4, PART_KINDS.DEMONSTRATION, true],
+            [5, PART_KINDS.TALK, false],
+        ]);
+    });
+});
+
+describe('validateRoster', () => {
+    it('should fill in the optional values', () => {
+        expect(roster[0]).toEqual({
+            id: 'ana', name: 'Ana', gender: 'female', parts: ['demonstration'], assistant: true, pairsWith: [], active: true,
+        });
+    });
+
+    it('should reject invalid publishers', () => {
+        expect(() => validateRoster({})).toThrowError(/must be an array/);
+        expect(() => validateRoster([{id: 'a', name: 'A', gender: 'other'}])).toThrowError(/gender/);
+        expect(() => validateRoster([{id: 'a', name: 'A', gender: 'male', parts: ['sing']}])).toThrowError(/unknown part \[sing]/);
+        expect(() => validateRoster([{id: 'a', name: 'A', gender: 'male'}, {id: 'a', name: 'B', gender: 'male'}])).toThrowError(/repeats the id/);
+        expect(() => validateRoster([{id: 'a', name: 'A', gender: 'male', pairsWith: ['z']}])).toThrowError(/unknown publisher \[z]/);
+    });
+});
+
+describe('proposeWeekAssignments', () => {
+    it('should give the parts to qualified publishers, once per week', () => {
+        const assignments = proposeWeekAssignments({weekStart: '2024-09-02', slots, publishers: roster, history: []});
+
+        expect(assignments.map((assignment) => [assignment.student?.id, assignment.assistant?.id ?? null])).toEqual([
+            ['carlos', null],
+            ['ana', 'bea'],
+            ['diego', null],
+        ]);
+    });
+
+    it('should prefer the publishers that waited the longest', () => {
+        const history = [
+            {weekStart: '2024-08-26', sectionNumber: 3, kind: 'bibleRead', role: 'student', publisherId: 'carlos'},
+            {weekStart: '2024-08-19', sectionNumber: 3, kind: 'bibleRead', role: 'student', publisherId: 'diego'},
+            {weekStart: '2024-08-26', sectionNumber: 4, kind: 'demonstration', role: 'student', publisherId: 'ana'},
+        ];
+
+        const [bibleRead, demonstration] = proposeWeekAssignments({weekStart: '2024-09-02', slots, publishers: roster, history});
+
+        expect(bibleRead.student.id).toBe('diego');
+        expect(demonstration.student.id).toBe('bea');
+    });
+
+    it('should pick the students of every part before any assistant', () => {
+        const publishers = validateRoster([
+            {id: 'luis', name: 'Luis', gender: 'male', parts: ['demonstration']},
+            {id: 'diego', name: 'Diego', gender: 'male', parts: ['talk']},
+        ]);
+        const demonstrationFirst = [slots[1], slots[2]];
+
+        const [demonstration, talk] = proposeWeekAssignments({weekStart: '2024-09-02', slots: demonstrationFirst, publishers, history: []});
+
+        expect(talk.student.id).toBe('diego');
+        expect(demonstration.assistant).toBeNull();
+    });
+
+    it('should only pair publishers of different gender when they are listed as partners', () => {
+        const publishers = roster.filter((publisher) => ['carlos', 'ana'].includes(publisher.id));
+        const demonstrationOnly = slots.filter((slot) => slot.kind === PART_KINDS.DEMONSTRATION);
+        const history = [{weekStart: '2024-08-26', sectionNumber: 4, kind: 'demonstration', role: 'student', publisherId: 'ana'}];
+
+        const [assignment] = proposeWeekAssignments({weekStart: '2024-09-02', slots: demonstrationOnly, publishers, history});
+        expect([assignment.student.id, assignment.assistant.id]).toEqual(['carlos', 'ana']);
+
+        const unpaired = publishers.map((publisher) => ({...publisher, pairsWith: []}));
+        const [alone] = proposeWeekAssignments({weekStart: '2024-09-02', slots: demonstrationOnly, publishers: unpaired, history});
+        expect(alone.assistant).toBeNull();
+    });
+});
+
+describe('planAssignments', () => {
+    it('should rotate the parts across the planned weeks', () => {
+        const weeks = ['2024-09-02', '2024-09-09'].map((weekStart) => ({weekStart, weekDateSpan: weekStart, slots}));
+
+        const [first, second] = planAssignments({weeks, publishers: roster, history: []});
+
+        expect(first.assignments[0].student.id).toBe('carlos');
+        expect(second.assignments[0].student.id).toBe('diego');
+        expect(first.unfilled).toBe(0);
+    });
+});
+
+describe('validateConfirmedWeek', () => {
+    it('should turn a proposal into history records', () => {
+        const assignments = proposeWeekAssignments({weekStart: '2024-09-02', slots, publishers: roster, history: []});
+
+        const {weekStart, records} = validateConfirmedWeek({weekStart: '2024-09-02', assignments}, roster);
+
+        expect(weekStart).toBe('2024-09-02');
+        expect(records.length).toBe(4);
+        expect(records[1]).toEqual({
+            weekStart: '2024-09-02', sectionNumber: 4, headline: 'Empiece conversaciones', kind: 'demonstration', role: 'student', publisherId: 'ana',
+        });
+    });
+
+    it('should reject publishers that are not in the roster', () => {
+        const assignments = [{sectionNumber: 3, kind: 'bibleRead', student: {id: 'zoe'}}];
+
+        expect(() => validateConfirmedWeek({weekStart: '2024-09-02', assignments}, roster)).toThrowError(/Unknown publisher \[zoe]/);
+    });
+});
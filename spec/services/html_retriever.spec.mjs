@@ -0,0 +1,20 @@
+import {fetchWeekMeetingHtml} from "../../services/html_retriever.mjs";
+import {useReplayedNetwork} from "../helpers/env.mjs";
+
+describe('fetchWeekMeetingHtml with replayed network traffic', () => {
+    useReplayedNetwork();
+
+    it('should follow the landing pages to the requested week', async () => {
+        const [err, html] = await fetchWeekMeetingHtml({weekStart: {year: 2024, month: 9, day: 2}, lang: 'es'});
+
+        expect(err).toBeNull();
+        expect(html).toContain('2-8 DE SEPTIEMBRE');
+    });
+
+    it('should return an error for weeks that were never recorded', async () => {
+        const [err, html] = await fetchWeekMeetingHtml({weekStart: {year: 1999, month: 1, day: 4}, lang: 'es'});
+
+        expect(html).toBeNull();
+        expect(err.message).toMatch(/No \[html\] recording/);
+    });
+});
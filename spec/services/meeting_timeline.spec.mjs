@@ -0,0 +1,75 @@
+import {
+    buildMeetingTimeline,
+    parseClockTime,
+    STANDARD_MEETING_MINUTES,
+    TIMELINE_ITEM_KINDS,
+} from "../../services/meeting_timeline.mjs";
+
+const song = (songNumber) => ({songNumber, songData: {name: `Canción ${songNumber}`, themeScripture: 'Salmo 23'}});
+const studentPart = (sectionNumber, timeBox, headline) => ({sectionNumber, timeBox, headline, isStudentTask: true});
+
+const program = {
+    weekDateSpan: '2-8 de septiembre',
+    startingSong: song(2),
+    treasuresTalk: {sectionNumber: 1, timeBox: 10, heading: 'Consuelen a mi pueblo'},
+    spiritualGems: {sectionNumber: 2, timeBox: 10, headline: 'Busquemos perlas escondidas'},
+    bibleRead: {sectionNumber: 3, timeBox: 4, headline: 'Lectura de la Biblia'},
+    fieldMinistry: [
+        studentPart(4, 3, 'Empiece conversaciones'),
+        studentPart(5, 4, 'Haga revisitas'),
+        studentPart(6, 5, 'Discurso'),
+    ],
+    middleSong: song(3),
+    christianLiving: [{sectionNumber: 7, timeBox: 15, headline: 'Jehová da fuerzas a los cansados'}],
+    bibleStudy: {sectionNumber: 8, timeBox: 30, headline: 'Estudio bíblico de la congregación'},
+    closingSong: song(4),
+};
+
+describe('buildMeetingTimeline', () => {
+    it('should lay out a standard week from the start time', () => {
+        const timeline = buildMeetingTimeline(program, {startTime: '19:30', lang: 'es'});
+
+        expect(timeline.totalMinutes).toBe(STANDARD_MEETING_MINUTES);
+        expect(timeline.fits).toBeTrue();
+        expect(timeline.warnings).toEqual([]);
+        expect(timeline.startTime).toBe('19:30');
+        expect(timeline.endTime).toBe('21:15');
+        expect(timeline.items[0]).toEqual(jasmine.objectContaining({kind: TIMELINE_ITEM_KINDS.SONG, title: 'Canción 2', startTime: '19:30', endTime: '19:34'}));
+        expect(timeline.items.find((item) => item.sectionNumber === 1)).toEqual(jasmine.objectContaining({startTime: '19:37', endTime: '19:47'}));
+        expect(timeline.items.at(-1)).toEqual(jasmine.objectContaining({kind: TIMELINE_ITEM_KINDS.PRAYER, endTime: '21:15'}));
+    });
+
+    it('should give counsel after the Bible reading and each student part', () => {
+        const {items} = buildMeetingTimeline(program, {lang: 'es'});
+        const counselled = items.filter((item) => item.kind === TIMELINE_ITEM_KINDS.COUNSEL).map((item) => item.sectionNumber);
+
+        expect(counselled).toEqual([3, 4, 5, 6]);
+        const counselIndex = items.findIndex((item) => item.kind === TIMELINE_ITEM_KINDS.COUNSEL && item.sectionNumber === 4);
+        expect(items[counselIndex - 1]).toEqual(jasmine.objectContaining({kind: TIMELINE_ITEM_KINDS.PART, sectionNumber: 4}));
+        expect(items[counselIndex]).toEqual(jasmine.objectContaining({title: 'Consejo', minutes: 1}));
+    });
+
+    it('should flag a week that runs over the standard length', () => {
+        const longer = {...program, christianLiving: [...program.christianLiving, {sectionNumber: 8, timeBox: 10, headline: 'Logros de la organización'}]};
+
+        const timeline = buildMeetingTimeline(longer, {startTime: '23:30', lang: 'es'});
+
+        expect(timeline.totalMinutes).toBe(STANDARD_MEETING_MINUTES + 10);
+        expect(timeline.fits).toBeFalse();
+        expect(timeline.warnings).toEqual(['The meeting takes [115] minutes, [10] more than the standard [105]']);
+        expect(timeline.endTime).toBe('01:25');
+    });
+
+    it('should warn about a part without a time box', () => {
+        const timeline = buildMeetingTimeline({...program, spiritualGems: {...program.spiritualGems, timeBox: undefined}}, {lang: 'es'});
+
+        expect(timeline.totalMinutes).toBe(STANDARD_MEETING_MINUTES - 10);
+        expect(timeline.warnings).toEqual(['Part [2] has no time box, it was given 0 minutes']);
+    });
+
+    it('should reject an invalid start time', () => {
+        expect(() => buildMeetingTimeline(program, {startTime: '7pm'})).toThrowError(/Invalid meeting start time \[7pm]/);
+        expect(() => parseClockTime('24:00')).toThrowError(/expected format HH:MM/);
+        expect(parseClockTime('7:05')).toBe(425);
+    });
+});
@@ -0,0 +1,59 @@
+import {readFileSync} from 'node:fs';
+import {
+    findOperation,
+    getOpenApiDocument,
+    validateRequestBody,
+    validateResponseBody,
+} from "../../services/openapi_document.mjs";
+import {extractFullWeekProgram} from "../../services/pub_mwb_scraper.mjs";
+import {renderOpenApiDocs} from "../../services/renderers/openapi_docs_renderer.mjs";
+import {useReplayedNetwork} from "../helpers/env.mjs";
+
+describe('getOpenApiDocument', () => {
+    it('should document the routes with the schemas of the typedefs', () => {
+        const document = getOpenApiDocument();
+
+        expect(document.openapi).toBe('3.1.0');
+        expect(Object.keys(document.paths)).toContain('/scrappers/week-program');
+        expect(document.components.schemas.FullWeekProgramData.required).toContain('treasuresTalk');
+        expect(document.components.schemas.TreasuresTalkData.properties.points.items).toEqual({$ref: '#/components/schemas/TalkPoint'});
+        expect(renderOpenApiDocs(document)).toContain('<section class="schema" id="schema-FullWeekProgramData">');
+    });
+
+    it('should find the operations of the requests', () => {
+        expect(findOperation('POST', '/scrappers/songs/').operationId).toBe('postScrappersSongs');
+        expect(findOperation('GET', '/scrappers/songs')).toBeNull();
+    });
+});
+
+describe('validateRequestBody', () => {
+    it('should report the missing and mistyped fields', () => {
+        const operation = findOperation('POST', '/scrappers/week-program');
+
+        expect(validateRequestBody(operation, {html: '<html></html>', extra: true})).toEqual([]);
+        expect(validateRequestBody(operation, {lang: 5})).toEqual(['body.html is required', 'body.lang must be string, got number']);
+    });
+});
+
+describe('validateResponseBody', () => {
+    const fixturesDir = new URL('../fixtures/', import.meta.url);
+    useReplayedNetwork();
+
+    it('should accept the program the scraper extracts, so the typedefs follow the data', async () => {
+        const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8');
+        const operation = findOperation('GET', '/this-week-program');
+        const program = await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}});
+
+        expect(validateResponseBody(operation, 200, program)).toEqual([]);
+        expect(validateResponseBody(operation, 200, {...program, treasuresTalk: 'UNABLE_TO_FIND', errors: []})).toEqual([]);
+    });
+
+    it('should report the undocumented and mistyped properties', () => {
+        const operation = findOperation('GET', '/cache/stats');
+        const stats = {backend: 'memory', hits: 1, misses: 0, writes: 1, evictions: 0, hitRatio: 1};
+
+        expect(validateResponseBody(operation, 200, {...stats, hits: '1', color: 'red'}))
+            .toEqual(['response.hits must be number, got string', 'response.color is not documented']);
+        expect(validateResponseBody(operation, 500, {error: 'Failed'})).toEqual([]);
+    });
+});
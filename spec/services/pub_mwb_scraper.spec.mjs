@@ -1,5 +1,18 @@
 import * as cheerio from 'cheerio';
-import {extractWeekDateSpan, processExtractionInput} from "../../services/pub_mwb_scraper.mjs";
+import {readFileSync} from 'node:fs';
+import {
+  extractBibleStudy,
+  extractChristianLiving,
+  extractFullWeekProgram,
+  extractTreasuresTalk,
+  extractWeekDateSpan,
+  extractWeekDateSpanData,
+  processExtractionInput,
+} from "../../services/pub_mwb_scraper.mjs";
+import {SUPPORTED_LANGUAGE_CODES} from "../../core/languages.mjs";
+import {createNoopCache, setReferenceCache} from "../../services/support/cache.mjs";
+import {createRequestScheduler, setRequestScheduler} from "../../services/support/request_scheduler.mjs";
+import {useEnv, useReplayedNetwork} from "../helpers/env.mjs";
 
 describe('processExtractionInput', () => {
   it('should throw an error if neither HTML nor Cheerio object is provided', () => {
@@ -56,3 +69,240 @@ describe('extractWeekDateSpan', () => {
     expect(extractWeekDateSpan({ $ })).toBe('week 1: 2022-01-01 - 2022-01-07');
   });
 });
+
+describe('language support', () => {
+  const fixturesDir = new URL('../fixtures/meeting/', import.meta.url);
+  const loadFixture = (lang) => readFileSync(new URL(`${lang}.html`, fixturesDir), 'utf8');
+
+  const expectations = {
+    es: {weekDateSpan: '2-8 de septiembre', livingHeadline: 'Jehová da fuerzas a los cansados', livingStart: 'Análisis con el auditorio.'},
+    en: {weekDateSpan: 'september 2-8', livingHeadline: 'Jehovah Gives Power to the Tired One', livingStart: 'Discussion.'},
+    pt: {weekDateSpan: '2-8 de setembro', livingHeadline: 'Jeová dá poder ao cansado', livingStart: 'Consideração.'},
+    fr: {weekDateSpan: '2-8 septembre', livingHeadline: 'Jéhovah donne de la force à celui qui est fatigué', livingStart: 'Discussion.'},
+  };
+
+  it('should cover every supported language', () => {
+    expect(Object.keys(expectations).sort()).toEqual([...SUPPORTED_LANGUAGE_CODES].sort());
+  });
+
+  for (const [lang, expected] of Object.entries(expectations)) {
+    describe(`for [${lang}]`, () => {
+      let html;
+
+      beforeEach(() => {
+        html = loadFixture(lang);
+      });
+
+      it('should extract the week date span', () => {
+        expect(extractWeekDateSpan({html, lang})).toBe(expected.weekDateSpan);
+      });
+
+      it('should parse the week date span into dates', () => {
+        const weekDateSpanData = extractWeekDateSpanData({html, lang, referenceDate: {year: 2024, month: 9, day: 4}});
+        expect(weekDateSpanData.text).toBe(expected.weekDateSpan);
+        expect(weekDateSpanData.startDate).toBe('2024-09-02');
+        expect(weekDateSpanData.endDate).toBe('2024-09-08');
+        expect(weekDateSpanData.workbookIssue).toBe('mwb24.09');
+      });
+
+      it('should extract the Christian Living parts with their time box', () => {
+        const [part] = extractChristianLiving({html, lang});
+        expect(part.sectionNumber).toBe(7);
+        expect(part.timeBox).toBe(15);
+        expect(part.headline).toBe(expected.livingHeadline);
+        expect(part.contents.startsWith(expected.livingStart)).toBeTrue();
+      });
+
+      it('should extract the Congregation Bible Study time box', () => {
+        const bibleStudy = extractBibleStudy({html, lang});
+        expect(bibleStudy.sectionNumber).toBe(8);
+        expect(bibleStudy.timeBox).toBe(30);
+        expect(bibleStudy.references.length).toBe(1);
+      });
+    });
+  }
+
+  it('should reject unsupported languages', () => {
+    expect(() => processExtractionInput({html: '<html></html>', lang: 'xx'})).toThrowError(/Unsupported language/);
+  });
+});
+
+describe('extractFullWeekProgram with replayed network traffic', () => {
+  const fixturesDir = new URL('../fixtures/', import.meta.url);
+  useReplayedNetwork();
+
+  it('should extract every section of the week', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8');
+    const program = await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}});
+
+    expect(program.weekDateSpan).toBe('2-8 de septiembre');
+    expect(program.weekDateSpanData.isoWeek).toBe('2024-W36');
+    expect([program.startingSong, program.middleSong, program.closingSong].map((song) => song.songNumber)).toEqual([2, 3, 4]);
+    expect(program.startingSong.songData.name).toBe('Jehová es tu nombre');
+    expect(program.weeklyBibleReadData.bookName).toBe('Isaías');
+    expect(program.weeklyBibleReadData.links.length).toBe(2);
+    expect(program.treasuresTalk.timeBox).toBe(10);
+    expect(program.treasuresTalk.points[0].footnotes).toEqual([1, 2]);
+    expect(program.spiritualGems.printedQuestionData.scriptureMnemonic).toBe('Is 40:26');
+    expect(program.spiritualGems.printedQuestionData.answerSources[0].contents).toContain('energía dinámica');
+    expect(program.bibleRead.studyPoint.mnemonic).toBe('th lección 5');
+    expect(program.bibleRead.scriptureReferences).toEqual([{book: 'Isaías', bookNumber: 23, chapter: 40, verseStart: 1, chapterEnd: 40, verseEnd: 20}]);
+    expect(program.treasuresTalk.points[1].scriptureReferences.map(({verseStart, verseEnd}) => [verseStart, verseEnd])).toEqual([[3, 5]]);
+    expect(program.bibleRead.studyPoint.lesson.sections.map(({heading, points}) => [heading, points.length])).toEqual([['CÓMO HACERLO', 3]]);
+    expect(program.bibleRead.studyPoint.lesson.themeScriptureReferences[0].bookNumber).toBe(54);
+    expect(program.fieldMinistry[0].studyPoint.lesson).toEqual(jasmine.objectContaining({publication: 'lmd', lesson: 1, point: 3}));
+    expect(program.fieldMinistry[0].studyPoint.lesson.focusPoint.title).toBe('Sea observador.');
+    expect(program.fieldMinistry.map((part) => part.isStudentTask)).toEqual([true, true, true]);
+    expect(program.fieldMinistry[0].contents).toBe('DE CASA EN CASA. Use un tema de conversación de la sección “Temas de conversación”.');
+    expect(program.christianLiving.length).toBe(1);
+    expect(program.christianLiving[0].contents).toContain('¿Qué aprendemos de Is 40:29-31[^7.1]?');
+    expect(program.christianLiving[0].references.map(({footnote, mnemonic}) => [footnote, mnemonic])).toEqual([['7.1', 'Is 40:29-31']]);
+    expect(program.christianLiving[0].footnotes['7.1']).toContain('Él le da poder al cansado');
+    expect(program.bibleStudy.timeBox).toBe(30);
+    expect(program.bibleStudy.references).toEqual(['https://wol.jw.org/es/wol/pc/r4/lp-s/202024321/14/0']);
+    expect(program.bibleStudy.material.map(({mnemonic, title}) => [mnemonic, title])).toEqual([
+      ['lfb lección 24', 'Rompieron su promesa'],
+      ['lfb lección 25', 'Jehová perdona a su pueblo'],
+    ]);
+    expect(program.bibleStudy.material[0].publicationTitle).toBe('Aprendamos de la Biblia');
+    expect(program.bibleStudy.material[0].paragraphRange).toEqual({first: 1, last: 2});
+    expect(program.bibleStudy.material[0].paragraphs[0]).toEqual({number: 1, text: 'Mientras Moisés estaba en la montaña, el pueblo se impacientó.'});
+    expect(program.bibleStudy.material[0].questions).toEqual(['¿Qué hizo el pueblo mientras Moisés estaba en la montaña?']);
+  });
+
+  it('should keep the formatting of the contents in the requested format', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8');
+    const program = await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}, textFormat: 'markdown'});
+
+    expect(program.christianLiving[0].contents).toContain('Ponga el video *Jehová nos da fuerzas*.');
+    expect(program.christianLiving[0].contents).toContain('\n- ¿Qué aprendemos de [Is 40:29-31](https://wol.jw.org/es/wol/bc/r4/lp-s/202024321/13/0)[^7.1]?');
+    expect(program.fieldMinistry[0].contents).toBe('DE CASA EN CASA. Use un tema de conversación de la sección “Temas de conversación”.');
+    expect(program.treasuresTalk.points[0].text).toContain('([Is 40:1, 2](https://wol.jw.org/es/wol/bc/r4/lp-s/202024321/2/0)[^1];');
+  });
+
+  it('should list the links out of WOL as references without resolving them', async () => {
+    const video = 'https://www.jw.org/finder?srcid=jwlshare&wtlocale=S&lank=pub-jwbvod24_1_VIDEO';
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8')
+      .replace('<em>Jehová nos da fuerzas</em>', `<a href="${video.replaceAll('&', '&amp;')}"><em>Jehová nos da fuerzas</em></a>`);
+    const [part] = (await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}})).christianLiving;
+
+    expect(part.contents).toContain('Ponga el video Jehová nos da fuerzas. Luego pregunte:');
+    expect(part.contents).toContain('¿Qué aprendemos de Is 40:29-31[^7.1]?');
+    expect(part.references[0]).toEqual({
+      footnote: null,
+      mnemonic: 'Jehová nos da fuerzas',
+      url: video,
+      contents: null,
+      scriptureReferences: [],
+      lesson: null,
+    });
+    expect(part.references[1].url).toBe('https://wol.jw.org/es/wol/bc/r4/lp-s/202024321/13/0');
+    expect(Object.keys(part.footnotes)).toEqual(['7.1']);
+  });
+
+  it('should resolve the absolute links like the relative ones', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8')
+      .replace('href="/es/wol/bc/r4/lp-s/202024321/0/0"', 'href="https://wol.jw.org/es/wol/bc/r4/lp-s/202024321/0/0"')
+      .replace('href="/es/wol/pc/r4/lp-s/202024321/14/0"', 'href="https://wol.jw.org/es/wol/pc/r4/lp-s/202024321/14/0"');
+    const program = await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}});
+
+    expect(program.weeklyBibleReadData.links.every((link) => link.startsWith('https://wol.jw.org/es/wol/'))).toBeTrue();
+    expect(program.bibleStudy.references).toEqual(['https://wol.jw.org/es/wol/pc/r4/lp-s/202024321/14/0']);
+    expect(program.bibleStudy.material.map(({mnemonic}) => mnemonic)).toEqual(['lfb lección 24', 'lfb lección 25']);
+  });
+
+  it('should leave the paragraph numbers out of the references in every format', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8');
+    const referenceDate = {year: 2024, month: 9, day: 2};
+    const [text, markdown] = await Promise.all(['text', 'markdown'].map((textFormat) => extractTreasuresTalk({html, lang: 'es', referenceDate, textFormat})));
+
+    expect(text.footnotes[2]).toBe('Jehová promete a su pueblo que será liberado y que volverá a su tierra.');
+    expect(markdown.footnotes[2]).toBe(text.footnotes[2]);
+    expect(text.structuredFootnotes[2].paragraphs[0].number).toBe(3);
+  });
+
+  it('should fail when a response was never recorded', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8').replace('202024321/15/0', '202024321/99/0');
+    await expectAsync(extractFullWeekProgram({html, lang: 'es'})).toBeRejectedWithError(/No \[json\] recording/);
+  });
+
+  it('should keep the sections that parsed in lenient mode', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8')
+      .replace('202024321/15/0', '202024321/99/0')
+      .replace('<h3 id="p13" data-pid="13"><strong>3. Lectura de la Biblia</strong></h3>', '');
+    const program = await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}, mode: 'lenient'});
+
+    expect(program.errors.map((error) => error.section).sort()).toEqual(['bibleRead', 'songs', 'spiritualGems', 'treasuresTalk']);
+    expect(program.errors.find((error) => error.section === 'songs').message).toMatch(/No \[json\] recording/);
+    expect(program.treasuresTalk).toBe('UNABLE_TO_FIND');
+    expect(program.closingSong).toBe('UNABLE_TO_FIND');
+    expect(program.weeklyBibleReadData.bookName).toBe('Isaías');
+    expect(program.fieldMinistry.length).toBe(3);
+    expect(program.bibleStudy.timeBox).toBe(30);
+  });
+
+  it('should report each section as it settles', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8').replace('202024321/15/0', '202024321/99/0');
+    const progress = [];
+    const onProgress = (sectionProgress) => {
+      progress.push(sectionProgress);
+      throw new Error('A failing listener should not break the extraction');
+    };
+
+    const program = await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}, mode: 'lenient', onProgress});
+
+    expect(progress.length).toBe(10);
+    expect(progress.find(({section}) => section === 'bibleStudy')).toEqual({section: 'bibleStudy', ok: true, data: program.bibleStudy});
+    expect(progress.find(({section}) => section === 'songs')).toEqual({section: 'songs', ok: false, error: jasmine.stringMatching(/No \[json\] recording/)});
+  });
+
+  it('should keep the raw week date span when it can not be parsed in strict mode', async () => {
+    const html = readFileSync(new URL('meeting/es.html', fixturesDir), 'utf8').replace('2-8 DE SEPTIEMBRE', 'PRÓXIMAMENTE');
+    const program = await extractFullWeekProgram({html, lang: 'es', referenceDate: {year: 2024, month: 9, day: 2}});
+
+    expect(program.weekDateSpan).toBe('próximamente');
+    expect(program.weekDateSpanData).toBe('UNABLE_TO_FIND');
+    expect(program.treasuresTalk.timeBox).toBe(10);
+  });
+
+  it('should reject unknown extraction modes', async () => {
+    await expectAsync(extractFullWeekProgram({html: '<html></html>', mode: 'sloppy'})).toBeRejectedWithError(/Unknown extraction mode \[sloppy]/);
+  });
+});
+
+describe('extractFullWeekProgram cancellation', () => {
+  const html = readFileSync(new URL('../fixtures/meeting/es.html', import.meta.url), 'utf8');
+  useEnv({PMP_NET_MODE: 'live', PMP_FETCH_TIMEOUT_MS: '60000'});
+
+  beforeEach(() => {
+    setReferenceCache(createNoopCache());
+    setRequestScheduler(createRequestScheduler({maxConcurrency: 100, requestsPerSecond: 1000}));
+  });
+
+  afterEach(() => {
+    setReferenceCache(null);
+    setRequestScheduler(null);
+  });
+
+  it('should cancel the requests of the other sections once one fails in strict mode', async () => {
+    const pending = [];
+    spyOn(globalThis, 'fetch').and.callFake((url, {signal}) => {
+      if (url.includes('202024321/15/0')) {
+        return Promise.resolve(new Response('missing', {status: 404}));
+      }
+      pending.push(signal);
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason), {once: true}));
+    });
+
+    await expectAsync(extractFullWeekProgram({html, lang: 'es'})).toBeRejectedWithError(/status \[404]/);
+    expect(pending.length).toBeGreaterThan(0);
+    expect(pending.every((signal) => signal.aborted)).toBeTrue();
+  });
+
+  it('should reject before sending any request when a section that fetches nothing fails in strict mode', async () => {
+    const fetchSpy = spyOn(globalThis, 'fetch');
+
+    await expectAsync(extractFullWeekProgram({html: html.replace('id="p1"', 'id="p0"'), lang: 'es'})).toBeRejectedWithError(/No selection found for selector \[#p1]/);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+import {
+    escapeText,
+    foldLine,
+    renderProgramCalendar,
+    resolveMeetingSchedule,
+} from "../../../services/renderers/ical_renderer.mjs";
+
+const song = (songNumber, name) => ({songNumber, songData: {name, themeScripture: 'Salmo 23'}});
+
+const program = {
+    weekDateSpan: '2-8 de septiembre',
+    weekDateSpanData: {text: '2-8 de septiembre', startDate: '2024-09-02', endDate: '2024-09-08'},
+    startingSong: song(2, 'Jehová es tu nombre'),
+    weeklyBibleReadData: {bookName: 'Isaías', firstChapter: 40, lastChapter: 41},
+    treasuresTalk: {sectionNumber: 1, timeBox: 10, heading: 'Consuelen a mi pueblo'},
+    spiritualGems: {sectionNumber: 2, timeBox: 10, headline: 'Busquemos perlas escondidas', printedQuestionData: {scriptureMnemonic: 'Is 40:26'}},
+    bibleRead: {sectionNumber: 3, timeBox: 4, headline: 'Lectura de la Biblia', scriptureMnemonic: 'Is 40:1-20', studyPoint: {mnemonic: 'th lección 5'}},
+    fieldMinistry: [{sectionNumber: 4, timeBox: 3, headline: 'Empiece conversaciones', contents: 'De casa en casa.', studyPoint: {mnemonic: 'lmd lección 1 punto 3'}}],
+    middleSong: song(3, 'Mi fuerza'),
+    christianLiving: [{sectionNumber: 5, timeBox: 15, headline: 'Necesidades de la congregación', contents: 'Discurso; análisis.'}],
+    bibleStudy: {sectionNumber: 6, timeBox: 30, headline: 'Estudio bíblico de la congregación', contents: 'lfb lecciones 24, 25'},
+    closingSong: song(4, 'Jehová es mi Pastor'),
+};
+
+const render = (schedule = {}) => renderProgramCalendar(
+    program,
+    {startTime: '19:30', timeZone: 'America/Mexico_City', weekday: 3, ...schedule},
+    {lang: 'es', now: new Date('2024-09-01T12:00:00Z')},
+);
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+describe('renderProgramCalendar', () => {
+    it('should wrap the events in a calendar with CRLF line endings', () => {
+        const calendar = render();
+
+        expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBeTrue();
+        expect(calendar.endsWith('END:VCALENDAR\r\n')).toBeTrue();
+        expect(calendar.replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    it('should schedule the meeting on the configured weekday, time and time zone', () => {
+        const calendar = unfold(render());
+
+        expect(calendar).toContain('UID:2024-09-02-es-meeting@pub-mwb-parser');
+        expect(calendar).toContain('DTSTART:20240905T013000Z');
+        // 7 opening minutes, 72 of parts, 1 of counsel, 4 for the middle song and 9 closing minutes.
+        expect(calendar).toContain('DTEND:20240905T030300Z');
+        expect(calendar).toContain('SUMMARY:2-8 de septiembre | Isaías 40-41');
+    });
+
+    it('should add one event per part based on the time boxes', () => {
+        const calendar = unfold(render());
+
+        expect(calendar.match(/BEGIN:VEVENT/g).length).toBe(7);
+        expect(calendar).toContain('SUMMARY:1. Consuelen a mi pueblo\r\n');
+        expect(calendar).toMatch(/UID:2024-09-02-es-part-1@pub-mwb-parser\r\nDTSTAMP:20240901T120000Z\r\nDTSTART:20240905T013700Z\r\nDTEND:20240905T014700Z/);
+        // The counsel after the Bible reading and the middle song come before the Christian living parts.
+        expect(calendar).toMatch(/UID:2024-09-02-es-part-5@pub-mwb-parser\r\nDTSTAMP:\S+\r\nDTSTART:20240905T020900Z/);
+        expect(calendar).toContain('DESCRIPTION:Is 40:1-20\\nth lección 5');
+    });
+
+    it('should list the songs and parts in the meeting description', () => {
+        const calendar = unfold(render());
+
+        expect(calendar).toContain('DESCRIPTION:♪ 2 Jehová es tu nombre (Salmo 23)\\n1. Consuelen a mi pueblo (10 min.)');
+        expect(calendar).toContain('4. Empiece conversaciones (3 min.)\\n♪ 3 Mi fuerza (Salmo 23)\\n5. Necesidades');
+    });
+
+    it('should skip the part events when asked to', () => {
+        expect(render({includeParts: 'false'}).match(/BEGIN:VEVENT/g).length).toBe(1);
+    });
+});
+
+describe('resolveMeetingSchedule', () => {
+    it('should reject invalid values', () => {
+        expect(() => resolveMeetingSchedule({startTime: '25:00'})).toThrowError(/start time/);
+        expect(() => resolveMeetingSchedule({timeZone: 'Mars/Olympus'})).toThrowError(/time zone/);
+        expect(() => resolveMeetingSchedule({weekday: '8'})).toThrowError(/weekday/);
+    });
+});
+
+describe('escapeText', () => {
+    it('should escape the characters RFC 5545 reserves', () => {
+        expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+    });
+});
+
+describe('foldLine', () => {
+    it('should keep every line within 75 octets without splitting characters', () => {
+        const folded = foldLine(`DESCRIPTION:${'á'.repeat(100)}`);
+        const lines = folded.split('\r\n');
+
+        expect(lines.length).toBeGreaterThan(1);
+        lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+        expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'á'.repeat(100)}`);
+    });
+});
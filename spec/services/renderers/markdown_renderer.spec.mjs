@@ -0,0 +1,104 @@
+import {renderProgramMarkdown} from "../../../services/renderers/markdown_renderer.mjs";
+
+const program = {
+    weekDateSpan: '2-8 de septiembre',
+    startingSong: {songNumber: 2, songData: {name: 'Jehová es tu nombre', themeScripture: 'Salmo 83:18'}},
+    weeklyBibleReadData: {
+        bookName: 'Isaías',
+        firstChapter: 40,
+        lastChapter: 41,
+        links: ['https://wol.jw.org/es/wol/b/r4/lp-s/nwtsty/23/40', 'https://wol.jw.org/es/wol/b/r4/lp-s/nwtsty/23/41'],
+    },
+    treasuresTalk: {
+        sectionNumber: 1,
+        timeBox: 10,
+        heading: '“Consuelen a mi pueblo”',
+        points: [{text: 'Jehová consoló a su pueblo (Is 40:1, 2[^1]; ip-1 pág. 400 párr. 3[^2]).', footnotes: [1, 2]}],
+        footnotes: {1: '1 “Consuelen, consuelen a mi pueblo”.', 2: '3 Jehová promete a su pueblo que será liberado.'},
+    },
+    spiritualGems: {
+        sectionNumber: 2,
+        timeBox: 10,
+        headline: 'Busquemos perlas escondidas',
+        printedQuestionData: {
+            scriptureMnemonic: 'Is 40:26',
+            scriptureContents: '26 “Levanten los ojos al cielo y vean”.',
+            question: '¿Qué nos enseña este versículo?',
+            answerSources: [{contents: 'Ninguna fuerza se compara con la de Jehová.', mnemonic: 'w18.02 pág. 30 párr. 4'}],
+        },
+        openEndedQuestion: '¿Qué perlas escondidas ha encontrado?',
+    },
+    bibleRead: {
+        sectionNumber: 3,
+        timeBox: 4,
+        headline: 'Lectura de la Biblia',
+        scriptureMnemonic: 'Is 40:1-20',
+        scriptureContents: '1 “Consuelen”.',
+        studyPoint: {mnemonic: 'th lección 5', contents: 'Leer con exactitud'},
+    },
+    fieldMinistry: [{sectionNumber: 4, timeBox: 3, headline: 'Empiece conversaciones', contents: 'DE CASA EN CASA. *Use* un tema.', studyPoint: {mnemonic: 'lmd lección 1 punto 3'}}],
+    middleSong: {songNumber: 3, songData: {name: 'Mi fuerza'}},
+    christianLiving: [{sectionNumber: 5, timeBox: 15, headline: 'Jehová da fuerzas', contents: 'Luego pregunte:\n¿Qué aprendemos?'}],
+    bibleStudy: {sectionNumber: 6, timeBox: 30, headline: 'Estudio bíblico de la congregación', contents: 'lfb lecciones 24, 25'},
+    closingSong: {songNumber: 4, songData: {name: 'Jehová es mi Pastor'}},
+};
+
+describe('renderProgramMarkdown', () => {
+    const markdown = renderProgramMarkdown(program, {lang: 'es'});
+
+    it('should render every section in order', () => {
+        const headings = markdown.split('\n').filter((line) => line.startsWith('#'));
+
+        expect(headings).toEqual([
+            '# 2-8 de septiembre | Isaías 40-41',
+            '## TESOROS DE LA BIBLIA',
+            '### 1. “Consuelen a mi pueblo” (10 mins.)',
+            '### 2. Busquemos perlas escondidas (10 mins.)',
+            '### 3. Lectura de la Biblia (4 mins.)',
+            '## SEAMOS MEJORES MAESTROS',
+            '### 4. Empiece conversaciones (3 mins.)',
+            '## NUESTRA VIDA CRISTIANA',
+            '### 5. Jehová da fuerzas (15 mins.)',
+            '### 6. Estudio bíblico de la congregación (30 mins.)',
+        ]);
+    });
+
+    it('should keep the footnote markers and define every footnote', () => {
+        expect(markdown).toContain('- Jehová consoló a su pueblo (Is 40:1, 2[^1]; ip-1 pág. 400 párr. 3[^2]).');
+        expect(markdown).toContain('[^1]: 1 “Consuelen, consuelen a mi pueblo”.\n[^2]: 3 Jehová promete');
+    });
+
+    it('should define the footnotes of the Christian Living parts after the treasures talk ones', () => {
+        const christianLiving = [{...program.christianLiving[0], contents: '¿Qué aprendemos de Is 40:29-31[^5.1]?', footnotes: {'5.1': '29 Él le da poder al cansado.'}}];
+
+        const rendered = renderProgramMarkdown({...program, christianLiving}, {lang: 'es'});
+
+        expect(rendered).toContain('¿Qué aprendemos de Is 40:29-31[^5.1]?');
+        expect(rendered).toContain('[^2]: 3 Jehová promete a su pueblo que será liberado.\n[^5.1]: 29 Él le da poder al cansado.');
+    });
+
+    it('should render the spiritual gems answer sources and the bible reading study point', () => {
+        expect(markdown).toContain('> 26 “Levanten los ojos al cielo y vean”.');
+        expect(markdown).toContain('- Ninguna fuerza se compara con la de Jehová. — *w18.02 pág. 30 párr. 4*');
+        expect(markdown).toContain('*th lección 5*\n\nLeer con exactitud');
+    });
+
+    it('should render the songs, links and escape the text', () => {
+        expect(markdown).toContain('**Canción 2** — Jehová es tu nombre (Salmo 83:18)');
+        expect(markdown).toContain('[Isaías 41](https://wol.jw.org/es/wol/b/r4/lp-s/nwtsty/23/41)');
+        expect(markdown).toContain('DE CASA EN CASA. \\*Use\\* un tema.');
+        expect(markdown).toContain('Luego pregunte:  \n¿Qué aprendemos?');
+    });
+
+    it('should leave out the sections a lenient extraction could not find', () => {
+        const partial = {...program, weeklyBibleReadData: 'UNABLE_TO_FIND', treasuresTalk: 'UNABLE_TO_FIND', middleSong: 'UNABLE_TO_FIND'};
+
+        const rendered = renderProgramMarkdown(partial, {lang: 'es'});
+
+        expect(rendered).toMatch(/^# 2-8 de septiembre\n/);
+        expect(rendered).not.toContain('UNABLE_TO_FIND');
+        expect(rendered).not.toContain('Canción 3');
+        expect(rendered).not.toContain('[^1]:');
+        expect(rendered).toContain('### 2. Busquemos perlas escondidas (10 mins.)');
+    });
+});
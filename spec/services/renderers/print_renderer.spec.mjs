@@ -0,0 +1,56 @@
+import {renderPrintableSchedule} from "../../../services/renderers/print_renderer.mjs";
+
+const buildProgram = (weekDateSpan) => ({
+    weekDateSpan,
+    startingSong: {songNumber: 2},
+    weeklyBibleReadData: {bookName: 'Isaías', firstChapter: 40, lastChapter: 41},
+    treasuresTalk: {sectionNumber: 1, timeBox: 10, heading: '“Consuelen a mi pueblo”'},
+    spiritualGems: {sectionNumber: 2, timeBox: 10, headline: 'Busquemos perlas escondidas'},
+    bibleRead: {sectionNumber: 3, timeBox: 4, headline: 'Lectura de la Biblia', studyPoint: {mnemonic: 'th lección 5'}},
+    fieldMinistry: [
+        {sectionNumber: 4, timeBox: 3, headline: 'Empiece conversaciones', isStudentTask: true, studyPoint: {mnemonic: 'lmd lección 1 punto 3'}},
+        {sectionNumber: 5, timeBox: 5, headline: 'Discurso', isStudentTask: true, studyPoint: {mnemonic: 'th lección 14'}},
+    ],
+    middleSong: {songNumber: 3},
+    christianLiving: [{sectionNumber: 6, timeBox: 15, headline: 'Necesidades de la congregación <local>'}],
+    bibleStudy: {sectionNumber: 7, timeBox: 30, headline: 'Estudio bíblico de la congregación'},
+    closingSong: {songNumber: 4},
+});
+
+describe('renderPrintableSchedule', () => {
+    it('should render the three sections with their bands, parts and songs', () => {
+        const html = renderPrintableSchedule([buildProgram('2-8 de septiembre')], {lang: 'es'});
+
+        expect(html).toMatch(/^<!DOCTYPE html>\n<html lang="es">/);
+        expect(html).toContain('<h1>2-8 de septiembre | Isaías 40-41</h1>');
+        expect(html.indexOf('TESOROS DE LA BIBLIA')).toBeLessThan(html.indexOf('SEAMOS MEJORES MAESTROS'));
+        expect(html.indexOf('SEAMOS MEJORES MAESTROS')).toBeLessThan(html.indexOf('NUESTRA VIDA CRISTIANA'));
+        expect(html).toContain('<td class="number">1</td><td>“Consuelen a mi pueblo” <span class="time-box">(10 mins.)</span></td>');
+        expect(html).toContain('Palabras de introducción <span class="time-box">(1 min.)</span>');
+        expect(html).toContain('<td>Canción 3</td>');
+    });
+
+    it('should leave a blank slot for each assignee, with an assistant for demonstrations', () => {
+        const html = renderPrintableSchedule([buildProgram('2-8 de septiembre')], {lang: 'es'});
+
+        expect(html).toContain('Empiece conversaciones <span class="time-box">(3 mins.)</span></td><td class="role">Estudiante / Ayudante</td><td class="assignee"></td>');
+        expect(html).toContain('Discurso <span class="time-box">(5 mins.)</span></td><td class="role">Estudiante</td>');
+        expect(html).toContain('<td class="role">Conductor / Lector</td>');
+    });
+
+    it('should escape the program texts', () => {
+        const html = renderPrintableSchedule([buildProgram('2-8 de septiembre')], {lang: 'es'});
+
+        expect(html).toContain('Necesidades de la congregación &lt;local&gt;');
+    });
+
+    it('should group the weeks into pages', () => {
+        const programs = ['2-8 de septiembre', '9-15 de septiembre', '16-22 de septiembre'].map(buildProgram);
+
+        const html = renderPrintableSchedule(programs, {lang: 'en', weeksPerPage: 2});
+
+        expect(html.match(/<div class="page">/g).length).toBe(2);
+        expect(html.match(/<section class="week">/g).length).toBe(3);
+        expect(html).toContain('TREASURES FROM GOD’S WORD');
+    });
+});
@@ -0,0 +1,53 @@
+import {readFileSync} from 'node:fs';
+import {CHECK_STATUS, checkDocumentStructure} from "../../services/structure_health.mjs";
+
+const readMeetingHtml = (lang) => readFileSync(new URL(`../fixtures/meeting/${lang}.html`, import.meta.url), 'utf8');
+
+describe('checkDocumentStructure', () => {
+    it('should pass every check on the recorded meeting pages', () => {
+        for (const lang of ['en', 'es', 'fr', 'pt']) {
+            const report = checkDocumentStructure({html: readMeetingHtml(lang), lang});
+
+            expect(report.status).withContext(lang).toBe(CHECK_STATUS.PASS);
+            expect(report.failed).withContext(lang).toBe(0);
+        }
+    });
+
+    it('should report the selector and counts of the checks that fail', () => {
+        const html = readMeetingHtml('es').replace('<h3 id="p13" data-pid="13"><strong>3. Lectura de la Biblia</strong></h3>', '');
+
+        const report = checkDocumentStructure({html, lang: 'es'});
+        const failed = report.checks.filter((check) => check.status === CHECK_STATUS.FAIL);
+
+        expect(report.status).toBe(CHECK_STATUS.FAIL);
+        expect(failed[0]).toEqual({
+            name: 'spiritualGems and bibleRead elements',
+            status: CHECK_STATUS.FAIL,
+            selector: '#tt8 ~ * (until .dc-icon--wheat)',
+            expected: 4,
+            found: 3,
+            message: 'Expected [4] for selector [#tt8 ~ * (until .dc-icon--wheat)], found [3]',
+        });
+        expect(failed.find((check) => check.name === 'bibleRead links').message).toMatch(/Expected 4, got 3/);
+        expect(report.checks.find((check) => check.name === 'startingSong heading').status).toBe(CHECK_STATUS.PASS);
+    });
+
+    it('should fail the selector checks that only a fallback strategy got through', () => {
+        const html = readMeetingHtml('es').replace('id="tt8"', 'id="tt9"');
+
+        const report = checkDocumentStructure({html, lang: 'es'});
+        const talkCheck = report.checks.find((check) => check.name === 'treasuresTalk');
+
+        expect([talkCheck.status, talkCheck.found, talkCheck.locatedBy]).toEqual([CHECK_STATUS.FAIL, 0, 'headingNumber']);
+        expect(talkCheck.message).toMatch(/located with the \[headingNumber] strategy instead/);
+        expect(report.checks.find((check) => check.name === 'bibleRead links').status).toBe(CHECK_STATUS.PASS);
+    });
+
+    it('should check that the songs are h3 headings', () => {
+        const html = readMeetingHtml('es').replace(/<h3([^>]*id="p3")/, '<h4$1');
+
+        const songCheck = checkDocumentStructure({html, lang: 'es'}).checks.find((check) => check.name === 'startingSong heading');
+
+        expect([songCheck.status, songCheck.expected, songCheck.found]).toEqual([CHECK_STATUS.FAIL, 'h3', 'h4']);
+    });
+});
@@ -0,0 +1,115 @@
+import {mkdtemp, readdir, rm, writeFile} from 'node:fs/promises';
+import {tmpdir} from 'node:os';
+import path from 'node:path';
+import {
+    buildCacheKey,
+    createCacheFromEnv,
+    createFileSystemCache,
+    createMemoryLruCache,
+} from "../../../services/support/cache.mjs";
+
+describe('buildCacheKey', () => {
+    it('should distinguish the same URL in different languages', () => {
+        expect(buildCacheKey('https://wol.jw.org/x', 'es')).not.toBe(buildCacheKey('https://wol.jw.org/x', 'en'));
+    });
+});
+
+describe('createMemoryLruCache', () => {
+    it('should evict the least recently used entry when full', async () => {
+        const cache = createMemoryLruCache({maxEntries: 2});
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        await cache.get('a');
+        await cache.set('c', 3);
+
+        expect(await cache.get('b')).toBeUndefined();
+        expect(await cache.get('a')).toBe(1);
+        expect(await cache.get('c')).toBe(3);
+        expect(cache.getStats().evictions).toBe(1);
+    });
+
+    it('should expire entries after the TTL', async () => {
+        let now = 0;
+        const cache = createMemoryLruCache({ttlSeconds: 10, now: () => now});
+        await cache.set('a', 1);
+        now = 9999;
+        expect(await cache.get('a')).toBe(1);
+        now = 10000;
+        expect(await cache.get('a')).toBeUndefined();
+    });
+
+    it('should track hits and misses', async () => {
+        const cache = createMemoryLruCache();
+        await cache.get('a');
+        await cache.set('a', 1);
+        await cache.get('a');
+
+        const stats = cache.getStats();
+        expect(stats.hits).toBe(1);
+        expect(stats.misses).toBe(1);
+        expect(stats.hitRatio).toBe(0.5);
+    });
+});
+
+describe('createFileSystemCache', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(path.join(tmpdir(), 'pmp-cache-'));
+    });
+
+    afterEach(async () => {
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    it('should persist entries across instances', async () => {
+        await createFileSystemCache({directory}).set('key', {items: [1]});
+        const cache = createFileSystemCache({directory});
+
+        expect(await cache.get('key')).toEqual({items: [1]});
+        expect(cache.getStats().hits).toBe(1);
+    });
+
+    it('should expire entries after the TTL', async () => {
+        let now = 0;
+        const cache = createFileSystemCache({directory, ttlSeconds: 1, now: () => now});
+        await cache.set('key', 'value');
+        now = 1000;
+
+        expect(await cache.get('key')).toBeUndefined();
+        expect(cache.getStats().evictions).toBe(1);
+    });
+
+    it('should clear every entry', async () => {
+        const cache = createFileSystemCache({directory});
+        await cache.set('key', 'value');
+        await cache.clear();
+
+        expect(await cache.get('key')).toBeUndefined();
+    });
+
+    it('should only remove its own entries when cleared', async () => {
+        const cache = createFileSystemCache({directory});
+        await cache.set('key', 'value');
+        await writeFile(path.join(directory, 'notes.json'), '{}');
+        await cache.clear();
+
+        expect(await readdir(directory)).toEqual(['notes.json']);
+    });
+});
+
+describe('createCacheFromEnv', () => {
+    afterEach(() => {
+        delete process.env.PMP_CACHE_MAX_ENTRIES;
+        delete process.env.PMP_CACHE_TTL_SECONDS;
+    });
+
+    it('should reject a capacity or a TTL that is not a whole number', () => {
+        process.env.PMP_CACHE_MAX_ENTRIES = 'many';
+        expect(() => createCacheFromEnv()).toThrowError(/Invalid PMP_CACHE_MAX_ENTRIES \[many]/);
+
+        delete process.env.PMP_CACHE_MAX_ENTRIES;
+        process.env.PMP_CACHE_TTL_SECONDS = '1 week';
+        expect(() => createCacheFromEnv()).toThrowError(/Invalid PMP_CACHE_TTL_SECONDS \[1 week]/);
+    });
+});
@@ -0,0 +1,62 @@
+import {createTypedefSchemaBuilder, parseTypedefs} from "../../../services/support/jsdoc_schemas.mjs";
+
+const source = `
+/**
+ * A part of the meeting.
+ * @typedef {Object} Part
+ * @property {number} sectionNumber - The number, see {@link Section}.
+ * @property {string | null} [headline=''] - The headline,
+ *      when it has one.
+ * @property {'talk' | 'demonstration'} kind
+ * @property {Object<number, string>} footnotes
+ */
+
+/**
+ * @typedef {Part} TimedPart
+ * @property {Part[]} subparts
+ */
+
+/**
+ * @typedef {Object} Unsupported
+ * @property {function(string): void} callback
+ */
+`;
+
+describe('parseTypedefs', () => {
+    it('should read the typedefs, their properties and descriptions', () => {
+        const [part, timedPart] = parseTypedefs(source, 'parts.mjs');
+
+        expect([part.name, part.type, part.description]).toEqual(['Part', 'Object', 'A part of the meeting.']);
+        expect(part.properties[0]).toEqual({name: 'sectionNumber', type: 'number', optional: false, description: 'The number, see Section.'});
+        expect(part.properties[1]).toEqual({name: 'headline', type: 'string | null', optional: true, description: 'The headline, when it has one.'});
+        expect([timedPart.name, timedPart.type, timedPart.file]).toEqual(['TimedPart', 'Part', 'parts.mjs']);
+    });
+});
+
+describe('createTypedefSchemaBuilder', () => {
+    it('should build the schemas of the referenced typedefs', () => {
+        const builder = createTypedefSchemaBuilder(parseTypedefs(source));
+
+        expect(builder.typeToSchema('TimedPart[]', 'test')).toEqual({type: 'array', items: {$ref: '#/components/schemas/TimedPart'}});
+        const {Part, TimedPart} = builder.getSchemas();
+        expect(Part.required).toEqual(['sectionNumber', 'kind', 'footnotes']);
+        expect(Part.properties.headline.type).toEqual(['string', 'null']);
+        expect(Part.properties.kind.enum).toEqual(['talk', 'demonstration']);
+        expect(Part.properties.footnotes).toEqual({type: 'object', additionalProperties: {type: 'string'}});
+        expect(TimedPart.allOf[0]).toEqual({$ref: '#/components/schemas/Part'});
+        expect(TimedPart.allOf[1].properties.subparts.items).toEqual({$ref: '#/components/schemas/Part'});
+    });
+
+    it('should reject the types that are not data', () => {
+        const builder = createTypedefSchemaBuilder(parseTypedefs(source));
+
+        expect(() => builder.ref('Unsupported')).toThrowError(/Unable to describe the type \[function\(string\): void] of \[Unsupported.callback]/);
+        expect(() => builder.ref('Missing')).toThrowError(/Unknown typedef \[Missing]/);
+    });
+
+    it('should reject typedefs declared twice', () => {
+        const typedefs = [...parseTypedefs(source, 'a.mjs'), ...parseTypedefs(source, 'b.mjs')];
+
+        expect(() => createTypedefSchemaBuilder(typedefs)).toThrowError(/\[Part] is declared in \[a.mjs] and \[b.mjs]/);
+    });
+});
@@ -1,36 +1,55 @@
 import * as cheerio from 'cheerio';
-import logger from "../../../core/logger.mjs";
-import CONSTANTS from "../../../core/constants.mjs";
-import {getAndValidateSongSelections} from "../../../services/support/pub_mwb_program_selection_groups.mjs";
+import {readFileSync} from 'node:fs';
+import {getSelectorProfile} from "../../../core/selector_profile.mjs";
+import {
+    buildChristianLivingSelections,
+    buildFieldMinistrySelections,
+    buildGodsTreasuresSelections,
+    buildRelevantProgramGroupSelections,
+    getAndValidateSongSelections,
+    locateSection,
+} from "../../../services/support/pub_mwb_program_selection_groups.mjs";
 
 describe('DOM Validation Functions', () => {
-    let $;
-    let logSpy;
+    // A meeting page reduced to the elements the selections are built from.
+    const page = `
+        <div class="bodyTxt">
+            <h3 id="starting-song" class="dc-icon--music">Starting Song</h3>
+            <div id="treasures-headline"><h2>Treasures</h2></div>
+            <div id="treasures-talk"><h3>1. Treasures Talk</h3></div>
+            <h3 id="spiritual-gems">2. Spiritual Gems</h3>
+            <div>Spiritual Gems contents</div>
+            <h3 id="bible-read">3. Bible Read</h3>
+            <div id="bible-read-contents">Bible Read contents</div>
+            <div id="field-ministry-headline" class="dc-icon--wheat"><h2>Field Ministry</h2></div>
+            <h3 id="field-ministry-part">4. Field Ministry Part</h3>
+            <div id="field-ministry-contents">Field Ministry contents</div>
+            <div id="christian-living-headline" class="dc-icon--sheep"><h2>Christian Living</h2></div>
+            <h3 id="middle-song" class="dc-icon--music">Middle Song</h3>
+            <h3 id="christian-living-part">5. Christian Living Part</h3>
+            <div>Christian Living contents</div>
+            <h3 id="bible-study">6. Bible Study</h3>
+            <div>Bible Study contents</div>
+            <h3 id="closing-song" class="dc-icon--music">Closing Song</h3>
+        </div>
+    `;
+    let selectors;
 
     beforeEach(() => {
-        logSpy = spyOn(logger, 'error').and.callThrough();
-        $ = cheerio.load(`
-            <div>
-                <h3 id="starting-song">Starting Song</h3>
-                <h3 id="middle-song">Middle Song</h3>
-                <h3 id="closing-song">Closing Song</h3>
-                <h2 id="field-ministry-headline">Field Ministry</h2>
-                <h2 id="christian-living-headline">Christian Living</h2>
-                <h3 id="bible-study">Bible Study</h3>
-                <h3 id="treasures-talk">Treasures Talk</h3>
-                <div id="spiritual-gems">Spiritual Gems</div>
-                <div id="bible-read">Bible Read</div>
-            </div>
-        `);
+        selectors = {
+            ...getSelectorProfile().selectors,
+            startingSong: '#starting-song',
+            middleSong: '#middle-song',
+            closingSong: '#closing-song',
+            treasuresTalk: '#treasures-talk',
+            fieldMinistryHeadline: '#field-ministry-headline',
+            christianLivingHeadline: '#christian-living-headline',
+        };
     });
 
     describe('getAndValidateSongSelections', () => {
         it('should return valid song selections when DOM structure is correct', () => {
-            spyOn(CONSTANTS, 'STARTING_SONG_CSS_SELECTOR').and.returnValue('#starting-song');
-            spyOn(CONSTANTS, 'MIDDLE_SONG_CSS_SELECTOR').and.returnValue('#middle-song');
-            spyOn(CONSTANTS, 'FINAL_SONG_CSS_SELECTOR').and.returnValue('#closing-song');
-
-            const { songs, startingSong, middleSong, closingSong } = getAndValidateSongSelections($);
+            const { songs, startingSong, middleSong, closingSong } = getAndValidateSongSelections(cheerio.load(page), selectors);
 
             expect(startingSong.attr('id')).toBe('starting-song');
             expect(middleSong.attr('id')).toBe('middle-song');
@@ -39,96 +58,115 @@ describe('DOM Validation Functions', () => {
         });
 
         it('should throw an error if a song is not an h3', () => {
-            spyOn(CONSTANTS, 'STARTING_SONG_CSS_SELECTOR').and.returnValue('div');
-            expect(() => getAndValidateSongSelections($)).toThrowError(/Unexpected element detected/);
-            expect(logSpy).toHaveBeenCalledWith(jasmine.stringMatching(/Unexpected element detected/));
+            // Without the music icons the other strategies can't find a song heading either.
+            const $ = cheerio.load(page
+                .replace('<h3 id="starting-song" class="dc-icon--music">Starting Song</h3>', '<p id="starting-song">Starting Song</p>')
+                .replaceAll(' class="dc-icon--music"', ''));
+
+            expect(() => getAndValidateSongSelections($, selectors)).toThrowError(/Unexpected element detected. Expected h3, got p/);
         });
     });
 
     describe('buildGodsTreasuresSelections', () => {
         it('should return valid treasures selections when DOM structure is correct', () => {
-            spyOn(CONSTANTS, 'TREASURES_TALK_CSS_SELECTOR').and.returnValue('#treasures-talk');
-            spyOn(CONSTANTS, 'FIELD_MINISTRY_HEADLINE_CSS_SELECTOR').and.returnValue('#field-ministry-headline');
-
-            const selections = buildGodsTreasuresSelections($);
+            const selections = buildGodsTreasuresSelections(cheerio.load(page), selectors);
 
             expect(selections.treasuresTalk.attr('id')).toBe('treasures-talk');
             expect(selections.spiritualGems.length).toBe(2);
+            expect(selections.spiritualGems.attr('id')).toBe('spiritual-gems');
             expect(selections.bibleRead.length).toBe(2);
+            expect(selections.bibleRead.attr('id')).toBe('bible-read');
         });
 
         it('should throw an error if the number of elements for points 2 and 3 is incorrect', () => {
-            spyOn(CONSTANTS, 'TREASURES_TALK_CSS_SELECTOR').and.returnValue('#starting-song');  // Wrong selector
-            spyOn(CONSTANTS, 'FIELD_MINISTRY_HEADLINE_CSS_SELECTOR').and.returnValue('#field-ministry-headline');
+            const $ = cheerio.load(page.replace('<div id="bible-read-contents">Bible Read contents</div>', ''));
 
-            expect(() => buildGodsTreasuresSelections($)).toThrowError(/Unexpected number of elements for points 2 and 3/);
-            expect(logSpy).toHaveBeenCalledWith(jasmine.stringMatching(/Unexpected number of elements for points 2 and 3/));
+            expect(() => buildGodsTreasuresSelections($, selectors)).toThrowError(/Unexpected number of elements for points 2 and 3. Expected 4, got 3/);
         });
     });
 
     describe('buildChristianLivingSelections', () => {
         it('should return valid Christian Living selections when DOM structure is valid', () => {
-            spyOn(CONSTANTS, 'MIDDLE_SONG_CSS_SELECTOR').and.returnValue('#middle-song');
-            spyOn(CONSTANTS, 'FINAL_SONG_CSS_SELECTOR').and.returnValue('#closing-song');
+            const selections = buildChristianLivingSelections(cheerio.load(page), selectors);
 
-            const selections = buildChristianLivingSelections($);
-
-            expect(selections.christianLiving.length).toBeGreaterThan(0);  // Expecting some elements
+            expect(selections.christianLiving.length).toBe(2);
+            expect(selections.christianLiving.attr('id')).toBe('christian-living-part');
+            expect(selections.bibleStudy.length).toBe(2);
             expect(selections.bibleStudy.attr('id')).toBe('bible-study');
         });
 
-        it('should throw an error if the Bible Study headline is not an h3', () => {
-            spyOn(CONSTANTS, 'MIDDLE_SONG_CSS_SELECTOR').and.returnValue('#middle-song');
-            spyOn(CONSTANTS, 'FINAL_SONG_CSS_SELECTOR').and.returnValue('div');  // Wrong structure
+        it('should throw an error if the songs are not h3 headings', () => {
+            const $ = cheerio.load(page.replace(/<h3 (id="\w+-song") class="dc-icon--music">(.+?)<\/h3>/g, '<p $1>$2</p>'));
 
-            expect(() => buildChristianLivingSelections($)).toThrowError(/Unexpected element detected/);
-            expect(logSpy).toHaveBeenCalledWith(jasmine.stringMatching(/Unexpected element detected/));
+            expect(() => buildChristianLivingSelections($, selectors)).toThrowError(/Unexpected element detected. Expected h3, got p/);
         });
     });
 
     describe('buildFieldMinistrySelections', () => {
         it('should return field ministry selections when DOM structure is valid', () => {
-            spyOn(CONSTANTS, 'FIELD_MINISTRY_HEADLINE_CSS_SELECTOR').and.returnValue('#field-ministry-headline');
-            spyOn(CONSTANTS, 'CHRISTIAN_LIVING_HEADLINE_CSS_SELECTOR').and.returnValue('#christian-living-headline');
-
-            const selections = buildFieldMinistrySelections($);
+            const {fieldMinistry} = buildFieldMinistrySelections(cheerio.load(page), selectors);
 
-            expect(selections.fieldMinistry.length).toBeGreaterThan(0);  // Should find elements between headlines
+            expect(fieldMinistry.length).toBe(2);
+            expect(fieldMinistry.attr('id')).toBe('field-ministry-part');
         });
 
         it('should return an empty selection if no elements are between headlines', () => {
-            spyOn(CONSTANTS, 'FIELD_MINISTRY_HEADLINE_CSS_SELECTOR').and.returnValue('#closing-song');  // Invalid headline
-            spyOn(CONSTANTS, 'CHRISTIAN_LIVING_HEADLINE_CSS_SELECTOR').and.returnValue('#christian-living-headline');
+            const $ = cheerio.load(page);
+            $('#field-ministry-part, #field-ministry-contents').remove();
 
-            const selections = buildFieldMinistrySelections($);
-
-            expect(selections.fieldMinistry.length).toBe(0);  // No elements between closing-song and Christian Living
+            expect(buildFieldMinistrySelections($, selectors).fieldMinistry.length).toBe(0);
         });
     });
 
     describe('buildRelevantProgramGroupSelections', () => {
         it('should return all relevant selections when DOM structure is valid', () => {
-            spyOn(CONSTANTS, 'STARTING_SONG_CSS_SELECTOR').and.returnValue('#starting-song');
-            spyOn(CONSTANTS, 'MIDDLE_SONG_CSS_SELECTOR').and.returnValue('#middle-song');
-            spyOn(CONSTANTS, 'FINAL_SONG_CSS_SELECTOR').and.returnValue('#closing-song');
-            spyOn(CONSTANTS, 'FIELD_MINISTRY_HEADLINE_CSS_SELECTOR').and.returnValue('#field-ministry-headline');
-            spyOn(CONSTANTS, 'CHRISTIAN_LIVING_HEADLINE_CSS_SELECTOR').and.returnValue('#christian-living-headline');
-            spyOn(CONSTANTS, 'TREASURES_TALK_CSS_SELECTOR').and.returnValue('#treasures-talk');
-            spyOn(CONSTANTS, 'INTRODUCTION_CSS_SELECTOR').and.returnValue('#introduction');
-
-            const selections = buildRelevantProgramGroupSelections($);
+            const selections = buildRelevantProgramGroupSelections(cheerio.load(page), selectors);
 
             expect(selections.startingSong.attr('id')).toBe('starting-song');
             expect(selections.closingSong.attr('id')).toBe('closing-song');
-            expect(selections.fieldMinistry.length).toBeGreaterThan(0);
-            expect(selections.christianLiving.length).toBeGreaterThan(0);
+            expect(selections.treasuresTalk.attr('id')).toBe('treasures-talk');
+            expect(selections.fieldMinistry.length).toBe(2);
+            expect(selections.christianLiving.length).toBe(2);
+            expect(selections.bibleStudy.length).toBe(2);
         });
 
         it('should throw an error if the DOM structure is invalid for any part', () => {
-            spyOn(CONSTANTS, 'STARTING_SONG_CSS_SELECTOR').and.returnValue('div');  // Simulate wrong selector
+            const $ = cheerio.load(page.replace('<h2>Christian Living</h2>', 'Christian Living'));
 
-            expect(() => buildRelevantProgramGroupSelections($)).toThrowError(/Unexpected element detected/);
-            expect(logSpy).toHaveBeenCalledWith(jasmine.stringMatching(/Unexpected element detected/));
+            expect(() => buildRelevantProgramGroupSelections($, selectors)).toThrowError(/Unexpected number of elements for field ministry and christian living/);
         });
     });
-});
\ No newline at end of file
+});
+
+describe('locateSection', () => {
+    const html = readFileSync(new URL('../../fixtures/meeting/es.html', import.meta.url), 'utf8');
+
+    it('should use the selector of the profile while it matches', () => {
+        const $ = cheerio.load(html);
+
+        expect(locateSection($, 'treasuresTalk').strategy).toBe('selector');
+        expect(locateSection($, 'middleSong').selection.attr('id')).toBe('p23');
+    });
+
+    it('should fall back to the other strategies when the paragraph ids shift', () => {
+        const $ = cheerio.load(html.replace(/id="(p|tt)(\d+)"/g, (_, prefix, number) => `id="${prefix}${Number(number) + 1}"`));
+
+        const startingSong = locateSection($, 'startingSong');
+        const treasuresTalk = locateSection($, 'treasuresTalk');
+
+        expect([startingSong.strategy, startingSong.selection.attr('id')]).toEqual(['iconClass', 'p4']);
+        expect([treasuresTalk.strategy, treasuresTalk.selection.attr('id')]).toEqual(['headingNumber', 'tt9']);
+        expect(buildRelevantProgramGroupSelections($).spiritualGems.length).toBe(2);
+    });
+
+    it('should locate the headlines and songs by position when the icon classes change', () => {
+        const $ = cheerio.load(html.replace(/dc-icon--(wheat|sheep|music)/g, 'dc-icon--other'));
+
+        const fieldMinistryHeadline = locateSection($, 'fieldMinistryHeadline');
+        const middleSong = locateSection($, 'middleSong');
+
+        expect([fieldMinistryHeadline.strategy, fieldMinistryHeadline.selection.attr('id')]).toEqual(['position', 'tt15']);
+        expect([middleSong.strategy, middleSong.selection.attr('id')]).toEqual(['position', 'p23']);
+        expect(locateSection($, 'christianLivingHeadline').selection.attr('id')).toBe('tt22');
+    });
+});
@@ -0,0 +1,237 @@
+import {
+  createPublicationStructureParser,
+  parseParagraphRange,
+  parsePublicationStructure,
+  parsePubSjj,
+  parseStudyLesson,
+  parseStudyMaterial,
+  parseStudyPointMnemonic,
+  pickAndApplyParsingLogic,
+  registerPublicationParser,
+  unregisterPublicationParser,
+} from "../../../services/support/reference_text_parser.mjs";
+
+describe('parsePublicationStructure', () => {
+  const story = '<header><h1><strong>LECCIÓN 24</strong></h1><h2>Rompieron su promesa</h2></header>'
+    + '<p class="p3"><span class="parNum" data-pnum="1">1</span> Mientras Moisés estaba en la montaña, el pueblo se impacientó.</p>'
+    + '<h3>Un becerro de oro</h3><figure><img src="x.jpg"><figcaption><p>El pueblo adora el becerro.</p></figcaption></figure>'
+    + '<p class="p4"><span class="parNum" data-pnum="2">2</span> Aarón hizo un becerro de oro<a class="fn" href="#">*</a>.</p>'
+    + '<div class="qu"><p class="qu">¿Qué hizo el pueblo?</p></div>';
+
+  it('should parse the title, subheadings, numbered paragraphs and captions without the questions', () => {
+    expect(parsePublicationStructure('pub-lfb', story)).toEqual({
+      publication: 'pub-lfb',
+      title: 'Rompieron su promesa',
+      subheadings: ['Un becerro de oro'],
+      paragraphs: [
+        {number: 1, text: 'Mientras Moisés estaba en la montaña, el pueblo se impacientó.'},
+        {number: 2, text: 'Aarón hizo un becerro de oro.'},
+      ],
+      imageCaptions: ['El pueblo adora el becerro.'],
+    });
+  });
+
+  it('should fall back to the title of the item and the default parser', () => {
+    const structure = parsePublicationStructure('pub-xyz', '<p>Texto.</p>', {title: 'Un artículo'});
+    expect(structure.title).toBe('Un artículo');
+    expect(structure.paragraphs).toEqual([{number: null, text: 'Texto.'}]);
+  });
+
+  it('should keep each line of a song apart from its theme scripture', () => {
+    const song = '<header><h1>CANCIÓN 3</h1><h2>Mi fuerza</h2></header><p class="themeScrp">(Proverbios 18:10)</p>'
+      + '<div class="bodyTxt"><p class="sl">1. Jehová, mi fuerza,</p><p class="sl">mi esperanza,</p></div>';
+    expect(parsePublicationStructure('pub-sjj', song).paragraphs.map(({text}) => text)).toEqual(['1. Jehová, mi fuerza,', 'mi esperanza,']);
+  });
+
+  it('should leave the scriptures of a story out of its paragraphs', () => {
+    const lesson = '<header><h1>LECCIÓN 24</h1><h2>Rompieron su promesa</h2></header><p class="themeScrp">Éxodo 32:1-35</p>'
+      + '<p><span class="parNum" data-pnum="1">1</span> Moisés subió a la montaña.</p>';
+    expect(parsePublicationStructure('pub-lfb', lesson).paragraphs).toEqual([{number: 1, text: 'Moisés subió a la montaña.'}]);
+    expect(parsePublicationStructure('pub-xyz', lesson).paragraphs.length).toBe(2);
+  });
+
+  it('should leave the discussion questions of a lesson out of its paragraphs', () => {
+    const lesson = '<header><h1>LECCIÓN 01</h1><h2>Buenas noticias de parte de Dios</h2></header>'
+      + '<p>Las buenas noticias vienen de Dios.</p><h3>1. ¿Qué son las buenas noticias?</h3>'
+      + '<ul><li><p>¿Qué dice Isaías 52:7?</p></li></ul>';
+    expect(parsePublicationStructure('pub-lff', lesson)).toEqual(jasmine.objectContaining({
+      subheadings: ['1. ¿Qué son las buenas noticias?'],
+      paragraphs: [{number: null, text: 'Las buenas noticias vienen de Dios.'}],
+    }));
+    expect(parsePublicationStructure('pub-xyz', lesson).paragraphs.length).toBe(2);
+  });
+
+  it('should leave the summary box out of a chapter', () => {
+    const chapter = '<header><h1>CAPÍTULO 3</h1><h2>¿Cuál es el propósito de Dios para los seres humanos?</h2></header>'
+      + '<p><span class="parNum" data-pnum="1">1</span> Dios tiene un propósito.</p>'
+      + '<div class="boxSupplement"><h3>LO QUE ENSEÑA LA BIBLIA</h3><p>Dios cumplirá su propósito.</p></div>';
+    expect(parsePublicationStructure('pub-bhs', chapter)).toEqual(jasmine.objectContaining({
+      subheadings: [],
+      paragraphs: [{number: 1, text: 'Dios tiene un propósito.'}],
+    }));
+    expect(parsePublicationStructure('pub-xyz', chapter).subheadings).toEqual(['LO QUE ENSEÑA LA BIBLIA']);
+  });
+
+  describe('with a parser registered later', () => {
+    beforeEach(() => {
+      registerPublicationParser('pub-test', {
+        text: (content) => `texto: ${content}`,
+        structure: createPublicationStructureParser({paragraphs: 'p.keep'}),
+      });
+    });
+
+    afterEach(() => {
+      unregisterPublicationParser('pub-test');
+    });
+
+    it('should parse the structure with it', () => {
+      expect(parsePublicationStructure('PUB-TEST', '<p class="keep">Sí.</p><p>No.</p>').paragraphs).toEqual([{number: null, text: 'Sí.'}]);
+    });
+
+    it('should flatten the text with it', () => {
+      expect(pickAndApplyParsingLogic({publicationClass: 'pub-test'}, '<p>Sí.</p>')).toBe('texto: <p>Sí.</p>');
+    });
+
+    it('should parse with the default parsers again once unregistered', () => {
+      expect(unregisterPublicationParser('pub-test')).toBeTrue();
+      expect(pickAndApplyParsingLogic({publicationClass: 'pub-test'}, '<p>Sí.</p>')).toBe('Sí.');
+    });
+  });
+});
+
+describe('parsePubSjj', () => {
+  it('should parse the name, theme scripture, lyrics and closing content of a song', () => {
+    const song = '<header><h1>CANCIÓN 3</h1><h2 id="p2">Mi fuerza</h2></header><p id="p3" class="themeScrp">(Proverbios 18:10)</p>'
+      + '<div class="bodyTxt"><p class="sl">1. Jehová, mi fuerza,</p><p class="sl">mi esperanza,</p></div>'
+      + '<div class="closingContent"><p>(Vea también Sal. 28:9)</p></div>';
+    expect(parsePubSjj(song)).toEqual({
+      name: 'Mi fuerza',
+      themeScripture: 'Proverbios 18:10',
+      content: '1. Jehová, mi fuerza,mi esperanza,',
+      closingContent: 'Vea también Sal. 28:9',
+    });
+  });
+});
+
+describe('parseParagraphRange', () => {
+  it('should parse the localized paragraph ranges', () => {
+    expect(parseParagraphRange('jy cap. 10 párrs. 1-7', 'es')).toEqual({first: 1, last: 7});
+    expect(parseParagraphRange('bt chap. 5 pars. 8–15', 'en')).toEqual({first: 8, last: 15});
+    expect(parseParagraphRange('lfb lección 24 párr. 3')).toEqual({first: 3, last: 3});
+  });
+
+  it('should return null when the paragraphs are not limited', () => {
+    expect(parseParagraphRange('lfb lecciones 24, 25', 'es')).toBeNull();
+  });
+});
+
+describe('parseStudyMaterial', () => {
+  it('should parse the heading, the paragraph range and the innermost study questions', () => {
+    const lesson = '<header><h1>LECCIÓN 25</h1><h2>Jehová perdona a su pueblo</h2></header>'
+      + '<p><span class="parNum" data-pnum="3">3</span> Moisés volvió a subir.</p>'
+      + '<p><span class="parNum" data-pnum="4">4</span> Jehová le dio otra vez las leyes.</p>'
+      + '<div class="qu"><p class="qu">¿Qué nos enseña?</p><p class="qu">¿Por qué perdona Jehová?</p></div>';
+    expect(parseStudyMaterial('pub-lfb', lesson)).toEqual(jasmine.objectContaining({
+      heading: 'LECCIÓN 25',
+      title: 'Jehová perdona a su pueblo',
+      paragraphRange: {first: 3, last: 4},
+      questions: ['¿Qué nos enseña?', '¿Por qué perdona Jehová?'],
+    }));
+  });
+
+  describe('with a paragraph range', () => {
+    const chapter = '<header><h1>CAPÍTULO 10</h1><h2>Jesús y el templo</h2></header>'
+      + '<p><span class="parNum" data-pnum="1">1</span> Jesús tenía <em>doce</em> años.</p>'
+      + '<div class="qu"><p class="qu">1, 2. ¿Adónde fue la familia?</p></div>'
+      + '<p><span class="parNum" data-pnum="2">2</span> Fueron a Jerusalén.</p>'
+      + '<p>Una nota sobre la Pascua.</p>'
+      + '<p><span class="parNum" data-pnum="3">3</span> Sus padres lo buscaron.</p>'
+      + '<div class="qu"><p class="qu">3. ¿Dónde lo encontraron?</p></div>'
+      + '<div class="qu"><p class="qu">¿Qué aprendemos?</p></div>';
+
+    it('should keep only the paragraphs and questions assigned', () => {
+      const material = parseStudyMaterial('pub-jy', chapter, {}, {paragraphRange: {first: 2, last: 3}});
+
+      expect(material.paragraphRange).toEqual({first: 2, last: 3});
+      expect(material.paragraphs).toEqual([
+        {number: 2, text: 'Fueron a Jerusalén.'},
+        {number: null, text: 'Una nota sobre la Pascua.'},
+        {number: 3, text: 'Sus padres lo buscaron.'},
+      ]);
+      expect(material.questions).toEqual(['1, 2. ¿Adónde fue la familia?', '3. ¿Dónde lo encontraron?', '¿Qué aprendemos?']);
+    });
+
+    it('should leave out the questions about other paragraphs', () => {
+      const material = parseStudyMaterial('pub-jy', chapter, {}, {paragraphRange: {first: 3, last: 3}});
+
+      expect(material.paragraphs.map(({number}) => number)).toEqual([3]);
+      expect(material.questions).toEqual(['3. ¿Dónde lo encontraron?', '¿Qué aprendemos?']);
+    });
+
+    it('should keep the formatting in the requested format', () => {
+      const material = parseStudyMaterial('pub-jy', chapter, {}, {paragraphRange: {first: 1, last: 1}, textFormat: 'markdown'});
+
+      expect(material.paragraphs).toEqual([{number: 1, text: 'Jesús tenía *doce* años.'}]);
+    });
+  });
+});
+
+describe('parseStudyPointMnemonic', () => {
+  it('should parse the publication, the lesson and the point in any language', () => {
+    expect(parseStudyPointMnemonic('lmd lección 1 punto 3')).toEqual({publication: 'lmd', lesson: 1, point: 3});
+    expect(parseStudyPointMnemonic('lmd lesson 7 point 4')).toEqual({publication: 'lmd', lesson: 7, point: 4});
+    expect(parseStudyPointMnemonic('th leçon 14')).toEqual({publication: 'th', lesson: 14, point: null});
+  });
+
+  it('should return null for references that are not a lesson', () => {
+    expect(parseStudyPointMnemonic('Is 40:26')).toBeNull();
+    expect(parseStudyPointMnemonic('Is 40:1-20')).toBeNull();
+    expect(parseStudyPointMnemonic('ip-1 pág. 400 párr. 3')).toBeNull();
+    expect(parseStudyPointMnemonic('w18.02 pág. 30 párr. 4')).toBeNull();
+  });
+});
+
+describe('parseStudyLesson', () => {
+  const lmdLesson = '<header><h1><strong>LECCIÓN 1</strong></h1><h2>Interésese por las personas</h2></header>'
+    + '<p class="themeScrp">“El amor es paciente y bondadoso” (<a class="b" href="#">1 Cor. 13:4</a>).</p>'
+    + '<h3>Lo que hizo Jesús</h3><p><strong>1.</strong> Vea el video.</p>'
+    + '<h3>Imite a Jesús</h3><p><strong>3.</strong> <strong>Sea observador.</strong> Fíjese en la persona.</p>';
+
+  it('should find the point the student works on', () => {
+    const lesson = parseStudyLesson('lmd lección 1 punto 3', lmdLesson, {publicationTitle: 'Amor por la gente', lang: 'es'});
+
+    expect(lesson.title).toBe('Interésese por las personas');
+    expect(lesson.sections.map(({heading}) => heading)).toEqual(['Lo que hizo Jesús', 'Imite a Jesús']);
+    expect(lesson.focusPoint).toEqual({number: 3, title: 'Sea observador.', text: 'Fíjese en la persona.'});
+    expect(lesson.themeScriptureReferences[0]).toEqual(jasmine.objectContaining({bookNumber: 46, chapter: 13, verseStart: 4}));
+  });
+
+  it('should leave the focus point out when the point is not in the lesson', () => {
+    const lesson = parseStudyLesson('lmd lección 1 punto 9', lmdLesson);
+
+    expect(lesson.point).toBe(9);
+    expect(lesson.focusPoint).toBeNull();
+  });
+
+  it('should parse a th lesson without a point, with its unnumbered points and summary', () => {
+    const thLesson = '<header><h1>LECCIÓN 5</h1><h2>Lectura correcta</h2></header>'
+      + '<p class="themeScrp"><a class="b" href="#">1 Tim. 4:13</a></p>'
+      + '<div class="boxSupplement"><p>Lea en voz alta exactamente lo que está escrito.</p></div>'
+      + '<h3>CÓMO HACERLO</h3><ul><li><p><strong>Prepárese bien.</strong> Analice el propósito del texto.</p></li></ul>';
+    const lesson = parseStudyLesson('th lección 5', thLesson, {lang: 'es'});
+
+    expect([lesson.publication, lesson.lesson, lesson.point, lesson.focusPoint]).toEqual(['th', 5, null, null]);
+    expect(lesson.summary).toBe('Lea en voz alta exactamente lo que está escrito.');
+    expect(lesson.sections).toEqual([{heading: 'CÓMO HACERLO', points: [{number: null, title: 'Prepárese bien.', text: 'Analice el propósito del texto.'}]}]);
+  });
+
+  it('should parse the theme scripture in the language of the lesson', () => {
+    const lesson = parseStudyLesson('lmd lesson 1 point 3', lmdLesson.replace('1 Cor. 13:4', '1 Corinthians 13:4'), {lang: 'en'});
+
+    expect(lesson.themeScriptureReferences.map(({book, bookNumber}) => [book, bookNumber])).toEqual([['1 Corinthians', 46]]);
+  });
+
+  it('should return null when the mnemonic is not a lesson', () => {
+    expect(parseStudyLesson('Is 40:26', lmdLesson)).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+import {
+    createRequestScheduler,
+    getRequestScheduler,
+    parseRetryAfter,
+    setRequestScheduler,
+} from "../../../services/support/request_scheduler.mjs";
+import {useEnv} from "../../helpers/env.mjs";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('createRequestScheduler', () => {
+    it('should never run more tasks than the max concurrency', async () => {
+        const scheduler = createRequestScheduler({maxConcurrency: 2, requestsPerSecond: 0});
+        let active = 0;
+        let maxActive = 0;
+        const task = async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await delay(10);
+            active--;
+        };
+
+        await Promise.all(Array.from({length: 6}, (_, i) => scheduler.schedule(`https://host${i % 3}.test/`, task)));
+
+        expect(maxActive).toBe(2);
+        expect(scheduler.getStats().queueDepth).toBe(0);
+    });
+
+    it('should space out the requests to the same host', async () => {
+        const scheduler = createRequestScheduler({maxConcurrency: 10, requestsPerSecond: 20});
+        const startedAt = [];
+        const task = async () => startedAt.push(Date.now());
+
+        await Promise.all([1, 2, 3].map(() => scheduler.schedule('https://wol.test/a', task)));
+
+        expect(startedAt[2] - startedAt[0]).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should not start requests for a paused host', async () => {
+        const scheduler = createRequestScheduler({maxConcurrency: 10, requestsPerSecond: 0});
+        scheduler.pauseHost('wol.test', 50);
+        const scheduledAt = Date.now();
+        let startedAt = 0;
+
+        await scheduler.schedule('https://wol.test/a', async () => {
+            startedAt = Date.now();
+        });
+
+        expect(startedAt - scheduledAt).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should propagate task failures', async () => {
+        const scheduler = createRequestScheduler();
+        await expectAsync(scheduler.schedule('https://wol.test/', async () => {
+            throw new Error('boom');
+        })).toBeRejectedWithError('boom');
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('should parse seconds and HTTP dates', () => {
+        const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+        expect(parseRetryAfter('120', now)).toBe(120000);
+        expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now)).toBe(30000);
+        expect(parseRetryAfter('soon', now)).toBeNull();
+        expect(parseRetryAfter(null, now)).toBeNull();
+    });
+});
+
+describe('getRequestScheduler', () => {
+    useEnv({PMP_MAX_CONCURRENCY: '', PMP_REQUESTS_PER_SECOND: ''});
+
+    beforeEach(() => {
+        setRequestScheduler(null);
+    });
+
+    afterEach(() => {
+        setRequestScheduler(null);
+    });
+
+    it('should use the configured concurrency and rate', () => {
+        process.env.PMP_MAX_CONCURRENCY = '2';
+        process.env.PMP_REQUESTS_PER_SECOND = '0.5';
+
+        expect(getRequestScheduler().getStats()).toEqual(jasmine.objectContaining({maxConcurrency: 2, requestsPerSecond: 0.5}));
+    });
+
+    it('should reject a concurrency that would never let a request start', () => {
+        for (const value of ['0', '-1', 'four', '2.5']) {
+            process.env.PMP_MAX_CONCURRENCY = value;
+            expect(() => getRequestScheduler()).toThrowError(/Invalid PMP_MAX_CONCURRENCY .*at least 1/);
+        }
+    });
+
+    it('should reject a rate that is not a number greater than 0', () => {
+        for (const value of ['0', '-5', 'fast']) {
+            process.env.PMP_REQUESTS_PER_SECOND = value;
+            expect(() => getRequestScheduler()).toThrowError(/Invalid PMP_REQUESTS_PER_SECOND .*greater than 0/);
+        }
+    });
+});
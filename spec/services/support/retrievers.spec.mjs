@@ -0,0 +1,112 @@
+import {computeBackoffDelay, getHtmlContent} from "../../../services/support/retrievers.mjs";
+import {createRequestScheduler, setRequestScheduler} from "../../../services/support/request_scheduler.mjs";
+import {useEnv} from "../../helpers/env.mjs";
+
+/**
+ * A fetch that never answers, it only rejects once its signal is aborted.
+ */
+const hangingFetch = (url, {signal}) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), {once: true});
+});
+
+describe('computeBackoffDelay', () => {
+    it('should double the upper bound on each retry', () => {
+        expect(computeBackoffDelay(0, 100, () => 1)).toBe(100);
+        expect(computeBackoffDelay(1, 100, () => 1)).toBe(200);
+        expect(computeBackoffDelay(3, 100, () => 1)).toBe(800);
+    });
+
+    it('should pick a random delay below the upper bound', () => {
+        expect(computeBackoffDelay(2, 100, () => 0.5)).toBe(200);
+        expect(computeBackoffDelay(2, 100, () => 0)).toBe(0);
+    });
+});
+
+describe('getHtmlContent retries and timeouts', () => {
+    useEnv({
+        PMP_NET_MODE: 'live',
+        PMP_FETCH_TIMEOUT_MS: '50',
+        PMP_FETCH_MAX_RETRIES: '2',
+        PMP_FETCH_RETRY_BASE_DELAY_MS: '1',
+    });
+
+    beforeEach(() => {
+        // A scheduler of its own, so no request or paused host left by other specs gets in the way.
+        setRequestScheduler(createRequestScheduler({requestsPerSecond: 1000}));
+    });
+
+    afterEach(() => {
+        setRequestScheduler(null);
+    });
+
+    it('should retry server errors until the request succeeds', async () => {
+        let calls = 0;
+        const fetchSpy = spyOn(globalThis, 'fetch').and.callFake(async () => (++calls === 1
+            ? new Response('busy', {status: 503})
+            : new Response('<html></html>', {status: 200})));
+
+        const [err, html] = await getHtmlContent('https://retry-ok.test/page');
+
+        expect(err).toBeNull();
+        expect(html).toBe('<html></html>');
+        expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry client errors', async () => {
+        const fetchSpy = spyOn(globalThis, 'fetch').and.resolveTo(new Response('missing', {status: 404}));
+
+        const [err] = await getHtmlContent('https://retry-404.test/page');
+
+        expect(err.message).toMatch(/status \[404]/);
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the configured retries when the upstream hangs', async () => {
+        const fetchSpy = spyOn(globalThis, 'fetch').and.callFake(hangingFetch);
+
+        const [err] = await getHtmlContent('https://retry-hang.test/page');
+
+        expect(err.message).toMatch(/timed out after \[50] ms/);
+        expect(fetchSpy).toHaveBeenCalledTimes(3);
+    });
+
+    it('should stop without retrying when the signal is aborted', async () => {
+        const fetchSpy = spyOn(globalThis, 'fetch').and.callFake(hangingFetch);
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(new Error('Client disconnected')), 10);
+
+        const [err] = await getHtmlContent('https://retry-cancel.test/page', {signal: controller.signal});
+
+        expect(err.message).toMatch(/cancelled: \[Client disconnected]/);
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject invalid retry settings instead of retrying forever', async () => {
+        const fetchSpy = spyOn(globalThis, 'fetch').and.resolveTo(new Response('busy', {status: 503}));
+        const settings = [
+            ['PMP_FETCH_MAX_RETRIES', 'many', /Invalid PMP_FETCH_MAX_RETRIES \[many]/],
+            ['PMP_FETCH_TIMEOUT_MS', '0', /Invalid PMP_FETCH_TIMEOUT_MS \[0], expected a whole number of at least 1/],
+            ['PMP_FETCH_RETRY_BASE_DELAY_MS', '-1', /Invalid PMP_FETCH_RETRY_BASE_DELAY_MS \[-1]/],
+        ];
+
+        for (const [name, value, message] of settings) {
+            const previous = process.env[name];
+            process.env[name] = value;
+            const [err] = await getHtmlContent('https://retry-invalid.test/page');
+            process.env[name] = previous;
+
+            expect(err.message).toMatch(message);
+        }
+        expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should allow no retries at all', async () => {
+        process.env.PMP_FETCH_MAX_RETRIES = '0';
+        const fetchSpy = spyOn(globalThis, 'fetch').and.resolveTo(new Response('busy', {status: 503}));
+
+        const [err] = await getHtmlContent('https://retry-none.test/page');
+
+        expect(err.message).toMatch(/status \[503]/);
+        expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,44 @@
+import * as cheerio from 'cheerio';
+import {escapeHtml, renderRichText, TEXT_FORMATS} from "../../../services/support/rich_text.mjs";
+
+describe('renderRichText', () => {
+  const html = '<p>Ponga el video <em>Jehová nos da fuerzas</em>. <b>Luego</b> pregunte:</p>'
+    + '<ul>\n  <li><p>¿Qué aprendemos de <a href="/es/wol/bc/r4/lp-s/202024321/13/0" class="b">Is 40:29-31</a>?</p></li>\n</ul>'
+    + '<script>alert(1)</script>';
+  let $;
+
+  beforeEach(() => {
+    $ = cheerio.load(html);
+  });
+
+  it('should return the plain text by default', () => {
+    expect(renderRichText($('p').first())).toBe('Ponga el video Jehová nos da fuerzas. Luego pregunte:');
+  });
+
+  it('should keep the emphasis, lists and links in Markdown', () => {
+    expect(renderRichText($('body').contents(), TEXT_FORMATS.MARKDOWN)).toBe('Ponga el video *Jehová nos da fuerzas*. **Luego** pregunte:\n'
+      + '- ¿Qué aprendemos de [Is 40:29-31](https://wol.jw.org/es/wol/bc/r4/lp-s/202024321/13/0)?');
+  });
+
+  it('should keep only the allowed tags and attributes in HTML', () => {
+    expect(renderRichText($('body').contents(), TEXT_FORMATS.HTML)).toBe('<p>Ponga el video <em>Jehová nos da fuerzas</em>. <strong>Luego</strong> pregunte:</p>'
+      + '<ul><li><p>¿Qué aprendemos de <a href="https://wol.jw.org/es/wol/bc/r4/lp-s/202024321/13/0">Is 40:29-31</a>?</p></li></ul>');
+  });
+
+  it('should drop links that are not web links', () => {
+    $ = cheerio.load('<p><a href="javascript:alert(1)">Is 40:1</a></p>');
+    expect(renderRichText($('p'), TEXT_FORMATS.HTML)).toBe('<p>Is 40:1</p>');
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => renderRichText($('p'), 'rtf')).toThrowError(/Unknown text format \[rtf]/);
+  });
+});
+
+describe('escapeHtml', () => {
+  it('should escape the characters that have a meaning in HTML, whatever the value', () => {
+    expect(escapeHtml(`<a href="x">Tom & Jerry's</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    expect(escapeHtml(42)).toBe('42');
+    expect(escapeHtml(undefined)).toBe('');
+  });
+});
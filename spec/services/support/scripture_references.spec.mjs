@@ -0,0 +1,42 @@
+import {parseScriptureReferences} from "../../../services/support/scripture_references.mjs";
+
+const range = (bookNumber, chapter, verseStart, chapterEnd, verseEnd) => jasmine.objectContaining({bookNumber, chapter, verseStart, chapterEnd, verseEnd});
+
+describe('parseScriptureReferences', () => {
+    it('should parse verse lists and ranges', () => {
+        expect(parseScriptureReferences('Is 40:1-5, 8', 'es')).toEqual([
+            {book: 'Isaías', bookNumber: 23, chapter: 40, verseStart: 1, chapterEnd: 40, verseEnd: 5},
+            {book: 'Isaías', bookNumber: 23, chapter: 40, verseStart: 8, chapterEnd: 40, verseEnd: 8},
+        ]);
+    });
+
+    it('should parse references that cross chapters or list several of them', () => {
+        expect(parseScriptureReferences('Gén 1:1–2:3', 'es')).toEqual([range(1, 1, 1, 2, 3)]);
+        expect(parseScriptureReferences('Mt 5:3, 5-7; 6:1', 'es')).toEqual([range(40, 5, 3, 5, 3), range(40, 5, 5, 5, 7), range(40, 6, 1, 6, 1)]);
+        expect(parseScriptureReferences('ISAÍAS 40, 41', 'es')).toEqual([range(23, 40, null, 40, null), range(23, 41, null, 41, null)]);
+    });
+
+    it('should find the references cited in a sentence and skip other publications', () => {
+        const text = 'Jehová consoló a su pueblo (Is 40:1, 2[^1]; ip-1 pág. 400 párr. 3[^2]).';
+
+        expect(parseScriptureReferences(text, 'es')).toEqual([range(23, 40, 1, 40, 1), range(23, 40, 2, 40, 2)]);
+        expect(parseScriptureReferences('lfb lecciones 24, 25', 'es')).toEqual([]);
+    });
+
+    it('should not read ordinary words as book names', () => {
+        expect(parseScriptureReferences('le 3 veces lo dijo, y job 3 también', 'es')).toEqual([]);
+        expect(parseScriptureReferences('the job 3 weeks ago, ex 2 partners', 'en')).toEqual([]);
+        expect(parseScriptureReferences('JOB 3:1', 'en')).toEqual([range(18, 3, 1, 3, 1)]);
+    });
+
+    it('should read numbers as verses in the books with a single chapter', () => {
+        expect(parseScriptureReferences('Song of Solomon 2:1; Jude 3-5', 'en')).toEqual([range(22, 2, 1, 2, 1), range(65, 1, 3, 1, 5)]);
+    });
+
+    it('should use the book names of the language', () => {
+        expect(parseScriptureReferences('1 Sam. 17:45', 'en')).toEqual([jasmine.objectContaining({book: '1 Samuel', bookNumber: 9})]);
+        expect(parseScriptureReferences('Jó 1:1 e Jo 3:16', 'pt').map(({book}) => book)).toEqual(['Jó', 'João']);
+        expect(parseScriptureReferences('Ré 21:4', 'fr')).toEqual([range(66, 21, 4, 21, 4)]);
+        expect(() => parseScriptureReferences('Is 40:1', 'xx')).toThrowError(/No Bible book names for language \[xx]/);
+    });
+});
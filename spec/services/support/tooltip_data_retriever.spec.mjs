@@ -0,0 +1,40 @@
+import * as cheerio from 'cheerio';
+import {buildAnchorRefExtractionData, parseWolHref} from "../../../services/support/tooltip_data_retriever.mjs";
+
+describe('parseWolHref', () => {
+  it('should split the links to WOL documents into their language and path', () => {
+    expect(parseWolHref('/es/wol/bc/r4/lp-s/202024321/13/0')).toEqual({languagePath: '/es', path: '/wol/bc/r4/lp-s/202024321/13/0'});
+    expect(parseWolHref('https://wol.jw.org/pt-pt/wol/pc/r5/lp-tpo/1?q=1')).toEqual({languagePath: '/pt-pt', path: '/wol/pc/r5/lp-tpo/1?q=1'});
+    expect(parseWolHref('/wol/d/r4/lp-s/1102015')).toEqual({languagePath: '', path: '/wol/d/r4/lp-s/1102015'});
+  });
+
+  it('should reject the links that are not to WOL documents', () => {
+    expect(parseWolHref('https://www.jw.org/finder?srcid=jwlshare&wtlocale=S')).toBeNull();
+    expect(parseWolHref('https://example.com/es/wol/bc/r4/lp-s/1')).toBeNull();
+    expect(parseWolHref('/es/publicaciones/videos')).toBeNull();
+    expect(parseWolHref('mailto:alguien@example.com')).toBeNull();
+    expect(parseWolHref(undefined)).toBeNull();
+  });
+});
+
+describe('buildAnchorRefExtractionData', () => {
+  const anchor = (href) => cheerio.load(`<a href="${href}">Is 40:1</a>`)('a');
+
+  it('should fetch relative and absolute hrefs from the same URL, without the language', () => {
+    for (const href of ['/es/wol/pc/r4/lp-s/202024321/14/0', 'https://wol.jw.org/es/wol/pc/r4/lp-s/202024321/14/0']) {
+      expect(buildAnchorRefExtractionData(anchor(href))).toEqual({
+        sourceHref: href,
+        languagePath: '/es',
+        fetchUrl: 'https://wol.jw.org/wol/pc/r4/lp-s/202024321/14/0',
+      });
+    }
+  });
+
+  it('should keep the path of the hrefs without a language', () => {
+    expect(buildAnchorRefExtractionData(anchor('/wol/pc/r4/lp-s/202024321/14/0')).fetchUrl).toBe('https://wol.jw.org/wol/pc/r4/lp-s/202024321/14/0');
+  });
+
+  it('should reject the links that are not to WOL documents', () => {
+    expect(() => buildAnchorRefExtractionData(anchor('https://www.jw.org/finder?wtlocale=S'))).toThrowError(/doesn't point to a WOL document/);
+  });
+});
@@ -0,0 +1,160 @@
+import {
+    addDays,
+    formatIsoDate,
+    getWeekStart,
+    getWeekStartsBetween,
+    getWorkbookIssueWeekStarts,
+    getZonedInstant,
+    parseIsoDate,
+    parseWeekDateSpanText,
+    resolveRequestedWeekStart,
+} from "../../../services/support/week_dates.mjs";
+import {getLanguageOrThrow} from "../../../core/languages.mjs";
+
+describe('parseIsoDate', () => {
+    it('should parse a valid date', () => {
+        expect(parseIsoDate('2024-09-04')).toEqual({year: 2024, month: 9, day: 4});
+    });
+
+    it('should throw for malformed or non-existent dates', () => {
+        expect(() => parseIsoDate('04/09/2024')).toThrowError(/expected format YYYY-MM-DD/);
+        expect(() => parseIsoDate('2024-02-30')).toThrowError(/does not exist/);
+    });
+});
+
+describe('getWeekStart', () => {
+    it('should return the same day for a Monday', () => {
+        expect(getWeekStart({year: 2024, month: 9, day: 2})).toEqual({year: 2024, month: 9, day: 2});
+    });
+
+    it('should return the previous Monday for a Sunday', () => {
+        expect(getWeekStart({year: 2024, month: 9, day: 8})).toEqual({year: 2024, month: 9, day: 2});
+    });
+
+    it('should cross month and year boundaries', () => {
+        expect(getWeekStart({year: 2025, month: 1, day: 3})).toEqual({year: 2024, month: 12, day: 30});
+    });
+});
+
+describe('addDays', () => {
+    it('should handle leap years', () => {
+        expect(formatIsoDate(addDays({year: 2024, month: 2, day: 28}, 1))).toBe('2024-02-29');
+    });
+});
+
+describe('getWorkbookIssueWeekStarts', () => {
+    it('should return the Mondays that fall in the months of the issue', () => {
+        const weekStarts = getWorkbookIssueWeekStarts('mwb24.09').map(formatIsoDate);
+
+        expect(weekStarts.length).toBe(9);
+        expect(weekStarts[0]).toBe('2024-09-02');
+        expect(weekStarts.at(-1)).toBe('2024-10-28');
+    });
+
+    it('should leave a week starting in the previous month to the previous issue', () => {
+        const weekStarts = getWorkbookIssueWeekStarts('mwb25.01').map(formatIsoDate);
+
+        expect(weekStarts[0]).toBe('2025-01-06');
+        expect(weekStarts.at(-1)).toBe('2025-02-24');
+        expect(getWorkbookIssueWeekStarts('mwb24.11').map(formatIsoDate).at(-1)).toBe('2024-12-30');
+    });
+
+    it('should throw for identifiers that are not an issue', () => {
+        expect(() => getWorkbookIssueWeekStarts('mwb24.10')).toThrowError(/expected format mwbYY.MM with an odd month/);
+        expect(() => getWorkbookIssueWeekStarts('w24.09')).toThrowError(/Invalid workbook issue \[w24.09]/);
+    });
+});
+
+describe('getWeekStartsBetween', () => {
+    it('should return the Monday of every week in the range', () => {
+        expect(getWeekStartsBetween({year: 2024, month: 9, day: 4}, {year: 2024, month: 9, day: 16}).map(formatIsoDate))
+            .toEqual(['2024-09-02', '2024-09-09', '2024-09-16']);
+        expect(getWeekStartsBetween({year: 2024, month: 9, day: 16}, {year: 2024, month: 9, day: 4})).toEqual([]);
+    });
+});
+
+describe('resolveRequestedWeekStart', () => {
+    // Sunday 2024-09-08 at 22:00 in Mexico City is already Monday 2024-09-09 in UTC.
+    const sundayNight = new Date('2024-09-09T04:00:00Z');
+
+    it('should use the given time zone to determine today', () => {
+        const inMexico = resolveRequestedWeekStart({now: sundayNight, timeZone: 'America/Mexico_City'});
+        const inUtc = resolveRequestedWeekStart({now: sundayNight, timeZone: 'UTC'});
+        expect(formatIsoDate(inMexico)).toBe('2024-09-02');
+        expect(formatIsoDate(inUtc)).toBe('2024-09-09');
+    });
+
+    it('should resolve the next and previous shortcuts', () => {
+        const timeZone = 'America/Mexico_City';
+        expect(formatIsoDate(resolveRequestedWeekStart({date: 'next', now: sundayNight, timeZone}))).toBe('2024-09-09');
+        expect(formatIsoDate(resolveRequestedWeekStart({date: 'previous', now: sundayNight, timeZone}))).toBe('2024-08-26');
+    });
+
+    it('should resolve an explicit date to its Monday', () => {
+        expect(formatIsoDate(resolveRequestedWeekStart({date: '2024-09-05', timeZone: 'UTC'}))).toBe('2024-09-02');
+    });
+
+    it('should throw for an invalid time zone', () => {
+        expect(() => resolveRequestedWeekStart({timeZone: 'Mars/Olympus'})).toThrowError(/Invalid time zone/);
+    });
+});
+
+describe('parseWeekDateSpanText', () => {
+    const referenceDate = {year: 2024, month: 12, day: 20};
+
+    it('should parse a span within a single month', () => {
+        const result = parseWeekDateSpanText('2-8 de septiembre', getLanguageOrThrow('es'), {year: 2024, month: 9, day: 1});
+        expect(result).toEqual({
+            text: '2-8 de septiembre',
+            startDate: '2024-09-02',
+            endDate: '2024-09-08',
+            isoWeek: '2024-W36',
+            workbookIssue: 'mwb24.09',
+        });
+    });
+
+    it('should parse spans that cross into the next year', () => {
+        const es = parseWeekDateSpanText('30 de diciembre–5 de enero', getLanguageOrThrow('es'), referenceDate);
+        const en = parseWeekDateSpanText('December 30–January 5', getLanguageOrThrow('en'), referenceDate);
+        for (const result of [es, en]) {
+            expect(result.startDate).toBe('2024-12-30');
+            expect(result.endDate).toBe('2025-01-05');
+            expect(result.isoWeek).toBe('2025-W01');
+            expect(result.workbookIssue).toBe('mwb24.11');
+        }
+    });
+
+    it('should infer the previous year when the reference date is already in January', () => {
+        const result = parseWeekDateSpanText('30 décembre–5 janvier', getLanguageOrThrow('fr'), {year: 2025, month: 1, day: 3});
+        expect(result.startDate).toBe('2024-12-30');
+    });
+
+    it('should prefer a year written in the text', () => {
+        const result = parseWeekDateSpanText('28 de outubro–3 de novembro de 2019', getLanguageOrThrow('pt'), referenceDate);
+        expect(result.startDate).toBe('2019-10-28');
+        expect(result.endDate).toBe('2019-11-03');
+    });
+
+    it('should handle ordinal days', () => {
+        const result = parseWeekDateSpanText('1er-7 juillet', getLanguageOrThrow('fr'), referenceDate);
+        expect(result.startDate).toBe('2024-07-01');
+    });
+
+    it('should throw for text that is not a span', () => {
+        expect(() => parseWeekDateSpanText('hola', getLanguageOrThrow('es'), referenceDate)).toThrowError(/Unexpected week date span/);
+    });
+});
+
+describe('getZonedInstant', () => {
+    it('should convert the wall clock of a time zone to UTC', () => {
+        expect(getZonedInstant({year: 2024, month: 9, day: 4}, 19 * 60 + 30, 'America/Mexico_City').toISOString())
+            .toBe('2024-09-05T01:30:00.000Z');
+    });
+
+    it('should use the offset in effect on that day', () => {
+        expect(getZonedInstant({year: 2024, month: 1, day: 10}, 19 * 60, 'Europe/Madrid').toISOString())
+            .toBe('2024-01-10T18:00:00.000Z');
+        expect(getZonedInstant({year: 2024, month: 7, day: 10}, 19 * 60, 'Europe/Madrid').toISOString())
+            .toBe('2024-07-10T17:00:00.000Z');
+    });
+});
@@ -0,0 +1,51 @@
+import {extractWeekPrograms, findWorkbookIssueWeekStarts} from "../../services/workbook_issue.mjs";
+import {formatIsoDate, getWorkbookIssueWeekStarts} from "../../services/support/week_dates.mjs";
+import {useReplayedNetwork} from "../helpers/env.mjs";
+
+describe('extractWeekPrograms with replayed network traffic', () => {
+    useReplayedNetwork();
+
+    it('should report every week on its own, in order', async () => {
+        const weekStarts = [{year: 2024, month: 9, day: 2}, {year: 2024, month: 9, day: 9}];
+
+        const results = await extractWeekPrograms({weekStarts, lang: 'es'});
+
+        expect(results.map(({weekStart, ok}) => [weekStart, ok])).toEqual([['2024-09-02', true], ['2024-09-09', false]]);
+        expect(results[0].program.weekDateSpanData.startDate).toBe('2024-09-02');
+        expect(results[1].program).toBeUndefined();
+        expect(results[1].error).toMatch(/No \[html\] recording/);
+    });
+
+    it('should extract the weeks the page of the issue links to', async () => {
+        const results = await extractWeekPrograms({issue: 'mwb24.09', lang: 'es'});
+
+        expect(results.map(({weekStart, ok}) => [weekStart, ok])).toEqual([['2024-09-02', true]]);
+    });
+
+    it('should fail when the landing pages are not available', async () => {
+        await expectAsync(extractWeekPrograms({weekStarts: [{year: 2024, month: 9, day: 2}], lang: 'en'}))
+            .toBeRejectedWithError(/No \[html\] recording/);
+    });
+});
+
+describe('findWorkbookIssueWeekStarts with replayed network traffic', () => {
+    useReplayedNetwork();
+
+    it('should follow the links of the issue page, across the months and over the skipped weeks', async () => {
+        const weekStarts = await findWorkbookIssueWeekStarts('mwb25.01', {lang: 'es'});
+
+        expect(weekStarts.map(formatIsoDate)).toEqual([
+            '2024-12-30', '2025-01-06', '2025-01-13', '2025-01-27', '2025-02-03', '2025-02-10', '2025-02-17', '2025-02-24',
+        ]);
+    });
+
+    it('should fall back to the weeks of the calendar when the issue page is not available', async () => {
+        const weekStarts = await findWorkbookIssueWeekStarts('mwb24.11', {lang: 'es'});
+
+        expect(weekStarts).toEqual(getWorkbookIssueWeekStarts('mwb24.11'));
+    });
+
+    it('should reject an invalid issue', async () => {
+        await expectAsync(findWorkbookIssueWeekStarts('mwb24.10', {lang: 'es'})).toBeRejectedWithError(/Invalid workbook issue/);
+    });
+});